@@ -1,8 +1,26 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// jsdom has neither a canvas nor IndexedDB. The signature pads skip drawing
+// without a context, and the queue and check schedule report the missing
+// database, which is the only error this render should log.
+beforeEach(() => {
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('renders the weight check form', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+
+  expect(screen.getByText(/weight control system/i)).toBeInTheDocument();
+  // Waiting for the queue's error lets its and the schedule's lookups settle inside the test
+  expect(await screen.findByText(/local storage unavailable/i)).toBeInTheDocument();
+  console.error.mock.calls.forEach(([message, error]) => {
+    expect(String(message)).toMatch(/backend settings/);
+    expect(error.message).toMatch(/IndexedDB is not available/);
+  });
 });
@@ -0,0 +1,584 @@
+import React, { useState, useRef } from 'react';
+import { Lock, Plus, Trash2, Download, Upload, Save, ArrowLeft, CheckCircle2, XCircle } from 'lucide-react';
+import { useSettings } from '../hooks/useSettings';
+import {
+  DEFAULT_SETTINGS,
+  exportSettingsFile,
+  hashAdminPin,
+  isFactoryAdminPin,
+  readSettingsFile
+} from '../lib/settings';
+import { verifySecret } from '../lib/crypto';
+import BackendEditor from './BackendEditor';
+import OperatorEditor from './OperatorEditor';
+import LineEditor from './LineEditor';
+import { hashOperatorCredentials } from '../lib/roster';
+import { WEIGHT_UNITS } from '../lib/units';
+import { VALIDATION_POLICY_LABELS, VALIDATION_RULES } from '../lib/validation';
+import { GS1_AIS, TRACE_FIELDS, TRACE_FORMAT, TRACE_FORMAT_LABELS } from '../lib/traceability';
+
+const inputClassName = 'w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500';
+
+const PROFILE_FIELDS = [
+  { name: 'name', label: 'Name', type: 'text' },
+  { name: 'targetWeight', label: 'Target', type: 'number', step: 'any' },
+  { name: 'lowerTolerance', label: 'Lower Tol.', type: 'number', step: 'any' },
+  { name: 'upperTolerance', label: 'Upper Tol.', type: 'number', step: 'any' },
+  { name: 'unit', label: 'Unit', options: Object.keys(WEIGHT_UNITS) },
+  { name: 'numSpouts', label: 'Spouts', type: 'number', step: '1' },
+  { name: 'numSamplesPerSpout', label: 'Samples', type: 'number', step: '1' },
+  { name: 'eMark', label: '℮-marked', type: 'checkbox' },
+  // Optional validation bounds, derived from the fields above when blank
+  { name: 'minSamplesPerSpout', label: 'Min. Samples', type: 'number', step: '1', placeholder: 'All' },
+  { name: 'minPlausibleWeight', label: 'Plausible Min', type: 'number', step: 'any', placeholder: '50% of target' },
+  { name: 'maxPlausibleWeight', label: 'Plausible Max', type: 'number', step: 'any', placeholder: '150% of target' }
+];
+
+function PinGate({ pinHash, onUnlock, onExit }) {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (await verifySecret(pin, pinHash)) {
+        onUnlock();
+      } else {
+        setError('Incorrect PIN');
+        setPin('');
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-xs mx-auto space-y-4 text-center">
+      <Lock className="h-10 w-10 text-blue-500 mx-auto" />
+      <h2 className="text-lg font-semibold text-blue-600">Admin PIN required</h2>
+      <input
+        type="password"
+        inputMode="numeric"
+        autoComplete="off"
+        autoFocus
+        value={pin}
+        onChange={(e) => setPin(e.target.value)}
+        className={`${inputClassName} text-center`}
+        placeholder="PIN"
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex justify-center gap-2">
+        <button type="button" onClick={onExit} className="px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100">
+          Cancel
+        </button>
+        <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">
+          Unlock
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Shown after unlocking with the factory PIN, which anyone can look up
+function ChangeFactoryPin({ onSave, onExit }) {
+  const [pin, setPin] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (pin !== confirmation) {
+        throw new Error('The two PINs do not match');
+      }
+      onSave(await hashAdminPin(pin));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="max-w-xs mx-auto space-y-4 text-center">
+      <Lock className="h-10 w-10 text-blue-500 mx-auto" />
+      <h2 className="text-lg font-semibold text-blue-600">Choose a new admin PIN</h2>
+      <p className="text-sm text-gray-600">
+        This device still uses the factory PIN. Set your own before changing any settings.
+      </p>
+      <input
+        type="password"
+        inputMode="numeric"
+        autoComplete="new-password"
+        autoFocus
+        value={pin}
+        onChange={(e) => setPin(e.target.value)}
+        className={`${inputClassName} text-center`}
+        placeholder="New PIN (4–8 digits)"
+      />
+      <input
+        type="password"
+        inputMode="numeric"
+        autoComplete="new-password"
+        value={confirmation}
+        onChange={(e) => setConfirmation(e.target.value)}
+        className={`${inputClassName} text-center`}
+        placeholder="Repeat the new PIN"
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex justify-center gap-2">
+        <button type="button" onClick={onExit} className="px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100">
+          Cancel
+        </button>
+        <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">
+          Save PIN
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function AdminSettings({ onExit }) {
+  const { settings, updateSettings } = useSettings();
+  const [unlocked, setUnlocked] = useState(false);
+  const [draft, setDraft] = useState(settings);
+  const [newPin, setNewPin] = useState('');
+  const [status, setStatus] = useState({ success: null, message: '' });
+  const fileInput = useRef(null);
+
+  if (!unlocked) {
+    return <PinGate pinHash={settings.adminPinHash} onUnlock={() => setUnlocked(true)} onExit={onExit} />;
+  }
+  if (isFactoryAdminPin(settings)) {
+    return (
+      <ChangeFactoryPin
+        onSave={(adminPinHash) => updateSettings({ ...settings, adminPinHash })}
+        onExit={onExit}
+      />
+    );
+  }
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  // Shift times are keyed by name, so a rename carries them along
+  const updateShift = (index, value) => {
+    const { [draft.shifts[index]]: times, ...shiftTimes } = draft.checkSchedule.shiftTimes;
+    updateDraft({
+      shifts: draft.shifts.map((shift, i) => (i === index ? value : shift)),
+      checkSchedule: { ...draft.checkSchedule, shiftTimes: times ? { ...shiftTimes, [value]: times } : shiftTimes }
+    });
+  };
+
+  const updateShiftTime = (shift, field, value) => {
+    const { shiftTimes } = draft.checkSchedule;
+    updateDraft({
+      checkSchedule: {
+        ...draft.checkSchedule,
+        shiftTimes: { ...shiftTimes, [shift]: { start: '', end: '', ...shiftTimes[shift], [field]: value } }
+      }
+    });
+  };
+
+  const updateReasonCode = (index, field, value) =>
+    updateDraft({
+      reasonCodes: draft.reasonCodes.map((reason, i) => (i === index ? { ...reason, [field]: value } : reason))
+    });
+
+  const updateProfile = (index, field, value) =>
+    updateDraft({
+      profiles: draft.profiles.map((profile, i) => (i === index ? { ...profile, [field]: value } : profile))
+    });
+
+  const addProfile = () => {
+    const template = draft.profiles[draft.profiles.length - 1] || DEFAULT_SETTINGS.profiles[0];
+    updateDraft({ profiles: [...draft.profiles, { ...template, id: `profile-${Date.now()}`, name: 'New product' }] });
+  };
+
+  const handleSave = async () => {
+    try {
+      // The PIN is only ever changed here, never by an imported or reset draft
+      const next = {
+        ...draft,
+        operators: await hashOperatorCredentials(draft.operators),
+        adminPinHash: newPin ? await hashAdminPin(newPin) : settings.adminPinHash
+      };
+      setDraft(updateSettings(next));
+      setNewPin('');
+      setStatus({ success: true, message: 'Settings saved on this device.' });
+    } catch (error) {
+      setStatus({ success: false, message: error.message });
+    }
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setDraft(await readSettingsFile(file, settings));
+      setStatus({ success: null, message: `Loaded ${file.name}. Review and save to apply.` });
+    } catch (error) {
+      setStatus({ success: false, message: error.message });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold text-blue-600">Admin Settings</h2>
+        <button type="button" onClick={onExit} className="flex items-center text-blue-600 hover:text-blue-800">
+          <ArrowLeft className="mr-1 h-4 w-4" />
+          Back to form
+        </button>
+      </div>
+
+      {status.message && (
+        <div
+          className={`flex items-center p-4 rounded-lg ${
+            status.success === true
+              ? 'bg-green-50 text-green-700 border border-green-200'
+              : status.success === false
+                ? 'bg-red-50 text-red-700 border border-red-200'
+                : 'bg-gray-50 text-gray-700 border border-gray-200'
+          }`}
+        >
+          {status.success === true && <CheckCircle2 className="mr-2 h-5 w-5 text-green-500" />}
+          {status.success === false && <XCircle className="mr-2 h-5 w-5 text-red-500" />}
+          {status.message}
+        </div>
+      )}
+
+      {/* General */}
+      <section className="grid md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="companyLogo" className="block text-sm font-medium text-gray-700 mb-1">
+            Company Logo Path
+          </label>
+          <input
+            id="companyLogo"
+            type="text"
+            value={draft.companyLogo}
+            onChange={(e) => updateDraft({ companyLogo: e.target.value })}
+            className={inputClassName}
+            placeholder="/company_logo.png"
+          />
+        </div>
+        <div>
+          <label htmlFor="newPin" className="block text-sm font-medium text-gray-700 mb-1">
+            New Admin PIN
+          </label>
+          <input
+            id="newPin"
+            type="password"
+            inputMode="numeric"
+            autoComplete="new-password"
+            value={newPin}
+            onChange={(e) => setNewPin(e.target.value)}
+            className={inputClassName}
+            placeholder="Leave blank to keep the current PIN"
+          />
+        </div>
+      </section>
+
+      {/* Shifts */}
+      <section className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+        <h3 className="text-lg font-semibold text-blue-600 mb-1">Shifts</h3>
+        <p className="text-sm text-gray-500 mb-3">
+          Operators are reminded when a weight check is due on their line. Shifts without start and end times get no reminders.
+        </p>
+        <div className="mb-3 max-w-xs">
+          <label htmlFor="checkInterval" className="block text-xs text-gray-600 mb-1">Check every (minutes)</label>
+          <input
+            id="checkInterval"
+            type="number"
+            min="1"
+            step="1"
+            value={draft.checkSchedule.intervalMinutes}
+            onChange={(e) => updateDraft({ checkSchedule: { ...draft.checkSchedule, intervalMinutes: e.target.value } })}
+            className={inputClassName}
+          />
+        </div>
+        <div className="space-y-2">
+          {draft.shifts.map((shift, index) => (
+            <div key={index} className="flex gap-2">
+              <input
+                type="text"
+                value={shift}
+                onChange={(e) => updateShift(index, e.target.value)}
+                className={inputClassName}
+              />
+              {['start', 'end'].map(field => (
+                <input
+                  key={field}
+                  type="time"
+                  value={(draft.checkSchedule.shiftTimes[shift] || {})[field] || ''}
+                  onChange={(e) => updateShiftTime(shift, field, e.target.value)}
+                  className={`${inputClassName} max-w-[8rem]`}
+                  aria-label={`${shift} ${field} time`}
+                />
+              ))}
+              <button
+                type="button"
+                onClick={() => updateDraft({ shifts: draft.shifts.filter((_, i) => i !== index) })}
+                disabled={draft.shifts.length === 1}
+                className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                aria-label={`Remove shift ${shift}`}
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => updateDraft({ shifts: [...draft.shifts, ''] })}
+          className="mt-3 flex items-center text-sm text-blue-600 hover:text-blue-800"
+        >
+          <Plus className="mr-1 h-4 w-4" />
+          Add shift
+        </button>
+      </section>
+
+      <OperatorEditor operators={draft.operators} onChange={(operators) => updateDraft({ operators })} />
+
+      <LineEditor lines={draft.lines} onChange={(lines) => updateDraft({ lines })} />
+
+      {/* Corrective Action Reason Codes */}
+      <section className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+        <h3 className="text-lg font-semibold text-blue-600 mb-3">Corrective Action Reason Codes</h3>
+        <div className="space-y-2">
+          {draft.reasonCodes.map((reason, index) => (
+            <div key={index} className="flex gap-2">
+              <input
+                type="text"
+                value={reason.code}
+                onChange={(e) => updateReasonCode(index, 'code', e.target.value)}
+                className={`${inputClassName} max-w-[8rem]`}
+                placeholder="Code"
+              />
+              <input
+                type="text"
+                value={reason.label}
+                onChange={(e) => updateReasonCode(index, 'label', e.target.value)}
+                className={inputClassName}
+                placeholder="Description"
+              />
+              <button
+                type="button"
+                onClick={() => updateDraft({ reasonCodes: draft.reasonCodes.filter((_, i) => i !== index) })}
+                disabled={draft.reasonCodes.length === 1}
+                className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                aria-label={`Remove reason code ${reason.code}`}
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => updateDraft({ reasonCodes: [...draft.reasonCodes, { code: '', label: '' }] })}
+          className="mt-3 flex items-center text-sm text-blue-600 hover:text-blue-800"
+        >
+          <Plus className="mr-1 h-4 w-4" />
+          Add reason code
+        </button>
+      </section>
+
+      {/* Product Profiles */}
+      <section className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+        <h3 className="text-lg font-semibold text-blue-600 mb-3">Product Profiles</h3>
+        <div className="space-y-4">
+          {draft.profiles.map((profile, index) => (
+            <div key={profile.id} className="bg-white p-3 rounded-md border border-gray-200">
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+                {PROFILE_FIELDS.map(field => (
+                  <div key={field.name} className="flex flex-col">
+                    <label className="text-xs text-gray-600 mb-1">{field.label}</label>
+                    {field.type === 'checkbox' ? (
+                      <input
+                        type="checkbox"
+                        checked={Boolean(profile[field.name])}
+                        onChange={(e) => updateProfile(index, field.name, e.target.checked)}
+                        className="mt-2 h-5 w-5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                    ) : field.options ? (
+                      <select
+                        value={profile[field.name]}
+                        onChange={(e) => updateProfile(index, field.name, e.target.value)}
+                        className={inputClassName}
+                      >
+                        {field.options.map(option => (
+                          <option key={option} value={option}>{option}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        type={field.type}
+                        step={field.step}
+                        value={profile[field.name] ?? ''}
+                        onChange={(e) => updateProfile(index, field.name, e.target.value)}
+                        className={inputClassName}
+                        placeholder={field.placeholder}
+                      />
+                    )}
+                  </div>
+                ))}
+              </div>
+              <div className="flex items-center justify-between mt-2 text-sm">
+                <label className="flex items-center text-gray-700">
+                  <input
+                    type="radio"
+                    name="defaultProfileId"
+                    checked={draft.defaultProfileId === profile.id}
+                    onChange={() => updateDraft({ defaultProfileId: profile.id })}
+                    className="mr-2"
+                  />
+                  Default for new reports
+                </label>
+                <button
+                  type="button"
+                  onClick={() => updateDraft({ profiles: draft.profiles.filter((_, i) => i !== index) })}
+                  disabled={draft.profiles.length === 1}
+                  className="flex items-center text-red-600 hover:text-red-800 disabled:opacity-50"
+                >
+                  <Trash2 className="mr-1 h-4 w-4" />
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={addProfile}
+          className="mt-3 flex items-center text-sm text-blue-600 hover:text-blue-800"
+        >
+          <Plus className="mr-1 h-4 w-4" />
+          Add profile
+        </button>
+      </section>
+
+      {/* Validation Rules */}
+      <section className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+        <h3 className="text-lg font-semibold text-blue-600 mb-3">Validation Rules</h3>
+        <div className="space-y-2">
+          {VALIDATION_RULES.map(rule => (
+            <div key={rule.id} className="flex flex-wrap items-center justify-between gap-2">
+              <span className="text-sm text-gray-700">{rule.label}</span>
+              <select
+                value={draft.validationPolicy[rule.id]}
+                onChange={(e) => updateDraft({ validationPolicy: { ...draft.validationPolicy, [rule.id]: e.target.value } })}
+                className={`${inputClassName} max-w-[12rem]`}
+                aria-label={rule.label}
+              >
+                {Object.entries(VALIDATION_POLICY_LABELS).map(([policy, label]) => (
+                  <option key={policy} value={policy}>{label}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      </section>
+
+      {/* Traceability Formats */}
+      <section className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+        <h3 className="text-lg font-semibold text-blue-600 mb-1">Traceability Formats</h3>
+        <p className="text-sm text-gray-500 mb-3">
+          Typed and scanned codes are checked against these formats. A GS1-128 or GS1 QR label fills every field whose
+          application identifier it carries.
+        </p>
+        <div className="space-y-2">
+          {TRACE_FIELDS.map(({ key, label }) => {
+            const format = draft.traceability[key];
+            const updateFormat = (changes) => updateDraft({ traceability: { ...draft.traceability, [key]: { ...format, ...changes } } });
+            return (
+              <div key={key} className="grid grid-cols-1 md:grid-cols-3 gap-2 items-center">
+                <span className="text-sm text-gray-700">{label}</span>
+                <select
+                  value={format.format}
+                  onChange={(e) => updateFormat({
+                    format: e.target.value,
+                    ai: e.target.value === TRACE_FORMAT.GS1 && !GS1_AIS[format.ai] ? '10' : format.ai
+                  })}
+                  className={inputClassName}
+                  aria-label={`${label} format`}
+                >
+                  {Object.entries(TRACE_FORMAT_LABELS).map(([value, formatLabel]) => (
+                    <option key={value} value={value}>{formatLabel}</option>
+                  ))}
+                </select>
+                {format.format === TRACE_FORMAT.GS1 && (
+                  <select
+                    value={format.ai}
+                    onChange={(e) => updateFormat({ ai: e.target.value })}
+                    className={inputClassName}
+                    aria-label={`${label} application identifier`}
+                  >
+                    {Object.entries(GS1_AIS).map(([ai, { title }]) => (
+                      <option key={ai} value={ai}>({ai}) {title}</option>
+                    ))}
+                  </select>
+                )}
+                {format.format === TRACE_FORMAT.PATTERN && (
+                  <input
+                    type="text"
+                    value={format.pattern}
+                    onChange={(e) => updateFormat({ pattern: e.target.value })}
+                    className={`${inputClassName} font-mono`}
+                    placeholder="^LOT\d{6}$"
+                    aria-label={`${label} pattern`}
+                  />
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </section>
+
+      <BackendEditor backends={draft.backends} onChange={(backends) => updateDraft({ backends })} />
+
+      {/* Actions */}
+      <div className="flex flex-wrap justify-between gap-2">
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => {
+              exportSettingsFile(draft);
+              setStatus({ success: null, message: 'Exported without the admin PIN and backend secrets; importing keeps the ones on the receiving device.' });
+            }}
+            className="flex items-center px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+          >
+            <Download className="mr-2 h-4 w-4" />
+            Export
+          </button>
+          <button
+            type="button"
+            onClick={() => fileInput.current.click()}
+            className="flex items-center px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+          >
+            <Upload className="mr-2 h-4 w-4" />
+            Import
+          </button>
+          <input ref={fileInput} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+          <button
+            type="button"
+            onClick={() => setDraft({ ...DEFAULT_SETTINGS, adminPinHash: settings.adminPinHash })}
+            className="px-4 py-2 rounded-md text-gray-600 hover:bg-gray-100"
+          >
+            Reset to defaults
+          </button>
+        </div>
+        <button
+          type="button"
+          onClick={handleSave}
+          className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+        >
+          <Save className="mr-2 h-4 w-4" />
+          Save Settings
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default AdminSettings;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { CheckCircle2, XCircle } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+import { APPROVAL_STATUS } from '../lib/reports';
+
+const inputClassName = 'w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500';
+
+// Supervisor sign-off on a submitted report. The decision goes to every
+// destination of the report as an approval event (see buildApprovalEvent).
+// Once made it is final, and the report's own author can't make it.
+function ApprovalPanel({ approval, canApprove, ownReport, onDecide }) {
+  const { t } = useI18n();
+  const [comment, setComment] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!approval && !canApprove) return null;
+
+  const decide = async (status) => {
+    setSaving(true);
+    setError('');
+    try {
+      await onDecide(status, comment);
+      setComment('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className="bg-gray-50 p-4 rounded-lg border border-gray-200 print:hidden">
+      <h2 className="text-lg font-semibold text-blue-600 mb-2">{t('approval.title')}</h2>
+      {approval ? (
+        <p className={`text-sm mb-2 ${approval.status === APPROVAL_STATUS.APPROVED ? 'text-green-700' : 'text-red-700'}`}>
+          {t('approval.decision', {
+            status: t(`approval.${approval.status}`),
+            name: approval.by
+              ? t('approval.withRole', { name: approval.by.name, role: t(`role.${approval.by.role}`) })
+              : t('approval.unknownUser'),
+            at: new Date(approval.at).toLocaleString()
+          })}
+          {approval.comment && ` – ${approval.comment}`}
+        </p>
+      ) : (
+        <p className="text-sm text-gray-500 mb-2">{t('approval.awaiting')}</p>
+      )}
+      {canApprove && !approval && ownReport && (
+        <p className="text-sm text-amber-700">{t('approval.ownReport')}</p>
+      )}
+      {canApprove && !approval && !ownReport && (
+        <div className="space-y-2">
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows={2}
+            className={inputClassName}
+            placeholder={t('approval.commentPlaceholder')}
+          />
+          <div className="flex gap-2">
+            <button
+              type="button"
+              disabled={saving}
+              onClick={() => decide(APPROVAL_STATUS.APPROVED)}
+              className="flex items-center px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50"
+            >
+              <CheckCircle2 className="mr-1 h-4 w-4" />
+              {t('approval.approve')}
+            </button>
+            <button
+              type="button"
+              disabled={saving}
+              onClick={() => decide(APPROVAL_STATUS.REJECTED)}
+              className="flex items-center px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+            >
+              <XCircle className="mr-1 h-4 w-4" />
+              {t('approval.reject')}
+            </button>
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default ApprovalPanel;
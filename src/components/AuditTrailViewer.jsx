@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { History, ShieldAlert, ShieldCheck } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+import { SYSTEM_OPERATOR, describeAuditField, getAuditedFields, getFieldHistory, verifyAuditTrail } from '../lib/auditTrail';
+
+const inputClassName = 'w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500';
+
+const ALL_FIELDS = '';
+
+// Edit history of a submitted report, with a check that the hash chain is
+// intact and ends where the submitted seal says
+function AuditTrailViewer({ trail, seal = null }) {
+  const { t, tm } = useI18n();
+  const [field, setField] = useState(ALL_FIELDS);
+  const [verification, setVerification] = useState(null);
+
+  useEffect(() => {
+    if (!trail || trail.length === 0) return undefined;
+    let cancelled = false;
+    setVerification(null);
+    verifyAuditTrail(trail, seal)
+      .then(result => !cancelled && setVerification(result))
+      .catch(error => !cancelled && setVerification({ error: error.message }));
+    return () => {
+      cancelled = true;
+    };
+  }, [trail, seal]);
+
+  if (!trail || trail.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 print:hidden">{t('audit.none')}</p>
+    );
+  }
+
+  const events = field === ALL_FIELDS ? trail : getFieldHistory(trail, field);
+  const operatorName = (operator) => {
+    if (operator && operator.id === SYSTEM_OPERATOR.id) return t('audit.system');
+    return (operator && operator.name) || t('audit.unknownOperator');
+  };
+  const showValue = (value) => (value === '' ? <span className="text-gray-400">{t('audit.empty')}</span> : value);
+  const isBroken = (event) => Boolean(verification && verification.valid === false &&
+    trail.indexOf(event) >= verification.brokenAt);
+
+  return (
+    <section className="bg-gray-50 p-4 rounded-lg border border-gray-200 print:hidden">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h2 className="flex items-center text-lg font-semibold text-blue-600">
+          <History className="mr-2 h-5 w-5" />
+          {t('audit.title')}
+        </h2>
+        {verification && verification.valid && (
+          <span className="flex items-center text-sm text-green-700">
+            <ShieldCheck className="mr-1 h-4 w-4" />
+            {t(verification.anchored ? 'audit.intact' : 'audit.intactUnanchored', { count: trail.length })}
+          </span>
+        )}
+        {verification && verification.valid === false && (
+          <span className="flex items-center text-sm font-medium text-red-700">
+            <ShieldAlert className="mr-1 h-4 w-4" />
+            {t('audit.broken', { event: verification.brokenAt + 1 })}
+          </span>
+        )}
+        {verification && verification.error && (
+          <span className="text-sm text-gray-500">{t('audit.cannotVerify', { error: verification.error })}</span>
+        )}
+      </div>
+
+      <label className="block text-xs text-gray-600 mb-1" htmlFor="auditField">{t('audit.field')}</label>
+      <select
+        id="auditField"
+        value={field}
+        onChange={(e) => setField(e.target.value)}
+        className={`${inputClassName} md:w-72 mb-3`}
+      >
+        <option value={ALL_FIELDS}>{t('audit.allFields')}</option>
+        {getAuditedFields(trail).map(name => (
+          <option key={name} value={name}>{tm(describeAuditField(name))}</option>
+        ))}
+      </select>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-1 pr-2">#</th>
+              <th className="py-1 pr-2">{t('audit.time')}</th>
+              {field === ALL_FIELDS && <th className="py-1 pr-2">{t('audit.field')}</th>}
+              <th className="py-1 pr-2">{t('audit.operator')}</th>
+              <th className="py-1 pr-2">{t('audit.oldValue')}</th>
+              <th className="py-1">{t('audit.newValue')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map(event => (
+              <tr key={event.seq} className={`border-b border-gray-100 ${isBroken(event) ? 'bg-red-50 text-red-800' : ''}`}>
+                <td className="py-1 pr-2">{event.seq}</td>
+                <td className="py-1 pr-2 whitespace-nowrap">{new Date(event.at).toLocaleString()}</td>
+                {field === ALL_FIELDS && <td className="py-1 pr-2">{tm(describeAuditField(event.field))}</td>}
+                <td className="py-1 pr-2">{operatorName(event.operator)}</td>
+                <td className="py-1 pr-2 break-all">{showValue(event.oldValue)}</td>
+                <td className="py-1 break-all">{showValue(event.newValue)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  );
+}
+
+export default AuditTrailViewer;
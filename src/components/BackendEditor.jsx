@@ -0,0 +1,127 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { BACKEND_ADAPTERS, BACKEND_TYPES } from '../lib/backends';
+
+const inputClassName = 'w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500';
+
+function ConfigField({ field, value, onChange }) {
+  if (field.type === 'select') {
+    return (
+      <select value={value || field.options[0]} onChange={(e) => onChange(e.target.value)} className={inputClassName}>
+        {field.options.map(option => (
+          <option key={option} value={option}>{option}</option>
+        ))}
+      </select>
+    );
+  }
+  if (field.type === 'textarea') {
+    return (
+      <textarea value={value || ''} onChange={(e) => onChange(e.target.value)} className={inputClassName} rows={2} />
+    );
+  }
+  return (
+    <input
+      type={field.type}
+      autoComplete="off"
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      className={inputClassName}
+    />
+  );
+}
+
+// Admin editor for the list of submission destinations. Each adapter declares
+// its own config fields, so new backend types need no changes here.
+function BackendEditor({ backends, onChange }) {
+  const updateBackend = (index, changes) =>
+    onChange(backends.map((backend, i) => (i === index ? { ...backend, ...changes } : backend)));
+
+  const updateConfig = (index, field, value) =>
+    updateBackend(index, { config: { ...backends[index].config, [field]: value } });
+
+  const addBackend = () => onChange([
+    ...backends,
+    { id: `backend-${Date.now()}`, name: 'New destination', type: BACKEND_TYPES.REST, enabled: false, config: {} }
+  ]);
+
+  return (
+    <section className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+      <h3 className="text-lg font-semibold text-blue-600 mb-1">Submission Backends</h3>
+      <p className="text-sm text-gray-500 mb-3">
+        Every enabled destination receives each report. With none enabled, reports are kept on this device only.
+      </p>
+      <div className="space-y-4">
+        {backends.map((backend, index) => (
+          <div key={backend.id} className="bg-white p-3 rounded-md border border-gray-200">
+            <div className="grid md:grid-cols-3 gap-2">
+              <div className="flex flex-col">
+                <label className="text-xs text-gray-600 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={backend.name}
+                  onChange={(e) => updateBackend(index, { name: e.target.value })}
+                  className={inputClassName}
+                />
+              </div>
+              <div className="flex flex-col">
+                <label className="text-xs text-gray-600 mb-1">Type</label>
+                <select
+                  value={backend.type}
+                  onChange={(e) => updateBackend(index, { type: e.target.value, config: {} })}
+                  className={inputClassName}
+                >
+                  {Object.entries(BACKEND_ADAPTERS).map(([type, adapter]) => (
+                    <option key={type} value={type}>{adapter.label}</option>
+                  ))}
+                </select>
+              </div>
+              <label className="flex items-center text-sm text-gray-700 md:mt-5">
+                <input
+                  type="checkbox"
+                  checked={backend.enabled}
+                  onChange={(e) => updateBackend(index, { enabled: e.target.checked })}
+                  className="mr-2"
+                />
+                Enabled
+              </label>
+            </div>
+            {BACKEND_ADAPTERS[backend.type].fields.length > 0 && (
+              <div className="grid md:grid-cols-2 gap-2 mt-2">
+                {BACKEND_ADAPTERS[backend.type].fields.map(field => (
+                  <div key={field.name} className="flex flex-col">
+                    <label className="text-xs text-gray-600 mb-1">{field.label}</label>
+                    <ConfigField
+                      field={field}
+                      value={backend.config[field.name]}
+                      onChange={(value) => updateConfig(index, field.name, value)}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="flex justify-end mt-2 text-sm">
+              <button
+                type="button"
+                onClick={() => onChange(backends.filter((_, i) => i !== index))}
+                className="flex items-center text-red-600 hover:text-red-800"
+              >
+                <Trash2 className="mr-1 h-4 w-4" />
+                Remove
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={addBackend}
+        className="mt-3 flex items-center text-sm text-blue-600 hover:text-blue-800"
+      >
+        <Plus className="mr-1 h-4 w-4" />
+        Add destination
+      </button>
+    </section>
+  );
+}
+
+export default BackendEditor;
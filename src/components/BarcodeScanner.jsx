@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { AlertTriangle, ImageIcon, X } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+import { createBarcodeReader, readBarcodeFromFile } from '../lib/barcodeReader';
+
+// How often a camera frame is tried; the fallback decoder needs the gap
+const SCAN_INTERVAL_MS = 250;
+
+// Live camera view that hands the first code it reads to `onResult`. A photo
+// of the label can be read instead, e.g. where the camera is blocked.
+function BarcodeScanner({ title, onResult, onClose }) {
+  const { t } = useI18n();
+  const videoRef = useRef(null);
+  const readerRef = useRef(null);
+  const resultRef = useRef(onResult);
+  resultRef.current = onResult;
+  const [native, setNative] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+
+    const scanFrame = async () => {
+      const video = videoRef.current;
+      if (stopped) return;
+      try {
+        const text = video && video.readyState >= 2 ? await readerRef.current.detect(video) : null;
+        if (text && !stopped) {
+          resultRef.current(text);
+          return;
+        }
+      } catch (err) {
+        // A frame that can't be read is simply skipped
+      }
+      if (!stopped) timer = setTimeout(scanFrame, SCAN_INTERVAL_MS);
+    };
+
+    (async () => {
+      try {
+        readerRef.current = await createBarcodeReader();
+      } catch (err) {
+        if (!stopped) setError(t('trace.readerError', { error: err.message }));
+        return;
+      }
+      if (stopped) return;
+      setNative(readerRef.current.native);
+      try {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+          throw new Error('no camera access in this browser');
+        }
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (stopped) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        scanFrame();
+      } catch (err) {
+        if (!stopped) setError(t('trace.noCamera', { error: err.message }));
+      }
+    })();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, [t]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !readerRef.current) return;
+    try {
+      const text = await readBarcodeFromFile(readerRef.current, file);
+      if (text) onResult(text);
+      else setError(t('trace.notFound'));
+    } catch (err) {
+      setError(t('trace.notFound'));
+    }
+  };
+
+  return (
+    <div className="mt-3 p-3 rounded-lg border border-blue-200 bg-white">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-blue-600">{title}</h3>
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex items-center text-sm text-gray-600 hover:text-gray-800"
+        >
+          <X className="mr-1 h-4 w-4" />
+          {t('trace.close')}
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-2">{t('trace.scanHelp')}</p>
+      {!native && (
+        <p className="flex items-start text-sm text-amber-700 mb-2">
+          <AlertTriangle className="mr-1 mt-0.5 h-4 w-4 flex-shrink-0" />
+          {t('trace.fallbackHelp')}
+        </p>
+      )}
+      <video ref={videoRef} muted playsInline className="w-full max-h-72 rounded-md bg-gray-900 object-cover" />
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+      <label className="mt-2 inline-flex items-center px-3 py-1.5 rounded-md border border-gray-300 text-sm text-gray-700 hover:bg-gray-100 cursor-pointer">
+        <ImageIcon className="mr-1 h-4 w-4" />
+        {t('trace.upload')}
+        <input type="file" accept="image/*" onChange={handleFile} className="hidden" />
+      </label>
+    </div>
+  );
+}
+
+export default BarcodeScanner;
@@ -0,0 +1,110 @@
+import React from 'react';
+import { AlarmClock, BellRing } from 'lucide-react';
+import { useSettings } from '../hooks/useSettings';
+import { useI18n } from '../hooks/useI18n';
+import { useCheckSchedule } from '../hooks/useCheckSchedule';
+import { formatDuration } from '../lib/checkSchedule';
+
+const markerClassName = 'absolute top-1 h-4 w-2 -ml-1 rounded-sm';
+
+// Time to the next weight check on the operator's line, with the current
+// shift drawn as a timeline of done, late and missed checks
+function CheckSchedulePanel({ lineId, lineName, refreshKey }) {
+  const { settings } = useSettings();
+  const { t, locale } = useI18n();
+  const { status, now, permission, enableReminders } = useCheckSchedule({
+    schedule: settings.checkSchedule,
+    lineId,
+    lineName,
+    refreshKey
+  });
+  if (!status) return null;
+
+  const clock = (date) => date.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+  const position = (date) => `${((date - status.start) / (status.end - status.start)) * 100}%`;
+
+  return (
+    <section
+      className={`p-4 rounded-lg border mb-4 print:hidden ${
+        status.overdue ? 'bg-red-50 border-red-200' : 'bg-gray-50 border-gray-200'
+      }`}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <div>
+          <h2 className={`flex items-center text-lg font-semibold ${status.overdue ? 'text-red-700' : 'text-blue-600'}`}>
+            <AlarmClock className="mr-2 h-5 w-5" />
+            {status.overdue
+              ? t('schedule.overdue', { time: formatDuration(now - status.nextDueAt), at: clock(status.nextDueAt) })
+              : status.nextDueAt
+                ? t('schedule.dueIn', { time: formatDuration(status.nextDueAt - now), at: clock(status.nextDueAt) })
+                : t('schedule.noneDue')}
+          </h2>
+          <p className="text-sm text-gray-600">
+            {t('schedule.shift', {
+              line: lineName || t('schedule.noLine'),
+              shift: status.shift,
+              start: clock(status.start),
+              end: clock(status.end),
+              minutes: status.intervalMinutes
+            })}
+          </p>
+        </div>
+        {permission === 'default' && (
+          <button
+            type="button"
+            onClick={enableReminders}
+            className="flex items-center px-3 py-2 rounded-md border border-gray-300 bg-white text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <BellRing className="mr-2 h-4 w-4" />
+            {t('schedule.enableReminders')}
+          </button>
+        )}
+        {permission === 'denied' && (
+          <span className="text-xs text-gray-500">{t('schedule.remindersBlocked')}</span>
+        )}
+      </div>
+
+      {/* Shift Timeline */}
+      <div className="relative h-6 rounded border border-gray-200 bg-white" role="img" aria-label={t('schedule.timeline')}>
+        <div className="absolute top-0 bottom-0 left-0 bg-blue-50" style={{ width: position(now) }} />
+        {status.missed.map(due => (
+          <span key={`missed-${due.getTime()}`} className={`${markerClassName} bg-red-500`} style={{ left: position(due) }} title={`${t('schedule.legendMissed')} ${clock(due)}`} />
+        ))}
+        {status.checks.map(check => (
+          <span
+            key={`check-${check.at.getTime()}`}
+            className={`${markerClassName} ${check.late ? 'bg-yellow-500' : 'bg-green-500'}`}
+            style={{ left: position(check.at) }}
+            title={`${check.late ? t('schedule.legendLate') : t('schedule.legendCheck')} ${clock(check.at)}`}
+          />
+        ))}
+        {status.nextDueAt && (
+          <span
+            className={`${markerClassName} border-2 ${status.overdue ? 'border-red-500' : 'border-blue-500'} bg-white`}
+            style={{ left: position(status.nextDueAt) }}
+            title={`${t('schedule.legendDue')} ${clock(status.nextDueAt)}`}
+          />
+        )}
+        <span className="absolute top-0 bottom-0 w-px bg-gray-700" style={{ left: position(now) }} title={t('schedule.legendNow')} />
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{clock(status.start)}</span>
+        <span className="flex flex-wrap gap-3">
+          <span className="flex items-center"><span className="inline-block mr-1 h-3 w-2 rounded-sm bg-green-500" />{t('schedule.legendCheck')}</span>
+          <span className="flex items-center"><span className="inline-block mr-1 h-3 w-2 rounded-sm bg-yellow-500" />{t('schedule.legendLate')}</span>
+          <span className="flex items-center"><span className="inline-block mr-1 h-3 w-2 rounded-sm bg-red-500" />{t('schedule.legendMissed')}</span>
+          <span className="flex items-center"><span className="inline-block mr-1 h-3 w-2 rounded-sm border-2 border-blue-500" />{t('schedule.legendDue')}</span>
+        </span>
+        <span>{clock(status.end)}</span>
+      </div>
+
+      {status.missed.length > 0 && (
+        <p className="mt-2 text-sm text-red-700">
+          {t('schedule.missed', { count: status.missed.length, times: status.missed.map(clock).join(', ') })}
+        </p>
+      )}
+    </section>
+  );
+}
+
+export default CheckSchedulePanel;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { CheckCircle2, XCircle, MinusCircle } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+import { COMPLIANCE_VERDICT } from '../lib/metrology';
+import { getUnitPrecision } from '../lib/units';
+
+const VERDICT_STYLES = {
+  [COMPLIANCE_VERDICT.PASS]: { Icon: CheckCircle2, className: 'bg-green-50 border-green-200 text-green-700' },
+  [COMPLIANCE_VERDICT.FAIL]: { Icon: XCircle, className: 'bg-red-50 border-red-200 text-red-700' },
+  [COMPLIANCE_VERDICT.NOT_APPLICABLE]: { Icon: MinusCircle, className: 'bg-gray-50 border-gray-200 text-gray-700' }
+};
+
+// Average quantity verdict for ℮-marked products, with the TNE limits used
+function CompliancePanel({ compliance }) {
+  const { t, tm, formatNumber } = useI18n();
+  if (!compliance) return null;
+
+  const { Icon, className } = VERDICT_STYLES[compliance.verdict];
+  const digits = getUnitPrecision(compliance.unit) + 1;
+  const weight = (value) => `${formatNumber(value, digits)} ${compliance.unit}`;
+  const figures = compliance.tne === undefined ? [] : [
+    { label: t('metrology.nominal'), value: weight(compliance.nominal) },
+    { label: t('metrology.tne'), value: `${weight(compliance.tne)} (${formatNumber(compliance.tneGrams, 1)} g)` },
+    { label: 'T1', value: weight(compliance.t1) },
+    { label: 'T2', value: weight(compliance.t2) },
+    ...(compliance.mean === undefined ? [] : [
+      { label: t('metrology.mean'), value: weight(compliance.mean) },
+      { label: t('metrology.belowT1'), value: `${compliance.belowT1} / ${compliance.allowedBelowT1}` },
+      { label: t('metrology.belowT2'), value: String(compliance.belowT2) }
+    ])
+  ];
+
+  return (
+    <div className={`p-4 rounded-lg border ${className}`}>
+      <h2 className="flex items-center text-lg font-semibold mb-2">
+        <Icon className="mr-2 h-5 w-5" />
+        {t('metrology.title')}: {t(`metrology.verdict.${compliance.verdict}`)}
+      </h2>
+      <ul className="list-disc ml-9 text-sm mb-3">
+        {compliance.reasons.map((reason, index) => <li key={index}>{tm(reason)}</li>)}
+      </ul>
+      {figures.length > 0 && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm text-gray-700">
+          {figures.map(figure => (
+            <div key={figure.label} className="bg-white p-2 rounded-md border border-gray-200">
+              <span className="block text-xs text-gray-500">{figure.label}</span>
+              {figure.value}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CompliancePanel;
@@ -0,0 +1,85 @@
+import React from 'react';
+
+const WIDTH = 640;
+const HEIGHT = 200;
+const PADDING = { top: 12, right: 72, bottom: 24, left: 48 };
+
+// Minimal SVG line chart with labelled horizontal reference lines
+function ControlChart({ title, values, labels, lines = [], flaggedIndexes = new Set(), digits = 2 }) {
+  const finiteValues = values.filter(Number.isFinite);
+  if (finiteValues.length === 0) {
+    return null;
+  }
+
+  const lineValues = lines.map(line => line.value).filter(Number.isFinite);
+  let min = Math.min(...finiteValues, ...lineValues);
+  let max = Math.max(...finiteValues, ...lineValues);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const padding = (max - min) * 0.08;
+  min -= padding;
+  max += padding;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (index) => PADDING.left + (values.length === 1 ? plotWidth / 2 : (index / (values.length - 1)) * plotWidth);
+  const y = (value) => PADDING.top + ((max - value) / (max - min)) * plotHeight;
+
+  // Gaps (e.g. a report with a single sample has no std dev) break the line
+  const path = values
+    .map((value, index) => {
+      if (!Number.isFinite(value)) return '';
+      const command = index === 0 || !Number.isFinite(values[index - 1]) ? 'M' : 'L';
+      return `${command}${x(index)},${y(value)}`;
+    })
+    .join(' ');
+
+  return (
+    <figure className="bg-white p-3 rounded-lg border border-gray-200">
+      <figcaption className="text-sm font-semibold text-blue-600 mb-2">{title}</figcaption>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={title}>
+        <rect x={PADDING.left} y={PADDING.top} width={plotWidth} height={plotHeight} fill="#f9fafb" />
+
+        {lines.filter(line => Number.isFinite(line.value)).map(line => (
+          <g key={line.label}>
+            <line
+              x1={PADDING.left}
+              x2={PADDING.left + plotWidth}
+              y1={y(line.value)}
+              y2={y(line.value)}
+              stroke={line.color}
+              strokeDasharray={line.dashed ? '6 4' : undefined}
+            />
+            <text x={PADDING.left + plotWidth + 4} y={y(line.value) + 4} fontSize="11" fill={line.color}>
+              {line.label} {line.value.toFixed(digits)}
+            </text>
+          </g>
+        ))}
+
+        <path d={path} fill="none" stroke="#2563eb" strokeWidth="2" />
+        {values.map((value, index) => Number.isFinite(value) && (
+          <circle
+            key={index}
+            cx={x(index)}
+            cy={y(value)}
+            r={flaggedIndexes.has(index) ? 5 : 3.5}
+            fill={flaggedIndexes.has(index) ? '#dc2626' : '#2563eb'}
+          >
+            <title>{`${labels[index]}: ${value.toFixed(digits)}`}</title>
+          </circle>
+        ))}
+
+        <text x={PADDING.left} y={HEIGHT - 6} fontSize="11" fill="#6b7280">{labels[0]}</text>
+        {labels.length > 1 && (
+          <text x={PADDING.left + plotWidth} y={HEIGHT - 6} fontSize="11" fill="#6b7280" textAnchor="end">
+            {labels[labels.length - 1]}
+          </text>
+        )}
+      </svg>
+    </figure>
+  );
+}
+
+export default ControlChart;
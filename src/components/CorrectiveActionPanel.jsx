@@ -0,0 +1,72 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { FieldIssues } from './ValidationSummary';
+import { useI18n } from '../hooks/useI18n';
+import LocaleNumberInput from './LocaleNumberInput';
+
+const inputClassName = 'w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500';
+
+// Shown inside a spout card once the spout is out of tolerance. Reason and
+// action are required before submitting; the re-check samples are optional.
+function CorrectiveActionPanel({ spoutNumber, action, reasonCodes, unit, getWeightColor, getIssues, onChange }) {
+  const { t } = useI18n();
+  const update = (changes) => onChange({ ...action, ...changes });
+
+  const updateRecheck = (sampleIndex, value) =>
+    update({ recheckSamples: action.recheckSamples.map((sample, index) => (index === sampleIndex ? value : sample)) });
+
+  return (
+    <div className="mb-3 p-3 rounded-md border border-red-200 bg-red-50">
+      <h3 className="flex items-center text-sm font-semibold text-red-700 mb-2">
+        <AlertTriangle className="mr-1 h-4 w-4" />
+        {t('corrective.title', { number: spoutNumber })}
+      </h3>
+      <div className="grid md:grid-cols-3 gap-2">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">{t('corrective.reasonCode')}</label>
+          <select
+            value={action.reasonCode}
+            onChange={(e) => update({ reasonCode: e.target.value })}
+            className={inputClassName}
+          >
+            <option value="">{t('corrective.selectReason')}</option>
+            {reasonCodes.map(reason => (
+              <option key={reason.code} value={reason.code}>{reason.code} – {reason.label}</option>
+            ))}
+          </select>
+          <FieldIssues issues={getIssues('reasonCode')} />
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-xs text-gray-600 mb-1">{t('corrective.actionTaken')}</label>
+          <input
+            type="text"
+            value={action.actionTaken}
+            onChange={(e) => update({ actionTaken: e.target.value })}
+            className={inputClassName}
+            placeholder={t('corrective.actionPlaceholder')}
+          />
+          <FieldIssues issues={getIssues('actionTaken')} />
+        </div>
+      </div>
+      <label className="block text-xs text-gray-600 mt-2 mb-1">{t('corrective.recheckSamples', { unit })}</label>
+      <div
+        className="grid gap-2"
+        style={{ gridTemplateColumns: `repeat(${action.recheckSamples.length}, minmax(0, 1fr))` }}
+      >
+        {action.recheckSamples.map((sample, sampleIndex) => (
+          <div key={sampleIndex}>
+            <LocaleNumberInput
+              value={sample}
+              onChange={(value) => updateRecheck(sampleIndex, value)}
+              className={`w-full text-center rounded-md border ${getWeightColor(sample)} focus:outline-none focus:ring-2 focus:ring-opacity-50`}
+              placeholder={t('corrective.recheck', { number: sampleIndex + 1 })}
+            />
+            <FieldIssues issues={getIssues(`recheckSamples.${sampleIndex}`)} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default CorrectiveActionPanel;
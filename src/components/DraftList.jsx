@@ -0,0 +1,61 @@
+import React from 'react';
+import { FileClock, Play, Trash2 } from 'lucide-react';
+import { countEnteredSamples, getDraftLabel } from '../lib/drafts';
+import { useI18n } from '../hooks/useI18n';
+
+function DraftList({ drafts, onResume, onDiscard }) {
+  const { locale, t } = useI18n();
+  if (drafts.length === 0) return null;
+
+  return (
+    <div className="p-4 mb-4 rounded-lg border border-yellow-200 bg-yellow-50">
+      <h2 className="flex items-center text-sm font-semibold text-yellow-800 mb-2">
+        <FileClock className="mr-2 h-4 w-4" />
+        {t('drafts.title')}
+      </h2>
+      <ul className="divide-y divide-yellow-200">
+        {drafts.map(draft => {
+          const totalSamples = draft.formData.spoutData.reduce((total, spout) => total + spout.samples.length, 0);
+          return (
+            <li key={draft.id} className="flex flex-wrap items-center justify-between gap-2 py-2 text-sm">
+              <div>
+                <div className="font-medium text-gray-800">{getDraftLabel(draft)}</div>
+                <div className="text-xs text-gray-600">
+                  {t('drafts.progress', {
+                    entered: countEnteredSamples(draft.formData),
+                    total: totalSamples,
+                    savedAt: new Date(draft.updatedAt).toLocaleString(locale)
+                  })}
+                </div>
+              </div>
+              <div className="flex gap-3">
+                <button
+                  type="button"
+                  onClick={() => onResume(draft)}
+                  className="flex items-center text-blue-600 hover:text-blue-800"
+                >
+                  <Play className="mr-1 h-4 w-4" />
+                  {t('drafts.resume')}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    if (window.confirm(t('drafts.confirmDiscard', { label: getDraftLabel(draft) }))) {
+                      onDiscard(draft.id);
+                    }
+                  }}
+                  className="flex items-center text-red-600 hover:text-red-800"
+                >
+                  <Trash2 className="mr-1 h-4 w-4" />
+                  {t('drafts.discard')}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default DraftList;
@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { History, Copy, Eye, Download, FileSpreadsheet, Upload } from 'lucide-react';
+import SubmissionStatusBadge from './SubmissionStatusBadge';
+import { useSettings } from '../hooks/useSettings';
+import { useI18n } from '../hooks/useI18n';
+import { REPORT_VERDICT, getReportHistory, getReportVerdict, saveImportedReports } from '../lib/reports';
+import { payloadToFormData } from '../lib/formState';
+import { exportReportsCsv, exportReportsXlsx, importReportsFromCsv } from '../lib/reportExport';
+
+const VERDICT_CLASSES = {
+  [REPORT_VERDICT.PASS]: 'text-green-700',
+  [REPORT_VERDICT.FAIL]: 'text-red-700',
+  [REPORT_VERDICT.EMPTY]: 'text-gray-500'
+};
+
+// `refreshKey` changes whenever the queue counts do, so sync results show up live
+function HistoryView({ refreshKey }) {
+  const { settings } = useSettings();
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  const [records, setRecords] = useState(null);
+  const [error, setError] = useState(null);
+  const [importStatus, setImportStatus] = useState({ success: null, message: '' });
+  const [reloadToken, setReloadToken] = useState(0);
+  const fileInput = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getReportHistory()
+      .then(history => { if (!cancelled) setRecords(history); })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [refreshKey, reloadToken]);
+
+  const exportName = `weight-checks-${new Date().toISOString().split('T')[0]}`;
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const payloads = importReportsFromCsv(await file.text(), settings.profiles, settings.defaultProfileId);
+      await saveImportedReports(payloads);
+      setImportStatus({ success: true, message: t('history.imported', { count: payloads.length, file: file.name }) });
+      setReloadToken(token => token + 1);
+    } catch (err) {
+      setImportStatus({ success: false, message: t('history.importFailed', { error: err.message }) });
+    }
+  };
+
+  const handleDuplicate = (record) => {
+    navigate('/', { state: { duplicate: payloadToFormData(record.payload, settings.profiles, settings.lines) } });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h1 className="flex items-center text-2xl font-bold text-blue-600">
+          <History className="h-7 w-7 text-blue-500 mr-2" />
+          {t('history.title')}
+        </h1>
+        <div className="flex gap-2 text-sm">
+          <button
+            type="button"
+            onClick={() => exportReportsCsv(records.map(record => record.payload), exportName)}
+            disabled={!records || records.length === 0}
+            className="flex items-center px-3 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+          >
+            <Download className="mr-1 h-4 w-4" />
+            CSV
+          </button>
+          <button
+            type="button"
+            onClick={() => exportReportsXlsx(records.map(record => record.payload), exportName)
+              .catch(err => setImportStatus({ success: false, message: t('history.exportFailed', { error: err.message }) }))}
+            disabled={!records || records.length === 0}
+            className="flex items-center px-3 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+          >
+            <FileSpreadsheet className="mr-1 h-4 w-4" />
+            Excel
+          </button>
+          <button
+            type="button"
+            onClick={() => fileInput.current.click()}
+            className="flex items-center px-3 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+          >
+            <Upload className="mr-1 h-4 w-4" />
+            {t('history.importCsv')}
+          </button>
+          <input ref={fileInput} type="file" accept=".csv,text/csv" onChange={handleImport} className="hidden" />
+        </div>
+      </div>
+
+      {importStatus.message && (
+        <p className={importStatus.success ? 'text-green-700' : 'text-red-600'}>{importStatus.message}</p>
+      )}
+
+      {error && <p className="text-red-600">{t('history.loadError', { error })}</p>}
+      {!error && records === null && <p className="text-gray-500">{t('history.loading')}</p>}
+      {records && records.length === 0 && (
+        <p className="text-gray-500">{t('history.empty')}</p>
+      )}
+
+      {records && records.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <thead className="text-xs text-gray-600 uppercase border-b border-gray-200">
+              <tr>
+                <th className="py-2 pr-2">{t('history.date')}</th>
+                <th className="py-2 pr-2">{t('history.shift')}</th>
+                <th className="py-2 pr-2">{t('history.operator')}</th>
+                <th className="py-2 pr-2">{t('history.product')}</th>
+                <th className="py-2 pr-2">{t('history.result')}</th>
+                <th className="py-2 pr-2">{t('history.sheet')}</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {records.map(record => {
+                const { metadata, statistics } = record.payload;
+                const verdict = getReportVerdict(record.payload);
+                return (
+                  <tr key={record.id} className="border-b border-gray-100">
+                    <td className="py-2 pr-2 whitespace-nowrap">{metadata.date} {metadata.time}</td>
+                    <td className="py-2 pr-2">{metadata.shift}</td>
+                    <td className="py-2 pr-2">{metadata.operatorName}</td>
+                    <td className="py-2 pr-2">{metadata.profileName}</td>
+                    <td className={`py-2 pr-2 font-semibold ${VERDICT_CLASSES[verdict]}`}>
+                      {t(`history.verdict.${verdict}`)}
+                      {verdict === REPORT_VERDICT.FAIL && ` (${statistics.outOfSpecCount}/${statistics.count})`}
+                    </td>
+                    <td className="py-2 pr-2"><SubmissionStatusBadge record={record} /></td>
+                    <td className="py-2 whitespace-nowrap text-right">
+                      <Link
+                        to={`/history/${record.id}`}
+                        className="inline-flex items-center mr-3 text-blue-600 hover:text-blue-800"
+                      >
+                        <Eye className="mr-1 h-4 w-4" />
+                        {t('history.open')}
+                      </Link>
+                      <button
+                        type="button"
+                        onClick={() => handleDuplicate(record)}
+                        className="inline-flex items-center text-blue-600 hover:text-blue-800"
+                      >
+                        <Copy className="mr-1 h-4 w-4" />
+                        {t('history.duplicate')}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default HistoryView;
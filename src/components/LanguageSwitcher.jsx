@@ -0,0 +1,26 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+import { LOCALES } from '../lib/i18n';
+
+function LanguageSwitcher() {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <label className="flex items-center text-sm text-gray-500">
+      <Languages className="mr-1 h-4 w-4" aria-hidden="true" />
+      <span className="sr-only">{t('language.label')}</span>
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="py-0.5 pl-1 pr-7 text-sm rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500"
+      >
+        {Object.entries(LOCALES).map(([code, { label }]) => (
+          <option key={code} value={code}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default LanguageSwitcher;
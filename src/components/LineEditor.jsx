@@ -0,0 +1,148 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+
+const inputClassName = 'w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500';
+
+const MAX_SPOUTS = 24;
+
+const resizeSpouts = (spouts, count) => Array(count).fill().map((_, index) => spouts[index] || { label: String(index + 1), active: true });
+
+// Admin editor for packing lines and the machines on them. A machine's spout
+// list sets the layout of reports taken on it; unfitted spouts are kept so
+// their labels survive a refit.
+function LineEditor({ lines, onChange }) {
+  const updateLine = (lineIndex, changes) =>
+    onChange(lines.map((line, i) => (i === lineIndex ? { ...line, ...changes } : line)));
+
+  const updateMachine = (lineIndex, machineIndex, changes) => updateLine(lineIndex, {
+    machines: lines[lineIndex].machines.map((machine, i) => (i === machineIndex ? { ...machine, ...changes } : machine))
+  });
+
+  const updateSpout = (lineIndex, machineIndex, spoutIndex, changes) => {
+    const { spouts } = lines[lineIndex].machines[machineIndex];
+    updateMachine(lineIndex, machineIndex, {
+      spouts: spouts.map((spout, i) => (i === spoutIndex ? { ...spout, ...changes } : spout))
+    });
+  };
+
+  const addLine = () => onChange([...lines, { id: `line-${Date.now()}`, name: '', machines: [] }]);
+
+  const addMachine = (lineIndex) => updateLine(lineIndex, {
+    machines: [...lines[lineIndex].machines, { id: `machine-${Date.now()}`, name: '', spouts: resizeSpouts([], 6) }]
+  });
+
+  return (
+    <section className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+      <h3 className="text-lg font-semibold text-blue-600 mb-1">Lines and Machines</h3>
+      <p className="text-sm text-gray-500 mb-3">
+        Operators pick the line and machine at the top of each report. The machine sets the spout labels and which spouts are fitted; without one, the product profile&apos;s spout count is used.
+      </p>
+      <div className="space-y-4">
+        {lines.map((line, lineIndex) => (
+          <div key={line.id} className="bg-white p-3 rounded-md border border-gray-200">
+            <div className="flex gap-2 items-end">
+              <div className="flex flex-col flex-1">
+                <label className="text-xs text-gray-600 mb-1">Line name</label>
+                <input
+                  type="text"
+                  value={line.name}
+                  onChange={(e) => updateLine(lineIndex, { name: e.target.value })}
+                  className={inputClassName}
+                />
+              </div>
+              <button
+                type="button"
+                onClick={() => onChange(lines.filter((_, i) => i !== lineIndex))}
+                className="flex items-center py-2 text-red-600 hover:text-red-800"
+              >
+                <Trash2 className="mr-1 h-4 w-4" />
+                Remove line
+              </button>
+            </div>
+
+            <div className="mt-3 space-y-3">
+              {line.machines.map((machine, machineIndex) => (
+                <div key={machine.id} className="p-3 rounded-md border border-gray-200 bg-gray-50">
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-2 items-end">
+                    <div className="flex flex-col md:col-span-2">
+                      <label className="text-xs text-gray-600 mb-1">Machine name</label>
+                      <input
+                        type="text"
+                        value={machine.name}
+                        onChange={(e) => updateMachine(lineIndex, machineIndex, { name: e.target.value })}
+                        className={inputClassName}
+                      />
+                    </div>
+                    <div className="flex flex-col">
+                      <label className="text-xs text-gray-600 mb-1">Spouts</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max={MAX_SPOUTS}
+                        value={machine.spouts.length}
+                        onChange={(e) => {
+                          const count = Math.min(Math.max(parseInt(e.target.value, 10) || 1, 1), MAX_SPOUTS);
+                          updateMachine(lineIndex, machineIndex, { spouts: resizeSpouts(machine.spouts, count) });
+                        }}
+                        className={inputClassName}
+                      />
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => updateLine(lineIndex, { machines: line.machines.filter((_, i) => i !== machineIndex) })}
+                      className="flex items-center justify-center py-2 text-red-600 hover:text-red-800"
+                    >
+                      <Trash2 className="mr-1 h-4 w-4" />
+                      Remove
+                    </button>
+                  </div>
+                  <div className="mt-2 grid grid-cols-3 md:grid-cols-6 gap-2">
+                    {machine.spouts.map((spout, spoutIndex) => (
+                      <div key={spoutIndex} className="flex flex-col">
+                        <label className="text-xs text-gray-600 mb-1">Spout {spoutIndex + 1}</label>
+                        <input
+                          type="text"
+                          value={spout.label}
+                          onChange={(e) => updateSpout(lineIndex, machineIndex, spoutIndex, { label: e.target.value })}
+                          className={`${inputClassName} text-sm${spout.active ? '' : ' bg-gray-100 text-gray-500'}`}
+                          aria-label={`Spout ${spoutIndex + 1} label`}
+                        />
+                        <label className="mt-1 flex items-center text-xs text-gray-600">
+                          <input
+                            type="checkbox"
+                            checked={spout.active}
+                            onChange={(e) => updateSpout(lineIndex, machineIndex, spoutIndex, { active: e.target.checked })}
+                            className="mr-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                          />
+                          Fitted
+                        </label>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => addMachine(lineIndex)}
+              className="mt-3 flex items-center text-sm text-blue-600 hover:text-blue-800"
+            >
+              <Plus className="mr-1 h-4 w-4" />
+              Add machine
+            </button>
+          </div>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={addLine}
+        className="mt-3 flex items-center text-sm text-blue-600 hover:text-blue-800"
+      >
+        <Plus className="mr-1 h-4 w-4" />
+        Add line
+      </button>
+    </section>
+  );
+}
+
+export default LineEditor;
@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { useI18n } from '../hooks/useI18n';
+
+// Text input for weights typed the local way ("50,2"). The form keeps plain
+// "50.2" strings, so `value` and onChange() always use a dot; text that isn't
+// a number is passed through unchanged for validation to flag. What the
+// operator typed is shown as is while they edit, unless the value is changed
+// from elsewhere (e.g. a scale reading).
+function LocaleNumberInput({ value, onChange, onBlur, ...props }) {
+  const { normalizeNumber, toInputText } = useI18n();
+  const [editing, setEditing] = useState(null);
+
+  const handleChange = (e) => {
+    const text = e.target.value;
+    const next = text.trim() === '' ? '' : normalizeNumber(text) ?? text;
+    setEditing({ text, value: next });
+    onChange(next);
+  };
+
+  const handleBlur = (e) => {
+    setEditing(null);
+    if (onBlur) onBlur(e);
+  };
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      autoComplete="off"
+      {...props}
+      value={editing && editing.value === value ? editing.text : toInputText(value)}
+      onChange={handleChange}
+      onBlur={handleBlur}
+    />
+  );
+}
+
+export default LocaleNumberInput;
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { LogIn, Badge } from 'lucide-react';
+import { useAuth } from '../hooks/useAuth';
+import { useSettings } from '../hooks/useSettings';
+import { useI18n } from '../hooks/useI18n';
+import { findOperatorByBadge, findOperatorByPin } from '../lib/roster';
+
+const inputClassName = 'w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500';
+
+// Quick login for the shared tablet: pick your name and enter a PIN, or scan
+// a badge (readers type the code followed by Enter into the focused field).
+function LoginPanel() {
+  const { settings } = useSettings();
+  const { login } = useAuth();
+  const { t } = useI18n();
+  const { operators } = settings;
+  const [operatorId, setOperatorId] = useState('');
+  const [pin, setPin] = useState('');
+  const [badge, setBadge] = useState('');
+  const [error, setError] = useState('');
+
+  const attempt = async (lookup, reset) => {
+    try {
+      const operator = await lookup();
+      if (operator) {
+        login(operator);
+      } else {
+        setError(t('login.notRecognised'));
+        reset();
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handlePinLogin = (e) => {
+    e.preventDefault();
+    attempt(() => findOperatorByPin(operators, operatorId, pin), () => setPin(''));
+  };
+
+  const handleBadgeLogin = (e) => {
+    e.preventDefault();
+    if (!badge.trim()) return;
+    attempt(() => findOperatorByBadge(operators, badge), () => setBadge(''));
+  };
+
+  return (
+    <div className="max-w-md mx-auto space-y-6">
+      <div className="text-center">
+        <LogIn className="h-10 w-10 text-blue-500 mx-auto mb-2" />
+        <h2 className="text-lg font-semibold text-blue-600">{t('login.title')}</h2>
+      </div>
+
+      <form onSubmit={handleBadgeLogin} className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+        <label htmlFor="badgeCode" className="flex items-center text-sm font-medium text-gray-700 mb-1">
+          <Badge className="mr-1 h-4 w-4" />
+          {t('login.scanBadge')}
+        </label>
+        <input
+          id="badgeCode"
+          type="password"
+          autoComplete="off"
+          autoFocus
+          value={badge}
+          onChange={(e) => setBadge(e.target.value)}
+          className={inputClassName}
+          placeholder={t('login.badgePlaceholder')}
+        />
+      </form>
+
+      <form onSubmit={handlePinLogin} className="bg-gray-50 p-4 rounded-lg border border-gray-200 space-y-3">
+        <div>
+          <label htmlFor="loginOperator" className="block text-sm font-medium text-gray-700 mb-1">{t('login.name')}</label>
+          <select
+            id="loginOperator"
+            value={operatorId}
+            onChange={(e) => setOperatorId(e.target.value)}
+            className={inputClassName}
+          >
+            <option value="">{t('login.selectName')}</option>
+            {operators.filter(operator => operator.pinHash).map(operator => (
+              <option key={operator.id} value={operator.id}>
+                {operator.name} ({t(`role.${operator.role}`)})
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="loginPin" className="block text-sm font-medium text-gray-700 mb-1">{t('login.pin')}</label>
+          <input
+            id="loginPin"
+            type="password"
+            inputMode="numeric"
+            autoComplete="off"
+            value={pin}
+            onChange={(e) => setPin(e.target.value)}
+            className={`${inputClassName} text-center`}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={!operatorId || !pin}
+          className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {t('login.submit')}
+        </button>
+      </form>
+
+      {error && <p className="text-sm text-center text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+export default LoginPanel;
@@ -0,0 +1,94 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { ROLES, ROLE_LABELS } from '../lib/roster';
+
+const inputClassName = 'w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500';
+
+// Admin editor for the operator roster. New PINs and badge codes are typed in
+// plain text here and hashed when the settings are saved.
+function OperatorEditor({ operators, onChange }) {
+  const updateOperator = (index, changes) =>
+    onChange(operators.map((operator, i) => (i === index ? { ...operator, ...changes } : operator)));
+
+  const addOperator = () => onChange([
+    ...operators,
+    { id: `operator-${Date.now()}`, name: '', role: ROLES.OPERATOR, pinHash: '', badgeHash: '', newPin: '', newBadge: '' }
+  ]);
+
+  return (
+    <section className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+      <h3 className="text-lg font-semibold text-blue-600 mb-1">Operators</h3>
+      <p className="text-sm text-gray-500 mb-3">
+        With at least one operator, everyone logs in with a PIN or badge and the operator name is filled in automatically.
+      </p>
+      <div className="space-y-2">
+        {operators.map((operator, index) => (
+          <div key={operator.id} className="grid grid-cols-2 md:grid-cols-5 gap-2 items-end bg-white p-3 rounded-md border border-gray-200">
+            <div className="flex flex-col">
+              <label className="text-xs text-gray-600 mb-1">Name</label>
+              <input
+                type="text"
+                value={operator.name}
+                onChange={(e) => updateOperator(index, { name: e.target.value })}
+                className={inputClassName}
+              />
+            </div>
+            <div className="flex flex-col">
+              <label className="text-xs text-gray-600 mb-1">Role</label>
+              <select
+                value={operator.role}
+                onChange={(e) => updateOperator(index, { role: e.target.value })}
+                className={inputClassName}
+              >
+                {Object.values(ROLES).map(role => (
+                  <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex flex-col">
+              <label className="text-xs text-gray-600 mb-1">{operator.pinHash ? 'New PIN' : 'PIN'}</label>
+              <input
+                type="password"
+                inputMode="numeric"
+                autoComplete="new-password"
+                value={operator.newPin || ''}
+                onChange={(e) => updateOperator(index, { newPin: e.target.value })}
+                className={inputClassName}
+                placeholder={operator.pinHash ? 'Unchanged' : '4–8 digits'}
+              />
+            </div>
+            <div className="flex flex-col">
+              <label className="text-xs text-gray-600 mb-1">{operator.badgeHash ? 'New badge code' : 'Badge code'}</label>
+              <input
+                type="password"
+                autoComplete="off"
+                value={operator.newBadge || ''}
+                onChange={(e) => updateOperator(index, { newBadge: e.target.value })}
+                className={inputClassName}
+                placeholder={operator.badgeHash ? 'Unchanged' : 'Optional'}
+              />
+            </div>
+            <button
+              type="button"
+              onClick={() => onChange(operators.filter((_, i) => i !== index))}
+              className="flex items-center justify-center py-2 text-red-600 hover:text-red-800"
+            >
+              <Trash2 className="mr-1 h-4 w-4" />
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+      <button
+        type="button"
+        onClick={addOperator}
+        className="mt-3 flex items-center text-sm text-blue-600 hover:text-blue-800"
+      >
+        <Plus className="mr-1 h-4 w-4" />
+        Add operator
+      </button>
+    </section>
+  );
+}
+
+export default OperatorEditor;
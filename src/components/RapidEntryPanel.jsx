@@ -0,0 +1,105 @@
+import React from 'react';
+import { ArrowLeft, ArrowRight, Delete, Undo2 } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+import { getNumberSeparators } from '../lib/i18n';
+import { KEYPAD_KEYS, MOVES } from '../lib/rapidEntry';
+
+const DIGIT_ROWS = [['7', '8', '9'], ['4', '5', '6'], ['1', '2', '3']];
+
+const FEEDBACK_CLASSES = {
+  in: 'bg-green-50 border-green-400 text-green-800',
+  out: 'bg-red-100 border-red-500 text-red-800 animate-pulse',
+  idle: 'bg-white border-gray-300 text-gray-900'
+};
+
+const keyClassName = 'h-14 rounded-lg border border-gray-300 bg-white text-2xl font-semibold text-gray-800 ' +
+  'active:bg-blue-100 hover:bg-gray-50 flex items-center justify-center select-none';
+
+// Large on-screen keypad docked at the bottom of the form. Buttons keep the
+// focus on the current sample input, so the physical keyboard, the keypad and
+// the scale can be mixed freely.
+function RapidEntryPanel({ cell, spoutLabel, value, unit, feedback, canUndo, onKey, onMove, onUndo }) {
+  const { locale, t, toInputText } = useI18n();
+  const keepFocus = (e) => e.preventDefault();
+  const keyButton = (key, label, extra = '') => (
+    <button
+      key={key}
+      type="button"
+      onPointerDown={keepFocus}
+      onClick={() => onKey(key)}
+      className={`${keyClassName} ${extra}`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="sticky bottom-0 z-10 -mx-2 p-3 bg-gray-100 border-t-2 border-blue-400 rounded-t-lg shadow-lg print:hidden">
+      <div className="grid md:grid-cols-2 gap-3">
+        <div className="flex flex-col gap-2">
+          <span className="text-sm font-medium text-gray-600">
+            {cell
+              ? `${t('form.spout', { number: spoutLabel })} · ${t('form.sample', { number: cell.sampleIndex + 1 })}`
+              : t('rapid.noCell')}
+          </span>
+          <div
+            className={`flex-1 min-h-[4rem] flex items-center justify-end px-4 rounded-lg border-2 font-mono text-4xl ${
+              FEEDBACK_CLASSES[feedback ? feedback.status : 'idle']
+            }`}
+            aria-live="polite"
+          >
+            {value !== '' ? toInputText(value) : '—'}
+            <span className="ml-2 text-lg text-gray-500">{unit}</span>
+          </div>
+          <p className={`min-h-[1.25rem] text-sm ${feedback && feedback.status === 'out' ? 'text-red-700 font-semibold' : 'text-gray-600'}`}>
+            {feedback ? feedback.message : t('rapid.help')}
+          </p>
+        </div>
+
+        <div className="grid grid-cols-4 gap-2">
+          {DIGIT_ROWS.map((row, rowIndex) => (
+            <React.Fragment key={rowIndex}>
+              {row.map(digit => keyButton(digit, digit))}
+              {rowIndex === 0 && keyButton(KEYPAD_KEYS.BACKSPACE, <Delete className="h-6 w-6" aria-label={t('rapid.backspace')} />)}
+              {rowIndex === 1 && keyButton(KEYPAD_KEYS.CLEAR, t('rapid.clear'), 'text-base text-red-600')}
+              {rowIndex === 2 && (
+                <button
+                  type="button"
+                  onPointerDown={keepFocus}
+                  onClick={onUndo}
+                  disabled={!canUndo}
+                  className={`${keyClassName} text-base disabled:opacity-40`}
+                >
+                  <Undo2 className="mr-1 h-5 w-5" />
+                  {t('rapid.undo')}
+                </button>
+              )}
+            </React.Fragment>
+          ))}
+          {keyButton(KEYPAD_KEYS.DECIMAL, getNumberSeparators(locale).decimal)}
+          {keyButton('0', '0')}
+          <button
+            type="button"
+            onPointerDown={keepFocus}
+            onClick={() => onMove(MOVES.PREVIOUS)}
+            className={keyClassName}
+            aria-label={t('rapid.previous')}
+          >
+            <ArrowLeft className="h-6 w-6" />
+          </button>
+          <button
+            type="button"
+            onPointerDown={keepFocus}
+            onClick={() => onMove(MOVES.NEXT)}
+            className={`${keyClassName} bg-blue-600 border-blue-600 text-white hover:bg-blue-700 active:bg-blue-800`}
+            aria-label={t('rapid.next')}
+          >
+            <ArrowRight className="h-6 w-6" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RapidEntryPanel;
@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, Copy, Download, FileSpreadsheet, Printer, FileDown } from 'lucide-react';
+import ReportView from './ReportView';
+import SubmissionStatusBadge, { describeDeliveries } from './SubmissionStatusBadge';
+import ApprovalPanel from './ApprovalPanel';
+import AuditTrailViewer from './AuditTrailViewer';
+import { useSettings } from '../hooks/useSettings';
+import { useAuth } from '../hooks/useAuth';
+import { useI18n } from '../hooks/useI18n';
+import { getSubmission } from '../lib/offlineQueue';
+import { payloadToFormData } from '../lib/formState';
+import { exportReportsCsv, exportReportsXlsx } from '../lib/reportExport';
+import { downloadReportPdf } from '../lib/reportPdf';
+import { RECORD_TYPE, applyApproval, buildApprovalEvent, getRecordType, isReportAuthor } from '../lib/reports';
+import { PERMISSIONS } from '../lib/roster';
+
+const reportFilename = (record) => {
+  const { date, time, shift } = record.payload.metadata;
+  return `weight-check-${date}-${(time || '').replace(':', '')}-${shift || 'report'}`;
+};
+
+function ReportDetail({ refreshKey, updateReport }) {
+  const { id } = useParams();
+  const { settings } = useSettings();
+  const { user, can } = useAuth();
+  const { t } = useI18n();
+  const navigate = useNavigate();
+  const [record, setRecord] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getSubmission(Number(id))
+      .then(result => {
+        if (cancelled) return;
+        // Approval events and shift summaries share the store but aren't reports
+        if (result && getRecordType(result.payload) === RECORD_TYPE.WEIGHT_CHECK) setRecord(result);
+        else setError(t('detail.notFound'));
+      })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [id, refreshKey, t]);
+
+  const handleDecision = async (status, comment) => {
+    const payload = applyApproval(record.payload, { status, user, comment });
+    await updateReport(record.id, payload, buildApprovalEvent(payload));
+    setRecord(await getSubmission(record.id));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 print:hidden">
+        <Link to="/history" className="flex items-center text-blue-600 hover:text-blue-800">
+          <ArrowLeft className="mr-1 h-4 w-4" />
+          {t('detail.back')}
+        </Link>
+        {record && (
+          <div className="flex flex-wrap items-center gap-4">
+            <SubmissionStatusBadge record={record} />
+            <button
+              type="button"
+              onClick={() => window.print()}
+              className="flex items-center text-blue-600 hover:text-blue-800"
+            >
+              <Printer className="mr-1 h-4 w-4" />
+              {t('detail.print')}
+            </button>
+            <button
+              type="button"
+              onClick={() => downloadReportPdf(record.payload, { logoUrl: settings.companyLogo }, reportFilename(record))
+                .then(({ logoError }) => setError(logoError && t('detail.pdfWithoutLogo', { error: logoError })))
+                .catch(err => setError(err.message))}
+              className="flex items-center text-blue-600 hover:text-blue-800"
+            >
+              <FileDown className="mr-1 h-4 w-4" />
+              PDF
+            </button>
+            <button
+              type="button"
+              onClick={() => exportReportsCsv([record.payload], reportFilename(record))}
+              className="flex items-center text-blue-600 hover:text-blue-800"
+            >
+              <Download className="mr-1 h-4 w-4" />
+              CSV
+            </button>
+            <button
+              type="button"
+              onClick={() => exportReportsXlsx([record.payload], reportFilename(record)).catch(err => setError(err.message))}
+              className="flex items-center text-blue-600 hover:text-blue-800"
+            >
+              <FileSpreadsheet className="mr-1 h-4 w-4" />
+              Excel
+            </button>
+            {can(PERMISSIONS.SUBMIT_REPORTS) && (
+              <button
+                type="button"
+                onClick={() => navigate('/', { state: { duplicate: payloadToFormData(record.payload, settings.profiles, settings.lines) } })}
+                className="flex items-center text-blue-600 hover:text-blue-800"
+              >
+                <Copy className="mr-1 h-4 w-4" />
+                {t('detail.duplicate')}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {record && describeDeliveries(record, t) && (
+        <p className="text-sm text-gray-500 whitespace-pre-line print:hidden">{describeDeliveries(record, t)}</p>
+      )}
+      {error && <p className="text-red-600">{error}</p>}
+      {record && (
+        <ApprovalPanel
+          approval={record.payload.metadata.approval}
+          canApprove={Boolean(user) && can(PERMISSIONS.APPROVE_REPORTS)}
+          ownReport={isReportAuthor(record.payload, user)}
+          onDecide={handleDecision}
+        />
+      )}
+      {record && <ReportView payload={record.payload} logoUrl={settings.companyLogo} />}
+      {record && <AuditTrailViewer trail={record.payload.auditTrail} seal={record.payload.metadata.auditSeal} />}
+    </div>
+  );
+}
+
+export default ReportDetail;
@@ -0,0 +1,283 @@
+import React from 'react';
+import { Scale } from 'lucide-react';
+import StatisticsGrid from './StatisticsGrid';
+import { useI18n } from '../hooks/useI18n';
+import { APPROVAL_STATUS, REPORT_VERDICT, getReportVerdict } from '../lib/reports';
+import { SAMPLE_SOURCE, getSampleDetail } from '../lib/formState';
+import { REPORT_STATUS } from '../lib/correctiveActions';
+import { COMPLIANCE_VERDICT } from '../lib/metrology';
+import { TRACE_FIELDS } from '../lib/traceability';
+
+// Labelled by the report.verdict.<verdict> messages
+const VERDICT_CLASSES = {
+  [REPORT_VERDICT.PASS]: 'bg-green-50 text-green-700 border-green-200',
+  [REPORT_VERDICT.FAIL]: 'bg-red-50 text-red-700 border-red-200',
+  [REPORT_VERDICT.EMPTY]: 'bg-gray-50 text-gray-700 border-gray-200'
+};
+
+const STATUS_CLASSES = {
+  [REPORT_STATUS.ACCEPTED]: 'bg-green-50 text-green-700 border-green-200',
+  [REPORT_STATUS.CONDITIONALLY_ACCEPTED]: 'bg-yellow-50 text-yellow-800 border-yellow-200',
+  [REPORT_STATUS.REJECTED]: 'bg-red-50 text-red-700 border-red-200'
+};
+
+const COMPLIANCE_CLASSES = {
+  [COMPLIANCE_VERDICT.PASS]: STATUS_CLASSES[REPORT_STATUS.ACCEPTED],
+  [COMPLIANCE_VERDICT.FAIL]: STATUS_CLASSES[REPORT_STATUS.REJECTED],
+  [COMPLIANCE_VERDICT.NOT_APPLICABLE]: 'bg-gray-50 text-gray-700 border-gray-200'
+};
+
+function Field({ label, value }) {
+  return (
+    <div>
+      <span className="block text-sm font-medium text-gray-700">{label}</span>
+      <span className="text-gray-900">{value || '—'}</span>
+    </div>
+  );
+}
+
+function SignatureBlock({ title, signature, name }) {
+  const { t } = useI18n();
+  return (
+    <div className="break-inside-avoid">
+      <span className="block text-sm font-medium text-gray-700 mb-1">{title}</span>
+      <div className="h-24 rounded-md border border-gray-300 bg-white flex items-center justify-center">
+        {signature && signature.image
+          ? <img src={signature.image} alt={title} className="max-h-full" />
+          : <span className="text-gray-400 text-sm">{t('report.notSigned')}</span>
+        }
+      </div>
+      <p className="mt-1 text-sm text-gray-700">
+        {(signature && signature.name) || name || '—'}
+        {signature && ` · ${new Date(signature.signedAt).toLocaleString()}`}
+      </p>
+    </div>
+  );
+}
+
+// Read-only rendering of a submitted report payload. Also the print layout:
+// the logo only shows on paper, where the app shell around it is hidden.
+function ReportView({ payload, logoUrl }) {
+  const { t } = useI18n();
+  const { metadata, spouts, signatures = {}, correctiveActions = [] } = payload;
+  const verdict = getReportVerdict(payload);
+  const describeAdjustment = ({ correction, fromMean, toMean, unit, confidence, acceptedBy }) => [
+    t('setpoint.accepted', { correction: `${correction > 0 ? '+' : ''}${correction}`, from: fromMean, to: toMean, unit }),
+    t('setpoint.confidence', { level: t(`setpoint.confidence.${confidence}`) }),
+    acceptedBy && t('report.acceptedBy', { name: acceptedBy })
+  ].filter(Boolean).join(' · ');
+  const isInRange = (weight) => {
+    const value = parseFloat(weight);
+    return value >= metadata.minWeight && value <= metadata.maxWeight;
+  };
+
+  return (
+    <div className="space-y-6">
+      <header className="text-center">
+        {logoUrl && (
+          <img src={logoUrl} alt={t('app.logoAlt')} className="hidden print:block max-h-16 object-contain mx-auto mb-2" />
+        )}
+        <h1 className="hidden print:block text-xl font-bold text-blue-600 mb-1">{t('report.printTitle')}</h1>
+        <p className="text-gray-500">
+          {t('form.summary', {
+            profile: metadata.profileName,
+            target: metadata.targetWeight,
+            min: metadata.minWeight,
+            max: metadata.maxWeight,
+            unit: metadata.unit
+          })}
+        </p>
+        <div className={`inline-block mt-2 px-3 py-1 rounded-full border text-sm ${VERDICT_CLASSES[verdict]}`}>
+          {t(`report.verdict.${verdict}`)}
+        </div>
+        {metadata.reportStatus && (
+          <div className={`inline-block mt-2 ml-2 px-3 py-1 rounded-full border text-sm ${STATUS_CLASSES[metadata.reportStatus]}`}>
+            {t(`reportStatus.${metadata.reportStatus}`)}
+          </div>
+        )}
+        {metadata.approval && (
+          <div className={`inline-block mt-2 ml-2 px-3 py-1 rounded-full border text-sm ${
+            metadata.approval.status === APPROVAL_STATUS.APPROVED ? STATUS_CLASSES[REPORT_STATUS.ACCEPTED] : STATUS_CLASSES[REPORT_STATUS.REJECTED]
+          }`}>
+            {metadata.approval.by
+              ? t('approval.by', { status: t(`approval.${metadata.approval.status}`), name: metadata.approval.by.name })
+              : t(`approval.${metadata.approval.status}`)}
+          </div>
+        )}
+      </header>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {metadata.lineName && <Field label={t('form.line')} value={metadata.lineName} />}
+        {metadata.machineName && <Field label={t('form.machine')} value={metadata.machineName} />}
+        <Field label={t('form.operatorName')} value={metadata.operatorName} />
+        <Field label={t('form.shift')} value={metadata.shift} />
+        <Field label={t('form.date')} value={metadata.date} />
+        <Field label={t('form.time')} value={metadata.time} />
+        {metadata.tare && <Field label={t('form.tare', { unit: metadata.unit })} value={metadata.tare} />}
+        {TRACE_FIELDS
+          .filter(({ key }) => metadata.traceability && metadata.traceability[key])
+          .map(({ key }) => <Field key={key} label={t(`trace.field.${key}`)} value={metadata.traceability[key]} />)}
+      </div>
+
+      {metadata.validationWarnings && metadata.validationWarnings.length > 0 && (
+        <div className="p-3 rounded-lg bg-yellow-50 text-yellow-800 border border-yellow-200 text-sm break-inside-avoid">
+          <span className="font-medium">{t('report.warnings')}</span>
+          <ul className="list-disc ml-5">
+            {metadata.validationWarnings.map((warning, index) => <li key={index}>{warning}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {metadata.checkSchedule && (metadata.checkSchedule.overdue || metadata.checkSchedule.missedCount > 0) && (
+        <div className="p-3 rounded-lg bg-yellow-50 text-yellow-800 border border-yellow-200 text-sm break-inside-avoid">
+          <span className="font-medium">
+            {t('report.schedule', { shift: metadata.checkSchedule.shift, minutes: metadata.checkSchedule.intervalMinutes })}
+          </span>
+          {metadata.checkSchedule.overdue && ` ${t('report.overdue', { minutes: metadata.checkSchedule.overdueMinutes })}`}
+          {metadata.checkSchedule.missedCount > 0 && ` ${t('report.missed', {
+            count: metadata.checkSchedule.missedCount,
+            times: metadata.checkSchedule.missedDueTimes
+              .map(due => new Date(due).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }))
+              .join(', ')
+          })}`}
+        </div>
+      )}
+
+      {metadata.compliance && (
+        <div className={`p-3 rounded-lg border text-sm break-inside-avoid ${COMPLIANCE_CLASSES[metadata.compliance.verdict]}`}>
+          <span className="font-medium">{t('metrology.title')}: {t(`metrology.verdict.${metadata.compliance.verdict}`)}</span>
+          {metadata.compliance.tne !== undefined && (
+            <span className="ml-2">
+              {t('metrology.tne')} {metadata.compliance.tne} {metadata.compliance.unit} | T1 {metadata.compliance.t1} | T2 {metadata.compliance.t2}
+            </span>
+          )}
+          <ul className="list-disc ml-5">
+            {metadata.compliance.reasons.map((reason, index) => <li key={index}>{reason}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {spouts.map(spout => (
+          <div key={spout.spoutNumber} className="bg-gray-50 p-4 rounded-lg border border-gray-200 break-inside-avoid">
+            <h2 className="flex items-center text-lg font-semibold text-blue-600 mb-4">
+              {t('form.spout', { number: spout.label || spout.spoutNumber })}
+              {spout.outOfService && (
+                <span className="ml-2 px-2 py-0.5 rounded-full border border-gray-300 bg-gray-100 text-xs font-normal text-gray-600">
+                  {t('report.outOfService')}
+                </span>
+              )}
+            </h2>
+            <div
+              className="grid gap-2 mb-3"
+              style={{ gridTemplateColumns: `repeat(${spout.samples.length}, minmax(0, 1fr))` }}
+            >
+              {spout.samples.map((sample, sampleIndex) => {
+                const detail = getSampleDetail(spout, sampleIndex);
+                return (
+                  <div key={sampleIndex} className="flex flex-col">
+                    <span className="flex items-center text-xs text-gray-600 mb-1">
+                      {t('form.sample', { number: sampleIndex + 1 })}
+                      {sample !== '' && detail.source === SAMPLE_SOURCE.SCALE && (
+                        <Scale className="ml-1 h-3 w-3 text-blue-500" aria-label={t('form.readFromScale')} />
+                      )}
+                    </span>
+                    <span
+                      className={`text-center rounded-md border py-1 ${
+                        sample === ''
+                          ? 'border-gray-200 text-gray-400'
+                          : isInRange(sample)
+                            ? 'border-green-500 text-green-700'
+                            : 'border-red-500 text-red-700'
+                      }`}
+                    >
+                      {sample === '' ? '—' : sample}
+                    </span>
+                    {sample !== '' && detail.tare && (
+                      <span className="mt-1 text-xs text-center text-gray-500">
+                        {t('report.grossTare', { gross: detail.gross, tare: detail.tare })}
+                      </span>
+                    )}
+                    {sample !== '' && detail.enteredUnit && detail.enteredUnit !== metadata.unit && (
+                      <span className="mt-1 text-xs text-center text-gray-500">
+                        {t('report.entered', { value: detail.entered, unit: detail.enteredUnit })}
+                      </span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            {spout.statistics && <StatisticsGrid stats={spout.statistics} unit={metadata.unit} />}
+            {spout.setpointAdjustment && (
+              <p className="mt-3 text-sm text-blue-800">
+                <span className="text-xs text-gray-600">{t('report.setpointAdjusted')} </span>
+                {describeAdjustment(spout.setpointAdjustment)}
+              </p>
+            )}
+            {spout.comments && (
+              <p className="mt-3 text-sm text-gray-700">
+                <span className="text-xs text-gray-600">{t('form.spoutComments')}: </span>
+                {spout.comments}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {payload.statistics && (
+        <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
+          <h2 className="text-lg font-semibold text-blue-600 mb-4">
+            {t('form.reportStatistics', { count: payload.statistics.count })}
+          </h2>
+          <StatisticsGrid stats={payload.statistics} unit={metadata.unit} />
+        </div>
+      )}
+
+      {correctiveActions.length > 0 && (
+        <div className="bg-red-50 p-4 rounded-lg border border-red-200 break-inside-avoid">
+          <h2 className="text-lg font-semibold text-red-700 mb-4">{t('report.correctiveActions')}</h2>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="pb-2 pr-2">{t('report.spout')}</th>
+                <th className="pb-2 pr-2">{t('report.reason')}</th>
+                <th className="pb-2 pr-2">{t('corrective.actionTaken')}</th>
+                <th className="pb-2">{t('report.recheck', { unit: metadata.unit })}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {correctiveActions.map(action => (
+                <tr key={action.spoutNumber} className="border-t border-red-200 align-top">
+                  <td className="py-2 pr-2">{action.spoutLabel || action.spoutNumber}</td>
+                  <td className="py-2 pr-2">{action.reasonCode} – {action.reasonLabel || '—'}</td>
+                  <td className="py-2 pr-2">{action.actionTaken || '—'}</td>
+                  <td className="py-2">
+                    {action.recheckSamples.length
+                      ? action.recheckSamples.map((sample, index) => (
+                        <span key={index} className={`mr-2 ${isInRange(sample) ? 'text-green-700' : 'text-red-700'}`}>
+                          {sample}
+                        </span>
+                      ))
+                      : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-1">{t('form.generalComments')}</span>
+        <p className="text-gray-900 whitespace-pre-wrap">{metadata.generalComments || '—'}</p>
+      </div>
+
+      <div className="grid grid-cols-2 gap-6">
+        <SignatureBlock title={t('form.operatorSignature')} signature={signatures.operator} name={metadata.operatorName} />
+        <SignatureBlock title={t('form.supervisorSignature')} signature={signatures.supervisor} name={metadata.supervisorName} />
+      </div>
+    </div>
+  );
+}
+
+export default ReportView;
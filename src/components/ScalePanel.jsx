@@ -0,0 +1,144 @@
+import React from 'react';
+import { Usb, FlaskConical, Unplug, Activity } from 'lucide-react';
+import { SCALE_PROTOCOLS } from '../lib/scaleProtocol';
+import { SCALE_DRIVERS, isSerialSupported } from '../lib/scaleDrivers';
+import { useI18n } from '../hooks/useI18n';
+
+const inputClassName = 'w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500';
+
+const PROTOCOL_LABELS = {
+  [SCALE_PROTOCOLS.SICS]: 'Mettler Toledo SICS',
+  [SCALE_PROTOCOLS.OHAUS]: 'Ohaus',
+  [SCALE_PROTOCOLS.GENERIC]: 'Generic (ST,GS,…)'
+};
+
+const BAUD_RATES = [2400, 4800, 9600, 19200, 38400];
+
+// Scale connection controls and the live reading. Stable readings are written
+// into the next empty sample of the selected spout by the form.
+function ScalePanel({
+  scale,
+  scaleSettings,
+  onScaleSettingsChange,
+  spoutCount,
+  activeSpoutIndex,
+  onActiveSpoutChange,
+  message
+}) {
+  const { t } = useI18n();
+  const { status, reading, error, connect, disconnect, requestReading } = scale;
+  const connected = status === 'connected' || status === 'simulated';
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg border border-gray-200 print:hidden">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h2 className="text-lg font-semibold text-blue-600">{t('scale.title')}</h2>
+        <div className="flex flex-wrap gap-2">
+          {connected ? (
+            <>
+              <button
+                type="button"
+                onClick={requestReading}
+                className="flex items-center px-3 py-1.5 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+              >
+                <Activity className="mr-1 h-4 w-4" />
+                {t('scale.readNow')}
+              </button>
+              <button
+                type="button"
+                onClick={disconnect}
+                className="flex items-center px-3 py-1.5 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+              >
+                <Unplug className="mr-1 h-4 w-4" />
+                {t('scale.disconnect')}
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                type="button"
+                onClick={() => connect(SCALE_DRIVERS.SERIAL)}
+                disabled={!isSerialSupported() || status === 'connecting'}
+                title={isSerialSupported() ? undefined : t('scale.serialUnavailable')}
+                className="flex items-center px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Usb className="mr-1 h-4 w-4" />
+                {t('scale.connect')}
+              </button>
+              <button
+                type="button"
+                onClick={() => connect(SCALE_DRIVERS.SIMULATED)}
+                className="flex items-center px-3 py-1.5 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100"
+              >
+                <FlaskConical className="mr-1 h-4 w-4" />
+                {t('scale.simulate')}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 items-end">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">{t('scale.protocol')}</label>
+          <select
+            value={scaleSettings.protocol}
+            onChange={(e) => onScaleSettingsChange({ ...scaleSettings, protocol: e.target.value })}
+            disabled={connected}
+            className={inputClassName}
+          >
+            {Object.entries(PROTOCOL_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">{t('scale.baudRate')}</label>
+          <select
+            value={scaleSettings.baudRate}
+            onChange={(e) => onScaleSettingsChange({ ...scaleSettings, baudRate: Number(e.target.value) })}
+            disabled={connected}
+            className={inputClassName}
+          >
+            {BAUD_RATES.map(rate => (
+              <option key={rate} value={rate}>{rate}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">{t('scale.fillSpout')}</label>
+          <select
+            value={activeSpoutIndex}
+            onChange={(e) => onActiveSpoutChange(Number(e.target.value))}
+            className={inputClassName}
+          >
+            {Array(spoutCount).fill().map((_, index) => (
+              <option key={index} value={index}>{t('form.spout', { number: index + 1 })}</option>
+            ))}
+          </select>
+        </div>
+        <div className="text-center">
+          <span className="block text-xs text-gray-600 mb-1">
+            {status === 'simulated' ? t('scale.simulatedReading') : t('scale.reading')}
+          </span>
+          <span
+            className={`block text-xl font-mono ${
+              !reading ? 'text-gray-400' : reading.stable ? 'text-green-700' : 'text-yellow-600'
+            }`}
+          >
+            {reading ? `${reading.value} ${reading.unit}` : '—'}
+          </span>
+          {reading && (
+            <span className="text-xs text-gray-500">{reading.stable ? t('scale.stable') : t('scale.settling')}</span>
+          )}
+        </div>
+      </div>
+
+      {(error || message) && (
+        <p className={`mt-2 text-sm ${error ? 'text-red-600' : 'text-gray-600'}`}>{error || message}</p>
+      )}
+    </div>
+  );
+}
+
+export default ScalePanel;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { Crosshair, Undo2 } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+import { SETPOINT_ACTION } from '../lib/setpoint';
+import { getUnitPrecision } from '../lib/units';
+
+const ACTION_STYLES = {
+  [SETPOINT_ACTION.ADJUST]: 'bg-blue-50 border-blue-200 text-blue-800',
+  [SETPOINT_ACTION.HOLD]: 'bg-green-50 border-green-200 text-green-800',
+  [SETPOINT_ACTION.VARIATION]: 'bg-yellow-50 border-yellow-200 text-yellow-800'
+};
+
+// Setpoint advice for one spout, and the change the operator accepted
+function SetpointPanel({ recommendation, adjustment, unit, onAccept, onUndo }) {
+  const { t, formatNumber } = useI18n();
+  if (!recommendation && !adjustment) return null;
+
+  const digits = getUnitPrecision(unit) + 1;
+  const weight = (value) => formatNumber(value, digits);
+  const signed = (value) => `${value > 0 ? '+' : ''}${weight(value)}`;
+  const percent = (value) => formatNumber(value, 2);
+
+  if (adjustment) {
+    return (
+      <div className="flex flex-wrap items-center justify-between gap-2 p-3 rounded-md border text-sm bg-blue-50 border-blue-200 text-blue-800">
+        <span className="flex items-center">
+          <Crosshair className="mr-2 h-4 w-4" />
+          {t('setpoint.accepted', {
+            correction: signed(adjustment.correction),
+            from: weight(adjustment.fromMean),
+            to: weight(adjustment.toMean),
+            unit: adjustment.unit
+          })}
+        </span>
+        <button
+          type="button"
+          onClick={onUndo}
+          className="flex items-center px-2 py-1 rounded-md border border-blue-300 bg-white text-xs text-blue-700 hover:bg-blue-100"
+        >
+          <Undo2 className="mr-1 h-3 w-3" />
+          {t('setpoint.undo')}
+        </button>
+      </div>
+    );
+  }
+
+  const { action } = recommendation;
+  const values = {
+    correction: signed(recommendation.correction),
+    target: weight(recommendation.recommendedMean),
+    sigma: weight(recommendation.sigma),
+    rate: percent(recommendation.rate),
+    unit
+  };
+
+  return (
+    <div className={`p-3 rounded-md border text-sm ${ACTION_STYLES[action]}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <span className="flex items-center font-medium">
+          <Crosshair className="mr-2 h-4 w-4" />
+          {t(`setpoint.${action}`, values)}
+        </span>
+        {action === SETPOINT_ACTION.ADJUST && (
+          <button
+            type="button"
+            onClick={onAccept}
+            className="px-2 py-1 rounded-md bg-blue-600 text-xs text-white hover:bg-blue-700"
+          >
+            {t('setpoint.accept')}
+          </button>
+        )}
+      </div>
+      <p className="mt-1 text-xs opacity-80">
+        {action !== SETPOINT_ACTION.VARIATION && `${t('setpoint.confidence', { level: t(`setpoint.confidence.${recommendation.confidence}`) })} · `}
+        {t('setpoint.rates', { current: percent(recommendation.currentRate), expected: percent(recommendation.expectedRate) })}
+        {recommendation.window && ` · ${t('setpoint.window', {
+          low: weight(recommendation.window.low),
+          high: weight(recommendation.window.high),
+          rate: values.rate,
+          unit
+        })}`}
+        {` · ${t('setpoint.basis', { samples: recommendation.sampleCount, history: recommendation.historyCount })}`}
+      </p>
+    </div>
+  );
+}
+
+export default SetpointPanel;
@@ -0,0 +1,271 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ClipboardCheck, Download, Printer, Send, Loader2, CheckCircle2, XCircle } from 'lucide-react';
+import { useSettings } from '../hooks/useSettings';
+import { useAuth } from '../hooks/useAuth';
+import { RECORD_TYPE, getReportHistory } from '../lib/reports';
+import { buildShiftSummary } from '../lib/shiftSummary';
+import { getCurrentShiftWindow } from '../lib/checkSchedule';
+import { toLocalDate } from '../lib/formState';
+import { exportShiftSummaryCsv } from '../lib/reportExport';
+import { getSubmissionTargets } from '../lib/backends';
+import { DISPLAY_PRECISION, formatStat } from '../lib/statistics';
+import { getUnitPrecision } from '../lib/units';
+import { PERMISSIONS } from '../lib/roster';
+
+const inputClassName = 'w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500';
+
+const buttonClassName = 'flex items-center px-3 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50';
+
+// Start on the shift running now; a night shift belongs to the day it started
+function currentSelection(schedule, shifts) {
+  const now = new Date();
+  const window = getCurrentShiftWindow(schedule, now);
+  return window ? { date: toLocalDate(window.start), shift: window.shift } : { date: toLocalDate(now), shift: shifts[0] };
+}
+
+const clock = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+function SpoutTable({ group }) {
+  const weightDigits = getUnitPrecision(group.unit) + 1;
+  const rows = [
+    ...group.spouts.map(spout => ({ ...spout, name: spout.label || spout.spoutNumber })),
+    {
+      name: 'All',
+      checkCount: group.checkCount,
+      ...group.statistics,
+      outOfToleranceChecks: group.spouts.reduce((total, spout) => total + spout.outOfToleranceChecks, 0),
+      isTotal: true
+    }
+  ];
+
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-gray-600 border-b border-gray-200">
+          <th className="py-1 pr-2">Spout</th>
+          <th className="py-1 pr-2">Checks</th>
+          <th className="py-1 pr-2">Samples</th>
+          <th className="py-1 pr-2">Mean ({group.unit})</th>
+          <th className="py-1 pr-2">Std Dev</th>
+          <th className="py-1 pr-2">Out of Spec</th>
+          <th className="py-1">Out of Tolerance</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.name} className={`border-b border-gray-100 ${row.isTotal ? 'font-semibold' : ''}`}>
+            <td className="py-1 pr-2">{row.name}</td>
+            <td className="py-1 pr-2">{row.checkCount}</td>
+            <td className="py-1 pr-2">{row.count}</td>
+            <td className="py-1 pr-2">{formatStat(row.mean, weightDigits)}</td>
+            <td className="py-1 pr-2">{formatStat(row.stdDev, DISPLAY_PRECISION.stdDev)}</td>
+            <td className={`py-1 pr-2 ${row.outOfSpecCount ? 'text-red-700' : ''}`}>{row.outOfSpecCount}</td>
+            <td className={`py-1 ${row.outOfToleranceChecks ? 'text-red-700' : ''}`}>{row.outOfToleranceChecks}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Handover view combining every check of one shift. Supervisors submit it to
+// the backends as a shift summary record; anyone with history access can
+// print or export it.
+function ShiftSummaryView({ refreshKey, submit }) {
+  const { settings } = useSettings();
+  const { user, can } = useAuth();
+  const [records, setRecords] = useState(null);
+  const [submittedSummaries, setSubmittedSummaries] = useState([]);
+  const [error, setError] = useState(null);
+  const [selection, setSelection] = useState(() => currentSelection(settings.checkSchedule, settings.shifts));
+  const [status, setStatus] = useState({ success: null, message: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([getReportHistory(), getReportHistory(RECORD_TYPE.SHIFT_SUMMARY)])
+      .then(([checks, summaries]) => {
+        if (cancelled) return;
+        setRecords(checks);
+        setSubmittedSummaries(summaries);
+      })
+      .catch(err => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [refreshKey]);
+
+  const summary = useMemo(
+    () => records && buildShiftSummary(records.map(record => record.payload), settings.checkSchedule, { ...selection, user }),
+    [records, settings.checkSchedule, selection, user]
+  );
+
+  const previousSubmissions = submittedSummaries.filter(record =>
+    record.payload.metadata.date === selection.date && record.payload.metadata.shift === selection.shift);
+
+  const handleSelectionChange = (e) => {
+    const { name, value } = e.target;
+    setSelection(prev => ({ ...prev, [name]: value }));
+    setStatus({ success: null, message: '' });
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    setStatus({ success: null, message: '' });
+    try {
+      const payload = buildShiftSummary(records.map(record => record.payload), settings.checkSchedule, {
+        ...selection,
+        user,
+        now: new Date()
+      });
+      const result = await submit(payload, getSubmissionTargets(settings.backends));
+      setStatus(result.synced || result.deliveries.length === 0
+        ? { success: true, message: 'Shift summary submitted.' }
+        : { success: null, message: `Shift summary saved on this device; it will be sent when the connection is back${result.error ? ` (${result.error})` : ''}.` });
+    } catch (err) {
+      setStatus({ success: false, message: `Submission failed: ${err.message}` });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const isEmpty = !summary || summary.metadata.checkCount === 0;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h1 className="flex items-center text-2xl font-bold text-blue-600">
+          <ClipboardCheck className="h-7 w-7 text-blue-500 mr-2" />
+          Shift Summary
+        </h1>
+        <div className="flex gap-2 text-sm print:hidden">
+          <button
+            type="button"
+            onClick={() => exportShiftSummaryCsv(summary, `shift-summary-${selection.date}-${selection.shift}`)}
+            disabled={isEmpty}
+            className={buttonClassName}
+          >
+            <Download className="mr-1 h-4 w-4" />
+            CSV
+          </button>
+          <button type="button" onClick={() => window.print()} disabled={isEmpty} className={buttonClassName}>
+            <Printer className="mr-1 h-4 w-4" />
+            Print
+          </button>
+          {can(PERMISSIONS.APPROVE_REPORTS) && (
+            <button
+              type="button"
+              onClick={handleSubmit}
+              disabled={isEmpty || submitting}
+              className="flex items-center px-3 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              {submitting ? <Loader2 className="mr-1 h-4 w-4 animate-spin" /> : <Send className="mr-1 h-4 w-4" />}
+              Submit summary
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 md:w-1/2 print:hidden">
+        <div>
+          <label htmlFor="summaryDate" className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+          <input id="summaryDate" type="date" name="date" value={selection.date} onChange={handleSelectionChange} className={inputClassName} />
+        </div>
+        <div>
+          <label htmlFor="summaryShift" className="block text-sm font-medium text-gray-700 mb-1">Shift</label>
+          <select id="summaryShift" name="shift" value={selection.shift} onChange={handleSelectionChange} className={inputClassName}>
+            {settings.shifts.map(shift => <option key={shift} value={shift}>{shift}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {status.message && (
+        <p className={`flex items-center ${status.success === true ? 'text-green-700' : status.success === false ? 'text-red-600' : 'text-gray-700'}`}>
+          {status.success === true && <CheckCircle2 className="mr-2 h-5 w-5" />}
+          {status.success === false && <XCircle className="mr-2 h-5 w-5" />}
+          {status.message}
+        </p>
+      )}
+
+      {error && <p className="text-red-600">Could not load reports: {error}</p>}
+      {!error && !summary && <p className="text-gray-500">Loading…</p>}
+
+      {summary && (
+        <>
+          <p className="text-gray-700">
+            <span className="font-semibold">{summary.metadata.shift} shift, {summary.metadata.date}</span>
+            {summary.metadata.start && ` (${clock(summary.metadata.start)}–${clock(summary.metadata.end)})`}
+            {`: ${summary.metadata.checkCount} check(s) done`}
+          </p>
+          {previousSubmissions.length > 0 && (
+            <p className="text-sm text-gray-500 print:hidden">
+              Summary for this shift last submitted {new Date(previousSubmissions[0].payload.metadata.generatedAt).toLocaleString()}
+              {previousSubmissions[0].payload.metadata.generatedBy && ` by ${previousSubmissions[0].payload.metadata.generatedBy.name}`}.
+            </p>
+          )}
+          {isEmpty && <p className="text-gray-500">No weight checks were recorded on this device for this shift.</p>}
+
+          {summary.groups.map(group => (
+            <section key={`${group.lineName}-${group.machineName}-${group.profileId}`} className="bg-gray-50 p-4 rounded-lg border border-gray-200 break-inside-avoid">
+              <h2 className="text-lg font-semibold text-blue-600 mb-1">
+                {group.profileName}
+                {group.lineName && ` · ${group.lineName}`}
+                {group.machineName && ` · ${group.machineName}`}
+              </h2>
+              <p className="text-sm text-gray-500 mb-3">
+                Target {group.targetWeight} {group.unit} · Acceptable {group.minWeight} – {group.maxWeight} {group.unit}
+              </p>
+              <SpoutTable group={group} />
+            </section>
+          ))}
+
+          {summary.correctiveActions.length > 0 && (
+            <section className="bg-red-50 p-4 rounded-lg border border-red-200 break-inside-avoid">
+              <h2 className="text-lg font-semibold text-red-700 mb-3">Corrective Actions</h2>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    <th className="pb-2 pr-2">Time</th>
+                    <th className="pb-2 pr-2">Product / Line</th>
+                    <th className="pb-2 pr-2">Spout</th>
+                    <th className="pb-2 pr-2">Reason</th>
+                    <th className="pb-2 pr-2">Action Taken</th>
+                    <th className="pb-2">Operator</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.correctiveActions.map((action, index) => (
+                    <tr key={index} className="border-t border-red-200 align-top">
+                      <td className="py-2 pr-2">{action.time}</td>
+                      <td className="py-2 pr-2">{action.profileName}{action.lineName && ` · ${action.lineName}`}</td>
+                      <td className="py-2 pr-2">{action.spoutLabel || action.spoutNumber}</td>
+                      <td className="py-2 pr-2">{action.reasonCode} {action.reasonLabel}</td>
+                      <td className="py-2 pr-2">{action.actionTaken}</td>
+                      <td className="py-2">{action.operatorName}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          )}
+
+          {summary.comments.length > 0 && (
+            <section className="bg-gray-50 p-4 rounded-lg border border-gray-200 break-inside-avoid">
+              <h2 className="text-lg font-semibold text-blue-600 mb-3">Comments</h2>
+              <ul className="space-y-2 text-sm">
+                {summary.comments.map((comment, index) => (
+                  <li key={index}>
+                    <span className="text-gray-500">
+                      {comment.time} · {comment.operatorName}{comment.lineName && ` · ${comment.lineName}`}:
+                    </span>
+                    {' '}{comment.text}
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ShiftSummaryView;
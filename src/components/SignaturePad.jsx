@@ -0,0 +1,106 @@
+import React, { useRef, useEffect, useCallback } from 'react';
+import { Eraser } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+
+const CANVAS_WIDTH = 600;
+const CANVAS_HEIGHT = 200;
+
+// Finger/stylus signature capture. Reports the drawing as a PNG data URL
+// (or null once cleared) through `onChange`, together with the signing time.
+function SignaturePad({ label, value, onChange, disabled = false }) {
+  const { locale, t } = useI18n();
+  const canvasRef = useRef(null);
+  const drawing = useRef(false);
+  const dirty = useRef(false);
+
+  // Redraw when the value is replaced from outside (draft resumed, form reset)
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const context = canvas.getContext && canvas.getContext('2d');
+    if (!context) return;
+
+    context.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    dirty.current = false;
+    if (value && value.image) {
+      const image = new Image();
+      image.onload = () => context.drawImage(image, 0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+      image.src = value.image;
+    }
+  }, [value]);
+
+  const getPoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * CANVAS_WIDTH,
+      y: ((event.clientY - rect.top) / rect.height) * CANVAS_HEIGHT
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    if (disabled) return;
+    event.preventDefault();
+    canvasRef.current.setPointerCapture(event.pointerId);
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(event);
+    context.lineWidth = 2.5;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = '#111827';
+    context.beginPath();
+    context.moveTo(x, y);
+    drawing.current = true;
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drawing.current) return;
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(event);
+    context.lineTo(x, y);
+    context.stroke();
+    dirty.current = true;
+  };
+
+  const finishStroke = useCallback(() => {
+    if (!drawing.current) return;
+    drawing.current = false;
+    if (dirty.current) {
+      onChange({ image: canvasRef.current.toDataURL('image/png'), signedAt: new Date().toISOString() });
+    }
+  }, [onChange]);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-1">
+        <span className="block text-sm font-medium text-gray-700">{label}</span>
+        <button
+          type="button"
+          onClick={() => onChange(null)}
+          disabled={disabled || !value}
+          className="flex items-center text-xs text-gray-600 hover:text-red-600 disabled:opacity-50"
+        >
+          <Eraser className="mr-1 h-3 w-3" />
+          {t('signature.clear')}
+        </button>
+      </div>
+      <canvas
+        ref={canvasRef}
+        width={CANVAS_WIDTH}
+        height={CANVAS_HEIGHT}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={finishStroke}
+        onPointerCancel={finishStroke}
+        onPointerLeave={finishStroke}
+        className={`w-full h-32 rounded-md border bg-white touch-none ${value ? 'border-blue-400' : 'border-dashed border-gray-300'}`}
+        aria-label={label}
+      />
+      {value && (
+        <p className="mt-1 text-xs text-gray-500">
+          {t('signature.signedAt', { signedAt: new Date(value.signedAt).toLocaleString(locale) })}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default SignaturePad;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { DISPLAY_PRECISION } from '../lib/statistics';
+import { getUnitPrecision } from '../lib/units';
+import { useI18n } from '../hooks/useI18n';
+
+// Cpk below 1.0 means the process cannot hold the tolerance band; 1.33 is the
+// usual minimum QA asks for
+const getCapabilityColor = (value) => {
+  if (value === null) return 'text-blue-600';
+  if (value < 1) return 'text-red-600';
+  if (value < 1.33) return 'text-yellow-600';
+  return 'text-green-600';
+};
+
+function Stat({ label, value, className = 'text-blue-600' }) {
+  return (
+    <div>
+      <span className="text-xs text-gray-600">{label}:</span>
+      <div className={`font-semibold ${className}`}>{value}</div>
+    </div>
+  );
+}
+
+function StatisticsGrid({ stats, unit }) {
+  const { t, formatNumber: formatStat } = useI18n();
+  const { stdDev, index, percent } = DISPLAY_PRECISION;
+  // Weights follow the unit's resolution (e.g. whole grams)
+  const weight = getUnitPrecision(unit);
+
+  return (
+    <div className="grid grid-cols-3 md:grid-cols-6 gap-2">
+      <Stat label={t('stats.average')} value={formatStat(stats.mean, weight)} />
+      <Stat label={t('stats.stdDev')} value={formatStat(stats.stdDev, stdDev)} />
+      <Stat label={t('stats.range')} value={formatStat(stats.range, weight)} />
+      <Stat
+        label={t('stats.minMax', { unit })}
+        value={`${formatStat(stats.min, weight)} / ${formatStat(stats.max, weight)}`}
+      />
+      <Stat
+        label={t('stats.cpCpk')}
+        value={`${formatStat(stats.cp, index)} / ${formatStat(stats.cpk, index)}`}
+        className={getCapabilityColor(stats.cpk)}
+      />
+      <Stat
+        label={t('stats.outOfSpec')}
+        value={stats.count ? `${formatStat(stats.outOfSpecPercent, percent)}%` : '—'}
+        className={stats.outOfSpecCount > 0 ? 'text-red-600' : 'text-blue-600'}
+      />
+    </div>
+  );
+}
+
+export default StatisticsGrid;
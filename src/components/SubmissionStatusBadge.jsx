@@ -0,0 +1,38 @@
+import React from 'react';
+import { Clock, CheckCircle2, XCircle, Loader2, FileInput } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+import { SUBMISSION_STATUS, getDeliveryResults } from '../lib/offlineQueue';
+
+// Labelled by the delivery.<status> messages
+const STATUS_DISPLAY = {
+  [SUBMISSION_STATUS.PENDING]: { Icon: Clock, className: 'text-yellow-700' },
+  [SUBMISSION_STATUS.SENDING]: { Icon: Loader2, className: 'text-blue-700' },
+  [SUBMISSION_STATUS.SYNCED]: { Icon: CheckCircle2, className: 'text-green-700' },
+  [SUBMISSION_STATUS.FAILED]: { Icon: XCircle, className: 'text-red-700' },
+  [SUBMISSION_STATUS.IMPORTED]: { Icon: FileInput, className: 'text-gray-600' }
+};
+
+const TARGET_STATUSES = [SUBMISSION_STATUS.PENDING, SUBMISSION_STATUS.SYNCED, SUBMISSION_STATUS.FAILED];
+
+// One line per destination, e.g. "QA API: waiting (HTTP 503)"
+export const describeDeliveries = (record, t) => getDeliveryResults(record)
+  .map(delivery => t('delivery.line', {
+    target: delivery.name,
+    status: TARGET_STATUSES.includes(delivery.status) ? t(`delivery.target.${delivery.status}`) : delivery.status
+  }) + (delivery.lastError && delivery.status !== SUBMISSION_STATUS.SYNCED ? ` (${delivery.lastError})` : ''))
+  .join('\n');
+
+function SubmissionStatusBadge({ record }) {
+  const { t } = useI18n();
+  const status = STATUS_DISPLAY[record.status] ? record.status : SUBMISSION_STATUS.PENDING;
+  const { Icon, className } = STATUS_DISPLAY[status];
+
+  return (
+    <span className={`inline-flex items-center text-sm ${className}`} title={describeDeliveries(record, t) || undefined}>
+      <Icon className="mr-1 h-4 w-4" />
+      {t(`delivery.${status}`)}
+    </span>
+  );
+}
+
+export default SubmissionStatusBadge;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { CloudOff, Cloud, Clock, CheckCircle2, XCircle, RefreshCw } from 'lucide-react';
+
+function SyncStatus({ counts, isOnline, queueError, onRetryFailed }) {
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2 p-3 mb-4 rounded-lg border border-gray-200 bg-gray-50 text-sm">
+      <div className="flex items-center">
+        {isOnline
+          ? <Cloud className="mr-2 h-4 w-4 text-blue-500" />
+          : <CloudOff className="mr-2 h-4 w-4 text-gray-500" />
+        }
+        <span className={isOnline ? 'text-gray-700' : 'text-gray-500'}>
+          {isOnline ? 'Online' : 'Offline – reports are saved on this device'}
+        </span>
+      </div>
+
+      <div className="flex items-center gap-4">
+        <span className="flex items-center text-yellow-700" title="Waiting to be sent">
+          <Clock className="mr-1 h-4 w-4" />
+          {counts.pending} pending
+        </span>
+        <span className="flex items-center text-green-700" title="Delivered to every destination">
+          <CheckCircle2 className="mr-1 h-4 w-4" />
+          {counts.synced} synced
+        </span>
+        <span className="flex items-center text-red-700" title="Gave up after repeated errors">
+          <XCircle className="mr-1 h-4 w-4" />
+          {counts.failed} failed
+        </span>
+        {counts.failed > 0 && (
+          <button
+            type="button"
+            onClick={onRetryFailed}
+            disabled={!isOnline}
+            className="flex items-center text-blue-600 hover:text-blue-800 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <RefreshCw className="mr-1 h-4 w-4" />
+            Retry
+          </button>
+        )}
+      </div>
+
+      {queueError && (
+        <p className="w-full text-red-600">Local storage unavailable: {queueError}</p>
+      )}
+    </div>
+  );
+}
+
+export default SyncStatus;
@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { ScanBarcode } from 'lucide-react';
+import BarcodeScanner from './BarcodeScanner';
+import { FieldIssues } from './ValidationSummary';
+import { useI18n } from '../hooks/useI18n';
+import { TRACE_FIELDS, readScan } from '../lib/traceability';
+
+const inputClassName = 'w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500';
+
+// Product code, lot, film batch and production order, typed or scanned. A
+// scan's format problems show straight away; typed values are checked with
+// the rest of the form.
+function TraceabilityPanel({ values, formats, onChange, issuesFor, issueRing }) {
+  const { t } = useI18n();
+  const [scanning, setScanning] = useState(null);
+  const [scanIssues, setScanIssues] = useState({});
+  const [message, setMessage] = useState('');
+
+  const handleChange = (key, value) => {
+    setScanIssues(prev => ({ ...prev, [key]: undefined }));
+    onChange({ [key]: value });
+  };
+
+  const handleResult = (text) => {
+    const { values: scanned, issues } = readScan(text, scanning, formats);
+    onChange(scanned);
+    setScanIssues(issues);
+    setMessage(Object.keys(scanned).length > 0
+      ? t('trace.scanned', { fields: Object.keys(scanned).map(key => t(`trace.field.${key}`)).join(', ') })
+      : '');
+    setScanning(null);
+  };
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+      <h2 className="text-lg font-semibold text-blue-600 mb-3">{t('trace.title')}</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {TRACE_FIELDS.map(({ key }) => (
+          <div key={key}>
+            <label htmlFor={`trace-${key}`} className="block text-sm font-medium text-gray-700 mb-1">
+              {t(`trace.field.${key}`)}
+            </label>
+            <div className="flex gap-2">
+              <input
+                id={`trace-${key}`}
+                type="text"
+                value={values[key] || ''}
+                onChange={(e) => handleChange(key, e.target.value)}
+                className={`${inputClassName} ${issueRing(`traceability.${key}`)}`}
+                autoComplete="off"
+              />
+              <button
+                type="button"
+                onClick={() => setScanning(key)}
+                aria-pressed={scanning === key}
+                className="flex items-center px-3 py-2 rounded-md border border-gray-300 text-sm text-gray-700 hover:bg-gray-100 print:hidden"
+              >
+                <ScanBarcode className="mr-1 h-4 w-4" />
+                {t('trace.scan')}
+              </button>
+            </div>
+            <FieldIssues issues={scanIssues[key] ? [scanIssues[key]] : issuesFor(`traceability.${key}`)} />
+          </div>
+        ))}
+      </div>
+      {message && <p className="mt-2 text-sm text-green-700">{message}</p>}
+      {scanning && (
+        <BarcodeScanner
+          key={scanning}
+          title={t('trace.scanTitle', { field: t(`trace.field.${scanning}`) })}
+          onResult={handleResult}
+          onClose={() => setScanning(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default TraceabilityPanel;
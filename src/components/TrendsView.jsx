@@ -0,0 +1,251 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { LineChart, AlertTriangle } from 'lucide-react';
+import ControlChart from './ControlChart';
+import { useSettings } from '../hooks/useSettings';
+import { useI18n } from '../hooks/useI18n';
+import { findProfile, getProfileLimits } from '../lib/profiles';
+import { getReportHistory } from '../lib/reports';
+import { findMachine, getSpoutLayout } from '../lib/machines';
+import { DISPLAY_PRECISION, formatStat } from '../lib/statistics';
+import { getUnitPrecision } from '../lib/units';
+import {
+  RUN_LENGTH,
+  buildSpoutSeries,
+  computeControlLimits,
+  filterTrendRecords,
+  findRuleViolations
+} from '../lib/controlCharts';
+
+const inputClassName = 'w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500';
+
+const analyzeSpout = (records, spoutNumber, label) => {
+  const points = buildSpoutSeries(records, spoutNumber);
+  const limits = computeControlLimits(points);
+  const violations = limits
+    ? findRuleViolations(
+      points.map(point => point.mean),
+      limits.xBar.center,
+      limits.xBar.sigma,
+      points.map(point => point.target)
+    )
+    : [];
+  return { spoutNumber, label: label || String(spoutNumber), points, limits, violations };
+};
+
+// Select value for a line and machine; empty for the profile's own layout
+const machineKey = (lineId, machineId) => (lineId ? `${lineId}/${machineId}` : '');
+
+function TrendsView({ refreshKey }) {
+  const { settings } = useSettings();
+  const { t } = useI18n();
+  const [records, setRecords] = useState([]);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState({
+    profileId: settings.defaultProfileId,
+    // Start on the first machine when lines are configured
+    lineId: settings.lines.length ? settings.lines[0].id : '',
+    machineId: settings.lines.length && settings.lines[0].machines.length ? settings.lines[0].machines[0].id : '',
+    fromDate: '',
+    toDate: '',
+    shift: '',
+    spoutNumber: 1
+  });
+
+  useEffect(() => {
+    getReportHistory()
+      .then(setRecords)
+      .catch(err => setError(err.message));
+  }, [refreshKey]);
+
+  const profile = findProfile(settings.profiles, filters.profileId);
+  const { minWeight, maxWeight } = getProfileLimits(profile);
+
+  const machine = findMachine(settings.lines, filters.lineId, filters.machineId);
+
+  const filteredRecords = useMemo(
+    () => filterTrendRecords(records, {
+      ...filters,
+      profileId: profile.id,
+      lineId: machine ? filters.lineId : '',
+      machineId: machine ? machine.id : ''
+    }),
+    [records, filters, profile.id, machine]
+  );
+
+  const spoutAnalyses = useMemo(
+    () => getSpoutLayout(profile, machine).map(({ label }, index) =>
+      analyzeSpout(filteredRecords, index + 1, label)),
+    [filteredRecords, profile, machine]
+  );
+
+  const selected = spoutAnalyses[Math.min(filters.spoutNumber, spoutAnalyses.length) - 1];
+  const labels = selected.points.map(point => `${point.date} ${point.time}`);
+  const flaggedIndexes = new Set(selected.violations.map(violation => violation.index));
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: name === 'spoutNumber' ? Number(value) : value }));
+  };
+
+  const handleMachineChange = (e) => {
+    const choice = settings.lines
+      .flatMap(line => line.machines.map(item => ({ lineId: line.id, machineId: item.id })))
+      .find(option => machineKey(option.lineId, option.machineId) === e.target.value);
+    setFilters(prev => ({ ...prev, lineId: '', machineId: '', ...choice, spoutNumber: 1 }));
+  };
+
+  return (
+    <div className="space-y-6">
+      <h1 className="flex items-center text-2xl font-bold text-blue-600">
+        <LineChart className="h-7 w-7 text-blue-500 mr-2" />
+        {t('trends.title')}
+      </h1>
+
+      {error && <p className="text-red-600">{t('trends.loadError', { error })}</p>}
+
+      {/* Filters */}
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+        <div>
+          <label htmlFor="trendProfile" className="block text-sm font-medium text-gray-700 mb-1">{t('trends.product')}</label>
+          <select id="trendProfile" name="profileId" value={profile.id} onChange={handleFilterChange} className={inputClassName}>
+            {settings.profiles.map(item => (
+              <option key={item.id} value={item.id}>{item.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="trendMachine" className="block text-sm font-medium text-gray-700 mb-1">{t('trends.machine')}</label>
+          <select
+            id="trendMachine"
+            value={machine ? machineKey(filters.lineId, machine.id) : ''}
+            onChange={handleMachineChange}
+            className={inputClassName}
+          >
+            <option value="">{t('trends.profileLayout', { count: profile.numSpouts })}</option>
+            {settings.lines.map(line => (
+              <optgroup key={line.id} label={line.name}>
+                {line.machines.map(item => (
+                  <option key={item.id} value={machineKey(line.id, item.id)}>{item.name}</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="trendFrom" className="block text-sm font-medium text-gray-700 mb-1">{t('trends.from')}</label>
+          <input id="trendFrom" type="date" name="fromDate" value={filters.fromDate} onChange={handleFilterChange} className={inputClassName} />
+        </div>
+        <div>
+          <label htmlFor="trendTo" className="block text-sm font-medium text-gray-700 mb-1">{t('trends.to')}</label>
+          <input id="trendTo" type="date" name="toDate" value={filters.toDate} onChange={handleFilterChange} className={inputClassName} />
+        </div>
+        <div>
+          <label htmlFor="trendShift" className="block text-sm font-medium text-gray-700 mb-1">{t('trends.shift')}</label>
+          <select id="trendShift" name="shift" value={filters.shift} onChange={handleFilterChange} className={inputClassName}>
+            <option value="">{t('trends.allShifts')}</option>
+            {settings.shifts.map(shift => (
+              <option key={shift} value={shift}>{shift}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="trendSpout" className="block text-sm font-medium text-gray-700 mb-1">{t('trends.spout')}</label>
+          <select id="trendSpout" name="spoutNumber" value={selected.spoutNumber} onChange={handleFilterChange} className={inputClassName}>
+            {spoutAnalyses.map(analysis => (
+              <option key={analysis.spoutNumber} value={analysis.spoutNumber}>{t('trends.spoutLabel', { label: analysis.label })}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Overview of every spout */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="text-xs text-gray-600 uppercase border-b border-gray-200">
+            <tr>
+              <th className="py-2 pr-2">{t('trends.spout')}</th>
+              <th className="py-2 pr-2">{t('trends.reports')}</th>
+              <th className="py-2 pr-2">{t('trends.grandMean')}</th>
+              <th className="py-2 pr-2">{t('trends.avgRange')}</th>
+              <th className="py-2">{t('trends.violations')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {spoutAnalyses.map(analysis => (
+              <tr
+                key={analysis.spoutNumber}
+                onClick={() => setFilters(prev => ({ ...prev, spoutNumber: analysis.spoutNumber }))}
+                className={`border-b border-gray-100 cursor-pointer ${analysis === selected ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                <td className="py-2 pr-2">{t('trends.spoutLabel', { label: analysis.label })}</td>
+                <td className="py-2 pr-2">{analysis.points.length}</td>
+                <td className="py-2 pr-2">{formatStat(analysis.limits && analysis.limits.xBar.center, getUnitPrecision(profile.unit))}</td>
+                <td className="py-2 pr-2">{formatStat(analysis.limits && analysis.limits.range.center, getUnitPrecision(profile.unit))}</td>
+                <td className={`py-2 ${analysis.violations.length ? 'text-red-600 font-semibold' : 'text-gray-600'}`}>
+                  {analysis.violations.length}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {selected.points.length === 0 ? (
+        <p className="text-gray-500">{t('trends.noData', { label: selected.label })}</p>
+      ) : (
+        <div className="space-y-4">
+          <ControlChart
+            title={t('trends.chart.xBar', { label: selected.label, unit: profile.unit })}
+            values={selected.points.map(point => point.mean)}
+            labels={labels}
+            flaggedIndexes={flaggedIndexes}
+            digits={getUnitPrecision(profile.unit)}
+            lines={[
+              { label: t('trends.line.usl'), value: maxWeight, color: '#dc2626' },
+              { label: t('trends.line.ucl'), value: selected.limits.xBar.upper, color: '#d97706', dashed: true },
+              { label: 'X̄', value: selected.limits.xBar.center, color: '#2563eb', dashed: true },
+              { label: t('trends.line.target'), value: profile.targetWeight, color: '#16a34a' },
+              { label: t('trends.line.lcl'), value: selected.limits.xBar.lower, color: '#d97706', dashed: true },
+              { label: t('trends.line.lsl'), value: minWeight, color: '#dc2626' }
+            ]}
+          />
+          <ControlChart
+            title={t('trends.chart.range', { label: selected.label, unit: profile.unit })}
+            values={selected.points.map(point => point.range)}
+            labels={labels}
+            digits={getUnitPrecision(profile.unit)}
+            lines={[
+              { label: t('trends.line.ucl'), value: selected.limits.range.upper, color: '#d97706', dashed: true },
+              { label: 'R̄', value: selected.limits.range.center, color: '#16a34a' },
+              { label: t('trends.line.lcl'), value: selected.limits.range.lower, color: '#d97706', dashed: true }
+            ]}
+          />
+          <ControlChart
+            title={t('trends.chart.stdDev', { label: selected.label, unit: profile.unit })}
+            values={selected.points.map(point => (point.stdDev === null ? NaN : point.stdDev))}
+            labels={labels}
+            digits={DISPLAY_PRECISION.stdDev}
+          />
+
+          {selected.violations.length > 0 && (
+            <div className="p-4 rounded-lg border border-red-200 bg-red-50 text-sm text-red-700">
+              <h2 className="flex items-center font-semibold mb-2">
+                <AlertTriangle className="mr-2 h-4 w-4" />
+                {t('trends.violationsTitle')}
+              </h2>
+              <ul className="list-disc ml-6 space-y-1">
+                {selected.violations.map(({ index, rule }) => (
+                  <li key={`${index}-${rule.id}`}>
+                    {t('trends.violation', { point: labels[index], id: rule.id, rule: t(`trends.rule.${rule.id}`, { count: RUN_LENGTH }) })}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TrendsView;
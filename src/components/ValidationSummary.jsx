@@ -0,0 +1,52 @@
+import React from 'react';
+import { AlertTriangle, XCircle } from 'lucide-react';
+import { useI18n } from '../hooks/useI18n';
+
+// Messages shown under a single input
+export function FieldIssues({ issues }) {
+  const { tm } = useI18n();
+  if (!issues || issues.length === 0) return null;
+  return issues.map((issue, index) => (
+    <p key={index} className={`mt-1 text-xs ${issue.blocking ? 'text-red-600' : 'text-yellow-700'}`}>
+      {tm(issue)}
+    </p>
+  ));
+}
+
+// Every open issue at the top of the form: what blocks submission first, then
+// the warnings that can be overridden by submitting again
+function ValidationSummary({ issues }) {
+  const { t, tm } = useI18n();
+  if (issues.length === 0) return null;
+  const errors = issues.filter(issue => issue.blocking);
+  const warnings = issues.filter(issue => !issue.blocking);
+
+  return (
+    <div className="space-y-3 mb-4">
+      {errors.length > 0 && (
+        <div className="p-4 rounded-lg bg-red-50 text-red-700 border border-red-200">
+          <p className="flex items-center font-medium mb-1">
+            <XCircle className="mr-2 h-5 w-5 text-red-500" />
+            {errors.length === 1 ? t('validation.fixOne') : t('validation.fixMany', { count: errors.length })}
+          </p>
+          <ul className="list-disc ml-9 text-sm">
+            {errors.map((issue, index) => <li key={index}>{tm(issue)}</li>)}
+          </ul>
+        </div>
+      )}
+      {warnings.length > 0 && (
+        <div className="p-4 rounded-lg bg-yellow-50 text-yellow-800 border border-yellow-200">
+          <p className="flex items-center font-medium mb-1">
+            <AlertTriangle className="mr-2 h-5 w-5 text-yellow-500" />
+            {warnings.length === 1 ? t('validation.warningOne') : t('validation.warningMany', { count: warnings.length })}
+          </p>
+          <ul className="list-disc ml-9 text-sm">
+            {warnings.map((issue, index) => <li key={index}>{tm(issue)}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ValidationSummary;
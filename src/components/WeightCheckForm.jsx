@@ -0,0 +1,1135 @@
+import React, { useState, useCallback, useMemo, useEffect, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Scale, Loader2, CheckCircle2, XCircle, FilePlus, Keyboard, Ban } from 'lucide-react';
+import StatisticsGrid from './StatisticsGrid';
+import DraftList from './DraftList';
+import SignaturePad from './SignaturePad';
+import ScalePanel from './ScalePanel';
+import CorrectiveActionPanel from './CorrectiveActionPanel';
+import ValidationSummary, { FieldIssues } from './ValidationSummary';
+import LocaleNumberInput from './LocaleNumberInput';
+import RapidEntryPanel from './RapidEntryPanel';
+import CompliancePanel from './CompliancePanel';
+import CheckSchedulePanel from './CheckSchedulePanel';
+import SetpointPanel from './SetpointPanel';
+import TraceabilityPanel from './TraceabilityPanel';
+import { useSettings } from '../hooks/useSettings';
+import { useAuth } from '../hooks/useAuth';
+import { useI18n } from '../hooks/useI18n';
+import { useDraftAutosave } from '../hooks/useDraftAutosave';
+import { useScale } from '../hooks/useScale';
+import { useRapidEntry, cellKey } from '../hooks/useRapidEntry';
+import { useAuditTrail } from '../hooks/useAuditTrail';
+import { findProfile, getProfileLimits } from '../lib/profiles';
+import { summarizeSamples, summarizeReport } from '../lib/statistics';
+import {
+  SAMPLE_SOURCE,
+  createSpoutData,
+  createInitialFormState,
+  withFormDefaults,
+  getSampleDetail,
+  resizeSpout,
+  setSpoutSample,
+  recalculateSpout,
+  getEffectiveTare,
+  findNextEmptySample,
+  isSpoutInService,
+  getSpoutsInService
+} from '../lib/formState';
+import { findLine, findMachine, getSpoutLabel, getSpoutLayout } from '../lib/machines';
+import { buildSubmissionPayload } from '../lib/submission';
+import {
+  REPORT_STATUS,
+  getCorrectiveAction,
+  isSpoutOutOfTolerance
+} from '../lib/correctiveActions';
+import { validateForm, getFieldIssues, hasBlockingIssues } from '../lib/validation';
+import { evaluateCompliance } from '../lib/metrology';
+import { SYSTEM_OPERATOR, recordAuditEvents, sealAuditTrail } from '../lib/auditTrail';
+import { getCheckStatus, getCheckTimes, getReportTime, getShiftAt, toScheduleMetadata } from '../lib/checkSchedule';
+import { getReportHistory } from '../lib/reports';
+import {
+  OUT_OF_SPEC_RATES,
+  DEFAULT_OUT_OF_SPEC_RATE,
+  getSpoutHistory,
+  recommendSetpoint,
+  toSetpointAdjustment
+} from '../lib/setpoint';
+import { WEIGHT_UNITS, convertWeight, formatWeight, normalizeUnit } from '../lib/units';
+import { BACKEND_TYPES, getSubmissionTargets } from '../lib/backends';
+import { SUBMISSION_STATUS } from '../lib/offlineQueue';
+import { getKeyMove, isSameCell } from '../lib/rapidEntry';
+
+// Banner text naming which destinations took the report and which are still queued
+function describeSubmission({ synced, deliveries }, t) {
+  if (deliveries.length === 0) {
+    return { success: null, message: t('submit.savedOffline') };
+  }
+  if (deliveries.every(delivery => delivery.type === BACKEND_TYPES.LOCAL)) {
+    return { success: true, message: t('submit.savedLocal') };
+  }
+
+  const sent = deliveries.filter(delivery => delivery.status === SUBMISSION_STATUS.SYNCED);
+  const waiting = deliveries.filter(delivery => delivery.status !== SUBMISSION_STATUS.SYNCED);
+  if (synced) {
+    return { success: true, message: t('submit.success', { targets: sent.map(delivery => delivery.name).join(', ') }) };
+  }
+
+  const waitingText = waiting
+    .map(delivery => (delivery.lastError ? `${delivery.name} (${delivery.lastError})` : delivery.name))
+    .join(', ');
+  return {
+    success: null,
+    message: `${sent.length ? `${t('submit.sentTo', { targets: sent.map(delivery => delivery.name).join(', ') })} ` : ''}` +
+      t('submit.willRetry', { targets: waitingText })
+  };
+}
+
+function WeightCheckForm({ submit }) {
+  const [loading, setLoading] = useState(false);
+  const { settings, updateSettings } = useSettings();
+  const { profiles, shifts, lines } = settings;
+  const { user } = useAuth();
+  const { t, toInputText } = useI18n();
+  const [formData, setFormData] = useState(() => createInitialFormState(findProfile(profiles, settings.defaultProfileId)));
+  const activeProfile = useMemo(() => findProfile(profiles, formData.profileId), [profiles, formData.profileId]);
+  const activeLine = findLine(lines, formData.lineId);
+  const activeMachine = useMemo(
+    () => findMachine(lines, formData.lineId, formData.machineId),
+    [lines, formData.lineId, formData.machineId]
+  );
+  // New reports stay on the line and machine of the previous one
+  const machineSelection = useMemo(
+    () => ({ lineId: activeMachine ? formData.lineId : '', machine: activeMachine }),
+    [activeMachine, formData.lineId]
+  );
+  const [submitStatus, setSubmitStatus] = useState({ 
+    success: null, 
+    message: '' 
+  });
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { otherDrafts, discardDraft, saveNow } = useDraftAutosave(formData);
+  const [activeSpoutIndex, setActiveSpoutIndex] = useState(0);
+  const [scaleMessage, setScaleMessage] = useState('');
+  const formDataRef = useRef(formData);
+  formDataRef.current = formData;
+  // Operator edits go through editForm so they land in the audit trail
+  const editForm = useAuditTrail(setFormData, user);
+
+  // The logged-in operator owns every report started or resumed in this session
+  useEffect(() => {
+    if (!user) return;
+    editForm(prev => (prev.operatorId === user.id && prev.operatorName === user.name
+      ? prev
+      : { ...prev, operatorId: user.id, operatorName: user.name }));
+  }, [user, formData.draftId, editForm]);
+
+  // A report duplicated from the history view arrives as router state. Its
+  // copied values are logged against a blank report as system events, so the
+  // trail shows what the copy brought in before anyone edited it.
+  useEffect(() => {
+    const duplicate = location.state && location.state.duplicate;
+    if (!duplicate) return;
+
+    const blank = {
+      ...createInitialFormState(findProfile(profiles, duplicate.profileId), {
+        lineId: duplicate.lineId,
+        machine: findMachine(lines, duplicate.lineId, duplicate.machineId)
+      }),
+      date: duplicate.date,
+      time: duplicate.time
+    };
+    setFormData(recordAuditEvents(blank, duplicate, SYSTEM_OPERATOR));
+    setSubmitStatus({ success: null, message: t('form.loadedCopy') });
+    navigate(location.pathname, { replace: true, state: null });
+  }, [location, navigate, t, profiles, lines]);
+
+  // The shift follows the report time wherever shift times are configured,
+  // so operators can't file a check under the wrong shift. The change is
+  // logged as a system event rather than the operator's.
+  const derivedShift = useMemo(
+    () => getShiftAt(settings.checkSchedule, getReportTime({ date: formData.date, time: formData.time })),
+    [settings.checkSchedule, formData.date, formData.time]
+  );
+  useEffect(() => {
+    if (!derivedShift || formData.shift === derivedShift) return;
+    editForm(prev => ({ ...prev, shift: derivedShift }), SYSTEM_OPERATOR);
+  }, [derivedShift, formData.shift, editForm]);
+
+  // Weight validation helpers
+  const weightValidationHelpers = useMemo(() => {
+    const { minWeight, maxWeight } = getProfileLimits(activeProfile);
+
+    return {
+      // Weights default to the product unit; pass `unit` for a value in another one
+      isWeightInRange: (weight, unit = activeProfile.unit) => {
+        const value = convertWeight(parseFloat(weight), unit, activeProfile.unit);
+        return weight !== '' && 
+               !isNaN(value) && 
+               value >= minWeight && 
+               value <= maxWeight;
+      },
+      getWeightColor: (weight) => {
+        if (weight === '') return '';
+        return weightValidationHelpers.isWeightInRange(weight)
+          ? 'border-green-500 text-green-700'
+          : 'border-red-500 text-red-700';
+      },
+      minWeight,
+      maxWeight,
+      limits: { lowerLimit: minWeight, upperLimit: maxWeight }
+    };
+  }, [activeProfile]);
+
+  const spoutStatistics = useMemo(
+    () => formData.spoutData.map(spout => summarizeSamples(spout.samples, weightValidationHelpers.limits)),
+    [formData.spoutData, weightValidationHelpers]
+  );
+
+  const reportStatistics = useMemo(
+    () => summarizeReport(getSpoutsInService(formData.spoutData), weightValidationHelpers.limits),
+    [formData.spoutData, weightValidationHelpers]
+  );
+
+  const outOfTolerance = useMemo(
+    () => spoutStatistics.map((stats, spoutIndex) =>
+      isSpoutInService(formData.spoutData[spoutIndex]) && isSpoutOutOfTolerance(stats, weightValidationHelpers.limits)),
+    [spoutStatistics, formData.spoutData, weightValidationHelpers]
+  );
+  const needsCorrectiveAction = outOfTolerance.some(Boolean);
+
+  // Earlier reports on this device steady the spread behind each setpoint
+  // recommendation; they are reloaded for every new report
+  const [historyRecords, setHistoryRecords] = useState([]);
+  const [outOfSpecRate, setOutOfSpecRate] = useState(DEFAULT_OUT_OF_SPEC_RATE);
+  useEffect(() => {
+    let cancelled = false;
+    getReportHistory()
+      .then(records => { if (!cancelled) setHistoryRecords(records); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [formData.draftId]);
+
+  const recommendations = useMemo(
+    () => formData.spoutData.map((spout, spoutIndex) => isSpoutInService(spout) && recommendSetpoint({
+      samples: spout.samples,
+      target: activeProfile.targetWeight,
+      limits: weightValidationHelpers.limits,
+      history: getSpoutHistory(historyRecords, {
+        profileId: activeProfile.id,
+        lineId: formData.lineId,
+        machineId: formData.machineId,
+        spoutNumber: spoutIndex + 1
+      }),
+      rate: outOfSpecRate
+    })),
+    [formData.spoutData, formData.lineId, formData.machineId, activeProfile, weightValidationHelpers, historyRecords, outOfSpecRate]
+  );
+
+  const compliance = useMemo(
+    () => evaluateCompliance(getSpoutsInService(formData.spoutData), activeProfile),
+    [formData.spoutData, activeProfile]
+  );
+
+  // Validation runs continuously but only shows once a submit has been tried,
+  // so a blank new report isn't covered in errors
+  const [showValidation, setShowValidation] = useState(false);
+  const validationIssues = useMemo(
+    () => validateForm(formData, {
+      profile: activeProfile,
+      policy: settings.validationPolicy,
+      traceability: settings.traceability
+    }),
+    [formData, activeProfile, settings.validationPolicy, settings.traceability]
+  );
+  const visibleIssues = showValidation ? validationIssues : [];
+  const issuesFor = (field) => getFieldIssues(visibleIssues, field);
+  const issueRing = (field) => {
+    const issues = issuesFor(field);
+    if (issues.length === 0) return '';
+    return issues.some(issue => issue.blocking) ? 'ring-2 ring-red-400' : 'ring-2 ring-yellow-400';
+  };
+
+  // Event Handlers
+  const handleChange = useCallback((e) => {
+    const { name, value } = e.target;
+    editForm(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  }, [editForm]);
+
+  // Switching product or machine keeps any samples already typed that still
+  // fit the new layout, converted into the new product's unit. Spouts the
+  // machine hasn't got fitted are out of service; otherwise the operator's
+  // choice is kept while the machine stays the same.
+  const applyLayout = useCallback((prev, profile, machine) => {
+    const machineId = machine ? machine.id : '';
+    const next = {
+      ...prev,
+      profileId: profile.id,
+      machineId,
+      unit: profile.unit,
+      entryUnit: prev.profileId === profile.id ? prev.entryUnit : profile.unit,
+      spoutData: getSpoutLayout(profile, machine).map(({ label, active }, spoutIndex) => {
+        const spout = resizeSpout(prev.spoutData[spoutIndex] || createSpoutData(profile), profile.numSamplesPerSpout);
+        const keepStatus = active && prev.machineId === machineId;
+        return { ...spout, label, outOfService: !active || (keepStatus && Boolean(spout.outOfService)) };
+      })
+    };
+    return {
+      ...next,
+      spoutData: next.spoutData.map((spout, spoutIndex) =>
+        recalculateSpout(spout, { tare: getEffectiveTare(next, spoutIndex), unit: profile.unit })
+      )
+    };
+  }, []);
+
+  const handleProfileChange = useCallback((e) => {
+    const profile = findProfile(profiles, e.target.value);
+    editForm(prev => applyLayout(prev, profile, findMachine(lines, prev.lineId, prev.machineId)));
+  }, [profiles, lines, applyLayout, editForm]);
+
+  // A line with a single machine selects it straight away
+  const handleLineChange = useCallback((e) => {
+    const lineId = e.target.value;
+    const line = findLine(lines, lineId);
+    const machine = line && line.machines.length === 1 ? line.machines[0] : null;
+    editForm(prev => applyLayout({ ...prev, lineId }, findProfile(profiles, prev.profileId), machine));
+  }, [lines, profiles, applyLayout, editForm]);
+
+  const handleMachineChange = useCallback((e) => {
+    const machineId = e.target.value;
+    editForm(prev => applyLayout(prev, findProfile(profiles, prev.profileId), findMachine(lines, prev.lineId, machineId)));
+  }, [lines, profiles, applyLayout, editForm]);
+
+  // Follow admin edits to the active profile or machine (or their removal)
+  // without losing entries
+  useEffect(() => {
+    const layout = getSpoutLayout(activeProfile, activeMachine);
+    editForm(prev => {
+      const layoutMatches = prev.profileId === activeProfile.id &&
+        prev.unit === activeProfile.unit &&
+        prev.machineId === (activeMachine ? activeMachine.id : '') &&
+        prev.spoutData.length === layout.length &&
+        prev.spoutData.every((spout, spoutIndex) => spout.samples.length === activeProfile.numSamplesPerSpout &&
+          (spout.label || '') === layout[spoutIndex].label &&
+          (layout[spoutIndex].active || spout.outOfService));
+      return layoutMatches ? prev : applyLayout(prev, activeProfile, activeMachine);
+    });
+  }, [activeProfile, activeMachine, applyLayout, editForm]);
+
+  const handleWeightChange = useCallback((spoutIndex, sampleIndex, value, {
+    source = SAMPLE_SOURCE.MANUAL,
+    enteredUnit
+  } = {}) => {
+    editForm(prev => {
+      const newSpoutData = [...prev.spoutData];
+      newSpoutData[spoutIndex] = setSpoutSample(newSpoutData[spoutIndex], sampleIndex, value, {
+        source,
+        tare: getEffectiveTare(prev, spoutIndex),
+        unit: prev.unit,
+        enteredUnit: enteredUnit || prev.entryUnit
+      });
+
+      return {
+        ...prev,
+        spoutData: newSpoutData
+      };
+    });
+  }, [editForm]);
+
+  const formRef = useRef(null);
+  const rapid = useRapidEntry({
+    formData,
+    onWeightChange: handleWeightChange,
+    validation: weightValidationHelpers,
+    unit: activeProfile.unit,
+    containerRef: formRef
+  });
+
+  // Entries are gross weights; changing a tare recomputes the nets of every
+  // spout it applies to
+  const handleReportTareChange = useCallback((value) => {
+    editForm(prev => {
+      const next = { ...prev, tare: value };
+      return {
+        ...next,
+        spoutData: prev.spoutData.map((spout, spoutIndex) =>
+          recalculateSpout(spout, { tare: getEffectiveTare(next, spoutIndex), unit: prev.unit })
+        )
+      };
+    });
+  }, [editForm]);
+
+  const handleSpoutTareChange = useCallback((spoutIndex, value) => {
+    editForm(prev => {
+      const newSpoutData = [...prev.spoutData];
+      newSpoutData[spoutIndex] = { ...newSpoutData[spoutIndex], tare: value };
+      const next = { ...prev, spoutData: newSpoutData };
+      newSpoutData[spoutIndex] = recalculateSpout(newSpoutData[spoutIndex], {
+        tare: getEffectiveTare(next, spoutIndex),
+        unit: prev.unit
+      });
+      return next;
+    });
+  }, [editForm]);
+
+  // A stable scale reading goes into the next empty sample, starting from the
+  // selected spout and moving on once that spout is full
+  const handleStableWeight = useCallback((reading) => {
+    // Readings in another supported unit are converted like typed entries
+    const readingUnit = normalizeUnit(reading.unit);
+    if (!readingUnit) {
+      setScaleMessage(t('scale.unconvertible', { unit: reading.unit, productUnit: activeProfile.unit }));
+      return;
+    }
+
+    const target = findNextEmptySample(formDataRef.current.spoutData, activeSpoutIndex);
+    if (!target) {
+      setScaleMessage(t('scale.allFilled', { value: reading.value, unit: reading.unit }));
+      return;
+    }
+    // A scale already in net mode has taken the tare off; subtracting it again would underweigh
+    if (reading.mode === 'net' && getEffectiveTare(formDataRef.current, target.spoutIndex)) {
+      setScaleMessage(t('scale.doubleTare'));
+      return;
+    }
+
+    handleWeightChange(target.spoutIndex, target.sampleIndex, reading.value, {
+      source: SAMPLE_SOURCE.SCALE,
+      enteredUnit: readingUnit
+    });
+    setActiveSpoutIndex(target.spoutIndex);
+    setScaleMessage(t('scale.recorded', {
+      value: reading.value,
+      unit: reading.unit,
+      spout: target.spoutIndex + 1,
+      sample: target.sampleIndex + 1
+    }));
+  }, [activeProfile.unit, activeSpoutIndex, handleWeightChange, t]);
+
+  const scale = useScale({
+    targetWeight: activeProfile.targetWeight,
+    protocol: settings.scale.protocol,
+    baudRate: settings.scale.baudRate,
+    onStableWeight: handleStableWeight
+  });
+
+  const handleScaleSettingsChange = useCallback(
+    (scaleSettings) => updateSettings({ ...settings, scale: scaleSettings }),
+    [settings, updateSettings]
+  );
+
+  // Samples on an out-of-service spout are kept but left out of every statistic
+  const handleOutOfServiceChange = useCallback((spoutIndex, outOfService) => {
+    editForm(prev => {
+      const newSpoutData = [...prev.spoutData];
+      newSpoutData[spoutIndex] = { ...newSpoutData[spoutIndex], outOfService };
+      return {
+        ...prev,
+        spoutData: newSpoutData
+      };
+    });
+  }, [editForm]);
+
+  // A scan may fill several fields at once
+  const handleTraceabilityChange = useCallback((changes) => {
+    editForm(prev => ({
+      ...prev,
+      traceability: { ...prev.traceability, ...changes }
+    }));
+  }, [editForm]);
+
+  // Accepting records the change in the report; null takes it back out
+  const handleSetpointAdjustmentChange = useCallback((spoutIndex, setpointAdjustment) => {
+    editForm(prev => {
+      const newSpoutData = [...prev.spoutData];
+      newSpoutData[spoutIndex] = { ...newSpoutData[spoutIndex], setpointAdjustment };
+      return {
+        ...prev,
+        spoutData: newSpoutData
+      };
+    });
+  }, [editForm]);
+
+  const handleSpoutCommentChange = useCallback((spoutIndex, value) => {
+    editForm(prev => {
+      const newSpoutData = [...prev.spoutData];
+      newSpoutData[spoutIndex] = { ...newSpoutData[spoutIndex], comments: value };
+      return {
+        ...prev,
+        spoutData: newSpoutData
+      };
+    });
+  }, [editForm]);
+
+  const handleCorrectiveActionChange = useCallback((spoutIndex, correctiveAction) => {
+    editForm(prev => {
+      const newSpoutData = [...prev.spoutData];
+      newSpoutData[spoutIndex] = { ...newSpoutData[spoutIndex], correctiveAction };
+      return {
+        ...prev,
+        spoutData: newSpoutData
+      };
+    });
+  }, [editForm]);
+
+  const handleSignatureChange = useCallback((role, signature) => {
+    editForm(prev => ({
+      ...prev,
+      signatures: { ...prev.signatures, [role]: signature }
+    }));
+  }, [editForm]);
+
+  const handleOperatorSignature = useCallback((signature) => handleSignatureChange('operator', signature), [handleSignatureChange]);
+  const handleSupervisorSignature = useCallback((signature) => handleSignatureChange('supervisor', signature), [handleSignatureChange]);
+
+  // Drafts: the current form is saved before switching so nothing is lost
+  const handleResumeDraft = useCallback((draft) => {
+    saveNow();
+    setFormData(withFormDefaults(draft.formData, findProfile(profiles, draft.formData.profileId)));
+    setShowValidation(false);
+    setSubmitStatus({ success: null, message: t('form.resumedDraft', { name: draft.operatorName || t('form.unnamedOperator') }) });
+  }, [saveNow, profiles, t]);
+
+  const handleStartNewReport = useCallback(() => {
+    saveNow();
+    setFormData(createInitialFormState(activeProfile, machineSelection));
+    setShowValidation(false);
+    setSubmitStatus({ success: null, message: '' });
+  }, [saveNow, activeProfile, machineSelection]);
+
+  // Submission Logic
+  const formatDataForSubmission = useCallback(
+    (data, validationWarnings, checkSchedule) => buildSubmissionPayload(data, activeProfile, {
+      reasonCodes: settings.reasonCodes,
+      validationWarnings,
+      lines,
+      checkSchedule
+    }),
+    [activeProfile, settings.reasonCodes, lines]
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitStatus({ success: null, message: '' });
+
+    // Blocking issues stop the submit; warnings stop only the first attempt
+    // so the operator sees them before the report goes out
+    const firstAttempt = !showValidation;
+    setShowValidation(true);
+    if (hasBlockingIssues(validationIssues) || (firstAttempt && validationIssues.length > 0)) {
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      return;
+    }
+
+    setLoading(true);
+    try {
+      // The edit history is chained from this report and submission time
+      const { trail: auditTrail, seal: auditSeal } = await sealAuditTrail(formData.auditTrail || [], {
+        reportId: formData.draftId
+      });
+      // Whether this check came late, and any missed before it, go with the report
+      const checkedAt = getReportTime(formData) || new Date();
+      const records = await getReportHistory().catch(() => []);
+      const checkSchedule = toScheduleMetadata(
+        getCheckStatus(settings.checkSchedule, getCheckTimes(records, formData.lineId), checkedAt),
+        checkedAt
+      );
+      const formattedData = formatDataForSubmission(
+        { ...formData, auditTrail, auditSeal },
+        validationIssues.map(issue => issue.message),
+        checkSchedule
+      );
+
+      // The report is stored on the device before sending, so it survives a
+      // dropped connection and is replayed later by the queue
+      const result = await submit(formattedData, getSubmissionTargets(settings.backends));
+
+      setSubmitStatus(describeSubmission(result, t));
+      
+      // Reset form; the report now lives in the queue, so its draft can go
+      discardDraft(formData.draftId);
+      setFormData(createInitialFormState(activeProfile, machineSelection));
+      setShowValidation(false);
+    } catch (error) {
+      console.error('Submission error:', error);
+      setSubmitStatus({
+        success: false,
+        message: error.message || t('submit.failed')
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const spoutLayout = getSpoutLayout(activeProfile, activeMachine);
+
+  return (
+    <>
+      <header className="text-center mb-6">
+        <div className="flex justify-center items-center mb-4">
+          <Scale className="h-8 w-8 text-blue-500 mr-2" />
+          <h1 className="text-2xl font-bold text-blue-600">
+            {t('form.title')}
+          </h1>
+        </div>
+        <p className="text-gray-500">
+          {t('form.summary', {
+            profile: activeProfile.name,
+            target: toInputText(activeProfile.targetWeight),
+            unit: activeProfile.unit,
+            min: toInputText(weightValidationHelpers.minWeight),
+            max: toInputText(weightValidationHelpers.maxWeight)
+          })}
+          {formData.entryUnit !== activeProfile.unit && (
+            ` (${toInputText(formatWeight(convertWeight(weightValidationHelpers.minWeight, activeProfile.unit, formData.entryUnit), formData.entryUnit))}` +
+            ` - ${toInputText(formatWeight(convertWeight(weightValidationHelpers.maxWeight, activeProfile.unit, formData.entryUnit), formData.entryUnit))}` +
+            ` ${formData.entryUnit})`
+          )}
+        </p>
+      </header>
+
+      <CheckSchedulePanel
+        lineId={activeLine ? activeLine.id : ''}
+        lineName={activeLine ? activeLine.name : ''}
+        refreshKey={formData.draftId}
+      />
+
+      <DraftList drafts={otherDrafts} onResume={handleResumeDraft} onDiscard={discardDraft} />
+
+      {/* Status Message */}
+      {submitStatus.message && (
+        <div 
+          className={`
+            flex items-center p-4 rounded-lg mb-4 
+            ${submitStatus.success === true 
+              ? 'bg-green-50 text-green-700 border border-green-200' 
+              : submitStatus.success === false 
+                ? 'bg-red-50 text-red-700 border border-red-200'
+                : 'bg-gray-50 text-gray-700 border border-gray-200'
+            }
+          `}
+        >
+          {submitStatus.success === true 
+            ? <CheckCircle2 className="mr-2 h-5 w-5 text-green-500" /> 
+            : submitStatus.success === false 
+              ? <XCircle className="mr-2 h-5 w-5 text-red-500" />
+              : null
+          }
+          {submitStatus.message}
+        </div>
+      )}
+
+      <ValidationSummary issues={visibleIssues} />
+
+      {/* Form */}
+      <form ref={formRef} onSubmit={handleSubmit} noValidate className="space-y-6">
+        {/* Product Profile */}
+        <div>
+          <label htmlFor="profileId" className="block text-sm font-medium text-gray-700 mb-1">
+            {t('form.product')}
+          </label>
+          <select
+            id="profileId"
+            name="profileId"
+            value={formData.profileId}
+            onChange={handleProfileChange}
+            required
+            className="w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {profiles.map(profile => (
+              <option key={profile.id} value={profile.id}>
+                {profile.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Line and Machine */}
+        {lines.length > 0 && (
+          <div className="grid md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="lineId" className="block text-sm font-medium text-gray-700 mb-1">
+                {t('form.line')}
+              </label>
+              <select
+                id="lineId"
+                name="lineId"
+                value={formData.lineId || ''}
+                onChange={handleLineChange}
+                className="w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="">{t('form.noLine')}</option>
+                {lines.map(line => (
+                  <option key={line.id} value={line.id}>
+                    {line.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="machineId" className="block text-sm font-medium text-gray-700 mb-1">
+                {t('form.machine')}
+              </label>
+              <select
+                id="machineId"
+                name="machineId"
+                value={activeMachine ? activeMachine.id : ''}
+                onChange={handleMachineChange}
+                disabled={!activeLine}
+                className="w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+              >
+                <option value="">{t('form.noMachine', { count: activeProfile.numSpouts })}</option>
+                {activeLine && activeLine.machines.map(machine => (
+                  <option key={machine.id} value={machine.id}>
+                    {machine.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        )}
+
+        {/* Operator and Shift Information */}
+        <div className="grid md:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="operatorName" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('form.operatorName')}
+            </label>
+            <input
+              type="text"
+              id="operatorName"
+              name="operatorName"
+              value={formData.operatorName}
+              onChange={handleChange}
+              readOnly={Boolean(user)}
+              className={`w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500${user ? ' bg-gray-100' : ''} ${issueRing('operatorName')}`}
+            />
+            <FieldIssues issues={issuesFor('operatorName')} />
+          </div>
+          <div>
+            <label htmlFor="shift" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('form.shift')}
+            </label>
+            <select
+              id="shift"
+              name="shift"
+              value={formData.shift}
+              onChange={handleChange}
+              disabled={Boolean(derivedShift)}
+              className={`w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100 ${issueRing('shift')}`}
+            >
+              <option value="">{t('form.selectShift')}</option>
+              {shifts.map(shift => (
+                <option key={shift} value={shift}>{shift}</option>
+              ))}
+            </select>
+            {derivedShift && <p className="mt-1 text-xs text-gray-500">{t('form.shiftFromTime')}</p>}
+            <FieldIssues issues={issuesFor('shift')} />
+          </div>
+        </div>
+
+        {/* Date, Time, Tare and Entry Unit */}
+        <div className="grid md:grid-cols-4 gap-4">
+          <div>
+            <label htmlFor="date" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('form.date')}
+            </label>
+            <input
+              type="date"
+              id="date"
+              name="date"
+              value={formData.date}
+              onChange={handleChange}
+              className={`w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500 ${issueRing('date')}`}
+            />
+            <FieldIssues issues={issuesFor('date')} />
+          </div>
+          <div>
+            <label htmlFor="time" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('form.time')}
+            </label>
+            <input
+              type="time"
+              id="time"
+              name="time"
+              value={formData.time}
+              onChange={handleChange}
+              className={`w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500 ${issueRing('time')}`}
+            />
+            <FieldIssues issues={issuesFor('time')} />
+          </div>
+          <div>
+            <label htmlFor="tare" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('form.tare', { unit: activeProfile.unit })}
+            </label>
+            <LocaleNumberInput
+              id="tare"
+              value={formData.tare}
+              onChange={handleReportTareChange}
+              className="w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500"
+              placeholder={t('form.tarePlaceholder')}
+            />
+          </div>
+          <div>
+            <label htmlFor="entryUnit" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('form.entryUnit')}
+            </label>
+            <select
+              id="entryUnit"
+              name="entryUnit"
+              value={formData.entryUnit}
+              onChange={handleChange}
+              className="w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500"
+            >
+              {Object.keys(WEIGHT_UNITS).map(unit => (
+                <option key={unit} value={unit}>{WEIGHT_UNITS[unit].label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <TraceabilityPanel
+          values={formData.traceability}
+          formats={settings.traceability}
+          onChange={handleTraceabilityChange}
+          issuesFor={issuesFor}
+          issueRing={issueRing}
+        />
+
+        <ScalePanel
+          scale={scale}
+          scaleSettings={settings.scale}
+          onScaleSettingsChange={handleScaleSettingsChange}
+          spoutCount={formData.spoutData.length}
+          activeSpoutIndex={Math.min(activeSpoutIndex, formData.spoutData.length - 1)}
+          onActiveSpoutChange={setActiveSpoutIndex}
+          message={scaleMessage}
+        />
+
+        {/* Spout Sections */}
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center justify-end gap-3">
+            <label className="flex items-center text-sm text-gray-600">
+              {t('setpoint.goal')}
+              <select
+                value={outOfSpecRate}
+                onChange={(e) => setOutOfSpecRate(Number(e.target.value))}
+                className="ml-2 rounded-md border-gray-300 text-sm focus:ring-blue-500 focus:border-blue-500"
+              >
+                {OUT_OF_SPEC_RATES.map(rate => (
+                  <option key={rate} value={rate}>≤ {rate}%</option>
+                ))}
+              </select>
+            </label>
+            <button
+              type="button"
+              onClick={rapid.toggle}
+              aria-pressed={rapid.enabled}
+              className={`flex items-center px-3 py-2 rounded-md border text-sm ${
+                rapid.enabled
+                  ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+              title={t('rapid.toggleHint')}
+            >
+              <Keyboard className="mr-2 h-4 w-4" />
+              {rapid.enabled ? t('rapid.on') : t('rapid.off')}
+            </button>
+          </div>
+          {formData.spoutData.map((spout, spoutIndex) => {
+            const fitted = !spoutLayout[spoutIndex] || spoutLayout[spoutIndex].active;
+            const inService = isSpoutInService(spout);
+            return (
+              <div 
+                key={spoutIndex} 
+                className={`p-4 rounded-lg border ${inService ? 'bg-gray-50' : 'bg-gray-100'} ${
+                  scale.reading && spoutIndex === activeSpoutIndex ? 'border-blue-400' : 'border-gray-200'
+                }`}
+              >
+                <div className={`flex flex-wrap items-center justify-between gap-2 ${inService ? 'mb-4' : 'mb-2'}`}>
+                  <h2 className={`text-lg font-semibold ${inService ? 'text-blue-600' : 'text-gray-500'}`}>
+                    {t('form.spout', { number: getSpoutLabel(spout, spoutIndex) })}
+                  </h2>
+                  <div className="flex flex-wrap items-center gap-3">
+                    {inService && (
+                      <label className="flex items-center text-xs text-gray-600">
+                        {t('form.spoutTare')}
+                        <LocaleNumberInput
+                          value={spout.tare || ''}
+                          onChange={(value) => handleSpoutTareChange(spoutIndex, value)}
+                          className="ml-2 w-24 rounded-md border-gray-300 text-sm focus:ring-blue-500 focus:border-blue-500"
+                          placeholder={formData.tare ? toInputText(formData.tare) : t('form.none')}
+                        />
+                      </label>
+                    )}
+                    {fitted && (
+                      <button
+                        type="button"
+                        onClick={() => handleOutOfServiceChange(spoutIndex, inService)}
+                        aria-pressed={!inService}
+                        className={`flex items-center px-2 py-1 rounded-md border text-xs ${
+                          inService
+                            ? 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                            : 'bg-gray-600 border-gray-600 text-white hover:bg-gray-700'
+                        }`}
+                      >
+                        <Ban className="mr-1 h-3 w-3" />
+                        {inService ? t('form.takeOutOfService') : t('form.returnToService')}
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {!inService && (
+                  <p className="text-sm text-gray-600 mb-3">
+                    {fitted ? t('form.outOfServiceHelp') : t('form.inactiveSpout')}
+                  </p>
+                )}
+
+                {inService && (
+                  <>
+                    {/* Weight Samples */}
+                    <div
+                      className="grid gap-2 mb-3"
+                      style={{ gridTemplateColumns: `repeat(${spout.samples.length}, minmax(0, 1fr))` }}
+                    >
+                      {spout.samples.map((sample, sampleIndex) => {
+                        const detail = getSampleDetail(spout, sampleIndex);
+                        const tared = Boolean(getEffectiveTare(formData, spoutIndex));
+                        const converted = detail.enteredUnit && detail.enteredUnit !== activeProfile.unit;
+                        const cell = { spoutIndex, sampleIndex };
+                        const isCursor = isSameCell(rapid.cursor, cell);
+                        return (
+                          <div key={sampleIndex} className="flex flex-col">
+                            <label className="flex items-center text-xs text-gray-600 mb-1">
+                              {t('form.sample', { number: sampleIndex + 1 })}{tared && ` ${t('form.gross')}`}
+                              {sample !== '' && detail.source === SAMPLE_SOURCE.SCALE && (
+                                <Scale className="ml-1 h-3 w-3 text-blue-500" aria-label={t('form.readFromScale')} />
+                              )}
+                            </label>
+                            <LocaleNumberInput
+                              value={detail.entered}
+                              data-rapid-cell={cellKey(cell)}
+                              inputMode={rapid.enabled ? 'none' : 'decimal'}
+                              onFocus={() => {
+                                setActiveSpoutIndex(spoutIndex);
+                                if (rapid.enabled) rapid.enterCell(cell);
+                              }}
+                              onKeyDown={(e) => {
+                                const move = rapid.enabled && getKeyMove(e);
+                                if (!move) return;
+                                // Tab off either end of the grid leaves it as usual
+                                if (!rapid.moveBy(move) && e.key === 'Tab') return;
+                                e.preventDefault();
+                              }}
+                              onChange={(value) => handleWeightChange(spoutIndex, sampleIndex, value)}
+                              className={`
+                                w-full text-center rounded-md border 
+                                ${weightValidationHelpers.getWeightColor(sample)}
+                                ${isCursor ? 'ring-4 ring-blue-400' : issueRing(`spoutData.${spoutIndex}.samples.${sampleIndex}`)}
+                                focus:outline-none focus:ring-2 focus:ring-opacity-50
+                              `}
+                              placeholder={formData.entryUnit}
+                            />
+                            <FieldIssues issues={issuesFor(`spoutData.${spoutIndex}.samples.${sampleIndex}`)} />
+                            {(tared || converted) && sample !== '' && (
+                              <span className="mt-1 text-xs text-center text-gray-600">
+                                {converted && `${detail.enteredUnit} · `}{tared ? t('form.net') : '='} {toInputText(sample)} {activeProfile.unit}
+                              </span>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+                    <div className="mb-3 -mt-2">
+                      <FieldIssues issues={issuesFor(`spoutData.${spoutIndex}.samples`)} />
+                    </div>
+
+                    {/* Spout Statistics */}
+                    <div className="mb-3">
+                      <StatisticsGrid stats={spoutStatistics[spoutIndex]} unit={activeProfile.unit} />
+                    </div>
+
+                    {(recommendations[spoutIndex] || spout.setpointAdjustment) && (
+                      <div className="mb-3">
+                        <SetpointPanel
+                          recommendation={recommendations[spoutIndex]}
+                          adjustment={spout.setpointAdjustment}
+                          unit={activeProfile.unit}
+                          onAccept={() => handleSetpointAdjustmentChange(spoutIndex, toSetpointAdjustment(
+                            recommendations[spoutIndex],
+                            { unit: activeProfile.unit, operatorName: formData.operatorName }
+                          ))}
+                          onUndo={() => handleSetpointAdjustmentChange(spoutIndex, null)}
+                        />
+                      </div>
+                    )}
+
+                    {outOfTolerance[spoutIndex] && (
+                      <CorrectiveActionPanel
+                        spoutNumber={getSpoutLabel(spout, spoutIndex)}
+                        action={getCorrectiveAction(spout)}
+                        reasonCodes={settings.reasonCodes}
+                        unit={activeProfile.unit}
+                        getWeightColor={weightValidationHelpers.getWeightColor}
+                        getIssues={(field) => issuesFor(`spoutData.${spoutIndex}.correctiveAction.${field}`)}
+                        onChange={(action) => handleCorrectiveActionChange(spoutIndex, action)}
+                      />
+                    )}
+                  </>
+                )}
+
+                {/* Spout Comments */}
+                <div>
+                  <label className="block text-xs text-gray-600 mb-1">
+                    {t('form.spoutComments')}
+                  </label>
+                  <input
+                    type="text"
+                    value={spout.comments}
+                    onChange={(e) => handleSpoutCommentChange(spoutIndex, e.target.value)}
+                    className={`w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500 ${issueRing(`spoutData.${spoutIndex}.comments`)}`}
+                    placeholder={t('form.spoutCommentsPlaceholder')}
+                  />
+                  <FieldIssues issues={issuesFor(`spoutData.${spoutIndex}.comments`)} />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {rapid.enabled && (
+          <RapidEntryPanel
+            cell={rapid.cursor}
+            spoutLabel={rapid.cursor && getSpoutLabel(formData.spoutData[rapid.cursor.spoutIndex], rapid.cursor.spoutIndex)}
+            value={rapid.value}
+            unit={formData.entryUnit}
+            feedback={rapid.feedback}
+            canUndo={rapid.canUndo}
+            onKey={rapid.pressKey}
+            onMove={rapid.moveBy}
+            onUndo={rapid.undo}
+          />
+        )}
+
+        {/* Report Statistics */}
+        <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
+          <h2 className="text-lg font-semibold text-blue-600 mb-4">
+            {t('form.reportStatistics', { count: reportStatistics.count })}
+          </h2>
+          <StatisticsGrid stats={reportStatistics} unit={activeProfile.unit} />
+        </div>
+
+        <CompliancePanel compliance={compliance} />
+
+        {/* Report Disposition */}
+        {needsCorrectiveAction && (
+          <div className="bg-red-50 p-4 rounded-lg border border-red-200">
+            <h2 className="text-lg font-semibold text-red-700 mb-2">{t('form.disposition')}</h2>
+            <p className="text-sm text-gray-700 mb-3">
+              {t('form.dispositionHelp')}
+            </p>
+            <div className="flex flex-wrap gap-6">
+              {[REPORT_STATUS.CONDITIONALLY_ACCEPTED, REPORT_STATUS.REJECTED].map(status => (
+                <label key={status} className="flex items-center text-gray-700">
+                  <input
+                    type="radio"
+                    name="reportStatus"
+                    value={status}
+                    checked={formData.reportStatus === status}
+                    onChange={handleChange}
+                    className="mr-2"
+                  />
+                  {t(`reportStatus.${status}`)}
+                </label>
+              ))}
+            </div>
+            <FieldIssues issues={issuesFor('reportStatus')} />
+          </div>
+        )}
+
+        {/* General Comments */}
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            {t('form.generalComments')}
+          </label>
+          <textarea
+            name="generalComments"
+            value={formData.generalComments}
+            onChange={handleChange}
+            rows={4}
+            className="w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500"
+            placeholder={t('form.generalCommentsPlaceholder')}
+          ></textarea>
+        </div>
+
+        {/* Signatures */}
+        <div className="grid md:grid-cols-2 gap-4">
+          <div>
+            <SignaturePad
+              label={`${t('form.operatorSignature')}${formData.operatorName ? ` – ${formData.operatorName}` : ''}`}
+              value={formData.signatures.operator}
+              onChange={handleOperatorSignature}
+            />
+          </div>
+          <div className="space-y-2">
+            <SignaturePad
+              label={t('form.supervisorSignature')}
+              value={formData.signatures.supervisor}
+              onChange={handleSupervisorSignature}
+            />
+            <input
+              type="text"
+              name="supervisorName"
+              value={formData.supervisorName}
+              onChange={handleChange}
+              className="w-full rounded-md border-gray-300 focus:ring-blue-500 focus:border-blue-500"
+              placeholder={t('form.supervisorName')}
+              aria-label={t('form.supervisorName')}
+            />
+          </div>
+        </div>
+
+        {/* Submit Button */}
+        <div className="flex justify-between">
+          <button
+            type="button"
+            onClick={handleStartNewReport}
+            disabled={loading}
+            className="flex items-center px-4 py-2 rounded-md border border-gray-300 text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+            title={t('form.newReportHint')}
+          >
+            <FilePlus className="mr-2 h-4 w-4" />
+            {t('form.newReport')}
+          </button>
+          <button
+            type="submit"
+            disabled={loading}
+            className="
+              flex items-center justify-center 
+              px-4 py-2 bg-blue-600 text-white 
+              rounded-md hover:bg-blue-700 
+              focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2
+              disabled:opacity-50 disabled:cursor-not-allowed
+            "
+          >
+            {loading ? (
+              <>
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                {t('form.submitting')}
+              </>
+            ) : (
+              t('form.submit')
+            )}
+          </button>
+        </div>
+      </form>
+    </>
+  );
+}
+
+export default WeightCheckForm;
@@ -0,0 +1,16 @@
+import { useCallback } from 'react';
+import { recordAuditEvents } from '../lib/auditTrail';
+
+// `editForm(update, actor)` applies an edit to the form and logs it in
+// formData.auditTrail under `actor`, by default the logged-in operator;
+// loading a draft or starting a new report should call setFormData directly
+// so it isn't logged as an edit. The trail is hash-chained at submission.
+export function useAuditTrail(setFormData, user) {
+  return useCallback((update, actor = null) => {
+    setFormData(prev => recordAuditEvents(
+      prev,
+      update(prev),
+      actor || (user ? { id: user.id, name: user.name } : { id: null, name: prev.operatorName })
+    ));
+  }, [setFormData, user]);
+}
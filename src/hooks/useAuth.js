@@ -0,0 +1,61 @@
+import React, { createContext, useContext, useState, useCallback, useMemo } from 'react';
+import { useSettings } from './useSettings';
+import { hasPermission, isLoginRequired } from '../lib/roster';
+
+const SESSION_KEY = 'weight-check-session';
+
+const AuthContext = createContext(null);
+
+const readSession = () => {
+  try {
+    return sessionStorage.getItem(SESSION_KEY);
+  } catch (error) {
+    return null;
+  }
+};
+
+// The logged-in operator for this tab. Only the id is kept in sessionStorage
+// and the identity is looked up in the roster, so role changes and removals
+// made in the admin screen take effect immediately.
+export function AuthProvider({ children }) {
+  const { settings } = useSettings();
+  const [userId, setUserId] = useState(readSession);
+  const user = settings.operators.find(operator => operator.id === userId) || null;
+
+  const login = useCallback((operator) => {
+    sessionStorage.setItem(SESSION_KEY, operator.id);
+    setUserId(operator.id);
+  }, []);
+
+  const logout = useCallback(() => {
+    sessionStorage.removeItem(SESSION_KEY);
+    setUserId(null);
+  }, []);
+
+  const can = useCallback(
+    (permission) => hasPermission(user, permission, settings.operators),
+    [user, settings.operators]
+  );
+
+  const value = useMemo(() => ({
+    user,
+    loginRequired: isLoginRequired(settings.operators),
+    login,
+    logout,
+    can
+  }), [user, settings.operators, login, logout, can]);
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used inside an AuthProvider');
+  }
+  return context;
+}
@@ -0,0 +1,66 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { useI18n } from './useI18n';
+import { getReportHistory } from '../lib/reports';
+import { getCheckStatus, getCheckTimes } from '../lib/checkSchedule';
+
+const TICK_MS = 15 * 1000;
+const NOTIFICATION_TAG = 'weight-check-due';
+
+const canNotify = () => typeof Notification !== 'undefined';
+
+// Mobile browsers only show notifications through the service worker
+async function showNotification(title, options) {
+  const registration = 'serviceWorker' in navigator && await navigator.serviceWorker.getRegistration();
+  if (registration) {
+    await registration.showNotification(title, options);
+  } else {
+    new Notification(title, options);
+  }
+}
+
+// Check status of the operator's line, re-evaluated as the clock runs. Stored
+// reports are reloaded whenever `refreshKey` changes, i.e. after a submit.
+// Once reminders are allowed, each due time raises one notification.
+export function useCheckSchedule({ schedule, lineId, lineName, refreshKey }) {
+  const { t, locale } = useI18n();
+  const [checkTimes, setCheckTimes] = useState([]);
+  const [now, setNow] = useState(() => new Date());
+  const [permission, setPermission] = useState(() => (canNotify() ? Notification.permission : 'unsupported'));
+  const notifiedDue = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getReportHistory()
+      .then(records => !cancelled && setCheckTimes(getCheckTimes(records, lineId)))
+      .catch(() => !cancelled && setCheckTimes([]));
+    return () => {
+      cancelled = true;
+    };
+  }, [lineId, refreshKey]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const status = useMemo(() => getCheckStatus(schedule, checkTimes, now), [schedule, checkTimes, now]);
+
+  const dueKey = status && status.overdue ? `${lineId}|${status.nextDueAt.toISOString()}` : null;
+  useEffect(() => {
+    if (!dueKey || notifiedDue.current === dueKey || permission !== 'granted') return;
+    notifiedDue.current = dueKey;
+    showNotification(t('schedule.notificationTitle'), {
+      body: t('schedule.notificationBody', {
+        line: lineName || t('schedule.noLine'),
+        at: status.nextDueAt.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' })
+      }),
+      tag: NOTIFICATION_TAG
+    }).catch(error => console.error('Check reminder failed:', error));
+  }, [dueKey, permission, status, lineName, locale, t]);
+
+  const enableReminders = useCallback(async () => {
+    if (canNotify()) setPermission(await Notification.requestPermission());
+  }, []);
+
+  return { status, now, permission, enableReminders };
+}
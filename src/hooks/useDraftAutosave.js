@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { listDrafts, saveDraft, deleteDraft, isFormEmpty } from '../lib/drafts';
+
+const AUTOSAVE_DELAY_MS = 500;
+
+// Saves `formData` shortly after every change and immediately when the page is
+// hidden or unloaded. Returns the other drafts stored on this device.
+export function useDraftAutosave(formData) {
+  const [drafts, setDrafts] = useState(listDrafts);
+  const latest = useRef(formData);
+  latest.current = formData;
+
+  const refreshDrafts = useCallback(() => setDrafts(listDrafts()), []);
+
+  const persist = useCallback(() => {
+    const current = latest.current;
+    try {
+      if (isFormEmpty(current)) {
+        deleteDraft(current.draftId);
+      } else {
+        saveDraft(current);
+      }
+    } catch (error) {
+      console.error('Draft autosave failed:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      persist();
+      refreshDrafts();
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [formData, persist, refreshDrafts]);
+
+  useEffect(() => {
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') persist();
+    };
+    window.addEventListener('pagehide', persist);
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      window.removeEventListener('pagehide', persist);
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [persist]);
+
+  const discardDraft = useCallback((draftId) => {
+    deleteDraft(draftId);
+    refreshDrafts();
+  }, [refreshDrafts]);
+
+  // Saves the current form right away, e.g. before switching to another draft
+  const saveNow = useCallback(() => {
+    persist();
+    refreshDrafts();
+  }, [persist, refreshDrafts]);
+
+  return {
+    otherDrafts: drafts.filter(draft => draft.id !== formData.draftId),
+    discardDraft,
+    saveNow
+  };
+}
@@ -0,0 +1,63 @@
+import React, { createContext, useContext, useState, useCallback, useMemo, useEffect } from 'react';
+import {
+  detectLocale,
+  formatLocaleNumber,
+  isSupportedLocale,
+  normalizeLocaleNumber,
+  toLocaleInputText,
+  translate
+} from '../lib/i18n';
+
+const STORAGE_KEY = 'weight-check-locale';
+
+const I18nContext = createContext(null);
+
+const readStoredLocale = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return isSupportedLocale(stored) ? stored : detectLocale();
+  } catch (error) {
+    return detectLocale();
+  }
+};
+
+// The operator's language for this device. The choice is kept in localStorage
+// so a shared tablet stays in the language it was last switched to.
+export function I18nProvider({ children }) {
+  const [locale, setLocaleState] = useState(readStoredLocale);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const setLocale = useCallback((next) => {
+    if (!isSupportedLocale(next)) return;
+    localStorage.setItem(STORAGE_KEY, next);
+    setLocaleState(next);
+  }, []);
+
+  const value = useMemo(() => ({
+    locale,
+    setLocale,
+    t: (key, params) => translate(locale, key, params),
+    // Issues and other messages built by createMessage()
+    tm: (message) => (message.key ? translate(locale, message.key, message.params) : message.message),
+    formatNumber: (number, digits) => formatLocaleNumber(number, digits, locale),
+    normalizeNumber: (text) => normalizeLocaleNumber(text, locale),
+    toInputText: (number) => toLocaleInputText(number, locale)
+  }), [locale, setLocale]);
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+}
+
+export function useI18n() {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used inside an I18nProvider');
+  }
+  return context;
+}
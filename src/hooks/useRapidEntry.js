@@ -0,0 +1,198 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useI18n } from './useI18n';
+import { getSampleDetail, findNextEmptySample, SAMPLE_SOURCE } from '../lib/formState';
+import { getUnitPrecision } from '../lib/units';
+import {
+  MOVES,
+  moveCell,
+  applyKeypadKey,
+  isEntryComplete,
+  isCellInGrid,
+  isSameCell
+} from '../lib/rapidEntry';
+import { playAcceptTone, playRejectTone } from '../lib/sound';
+
+const STORAGE_KEY = 'weight-check-rapid-entry';
+
+const readStoredMode = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) === 'on';
+  } catch (error) {
+    return false;
+  }
+};
+
+export const cellKey = ({ spoutIndex, sampleIndex }) => `${spoutIndex}-${sampleIndex}`;
+
+const detailAt = (spoutData, cell) => getSampleDetail(spoutData[cell.spoutIndex], cell.sampleIndex);
+
+// Keypad-driven entry across the spout grid. Every edit goes through
+// `onWeightChange`, so the form data looks exactly as if it had been typed.
+// A cell's value is committed when the cursor leaves it: that is when the
+// operator gets the in/out-of-range feedback and the change becomes undoable.
+// `validation` is the form's range helpers, in the product `unit`; sample
+// inputs are found in `containerRef` by their data-rapid-cell attribute.
+export function useRapidEntry({ formData, onWeightChange, validation, unit, containerRef }) {
+  const { t, toInputText } = useI18n();
+  const [enabled, setEnabled] = useState(readStoredMode);
+  const [cursor, setCursor] = useState(null);
+  const [feedback, setFeedback] = useState(null);
+  const [undoStack, setUndoStack] = useState([]);
+  const formDataRef = useRef(formData);
+  formDataRef.current = formData;
+  const cursorRef = useRef(null);
+  // The cell's detail when the cursor arrived, to tell whether it was changed
+  const startRef = useRef(null);
+
+  const commitCell = useCallback(() => {
+    const start = startRef.current;
+    if (!start || !isCellInGrid(formDataRef.current.spoutData, start.cell)) return null;
+    const detail = detailAt(formDataRef.current.spoutData, start.cell);
+    if (detail.entered === start.detail.entered) return null;
+
+    setUndoStack(stack => [...stack, start]);
+    startRef.current = { cell: start.cell, detail };
+    const sample = formDataRef.current.spoutData[start.cell.spoutIndex].samples[start.cell.sampleIndex];
+    if (sample === '') return null;
+
+    const params = {
+      spout: start.cell.spoutIndex + 1,
+      sample: start.cell.sampleIndex + 1,
+      value: toInputText(sample),
+      unit
+    };
+    const next = validation.isWeightInRange(sample)
+      ? { status: 'in', message: t('rapid.inRange', params) }
+      : {
+          status: 'out',
+          message: t('rapid.outOfRange', { ...params, min: toInputText(validation.minWeight), max: toInputText(validation.maxWeight) })
+        };
+    if (next.status === 'in') playAcceptTone(); else playRejectTone();
+    setFeedback(next);
+    return next;
+  }, [validation, unit, t, toInputText]);
+
+  const enterCell = useCallback((cell) => {
+    if (isSameCell(cell, cursorRef.current)) return;
+    commitCell();
+    cursorRef.current = cell;
+    startRef.current = { cell, detail: detailAt(formDataRef.current.spoutData, cell) };
+    setCursor(cell);
+  }, [commitCell]);
+
+  const focusCell = useCallback((cell) => {
+    enterCell(cell);
+    const input = containerRef.current &&
+      containerRef.current.querySelector(`[data-rapid-cell="${cellKey(cell)}"]`);
+    if (input) input.focus();
+  }, [enterCell, containerRef]);
+
+  // Starts from the first empty sample when there is no valid cursor yet
+  const ensureCell = useCallback(() => {
+    const { spoutData } = formDataRef.current;
+    if (isCellInGrid(spoutData, cursorRef.current)) return cursorRef.current;
+    const cell = findNextEmptySample(spoutData, 0) || { spoutIndex: 0, sampleIndex: 0 };
+    cursorRef.current = null;
+    focusCell(cell);
+    return cell;
+  }, [focusCell]);
+
+  // Returns false when the move would leave the grid
+  const moveBy = useCallback((move) => {
+    const from = cursorRef.current;
+    if (!isCellInGrid(formDataRef.current.spoutData, from)) {
+      ensureCell();
+      return true;
+    }
+    const target = moveCell(formDataRef.current.spoutData, from, move);
+    if (target) {
+      focusCell(target);
+      return true;
+    }
+    // Off the edge of the grid: keep the cursor but still commit the value
+    const committed = commitCell();
+    if (move === MOVES.NEXT) {
+      setFeedback({
+        status: committed ? committed.status : 'idle',
+        message: [committed && committed.message, t('rapid.endOfGrid')].filter(Boolean).join(' ')
+      });
+    }
+    return false;
+  }, [ensureCell, focusCell, commitCell, t]);
+
+  const pressKey = useCallback((key) => {
+    const cell = ensureCell();
+    const detail = detailAt(formDataRef.current.spoutData, cell);
+    onWeightChange(cell.spoutIndex, cell.sampleIndex, applyKeypadKey(detail.entered, key));
+  }, [ensureCell, onWeightChange]);
+
+  // An edit still in the current cell is the latest entry; otherwise the last
+  // committed one is restored and the cursor goes back to it
+  const undo = useCallback(() => {
+    const start = startRef.current;
+    const pending = start && isCellInGrid(formDataRef.current.spoutData, start.cell) &&
+      detailAt(formDataRef.current.spoutData, start.cell).entered !== start.detail.entered;
+    const entry = pending ? start : undoStack[undoStack.length - 1];
+    if (!entry || !isCellInGrid(formDataRef.current.spoutData, entry.cell)) return;
+
+    if (!pending) setUndoStack(stack => stack.slice(0, -1));
+    onWeightChange(entry.cell.spoutIndex, entry.cell.sampleIndex, entry.detail.entered, {
+      source: entry.detail.source || SAMPLE_SOURCE.MANUAL,
+      enteredUnit: entry.detail.enteredUnit || undefined
+    });
+    cursorRef.current = entry.cell;
+    startRef.current = entry;
+    setCursor(entry.cell);
+    setFeedback({
+      status: 'idle',
+      message: t('rapid.undone', { spout: entry.cell.spoutIndex + 1, sample: entry.cell.sampleIndex + 1 })
+    });
+    const input = containerRef.current &&
+      containerRef.current.querySelector(`[data-rapid-cell="${cellKey(entry.cell)}"]`);
+    if (input) input.focus();
+  }, [undoStack, onWeightChange, t, containerRef]);
+
+  const reset = useCallback(() => {
+    cursorRef.current = null;
+    startRef.current = null;
+    setCursor(null);
+    setUndoStack([]);
+    setFeedback(null);
+  }, []);
+
+  // A new, resumed or duplicated report starts without a cursor or history
+  useEffect(reset, [formData.draftId, reset]);
+
+  const toggle = useCallback(() => {
+    const next = !enabled;
+    try {
+      localStorage.setItem(STORAGE_KEY, next ? 'on' : 'off');
+    } catch (error) {
+      // The mode then only lasts for this page
+    }
+    setEnabled(next);
+    reset();
+  }, [enabled, reset]);
+
+  // Jump on as soon as an entry is typed to the unit's full resolution
+  const activeCell = enabled && isCellInGrid(formData.spoutData, cursor) ? cursor : null;
+  const currentEntry = activeCell ? detailAt(formData.spoutData, activeCell).entered : '';
+  useEffect(() => {
+    const start = startRef.current;
+    if (!enabled || !start || currentEntry === start.detail.entered) return;
+    if (isEntryComplete(currentEntry, getUnitPrecision(formDataRef.current.entryUnit))) moveBy(MOVES.NEXT);
+  }, [enabled, currentEntry, moveBy]);
+
+  return {
+    enabled,
+    toggle,
+    cursor: activeCell,
+    value: currentEntry,
+    feedback,
+    canUndo: undoStack.length > 0 || Boolean(startRef.current && currentEntry !== startRef.current.detail.entered),
+    enterCell,
+    moveBy,
+    pressKey,
+    undo
+  };
+}
@@ -0,0 +1,90 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { SCALE_DRIVERS, createSerialScale, createSimulatedScale } from '../lib/scaleDrivers';
+
+// Below this fraction of the target the pan counts as empty
+const EMPTY_PAN_FRACTION = 0.1;
+
+// Connects to a scale driver and hands each new stable weight to
+// `onStableWeight` exactly once: after a capture the next one waits until the
+// pan is emptied or the reading moves again, so one bag never fills two samples.
+export function useScale({ targetWeight, protocol, baudRate, onStableWeight }) {
+  const [status, setStatus] = useState('disconnected');
+  const [reading, setReading] = useState(null);
+  const [error, setError] = useState(null);
+  const driverRef = useRef(null);
+  const armed = useRef(true);
+  const forceNext = useRef(false);
+  const callbackRef = useRef(onStableWeight);
+  callbackRef.current = onStableWeight;
+  const thresholdRef = useRef(0);
+  thresholdRef.current = targetWeight * EMPTY_PAN_FRACTION;
+
+  const handleReading = useCallback((next) => {
+    setReading(next);
+    const isEmpty = next.weight <= thresholdRef.current;
+
+    if (!next.stable || isEmpty) {
+      armed.current = true;
+      return;
+    }
+    if (armed.current || forceNext.current) {
+      armed.current = false;
+      forceNext.current = false;
+      callbackRef.current(next);
+    }
+  }, []);
+
+  const disconnect = useCallback(async () => {
+    const driver = driverRef.current;
+    driverRef.current = null;
+    if (driver) await driver.disconnect();
+    setStatus('disconnected');
+    setReading(null);
+  }, []);
+
+  const connect = useCallback(async (driverType) => {
+    await disconnect();
+    setError(null);
+    setStatus('connecting');
+
+    const handlers = {
+      onReading: handleReading,
+      onError: (err) => setError(err.message),
+      onClose: () => {
+        driverRef.current = null;
+        setStatus('disconnected');
+      }
+    };
+    const driver = driverType === SCALE_DRIVERS.SIMULATED
+      ? createSimulatedScale({ targetWeight, ...handlers })
+      : createSerialScale({ baudRate, protocol, ...handlers });
+
+    try {
+      await driver.connect();
+      driverRef.current = driver;
+      armed.current = true;
+      setStatus(driverType === SCALE_DRIVERS.SIMULATED ? 'simulated' : 'connected');
+    } catch (err) {
+      // Closing the port picker is not an error worth showing
+      if (err.name !== 'NotFoundError') setError(err.message);
+      setStatus('disconnected');
+    }
+  }, [disconnect, handleReading, targetWeight, baudRate, protocol]);
+
+  // Print on demand: the next stable reading is captured even if the pan wasn't emptied
+  const requestReading = useCallback(async () => {
+    if (!driverRef.current) return;
+    forceNext.current = true;
+    try {
+      await driverRef.current.requestReading();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => () => {
+    if (driverRef.current) driverRef.current.disconnect();
+  }, []);
+
+  return { status, reading, error, connect, disconnect, requestReading };
+}
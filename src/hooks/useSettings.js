@@ -0,0 +1,48 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { loadSettings, saveSettings, isSettingsStorageEvent } from '../lib/settings';
+import { storeBackendConfigs } from '../lib/offlineQueue';
+
+const SettingsContext = createContext(null);
+
+export function SettingsProvider({ children }) {
+  const [settings, setSettings] = useState(loadSettings);
+
+  const updateSettings = useCallback((nextSettings) => {
+    const saved = saveSettings(nextSettings);
+    setSettings(saved);
+    return saved;
+  }, []);
+
+  // The queue, page or service worker, reads backend credentials from here
+  useEffect(() => {
+    storeBackendConfigs(settings.backends)
+      .catch(error => console.error('Could not store backend settings for the queue:', error));
+  }, [settings.backends]);
+
+  // Keep other open tabs on the same device in step with admin changes
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (isSettingsStorageEvent(event)) {
+        setSettings(loadSettings());
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  const value = useMemo(() => ({ settings, updateSettings }), [settings, updateSettings]);
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+}
+
+export function useSettings() {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error('useSettings must be used inside a SettingsProvider');
+  }
+  return context;
+}
@@ -0,0 +1,126 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  SYNC_TAG,
+  SUBMISSION_STATUS,
+  enqueueSubmission,
+  getDeliveryResults,
+  getQueueCounts,
+  getNextRetryAt,
+  processQueue,
+  updateSubmission,
+  retryFailedSubmissions
+} from '../lib/offlineQueue';
+import { requestBackgroundSync } from '../serviceWorkerRegistration';
+
+const EMPTY_COUNTS = { pending: 0, synced: 0, failed: 0 };
+
+// Keeps the offline queue moving from the page: flushes on submit, when the
+// browser comes back online, and whenever the next backoff delay expires.
+// Background Sync in the service worker covers the case where the tab is closed.
+export function useSubmissionQueue() {
+  const [counts, setCounts] = useState(EMPTY_COUNTS);
+  const [isOnline, setIsOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine);
+  const [queueError, setQueueError] = useState(null);
+  const retryTimer = useRef(null);
+  const flushRef = useRef(null);
+
+  const refreshCounts = useCallback(async () => {
+    try {
+      setCounts(await getQueueCounts());
+      setQueueError(null);
+    } catch (error) {
+      setQueueError(error.message);
+    }
+  }, []);
+
+  const scheduleRetry = useCallback(async () => {
+    clearTimeout(retryTimer.current);
+    const nextRetryAt = await getNextRetryAt();
+    if (nextRetryAt === null) return;
+
+    const delay = Math.max(nextRetryAt - Date.now(), 0);
+    retryTimer.current = setTimeout(
+      () => flushRef.current().catch(error => setQueueError(error.message)),
+      delay
+    );
+  }, []);
+
+  const flush = useCallback(async (options) => {
+    if (typeof navigator !== 'undefined' && !navigator.onLine) {
+      await refreshCounts();
+      return null;
+    }
+
+    const summary = await processQueue(options);
+    await refreshCounts();
+    await scheduleRetry();
+    return summary;
+  }, [refreshCounts, scheduleRetry]);
+  flushRef.current = flush;
+
+  const submit = useCallback(async (payload, targets) => {
+    const id = await enqueueSubmission(payload, targets);
+    await refreshCounts();
+    requestBackgroundSync(SYNC_TAG);
+
+    const summary = await flush();
+    const record = summary ? summary.results[id] : null;
+    return {
+      id,
+      synced: Boolean(record && record.status === SUBMISSION_STATUS.SYNCED),
+      deliveries: record ? getDeliveryResults(record) : [],
+      error: record ? record.lastError : null
+    };
+  }, [flush, refreshCounts]);
+
+  const updateReport = useCallback(async (id, payload, update) => {
+    await updateSubmission(id, payload, update);
+    requestBackgroundSync(SYNC_TAG);
+    return flush({ force: true });
+  }, [flush]);
+
+  const retryFailed = useCallback(async () => {
+    await retryFailedSubmissions();
+    requestBackgroundSync(SYNC_TAG);
+    return flush({ force: true });
+  }, [flush]);
+
+  useEffect(() => {
+    // A flush can still be running when the page unmounts
+    let active = true;
+    const reportError = (error) => {
+      if (active) setQueueError(error.message);
+    };
+    const handleOnline = () => {
+      setIsOnline(true);
+      flushRef.current({ force: true }).catch(reportError);
+    };
+    const handleOffline = () => setIsOnline(false);
+    const handleWorkerMessage = (event) => {
+      if (event.data && event.data.type === 'QUEUE_UPDATED') {
+        refreshCounts();
+      }
+    };
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+    }
+
+    // Pick up anything left over from a previous session
+    flushRef.current().catch(reportError);
+
+    return () => {
+      active = false;
+      clearTimeout(retryTimer.current);
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.removeEventListener('message', handleWorkerMessage);
+      }
+    };
+  }, [refreshCounts]);
+
+  return { counts, isOnline, queueError, submit, updateReport, flush, retryFailed, refreshCounts };
+}
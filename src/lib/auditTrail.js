@@ -0,0 +1,187 @@
+// Append-only record of every edit to a report. Each event holds the field
+// path (the same paths validation uses, e.g. "spoutData.0.samples.2"), the
+// old and new values, when and by whom. The trail is hash-chained once, at
+// submission: the chain starts from the report id and submission time, and
+// its final hash goes out in the report metadata, so the copy a backend holds
+// anchors the trail. Changing, removing, reordering or cutting off events
+// then breaks the chain or no longer matches that anchor.
+import { sha256Hex } from './crypto';
+import { createMessage } from './i18n';
+import { getSampleDetail } from './formState';
+import { getCorrectiveAction } from './correctiveActions';
+import { TRACE_FIELDS } from './traceability';
+
+// Chain start of reports submitted before trails were anchored
+export const LEGACY_GENESIS_HASH = '0'.repeat(64);
+
+// Keystrokes on one field within this long of the first fold into one event
+export const FOLD_WINDOW_MS = 2000;
+
+// Author of changes no operator typed: a shift derived from the report time,
+// or the values a duplicated report starts with
+export const SYSTEM_OPERATOR = { id: 'system', name: 'System' };
+
+const REPORT_FIELDS = [
+  'profileId',
+  'lineId',
+  'machineId',
+  'operatorName',
+  'shift',
+  'date',
+  'time',
+  'tare',
+  'entryUnit',
+  'generalComments',
+  'supervisorName',
+  'reportStatus'
+];
+
+const SIGNATURE_ROLES = ['operator', 'supervisor'];
+
+// Flat { field: value } map of everything the trail tracks. Samples are
+// tracked as entered, so a tare or unit change isn't logged as a new weight.
+// Signatures are tracked by signing time rather than the drawing itself.
+export function getAuditedValues(formData) {
+  const values = {};
+  REPORT_FIELDS.forEach(field => {
+    values[field] = formData[field] ?? '';
+  });
+  SIGNATURE_ROLES.forEach(role => {
+    const signature = formData.signatures && formData.signatures[role];
+    values[`signatures.${role}`] = (signature && signature.signedAt) || '';
+  });
+  TRACE_FIELDS.forEach(({ key }) => {
+    values[`traceability.${key}`] = (formData.traceability && formData.traceability[key]) || '';
+  });
+  formData.spoutData.forEach((spout, spoutIndex) => {
+    const prefix = `spoutData.${spoutIndex}`;
+    spout.samples.forEach((_, sampleIndex) => {
+      values[`${prefix}.samples.${sampleIndex}`] = getSampleDetail(spout, sampleIndex).entered;
+    });
+    values[`${prefix}.tare`] = spout.tare || '';
+    values[`${prefix}.comments`] = spout.comments || '';
+    values[`${prefix}.outOfService`] = spout.outOfService ? 'out of service' : '';
+    const adjustment = spout.setpointAdjustment;
+    values[`${prefix}.setpointAdjustment`] = adjustment ? `${adjustment.correction > 0 ? '+' : ''}${adjustment.correction} ${adjustment.unit}` : '';
+    const action = getCorrectiveAction(spout);
+    values[`${prefix}.correctiveAction.reasonCode`] = action.reasonCode;
+    values[`${prefix}.correctiveAction.actionTaken`] = action.actionTaken;
+    action.recheckSamples.forEach((sample, sampleIndex) => {
+      values[`${prefix}.correctiveAction.recheckSamples.${sampleIndex}`] = sample;
+    });
+  });
+  return values;
+}
+
+export function diffAuditedValues(prev, next) {
+  const before = getAuditedValues(prev);
+  const after = getAuditedValues(next);
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields
+    .map(field => ({ field, oldValue: before[field] ?? '', newValue: after[field] ?? '' }))
+    .filter(change => change.oldValue !== change.newValue);
+}
+
+const sameOperator = (a, b) => (a && a.id) === (b && b.id) && (a && a.name) === (b && b.name);
+
+// Adds the changes between `prev` and `next` to next.auditTrail. Keystrokes
+// on one field within FOLD_WINDOW_MS of the event's first keystroke fold into
+// that event, which keeps its time and ends up holding the net change, even
+// one that returns the field to where it started. Hashed events, from drafts
+// saved by older versions, are never folded into.
+export function recordAuditEvents(prev, next, operator, now = new Date()) {
+  if (next === prev) return next;
+  const changes = diffAuditedValues(prev, next);
+  if (changes.length === 0) return next;
+
+  const at = now.toISOString();
+  let trail = prev.auditTrail || [];
+  changes.forEach(({ field, oldValue, newValue }) => {
+    const last = trail[trail.length - 1];
+    if (last && !last.hash && last.field === field && sameOperator(last.operator, operator) &&
+      now - new Date(last.at) <= FOLD_WINDOW_MS) {
+      trail = [...trail.slice(0, -1), { ...last, newValue }];
+      return;
+    }
+    trail = [...trail, { seq: last ? last.seq + 1 : 1, field, oldValue, newValue, at, operator }];
+  });
+  return { ...next, auditTrail: trail };
+}
+
+export const hashAuditEvent = ({ seq, field, oldValue, newValue, at, operator }, prevHash) => sha256Hex(
+  JSON.stringify([seq, field, oldValue, newValue, at, operator ? operator.id : null, operator ? operator.name : null, prevHash])
+);
+
+export const getGenesisHash = (reportId, sealedAt) => sha256Hex(JSON.stringify(['audit-trail', reportId, sealedAt]));
+
+// Chains every event at submission. Resolves with the sealed trail and the
+// seal that goes in the report metadata: { reportId, sealedAt, events, hash }.
+// Hashes left by older versions were never anchored and are replaced.
+export async function sealAuditTrail(trail, { reportId, sealedAt = new Date().toISOString() }) {
+  const sealed = [];
+  let prevHash = await getGenesisHash(reportId, sealedAt);
+  for (const { hash, prevHash: oldPrevHash, ...event } of trail) {
+    const next = { ...event, prevHash, hash: await hashAuditEvent(event, prevHash) };
+    sealed.push(next);
+    prevHash = next.hash;
+  }
+  return { trail: sealed, seal: { reportId, sealedAt, events: sealed.length, hash: prevHash } };
+}
+
+// Recomputes the chain from the seal's start and checks it ends at the seal's
+// hash. `brokenAt` is the index of the first event that doesn't match (the
+// trail's length when events were cut off), or null when the trail is
+// intact. Without a seal the chain is checked from the legacy start and
+// `anchored` is false.
+export async function verifyAuditTrail(trail, seal = null) {
+  let prevHash = seal ? await getGenesisHash(seal.reportId, seal.sealedAt) : LEGACY_GENESIS_HASH;
+  for (let index = 0; index < trail.length; index += 1) {
+    const event = trail[index];
+    if (event.prevHash !== prevHash || event.hash !== await hashAuditEvent(event, prevHash)) {
+      return { valid: false, brokenAt: index, anchored: Boolean(seal) };
+    }
+    prevHash = event.hash;
+  }
+  if (seal && (trail.length !== seal.events || prevHash !== seal.hash)) {
+    return { valid: false, brokenAt: Math.min(trail.length, seal.events), anchored: true };
+  }
+  return { valid: true, brokenAt: null, anchored: Boolean(seal) };
+}
+
+export const getFieldHistory = (trail, field) => (trail || []).filter(event => event.field === field);
+
+export const getAuditedFields = (trail) => [...new Set((trail || []).map(event => event.field))];
+
+const REPORT_FIELD_KEYS = {
+  ...Object.fromEntries(REPORT_FIELDS.map(field => [field, `audit.field.${field}`])),
+  'signatures.operator': 'audit.field.operatorSignature',
+  'signatures.supervisor': 'audit.field.supervisorSignature',
+  ...Object.fromEntries(TRACE_FIELDS.map(({ key }) => [`traceability.${key}`, `trace.field.${key}`]))
+};
+
+const SPOUT_FIELD_KEYS = {
+  tare: 'audit.field.spoutTare',
+  comments: 'audit.field.spoutComments',
+  outOfService: 'audit.field.spoutService',
+  setpointAdjustment: 'audit.field.spoutSetpoint',
+  'correctiveAction.reasonCode': 'audit.field.spoutReasonCode',
+  'correctiveAction.actionTaken': 'audit.field.spoutActionTaken'
+};
+
+// Readable name for a field path as a message, e.g. "Spout 1 sample 3";
+// paths it doesn't know come back as they are
+export function describeAuditField(field) {
+  if (REPORT_FIELD_KEYS[field]) return createMessage(REPORT_FIELD_KEYS[field]);
+  const match = /^spoutData\.(\d+)\.(.+)$/.exec(field);
+  if (!match) return { key: null, params: {}, message: field };
+  const spout = Number(match[1]) + 1;
+  const sample = /^(samples|correctiveAction\.recheckSamples)\.(\d+)$/.exec(match[2]);
+  if (sample) {
+    return createMessage(sample[1] === 'samples' ? 'audit.field.spoutSample' : 'audit.field.spoutRecheck', {
+      spout,
+      sample: Number(sample[2]) + 1
+    });
+  }
+  if (SPOUT_FIELD_KEYS[match[2]]) return createMessage(SPOUT_FIELD_KEYS[match[2]], { spout });
+  return { key: null, params: {}, message: field };
+}
@@ -0,0 +1,139 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from 'crypto';
+import {
+  FOLD_WINDOW_MS,
+  SYSTEM_OPERATOR,
+  describeAuditField,
+  getFieldHistory,
+  recordAuditEvents,
+  sealAuditTrail,
+  verifyAuditTrail
+} from './auditTrail';
+import { createInitialFormState, setSpoutSample } from './formState';
+
+// The browser's Web Crypto API, which the test environment doesn't expose
+beforeAll(() => {
+  global.crypto = webcrypto;
+});
+
+const profile = { id: 'bag-50kg', targetWeight: 50, unit: 'kg', numSpouts: 2, numSamplesPerSpout: 2 };
+const operator = { id: 'op-1', name: 'Ana' };
+const now = new Date('2026-03-01T08:00:00Z');
+
+const enterSample = (formData, value) => ({
+  ...formData,
+  spoutData: [setSpoutSample(formData.spoutData[0], 0, value, { unit: 'kg' }), formData.spoutData[1]]
+});
+
+test('records old and new values and folds keystrokes on one field', () => {
+  const blank = createInitialFormState(profile);
+  let form = recordAuditEvents(blank, enterSample(blank, '5'), operator, now);
+  form = recordAuditEvents(form, enterSample(form, '50.2'), operator, now);
+  form = recordAuditEvents(form, { ...form, shift: 'Night' }, operator, now);
+
+  expect(form.auditTrail).toEqual([
+    { seq: 1, field: 'spoutData.0.samples.0', oldValue: '', newValue: '50.2', at: now.toISOString(), operator },
+    { seq: 2, field: 'shift', oldValue: '', newValue: 'Night', at: now.toISOString(), operator }
+  ]);
+  expect(getFieldHistory(form.auditTrail, 'shift')).toHaveLength(1);
+});
+
+test('keeps an edit that returns to the original value', () => {
+  const blank = createInitialFormState(profile);
+  let form = recordAuditEvents(blank, { ...blank, shift: 'Night' }, operator, now);
+  form = recordAuditEvents(form, { ...form, shift: '' }, operator, now);
+  expect(form.auditTrail).toEqual([
+    { seq: 1, field: 'shift', oldValue: '', newValue: '', at: now.toISOString(), operator }
+  ]);
+});
+
+test('folds only within a fixed window from the first keystroke', () => {
+  const blank = createInitialFormState(profile);
+  const after = (ms) => new Date(now.getTime() + ms);
+  let form = recordAuditEvents(blank, enterSample(blank, '5'), operator, now);
+  form = recordAuditEvents(form, enterSample(form, '50'), operator, after(FOLD_WINDOW_MS - 500));
+  form = recordAuditEvents(form, enterSample(form, '50.2'), operator, after(FOLD_WINDOW_MS + 500));
+
+  expect(form.auditTrail.map(event => [event.oldValue, event.newValue, event.at])).toEqual([
+    ['', '50', now.toISOString()],
+    ['50', '50.2', after(FOLD_WINDOW_MS + 500).toISOString()]
+  ]);
+});
+
+test('logs signing and clearing a signature', () => {
+  const blank = createInitialFormState(profile);
+  const signature = { image: 'data:image/png;base64,AAA', signedAt: '2026-03-01T08:05:00.000Z' };
+  let form = recordAuditEvents(blank, { ...blank, signatures: { ...blank.signatures, supervisor: signature } }, operator, now);
+  const later = new Date(now.getTime() + FOLD_WINDOW_MS + 1);
+  form = recordAuditEvents(form, { ...form, signatures: { ...form.signatures, supervisor: null } }, operator, later);
+
+  expect(form.auditTrail.map(event => [event.field, event.oldValue, event.newValue])).toEqual([
+    ['signatures.supervisor', '', signature.signedAt],
+    ['signatures.supervisor', signature.signedAt, '']
+  ]);
+  expect(describeAuditField('signatures.supervisor').message).toBe('Supervisor signature');
+});
+
+test('starts a new event once the operator pauses', () => {
+  const blank = createInitialFormState(profile);
+  const first = recordAuditEvents(blank, enterSample(blank, '50.2'), operator, now);
+  const later = new Date(now.getTime() + FOLD_WINDOW_MS + 1);
+  const second = recordAuditEvents(first, enterSample(first, '50.3'), operator, later);
+
+  expect(second.auditTrail.map(event => [event.oldValue, event.newValue])).toEqual([['', '50.2'], ['50.2', '50.3']]);
+});
+
+test('keeps a derived shift apart from the operator\'s own edit', () => {
+  const blank = createInitialFormState(profile);
+  let form = recordAuditEvents(blank, { ...blank, shift: 'Night' }, SYSTEM_OPERATOR, now);
+  form = recordAuditEvents(form, { ...form, shift: 'Morning' }, operator, now);
+
+  expect(form.auditTrail.map(event => [event.operator.id, event.oldValue, event.newValue])).toEqual([
+    ['system', '', 'Night'],
+    ['op-1', 'Night', 'Morning']
+  ]);
+});
+
+test('detects an altered event in a sealed trail', async () => {
+  const blank = createInitialFormState(profile);
+  let form = recordAuditEvents(blank, { ...blank, shift: 'Night' }, operator, now);
+  form = recordAuditEvents(form, { ...form, generalComments: 'ok' }, operator, now);
+  const { trail, seal } = await sealAuditTrail(form.auditTrail, { reportId: 'draft-1', sealedAt: now.toISOString() });
+
+  expect(trail[1].prevHash).toBe(trail[0].hash);
+  expect(seal).toEqual({ reportId: 'draft-1', sealedAt: now.toISOString(), events: 2, hash: trail[1].hash });
+  expect(await verifyAuditTrail(trail, seal)).toEqual({ valid: true, brokenAt: null, anchored: true });
+  const tampered = [{ ...trail[0], newValue: 'Day' }, trail[1]];
+  expect(await verifyAuditTrail(tampered, seal)).toEqual({ valid: false, brokenAt: 0, anchored: true });
+  expect(await verifyAuditTrail(trail.slice(1), seal)).toEqual({ valid: false, brokenAt: 0, anchored: true });
+});
+
+test('anchors the chain to the report so a rebuilt or shortened trail shows', async () => {
+  const blank = createInitialFormState(profile);
+  let form = recordAuditEvents(blank, { ...blank, shift: 'Night' }, operator, now);
+  form = recordAuditEvents(form, { ...form, generalComments: 'ok' }, operator, now);
+  const { trail, seal } = await sealAuditTrail(form.auditTrail, { reportId: 'draft-1', sealedAt: now.toISOString() });
+
+  // Cutting events off the end leaves a valid chain that no longer reaches the seal
+  expect(await verifyAuditTrail(trail.slice(0, 1), seal)).toEqual({ valid: false, brokenAt: 1, anchored: true });
+  // Recomputing every hash from a made-up start doesn't match the report's start
+  const rebuilt = await sealAuditTrail(form.auditTrail, { reportId: 'draft-2', sealedAt: now.toISOString() });
+  expect((await verifyAuditTrail(rebuilt.trail, seal)).valid).toBe(false);
+  // Sealing replaces hashes from older drafts instead of keeping them
+  const resealed = await sealAuditTrail(trail, { reportId: 'draft-1', sealedAt: '2026-03-02T08:00:00.000Z' });
+  expect(await verifyAuditTrail(resealed.trail, resealed.seal)).toEqual({ valid: true, brokenAt: null, anchored: true });
+});
+
+test('names field paths for the history viewer', () => {
+  expect(describeAuditField('spoutData.1.samples.2').message).toBe('Spout 2 sample 3');
+  expect(describeAuditField('spoutData.0.correctiveAction.recheckSamples.0').message).toBe('Spout 1 recheck sample 1');
+  expect(describeAuditField('spoutData.0.comments')).toEqual({
+    key: 'audit.field.spoutComments',
+    params: { spout: 1 },
+    message: 'Spout 1 comments'
+  });
+  expect(describeAuditField('shift').message).toBe('Shift');
+  expect(describeAuditField('traceability.lotNumber').key).toBe('trace.field.lotNumber');
+});
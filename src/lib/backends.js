@@ -0,0 +1,159 @@
+import { hmacSha256Hex } from './crypto';
+
+// Submission backends. Each adapter takes the report payload and the target's
+// config, and resolves once the destination has accepted it (or throws).
+// Queued records only name their targets; URLs and credentials are looked up
+// when sending (see offlineQueue), so secrets aren't copied into every report.
+
+export const BACKEND_TYPES = {
+  APPS_SCRIPT: 'apps-script',
+  REST: 'rest',
+  WEBHOOK: 'webhook',
+  LOCAL: 'local'
+};
+
+const assertUrl = (config) => {
+  if (!config.url) {
+    throw new Error('No URL configured');
+  }
+};
+
+const checkResponse = (response) => {
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response;
+};
+
+const buildAuthHeaders = (config) => {
+  switch (config.authType) {
+    case 'bearer':
+      return { Authorization: `Bearer ${config.token}` };
+    case 'basic':
+      return { Authorization: `Basic ${btoa(`${config.username}:${config.password}`)}` };
+    case 'header':
+      return config.headerName ? { [config.headerName]: config.token } : {};
+    default:
+      return {};
+  }
+};
+
+// One "Name: value" per line, as typed in the admin screen
+export const parseHeaderLines = (text = '') => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .reduce((headers, line) => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+    return headers;
+  }, {});
+
+export const BACKEND_ADAPTERS = {
+  [BACKEND_TYPES.APPS_SCRIPT]: {
+    label: 'Google Apps Script',
+    fields: [{ name: 'url', label: 'Web app URL', type: 'url' }],
+    async send(payload, config) {
+      assertUrl(config);
+      const response = checkResponse(await fetch(config.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(payload)
+      }));
+      // Apps Script often answers a successful POST with a redirect page or
+      // plain text; the status decides, the body is only read when it's JSON
+      const contentType = response.headers.get('content-type') || '';
+      if (!contentType.includes('application/json')) return { status: response.status };
+      return response.json().catch(() => ({ status: response.status }));
+    }
+  },
+
+  [BACKEND_TYPES.REST]: {
+    label: 'REST endpoint',
+    fields: [
+      { name: 'url', label: 'URL', type: 'url' },
+      { name: 'method', label: 'Method', type: 'select', options: ['POST', 'PUT'] },
+      { name: 'authType', label: 'Authentication', type: 'select', options: ['none', 'bearer', 'basic', 'header'] },
+      { name: 'token', label: 'Token / header value', type: 'password' },
+      { name: 'headerName', label: 'Header name (for "header" auth)', type: 'text' },
+      { name: 'username', label: 'Username (basic auth)', type: 'text' },
+      { name: 'password', label: 'Password (basic auth)', type: 'password' },
+      // Often holds Authorization or API key headers, so it's kept out of exports
+      { name: 'extraHeaders', label: 'Extra headers (Name: value per line)', type: 'textarea', secret: true }
+    ],
+    async send(payload, config) {
+      assertUrl(config);
+      const response = checkResponse(await fetch(config.url, {
+        method: config.method || 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...parseHeaderLines(config.extraHeaders),
+          ...buildAuthHeaders(config)
+        },
+        body: JSON.stringify(payload)
+      }));
+      return { status: response.status };
+    }
+  },
+
+  [BACKEND_TYPES.WEBHOOK]: {
+    label: 'Signed webhook',
+    fields: [
+      { name: 'url', label: 'Webhook URL', type: 'url' },
+      { name: 'secret', label: 'Signing secret', type: 'password' }
+    ],
+    // The receiver recomputes HMAC-SHA256(secret, "<timestamp>.<body>") and
+    // rejects stale timestamps to stop replays
+    async send(payload, config) {
+      assertUrl(config);
+      if (!config.secret) {
+        throw new Error('No signing secret configured');
+      }
+      const body = JSON.stringify(payload);
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const signature = await hmacSha256Hex(config.secret, `${timestamp}.${body}`);
+
+      const response = checkResponse(await fetch(config.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${signature}`
+        },
+        body
+      }));
+      return { status: response.status };
+    }
+  },
+
+  [BACKEND_TYPES.LOCAL]: {
+    label: 'This device only',
+    fields: [],
+    // The report is already in IndexedDB by the time it gets here
+    async send() {
+      return { local: true };
+    }
+  }
+};
+
+// Targets for a new submission, without their config; with nothing enabled
+// the report stays local
+export function getSubmissionTargets(backends) {
+  const enabled = backends.filter(backend => backend.enabled);
+  if (enabled.length > 0) {
+    return enabled.map(({ id, name, type }) => ({ id, name, type }));
+  }
+  return [{ id: 'local', name: 'This device', type: BACKEND_TYPES.LOCAL }];
+}
+
+export async function sendToTarget(payload, target) {
+  const adapter = BACKEND_ADAPTERS[target.type];
+  if (!adapter) {
+    throw new Error(`Unknown backend type "${target.type}"`);
+  }
+  return adapter.send(payload, target.config || {});
+}
@@ -0,0 +1,86 @@
+import { BACKEND_ADAPTERS, BACKEND_TYPES, getSubmissionTargets, parseHeaderLines } from './backends';
+import { SUBMISSION_STATUS, deliverSubmission, getDeliveryResults, resolveTarget } from './offlineQueue';
+
+const targets = [
+  { id: 'sheet', name: 'Google Sheet', type: BACKEND_TYPES.APPS_SCRIPT, config: { url: 'https://example.com/exec' } },
+  { id: 'qa', name: 'QA API', type: BACKEND_TYPES.REST, config: { url: 'https://qa.example.com/reports' } }
+];
+
+test('returns only enabled backends', () => {
+  const result = getSubmissionTargets([
+    { ...targets[0], enabled: true },
+    { ...targets[1], enabled: false }
+  ]);
+  expect(result.map(target => target.id)).toEqual(['sheet']);
+  expect(result[0].config).toBeUndefined();
+});
+
+test('looks up a queued target\'s config when sending', async () => {
+  const lookup = jest.fn(async (id) => (id === 'qa' ? { id, config: { url: 'https://qa.example.com/reports', token: 's3cret' } } : undefined));
+  const [, qa] = getSubmissionTargets(targets.map(target => ({ ...target, enabled: true })));
+  expect(await resolveTarget(qa, lookup)).toEqual({ ...qa, config: { url: 'https://qa.example.com/reports', token: 's3cret' } });
+  await expect(resolveTarget({ id: 'gone', name: 'Old API', type: BACKEND_TYPES.REST }, lookup)).rejects.toThrow('Old API');
+  // Records queued before targets were stored by id keep their own config
+  expect(await resolveTarget(targets[0], lookup)).toBe(targets[0]);
+});
+
+test('counts an Apps Script answer that is not JSON as delivered', async () => {
+  const originalFetch = global.fetch;
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => 'text/html; charset=utf-8' },
+    json: async () => { throw new SyntaxError('Unexpected token <'); }
+  }));
+  try {
+    await expect(BACKEND_ADAPTERS[BACKEND_TYPES.APPS_SCRIPT].send({}, targets[0].config)).resolves.toEqual({ status: 200 });
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('falls back to local-only when nothing is enabled', () => {
+  expect(getSubmissionTargets([])).toEqual([
+    expect.objectContaining({ type: BACKEND_TYPES.LOCAL })
+  ]);
+});
+
+test('parses one header per line and skips malformed lines', () => {
+  expect(parseHeaderLines('X-Api-Key: abc:123\n\nnonsense\n Accept : application/json ')).toEqual({
+    'X-Api-Key': 'abc:123',
+    Accept: 'application/json'
+  });
+});
+
+const record = { payload: { metadata: {} }, targets };
+
+test('records a result per target', async () => {
+  const send = jest.fn(async (payload, target) => {
+    if (target.id === 'qa') throw new Error('HTTP 503');
+  });
+  const deliveries = await deliverSubmission(record, send);
+
+  expect(deliveries.sheet.status).toBe(SUBMISSION_STATUS.SYNCED);
+  expect(deliveries.qa).toEqual(expect.objectContaining({ status: SUBMISSION_STATUS.PENDING, lastError: 'HTTP 503' }));
+});
+
+test('only resends to targets that have not accepted the report', async () => {
+  const send = jest.fn(async () => {});
+  await deliverSubmission({
+    ...record,
+    deliveries: {
+      sheet: { status: SUBMISSION_STATUS.SYNCED, lastError: null, syncedAt: 1 },
+      qa: { status: SUBMISSION_STATUS.PENDING, lastError: 'HTTP 503', syncedAt: null }
+    }
+  }, send);
+
+  expect(send).toHaveBeenCalledTimes(1);
+  expect(send.mock.calls[0][1].id).toBe('qa');
+});
+
+test('treats records queued with a bare endpoint as an Apps Script target', () => {
+  const results = getDeliveryResults({ endpoint: 'https://example.com/exec', status: SUBMISSION_STATUS.SYNCED, syncedAt: 5 });
+  expect(results).toEqual([
+    expect.objectContaining({ type: BACKEND_TYPES.APPS_SCRIPT, status: SUBMISSION_STATUS.SYNCED, syncedAt: 5 })
+  ]);
+});
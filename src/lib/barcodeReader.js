@@ -0,0 +1,62 @@
+import { decodeCode128Image } from './code128';
+
+// Barcode reading from a camera frame or a photo. The browser's
+// BarcodeDetector reads 1D and QR/DataMatrix codes where it exists (Chrome on
+// Android, ChromeOS, macOS); elsewhere the Code 128 decoder reads GS1-128
+// labels, which is what pallet and bag labels carry.
+
+const WANTED_FORMATS = ['code_128', 'qr_code', 'data_matrix', 'ean_13', 'ean_8', 'code_39'];
+
+export const isBarcodeDetectorSupported = () => typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+const sourceSize = (source) => ({
+  width: source.videoWidth || source.naturalWidth || source.width,
+  height: source.videoHeight || source.naturalHeight || source.height
+});
+
+// Code 128 off a video, image or ImageBitmap, drawn to a canvas at most
+// 1280 px wide; wider frames only slow the row scan down
+function decodeWithFallback(source, canvas) {
+  const { width, height } = sourceSize(source);
+  if (!width || !height) return null;
+  const scale = Math.min(1, 1280 / width);
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return decodeCode128Image(context.getImageData(0, 0, canvas.width, canvas.height));
+}
+
+// { native, detect(source) }: detect resolves to the first code's text or null
+export async function createBarcodeReader() {
+  if (isBarcodeDetectorSupported()) {
+    const supported = await window.BarcodeDetector.getSupportedFormats().catch(() => []);
+    const formats = WANTED_FORMATS.filter(format => supported.includes(format));
+    if (formats.length > 0) {
+      const detector = new window.BarcodeDetector({ formats });
+      return {
+        native: true,
+        detect: async (source) => {
+          const codes = await detector.detect(source);
+          return codes.length > 0 ? codes[0].rawValue : null;
+        }
+      };
+    }
+  }
+
+  const canvas = document.createElement('canvas');
+  return {
+    native: false,
+    detect: async (source) => decodeWithFallback(source, canvas)
+  };
+}
+
+// Reads an uploaded photo of a label
+export async function readBarcodeFromFile(reader, file) {
+  const bitmap = await createImageBitmap(file);
+  try {
+    return await reader.detect(bitmap);
+  } finally {
+    bitmap.close();
+  }
+}
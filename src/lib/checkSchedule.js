@@ -0,0 +1,153 @@
+// When weight checks are due. The SOP asks for a check every
+// `intervalMinutes` on each line, counted from the start of the shift or the
+// last check. Shift boundaries are local "HH:MM" times keyed by shift name; a
+// shift that ends at or before its start runs past midnight.
+
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MINUTE_MS = 60 * 1000;
+
+export const DEFAULT_CHECK_SCHEDULE = {
+  intervalMinutes: 120,
+  shiftTimes: {
+    Morning: { start: '06:00', end: '14:00' },
+    Afternoon: { start: '14:00', end: '22:00' },
+    Night: { start: '22:00', end: '06:00' }
+  }
+};
+
+const parseClock = (clock) => {
+  const [, hours, minutes] = CLOCK_PATTERN.exec(clock);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+const atMinute = (day, minutes) => new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+
+// Shifts without both times are left out of the schedule
+export function normalizeCheckSchedule(schedule, shifts) {
+  const source = schedule && typeof schedule === 'object' ? schedule : DEFAULT_CHECK_SCHEDULE;
+  const intervalMinutes = Number(source.intervalMinutes);
+  if (!Number.isInteger(intervalMinutes) || intervalMinutes <= 0) {
+    throw new Error('The check interval must be a whole number of minutes');
+  }
+
+  const times = source.shiftTimes && typeof source.shiftTimes === 'object' ? source.shiftTimes : {};
+  const shiftTimes = {};
+  shifts.forEach(shift => {
+    const { start = '', end = '' } = times[shift] || {};
+    if (!start && !end) return;
+    if (!CLOCK_PATTERN.test(start) || !CLOCK_PATTERN.test(end)) {
+      throw new Error(`Shift "${shift}" needs a start and end time as HH:MM`);
+    }
+    shiftTimes[shift] = { start, end };
+  });
+  return { intervalMinutes, shiftTimes };
+}
+
+// { shift, start, end } for the shift starting on `day`
+export function getShiftWindow(schedule, shift, day) {
+  const times = schedule.shiftTimes[shift];
+  if (!times) return null;
+  const start = parseClock(times.start);
+  const end = parseClock(times.end);
+  return {
+    shift,
+    start: atMinute(day, start),
+    end: atMinute(day, end > start ? end : end + 24 * 60)
+  };
+}
+
+// The shift running at `now`, which may have started the day before
+export function getCurrentShiftWindow(schedule, now) {
+  const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+  for (const shift of Object.keys(schedule.shiftTimes)) {
+    for (const day of [now, yesterday]) {
+      const window = getShiftWindow(schedule, shift, day);
+      if (window.start <= now && now < window.end) return window;
+    }
+  }
+  return null;
+}
+
+// Shift a time falls in, or '' when no shift with times covers it
+export const getShiftAt = (schedule, at) => {
+  const window = at && getCurrentShiftWindow(schedule, at);
+  return window ? window.shift : '';
+};
+
+// Local date and time the operator recorded, or null when unreadable
+export function getReportTime({ date, time }) {
+  if (!date) return null;
+  const at = new Date(`${date}T${time || '00:00'}`);
+  return Number.isNaN(at.getTime()) ? null : at;
+}
+
+// Check times of the stored reports taken on `lineId` ('' for no line)
+export const getCheckTimes = (records, lineId) => records
+  .map(record => record.payload.metadata)
+  .filter(metadata => (metadata.lineId || '') === (lineId || ''))
+  .map(getReportTime)
+  .filter(Boolean);
+
+// Due times after `from` and before both `until` and the end of the shift
+const dueTimesBetween = (from, until, interval, shiftEnd) => {
+  const times = [];
+  for (let due = from.getTime() + interval; due < until.getTime() && due < shiftEnd.getTime(); due += interval) {
+    times.push(new Date(due));
+  }
+  return times;
+};
+
+// Where the current shift stands at `now`. Each check settles the due time
+// just before it (late if that time had passed); earlier due times without a
+// check are missed. Once a check is overdue by a full interval it counts as
+// missed and the next one is overdue instead. `nextDueAt` is null when no
+// further check falls due before the shift ends.
+export function getCheckStatus(schedule, checkTimes, now = new Date()) {
+  const window = getCurrentShiftWindow(schedule, now);
+  if (!window) return null;
+
+  const interval = schedule.intervalMinutes * MINUTE_MS;
+  const checks = checkTimes
+    .filter(at => at >= window.start && at <= now)
+    .sort((a, b) => a - b);
+  const missed = [];
+  let from = window.start;
+  const timeline = checks.map(at => {
+    const dueTimes = dueTimesBetween(from, at, interval, window.end);
+    missed.push(...dueTimes.slice(0, -1));
+    from = at;
+    return { at, late: dueTimes.length > 0 };
+  });
+
+  const pending = dueTimesBetween(from, now, interval, window.end);
+  missed.push(...pending.slice(0, -1));
+  const overdue = pending.length > 0;
+  const next = new Date(from.getTime() + interval * Math.max(pending.length, 1));
+  return {
+    ...window,
+    intervalMinutes: schedule.intervalMinutes,
+    checks: timeline,
+    missed,
+    overdue,
+    nextDueAt: overdue ? pending[pending.length - 1] : (next < window.end ? next : null)
+  };
+}
+
+// What the next report carries about the checks before it
+export const toScheduleMetadata = (status, now) => status && {
+  shift: status.shift,
+  intervalMinutes: status.intervalMinutes,
+  dueAt: status.nextDueAt ? status.nextDueAt.toISOString() : null,
+  overdue: status.overdue,
+  overdueMinutes: status.overdue ? Math.floor((now - status.nextDueAt) / MINUTE_MS) : 0,
+  missedCount: status.missed.length,
+  missedDueTimes: status.missed.map(due => due.toISOString())
+};
+
+// "1 h 05 min" or "12 min"
+export function formatDuration(ms) {
+  const totalMinutes = Math.max(Math.ceil(ms / MINUTE_MS), 0);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours} h ${String(minutes).padStart(2, '0')} min` : `${minutes} min`;
+}
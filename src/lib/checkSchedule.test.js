@@ -0,0 +1,49 @@
+import {
+  DEFAULT_CHECK_SCHEDULE,
+  formatDuration,
+  getCheckStatus,
+  getCheckTimes,
+  getCurrentShiftWindow,
+  normalizeCheckSchedule,
+  toScheduleMetadata
+} from './checkSchedule';
+
+const at = (hours, minutes = 0, day = 2) => new Date(2026, 2, day, hours, minutes);
+
+test('finds the shift running now, including one that started yesterday', () => {
+  expect(getCurrentShiftWindow(DEFAULT_CHECK_SCHEDULE, at(9))).toEqual({ shift: 'Morning', start: at(6), end: at(14) });
+  expect(getCurrentShiftWindow(DEFAULT_CHECK_SCHEDULE, at(2))).toEqual({ shift: 'Night', start: at(22, 0, 1), end: at(6) });
+});
+
+test('counts down from the last check and flags a late one', () => {
+  const status = getCheckStatus(DEFAULT_CHECK_SCHEDULE, [at(6, 30), at(9), at(5)], at(10));
+  expect(status.checks).toEqual([{ at: at(6, 30), late: false }, { at: at(9), late: true }]);
+  expect(status.missed).toEqual([]);
+  expect(status.overdue).toBe(false);
+  expect(status.nextDueAt).toEqual(at(11));
+});
+
+test('marks a due time missed once the next one has passed too', () => {
+  const status = getCheckStatus(DEFAULT_CHECK_SCHEDULE, [at(9)], at(13, 10));
+  expect(status.missed).toEqual([at(11)]);
+  expect(status.overdue).toBe(true);
+  expect(status.nextDueAt).toEqual(at(13));
+  expect(toScheduleMetadata(status, at(13, 10))).toMatchObject({ shift: 'Morning', overdue: true, overdueMinutes: 10, missedCount: 1 });
+
+  expect(getCheckStatus(DEFAULT_CHECK_SCHEDULE, [at(12, 30)], at(12, 40)).nextDueAt).toBeNull();
+  expect(formatDuration(65 * 60 * 1000)).toBe('1 h 05 min');
+});
+
+test('tracks each line separately', () => {
+  const record = (lineId, time) => ({ payload: { metadata: { lineId, date: '2026-03-02', time } } });
+  const records = [record('line-1', '08:00'), record('line-2', '09:00'), record(null, '10:00')];
+  expect(getCheckTimes(records, 'line-1')).toEqual([at(8)]);
+  expect(getCheckTimes(records, '')).toEqual([at(10)]);
+});
+
+test('rejects a bad interval or shift time and drops unknown shifts', () => {
+  const schedule = { intervalMinutes: 90, shiftTimes: { Day: { start: '07:00', end: '19:00' }, Old: { start: '01:00', end: '02:00' } } };
+  expect(normalizeCheckSchedule(schedule, ['Day', 'Night'])).toEqual({ intervalMinutes: 90, shiftTimes: { Day: { start: '07:00', end: '19:00' } } });
+  expect(() => normalizeCheckSchedule({ ...schedule, intervalMinutes: 0 }, ['Day'])).toThrow('whole number of minutes');
+  expect(() => normalizeCheckSchedule({ ...schedule, shiftTimes: { Day: { start: '7am', end: '19:00' } } }, ['Day'])).toThrow('as HH:MM');
+});
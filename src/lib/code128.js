@@ -0,0 +1,152 @@
+// Code 128 (and so GS1-128) reader for browsers without the BarcodeDetector
+// API. It scans rows of an image for bar/space runs and matches them against
+// the symbol table, so it reads labels photographed roughly square-on. GS1
+// data comes back with the "]C1" symbology identifier and FNC1 as GS, like a
+// hardware scanner sends it.
+
+// Bar and space widths in modules of symbols 0-106; 106 is the stop pattern
+// without its final two-module bar
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '233111'
+].map(pattern => pattern.split('').map(Number));
+
+export const CODE128_PATTERNS = PATTERNS;
+
+const START = { A: 103, B: 104, C: 105 };
+const STOP = 106;
+const FNC1 = 102;
+const SHIFT = 98;
+const CODE_C = 99;
+const GROUP_SEPARATOR = '\u001d';
+// Average error per element, in modules, above which runs aren't a symbol
+const MAX_ERROR = 0.4;
+
+// Best-matching symbol for six runs, or -1
+function matchSymbol(widths) {
+  const total = widths.reduce((sum, width) => sum + width, 0);
+  const modules = widths.map(width => (width * 11) / total);
+  let best = -1;
+  let bestError = Infinity;
+  PATTERNS.forEach((pattern, value) => {
+    const error = pattern.reduce((sum, width, index) => sum + Math.abs(width - modules[index]), 0);
+    if (error < bestError) {
+      bestError = error;
+      best = value;
+    }
+  });
+  return bestError / 6 <= MAX_ERROR ? best : -1;
+}
+
+// Dark/light run widths of one row of luminance values, starting with the
+// first dark run
+function toRuns(row) {
+  const min = Math.min(...row);
+  const max = Math.max(...row);
+  if (max - min < 48) return [];
+  const threshold = (min + max) / 2;
+
+  const runs = [];
+  let dark = null;
+  row.forEach(value => {
+    const isDark = value < threshold;
+    if (dark === null && !isDark) return;
+    if (isDark === dark) runs[runs.length - 1] += 1;
+    else {
+      runs.push(1);
+      dark = isDark;
+    }
+  });
+  return runs;
+}
+
+function decodeValues(values) {
+  let codeSet = values[0] === START.A ? 'A' : values[0] === START.B ? 'B' : 'C';
+  const gs1 = values[1] === FNC1;
+  let text = '';
+  let shifted = false;
+
+  values.slice(gs1 ? 2 : 1).forEach(value => {
+    const set = shifted ? (codeSet === 'A' ? 'B' : 'A') : codeSet;
+    shifted = false;
+    if (value === FNC1) {
+      text += GROUP_SEPARATOR;
+    } else if (set === 'C') {
+      if (value < 100) text += String(value).padStart(2, '0');
+      else codeSet = value === 100 ? 'B' : 'A';
+    } else if (value < 96) {
+      if (set === 'B') text += String.fromCharCode(value + 32);
+      else text += String.fromCharCode(value < 64 ? value + 32 : value - 64);
+    } else if (value === SHIFT) {
+      shifted = true;
+    } else if (value === CODE_C) {
+      codeSet = 'C';
+    } else if ((set === 'A' && value === 100) || (set === 'B' && value === 101)) {
+      codeSet = set === 'A' ? 'B' : 'A';
+    }
+    // FNC2-4 carry no data for our purposes
+  });
+  return gs1 ? `]C1${text}` : text;
+}
+
+// Symbol values from runs starting at a start symbol, or null
+function readSymbols(runs, startIndex) {
+  const values = [];
+  for (let index = startIndex; index + 6 <= runs.length; index += 6) {
+    const value = matchSymbol(runs.slice(index, index + 6));
+    if (value === -1) return null;
+    if (values.length === 0 && !Object.values(START).includes(value)) return null;
+    if (value === STOP) return index + 6 < runs.length ? values : null;
+    values.push(value);
+  }
+  return null;
+}
+
+const hasValidChecksum = (values) => {
+  const check = values[values.length - 1];
+  const sum = values.slice(0, -1).reduce((total, value, index) => total + value * Math.max(index, 1), 0);
+  return sum % 103 === check;
+};
+
+// Text of a Code 128 symbol crossed by `row` (luminance values), read in
+// either direction, or null
+export function decodeCode128Row(row) {
+  const forward = toRuns(Array.from(row));
+  const backward = toRuns(Array.from(row).reverse());
+  for (const runs of [forward, backward]) {
+    // Start symbols sit on dark runs, at even indexes
+    for (let index = 0; index + 6 <= runs.length; index += 2) {
+      const values = readSymbols(runs, index);
+      if (values && values.length >= 2 && hasValidChecksum(values)) return decodeValues(values.slice(0, -1));
+    }
+  }
+  return null;
+}
+
+// Tries rows across an ImageData from the middle outwards
+export function decodeCode128Image({ data, width, height }, rowCount = 24) {
+  const middle = Math.floor(height / 2);
+  const step = Math.max(1, Math.floor(height / (rowCount + 1)));
+  for (let attempt = 0; attempt < rowCount; attempt += 1) {
+    const offset = Math.ceil(attempt / 2) * step * (attempt % 2 === 0 ? 1 : -1);
+    const y = middle + offset;
+    if (y < 0 || y >= height) continue;
+    const row = new Array(width);
+    for (let x = 0; x < width; x += 1) {
+      const pixel = (y * width + x) * 4;
+      row[x] = 0.299 * data[pixel] + 0.587 * data[pixel + 1] + 0.114 * data[pixel + 2];
+    }
+    const text = decodeCode128Row(row);
+    if (text !== null) return text;
+  }
+  return null;
+}
@@ -0,0 +1,32 @@
+import { CODE128_PATTERNS, decodeCode128Image, decodeCode128Row } from './code128';
+
+// Luminance row of a Code 128 symbol, `module` pixels per module
+const drawCode128 = (values, module = 3) => {
+  const checksum = values.reduce((total, value, index) => total + value * Math.max(index, 1), 0) % 103;
+  const widths = [...values, checksum, 106].flatMap(value => CODE128_PATTERNS[value]).concat(2);
+  const quiet = Array(10 * module).fill(255);
+  return [
+    ...quiet,
+    ...widths.flatMap((width, index) => Array(width * module).fill(index % 2 === 0 ? 20 : 235)),
+    ...quiet
+  ];
+};
+
+// Start C, FNC1, "01" "09" ... "10", Code B, "LOT42"
+const GS1_SYMBOL = [105, 102, 1, 9, 50, 11, 1, 53, 0, 3, 10, 100, ...'LOT42'.split('').map(char => char.charCodeAt(0) - 32)];
+
+test('decodes GS1-128 from an image row in either direction', () => {
+  const row = drawCode128(GS1_SYMBOL);
+  expect(decodeCode128Row(row)).toBe(']C1010950110153000310LOT42');
+  expect(decodeCode128Row([...row].reverse())).toBe(']C1010950110153000310LOT42');
+  expect(decodeCode128Row(Array(200).fill(255))).toBeNull();
+
+  // Start B "FB0012" in a small RGBA image, blank above and below the bars
+  const plain = drawCode128([104, ...'FB0012'.split('').map(char => char.charCodeAt(0) - 32)], 2);
+  const height = 9;
+  const data = new Uint8ClampedArray(plain.length * height * 4).fill(255);
+  for (let y = 3; y < 6; y += 1) {
+    plain.forEach((value, x) => data.fill(value, (y * plain.length + x) * 4, (y * plain.length + x) * 4 + 3));
+  }
+  expect(decodeCode128Image({ data, width: plain.length, height })).toBe('FB0012');
+});
@@ -0,0 +1,141 @@
+import { mean, sampleStdDev, toNumericSamples } from './statistics';
+
+// X-bar/R control chart construction and Western Electric run rules, built
+// from the reports stored on this device.
+
+// Shewhart constants by subgroup size n
+const CONTROL_CHART_CONSTANTS = {
+  2: { A2: 1.880, D3: 0, D4: 3.267 },
+  3: { A2: 1.023, D3: 0, D4: 2.574 },
+  4: { A2: 0.729, D3: 0, D4: 2.282 },
+  5: { A2: 0.577, D3: 0, D4: 2.114 },
+  6: { A2: 0.483, D3: 0, D4: 2.004 },
+  7: { A2: 0.419, D3: 0.076, D4: 1.924 },
+  8: { A2: 0.373, D3: 0.136, D4: 1.864 },
+  9: { A2: 0.337, D3: 0.184, D4: 1.816 },
+  10: { A2: 0.308, D3: 0.223, D4: 1.777 }
+};
+
+export const RUN_LENGTH = 7;
+
+// Described to the user by the trends.rule.<id> messages
+export const WESTERN_ELECTRIC_RULES = {
+  BEYOND_3_SIGMA: { id: 1 },
+  TWO_OF_THREE_BEYOND_2_SIGMA: { id: 2 },
+  FOUR_OF_FIVE_BEYOND_1_SIGMA: { id: 3 },
+  RUN_ON_ONE_SIDE: { id: 4 }
+};
+
+const getConstants = (subgroupSize) =>
+  CONTROL_CHART_CONSTANTS[Math.min(Math.max(Math.round(subgroupSize), 2), 10)];
+
+// One point per report for the chosen spout, oldest first
+export function buildSpoutSeries(records, spoutNumber) {
+  return records
+    .map(record => {
+      const { metadata, spouts } = record.payload;
+      const spout = spouts.find(item => item.spoutNumber === spoutNumber && !item.outOfService);
+      const values = spout ? toNumericSamples(spout.samples) : [];
+      if (values.length === 0) return null;
+
+      return {
+        recordId: record.id,
+        date: metadata.date,
+        time: metadata.time,
+        shift: metadata.shift,
+        target: metadata.targetWeight,
+        n: values.length,
+        mean: mean(values),
+        range: Math.max(...values) - Math.min(...values),
+        stdDev: sampleStdDev(values)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`));
+}
+
+export function computeControlLimits(points) {
+  if (points.length === 0) return null;
+
+  const grandMean = mean(points.map(point => point.mean));
+  const averageRange = mean(points.map(point => point.range));
+  const { A2, D3, D4 } = getConstants(mean(points.map(point => point.n)));
+
+  return {
+    xBar: {
+      center: grandMean,
+      upper: grandMean + A2 * averageRange,
+      lower: grandMean - A2 * averageRange,
+      // One sigma of the subgroup mean, used for the rule zones
+      sigma: (A2 * averageRange) / 3
+    },
+    range: {
+      center: averageRange,
+      upper: D4 * averageRange,
+      lower: D3 * averageRange
+    }
+  };
+}
+
+// Evaluates the four Western Electric rules on the subgroup means. Rules 1-3
+// measure zones from the chart's centre line, the grand mean, so rule 1 flags
+// exactly the points plotted beyond the drawn control limits. The run rule
+// compares each point with its report's fill target, `targets[index]`, so a
+// spout that drifts and stays off target is caught even though the grand
+// mean moves with it.
+export function findRuleViolations(values, center, sigma, targets = []) {
+  const violations = [];
+  if (!sigma) return violations;
+
+  const zone = (value) => (value - center) / sigma;
+  const side = (value) => Math.sign(value - center);
+  const sideOfTarget = (value, index) => Math.sign(value - (targets[index] ?? center));
+  const flag = (index, rule) => {
+    if (!violations.some(v => v.index === index && v.rule.id === rule.id)) {
+      violations.push({ index, rule });
+    }
+  };
+
+  values.forEach((value, index) => {
+    if (Math.abs(zone(value)) > 3) {
+      flag(index, WESTERN_ELECTRIC_RULES.BEYOND_3_SIGMA);
+    }
+
+    const windowRule = (size, needed, limit, rule) => {
+      if (index < size - 1) return;
+      const window = values.slice(index - size + 1, index + 1);
+      [1, -1].forEach(direction => {
+        const beyond = window.filter(v => side(v) === direction && Math.abs(zone(v)) > limit);
+        if (beyond.length >= needed && side(value) === direction && Math.abs(zone(value)) > limit) {
+          flag(index, rule);
+        }
+      });
+    };
+    windowRule(3, 2, 2, WESTERN_ELECTRIC_RULES.TWO_OF_THREE_BEYOND_2_SIGMA);
+    windowRule(5, 4, 1, WESTERN_ELECTRIC_RULES.FOUR_OF_FIVE_BEYOND_1_SIGMA);
+
+    if (index >= RUN_LENGTH - 1) {
+      const start = index - RUN_LENGTH + 1;
+      const run = values.slice(start, index + 1).map((v, offset) => sideOfTarget(v, start + offset));
+      if (run[0] !== 0 && run.every(direction => direction === run[0])) {
+        flag(index, WESTERN_ELECTRIC_RULES.RUN_ON_ONE_SIDE);
+      }
+    }
+  });
+
+  return violations.sort((a, b) => a.index - b.index || a.rule.id - b.rule.id);
+}
+
+// Spout numbers only mean the same spout on the same machine, so line and
+// machine always match exactly; empty ids select reports on the profile layout
+export function filterTrendRecords(records, { profileId, lineId = '', machineId = '', fromDate, toDate, shift }) {
+  return records.filter(record => {
+    const { metadata } = record.payload;
+    return metadata.profileId === profileId &&
+      (metadata.lineId || '') === lineId &&
+      (metadata.machineId || '') === machineId &&
+      (!fromDate || metadata.date >= fromDate) &&
+      (!toDate || metadata.date <= toDate) &&
+      (!shift || metadata.shift === shift);
+  });
+}
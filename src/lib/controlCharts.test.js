@@ -0,0 +1,124 @@
+import {
+  RUN_LENGTH,
+  WESTERN_ELECTRIC_RULES,
+  buildSpoutSeries,
+  computeControlLimits,
+  filterTrendRecords,
+  findRuleViolations
+} from './controlCharts';
+
+const record = (id, date, samples) => ({
+  id,
+  payload: {
+    metadata: { date, time: '08:00', shift: 'Morning' },
+    spouts: [{ spoutNumber: 1, samples }]
+  }
+});
+
+test('builds one subgroup per report in chronological order', () => {
+  const series = buildSpoutSeries([
+    record(2, '2024-05-02', ['50.2', '50.4', '50.0']),
+    record(1, '2024-05-01', ['49.9', '50.1', '']),
+    record(3, '2024-05-03', ['', '', ''])
+  ], 1);
+
+  expect(series.map(point => point.recordId)).toEqual([1, 2]);
+  expect(series[1].mean).toBeCloseTo(50.2, 10);
+  expect(series[1].range).toBeCloseTo(0.4, 10);
+  expect(series[0].n).toBe(2);
+});
+
+test('derives X-bar and R limits from the Shewhart constants', () => {
+  const limits = computeControlLimits([
+    { n: 3, mean: 50, range: 0.2 },
+    { n: 3, mean: 50.2, range: 0.4 }
+  ]);
+
+  expect(limits.xBar.center).toBeCloseTo(50.1, 10);
+  expect(limits.xBar.upper).toBeCloseTo(50.1 + 1.023 * 0.3, 10);
+  expect(limits.range.upper).toBeCloseTo(2.574 * 0.3, 10);
+  expect(limits.range.lower).toBe(0);
+});
+
+test('flags a run on one side of target', () => {
+  const values = Array(RUN_LENGTH).fill(50.05);
+  const violations = findRuleViolations(values, 50.05, 0.1, Array(RUN_LENGTH).fill(50));
+
+  expect(violations).toEqual([{ index: RUN_LENGTH - 1, rule: WESTERN_ELECTRIC_RULES.RUN_ON_ONE_SIDE }]);
+  expect(findRuleViolations(values, 50.05, 0.1, Array(RUN_LENGTH).fill(50.05))).toEqual([]);
+});
+
+test('flags a spout that fills steadily above target', () => {
+  const records = Array.from({ length: RUN_LENGTH }, (_, index) => ({
+    id: index,
+    payload: {
+      metadata: { targetWeight: 50, date: `2024-05-0${index + 1}`, time: '08:00', shift: 'Morning' },
+      spouts: [{ spoutNumber: 1, samples: ['50.3', '50.4', '50.5'] }]
+    }
+  }));
+  const points = buildSpoutSeries(records, 1);
+  const limits = computeControlLimits(points);
+  const violations = findRuleViolations(
+    points.map(point => point.mean),
+    limits.xBar.center,
+    limits.xBar.sigma,
+    points.map(point => point.target)
+  );
+
+  expect(violations.map(violation => violation.rule.id)).toEqual([WESTERN_ELECTRIC_RULES.RUN_ON_ONE_SIDE.id]);
+});
+
+test('flags points beyond 3 sigma and 2 of 3 beyond 2 sigma', () => {
+  const violations = findRuleViolations([50, 50.25, 49.9, 50.25, 50.35], 50, 0.1);
+  const rulesAt = (index) => violations.filter(v => v.index === index).map(v => v.rule.id);
+
+  expect(rulesAt(3)).toEqual([WESTERN_ELECTRIC_RULES.TWO_OF_THREE_BEYOND_2_SIGMA.id]);
+  expect(rulesAt(4)).toEqual([
+    WESTERN_ELECTRIC_RULES.BEYOND_3_SIGMA.id,
+    WESTERN_ELECTRIC_RULES.TWO_OF_THREE_BEYOND_2_SIGMA.id
+  ]);
+  expect(rulesAt(1)).toEqual([]);
+});
+
+test('keeps the trends of each machine apart', () => {
+  const onMachine = (id, lineId, machineId, samples) => ({
+    id,
+    payload: {
+      metadata: { profileId: 'bag-25kg', lineId, machineId, date: '2024-05-01', time: `0${id}:00`, shift: 'Morning' },
+      spouts: [{ spoutNumber: 3, samples }]
+    }
+  });
+  const records = [
+    onMachine(1, 'line-1', 'rotary-6', ['25.0', '25.1']),
+    onMachine(2, 'line-2', 'rotary-8', ['26.0', '26.2']),
+    onMachine(3, 'line-1', 'rotary-6', ['25.2', '25.1']),
+    onMachine(4, null, null, ['24.9'])
+  ];
+
+  const rotary6 = filterTrendRecords(records, { profileId: 'bag-25kg', lineId: 'line-1', machineId: 'rotary-6' });
+  expect(buildSpoutSeries(rotary6, 3).map(point => point.recordId)).toEqual([1, 3]);
+  expect(filterTrendRecords(records, { profileId: 'bag-25kg', lineId: 'line-2', machineId: 'rotary-8' })
+    .map(item => item.id)).toEqual([2]);
+  expect(filterTrendRecords(records, { profileId: 'bag-25kg' }).map(item => item.id)).toEqual([4]);
+});
+
+test('flags rule 1 exactly where points plot beyond the drawn limits', () => {
+  // Filling runs 0.4 above target, which alone puts no point out of control
+  const points = [50.35, 50.45, 50.4, 50.38, 50.42, 51.0].map((value, index) => ({
+    n: 3,
+    mean: value,
+    range: 0.3,
+    date: '2024-05-01',
+    time: `0${index}:00`
+  }));
+  const limits = computeControlLimits(points);
+  const means = points.map(point => point.mean);
+  const beyond = findRuleViolations(means, limits.xBar.center, limits.xBar.sigma)
+    .filter(violation => violation.rule.id === WESTERN_ELECTRIC_RULES.BEYOND_3_SIGMA.id)
+    .map(violation => violation.index);
+
+  expect(beyond).toEqual(means
+    .map((value, index) => (value > limits.xBar.upper || value < limits.xBar.lower ? index : null))
+    .filter(index => index !== null));
+  expect(beyond).toEqual([5]);
+});
@@ -0,0 +1,101 @@
+import { summarizeSamples } from './statistics';
+import { createMessage } from './i18n';
+import { getSpoutLabel } from './machines';
+
+// Corrective actions for spouts that ran out of tolerance. A report with any
+// such spout can't go out as plain "accepted": the operator records why it
+// happened and what was done, and decides whether the batch is conditionally
+// accepted or rejected.
+
+export const REPORT_STATUS = {
+  ACCEPTED: 'accepted',
+  CONDITIONALLY_ACCEPTED: 'conditionally-accepted',
+  REJECTED: 'rejected'
+};
+
+export const REPORT_STATUS_LABELS = {
+  [REPORT_STATUS.ACCEPTED]: 'Accepted',
+  [REPORT_STATUS.CONDITIONALLY_ACCEPTED]: 'Conditionally accepted',
+  [REPORT_STATUS.REJECTED]: 'Rejected'
+};
+
+export const DEFAULT_REASON_CODES = [
+  { code: 'CAL', label: 'Spout calibration drift' },
+  { code: 'DENS', label: 'Product density / flow change' },
+  { code: 'MECH', label: 'Mechanical fault (gate, valve, auger)' },
+  { code: 'SCALE', label: 'Check scale error' },
+  { code: 'OPER', label: 'Operator / handling error' },
+  { code: 'OTHER', label: 'Other (see action taken)' }
+];
+
+export const createCorrectiveAction = (sampleCount) => ({
+  reasonCode: '',
+  actionTaken: '',
+  recheckSamples: Array(sampleCount).fill('')
+});
+
+// Drafts from before corrective actions existed have none on their spouts
+export const getCorrectiveAction = (spout) =>
+  spout.correctiveAction || createCorrectiveAction(spout.samples.length);
+
+// Out of tolerance when any sample, or the spout average, is outside the limits
+export function isSpoutOutOfTolerance(stats, { lowerLimit, upperLimit }) {
+  if (!stats || stats.count === 0) return false;
+  return stats.outOfSpecCount > 0 || stats.mean < lowerLimit || stats.mean > upperLimit;
+}
+
+// Spouts taken out of service don't count, whatever their samples say
+export const getOutOfToleranceSpouts = (spoutData, limits) => spoutData
+  .map((spout, spoutIndex) => ({ spoutIndex, spout, stats: summarizeSamples(spout.samples, limits) }))
+  .filter(({ spout, stats }) => !spout.outOfService && isSpoutOutOfTolerance(stats, limits))
+  .map(({ spoutIndex }) => spoutIndex);
+
+// Whatever is still missing before the report may be submitted, keyed by the
+// form field it belongs to: [{ field, key, params, message }]
+export function getCorrectiveActionIssues(formData, limits) {
+  const outOfTolerance = getOutOfToleranceSpouts(formData.spoutData, limits);
+  const issues = [];
+
+  outOfTolerance.forEach(spoutIndex => {
+    const spout = formData.spoutData[spoutIndex];
+    const action = getCorrectiveAction(spout);
+    const field = `spoutData.${spoutIndex}.correctiveAction`;
+    const label = getSpoutLabel(spout, spoutIndex);
+    if (!action.reasonCode) {
+      issues.push({ field: `${field}.reasonCode`, ...createMessage('corrective.missingReason', { spout: label }) });
+    }
+    if (!action.actionTaken.trim()) {
+      issues.push({ field: `${field}.actionTaken`, ...createMessage('corrective.missingAction', { spout: label }) });
+    }
+  });
+  if (outOfTolerance.length > 0 && !formData.reportStatus) {
+    issues.push({ field: 'reportStatus', ...createMessage('corrective.missingDisposition') });
+  }
+  return issues;
+}
+
+export const getCorrectiveActionErrors = (formData, limits) =>
+  getCorrectiveActionIssues(formData, limits).map(issue => issue.message);
+
+export function getReportStatus(formData, limits) {
+  if (getOutOfToleranceSpouts(formData.spoutData, limits).length === 0) return REPORT_STATUS.ACCEPTED;
+  return formData.reportStatus || REPORT_STATUS.REJECTED;
+}
+
+// Payload section: one entry per out-of-tolerance spout
+export function buildCorrectiveActions(spoutData, limits, reasonCodes) {
+  return getOutOfToleranceSpouts(spoutData, limits).map(spoutIndex => {
+    const action = getCorrectiveAction(spoutData[spoutIndex]);
+    const reason = reasonCodes.find(item => item.code === action.reasonCode);
+    const recheckSamples = action.recheckSamples.filter(sample => sample !== '');
+    return {
+      spoutNumber: spoutIndex + 1,
+      spoutLabel: String(getSpoutLabel(spoutData[spoutIndex], spoutIndex)),
+      reasonCode: action.reasonCode,
+      reasonLabel: reason ? reason.label : '',
+      actionTaken: action.actionTaken,
+      recheckSamples,
+      recheckStatistics: recheckSamples.length ? summarizeSamples(recheckSamples, limits) : null
+    };
+  });
+}
@@ -0,0 +1,55 @@
+import {
+  REPORT_STATUS,
+  buildCorrectiveActions,
+  getCorrectiveActionErrors,
+  getReportStatus,
+  isSpoutOutOfTolerance
+} from './correctiveActions';
+import { summarizeSamples } from './statistics';
+
+const limits = { lowerLimit: 49.5, upperLimit: 50.5 };
+const reasonCodes = [{ code: 'CAL', label: 'Spout calibration drift' }];
+const spout = (samples, correctiveAction) => ({ samples, comments: '', correctiveAction });
+
+test('flags a spout with any sample or its average outside the limits', () => {
+  expect(isSpoutOutOfTolerance(summarizeSamples(['50.0', '50.1'], limits), limits)).toBe(false);
+  expect(isSpoutOutOfTolerance(summarizeSamples(['50.0', '50.7'], limits), limits)).toBe(true);
+  expect(isSpoutOutOfTolerance(summarizeSamples([], limits), limits)).toBe(false);
+});
+
+test('requires a reason, an action and a disposition for out-of-tolerance spouts', () => {
+  const formData = { reportStatus: '', spoutData: [spout(['50.0']), spout(['51.0'])] };
+  expect(getCorrectiveActionErrors(formData, limits)).toEqual([
+    'Spout 2: select a reason code for the out-of-tolerance result',
+    'Spout 2: describe the corrective action taken',
+    'Mark the report as conditionally accepted or rejected'
+  ]);
+
+  const completed = {
+    reportStatus: REPORT_STATUS.CONDITIONALLY_ACCEPTED,
+    spoutData: [spout(['50.0']), spout(['51.0'], { reasonCode: 'CAL', actionTaken: 'Recalibrated', recheckSamples: ['50.1', ''] })]
+  };
+  expect(getCorrectiveActionErrors(completed, limits)).toEqual([]);
+  expect(getReportStatus(completed, limits)).toBe(REPORT_STATUS.CONDITIONALLY_ACCEPTED);
+});
+
+test('reports in tolerance are accepted without any corrective action', () => {
+  expect(getReportStatus({ reportStatus: '', spoutData: [spout(['50.0'])] }, limits)).toBe(REPORT_STATUS.ACCEPTED);
+});
+
+test('builds one payload entry per out-of-tolerance spout', () => {
+  const spoutData = [
+    spout(['50.0']),
+    spout(['51.0'], { reasonCode: 'CAL', actionTaken: 'Recalibrated', recheckSamples: ['50.1', ''] })
+  ];
+  expect(buildCorrectiveActions(spoutData, limits, reasonCodes)).toEqual([
+    expect.objectContaining({
+      spoutNumber: 2,
+      reasonCode: 'CAL',
+      reasonLabel: 'Spout calibration drift',
+      actionTaken: 'Recalibrated',
+      recheckSamples: ['50.1'],
+      recheckStatistics: expect.objectContaining({ count: 1, outOfSpecCount: 0 })
+    })
+  ]);
+});
@@ -0,0 +1,40 @@
+// Small helpers over the Web Crypto API (available in secure contexts only).
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+const getSubtle = () => {
+  const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+  if (!subtle) {
+    throw new Error('Web Crypto is not available (the app must be served over HTTPS)');
+  }
+  return subtle;
+};
+
+export async function sha256Hex(text) {
+  const digest = await getSubtle().digest('SHA-256', new TextEncoder().encode(text));
+  return toHex(digest);
+}
+
+// PINs and badge codes are stored as "<salt>:<SHA-256 of salt:secret>" so the
+// same PIN doesn't give the same hash on every device. Hashes saved before
+// salting, and the factory PIN, are a bare SHA-256 of the secret.
+export async function hashSecret(secret) {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return `${salt}:${await sha256Hex(`${salt}:${secret}`)}`;
+}
+
+export async function verifySecret(secret, storedHash) {
+  if (!storedHash) return false;
+  const [salt, hash] = storedHash.includes(':') ? storedHash.split(':') : ['', storedHash];
+  return (await sha256Hex(salt ? `${salt}:${secret}` : secret)) === hash;
+}
+
+export async function hmacSha256Hex(secret, message) {
+  const subtle = getSubtle();
+  const encoder = new TextEncoder();
+  const key = await subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await subtle.sign('HMAC', key, encoder.encode(message));
+  return toHex(signature);
+}
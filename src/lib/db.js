@@ -0,0 +1,80 @@
+// Thin promise wrapper around IndexedDB, shared by the app and the service worker.
+
+const DB_NAME = 'weight-check';
+const DB_VERSION = 2;
+
+export const STORES = {
+  SUBMISSIONS: 'submissions',
+  // Config (URLs, credentials) of each backend, kept for the service worker
+  BACKENDS: 'backends'
+};
+
+let dbPromise = null;
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export function openDB() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.SUBMISSIONS)) {
+        const store = db.createObjectStore(STORES.SUBMISSIONS, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('status', 'status');
+        store.createIndex('createdAt', 'createdAt');
+      }
+      if (!db.objectStoreNames.contains(STORES.BACKENDS)) {
+        db.createObjectStore(STORES.BACKENDS, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later call to retry if opening failed
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+// Runs `callback(store)` inside a transaction and resolves once it commits.
+export async function withStore(storeName, mode, callback) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    Promise.resolve(callback(tx.objectStore(storeName)))
+      .then(value => { result = value; })
+      .catch(error => {
+        tx.abort();
+        reject(error);
+      });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+export const getAll = (storeName) =>
+  withStore(storeName, 'readonly', store => promisifyRequest(store.getAll()));
+
+export const getRecord = (storeName, key) =>
+  withStore(storeName, 'readonly', store => promisifyRequest(store.get(key)));
+
+export const putRecord = (storeName, record) =>
+  withStore(storeName, 'readwrite', store => promisifyRequest(store.put(record)));
+
+export const deleteRecord = (storeName, key) =>
+  withStore(storeName, 'readwrite', store => promisifyRequest(store.delete(key)));
+
+export { promisifyRequest };
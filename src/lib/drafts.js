@@ -0,0 +1,66 @@
+// In-progress reports saved on the device so a reload or crash doesn't lose
+// them. Each form carries its own draftId, which lets several operators keep
+// separate drafts on a shared tablet.
+
+const STORAGE_KEY = 'weight-check-drafts';
+
+// Drafts untouched for this long are dropped; by then their shift is long over
+export const DRAFT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const createDraftId = () =>
+  `draft-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const readDrafts = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.error('Stored drafts are unreadable, ignoring them:', error);
+    return {};
+  }
+};
+
+const writeDrafts = (drafts) => localStorage.setItem(STORAGE_KEY, JSON.stringify(drafts));
+
+export const countEnteredSamples = (formData) =>
+  formData.spoutData.reduce((total, spout) => total + spout.samples.filter(sample => sample !== '').length, 0);
+
+// Nothing worth recovering until the operator has typed something
+export const isFormEmpty = (formData) =>
+  !formData.operatorName.trim() &&
+  !formData.generalComments.trim() &&
+  formData.spoutData.every(spout => !spout.comments.trim()) &&
+  countEnteredSamples(formData) === 0;
+
+export const getDraftLabel = (draft) => {
+  const { operatorName, shift, date } = draft.formData;
+  return [operatorName.trim() || 'Unnamed operator', shift || 'No shift', date].join(' · ');
+};
+
+export function listDrafts(now = Date.now()) {
+  const drafts = readDrafts();
+  const expired = Object.keys(drafts).filter(id => now - (drafts[id].updatedAt || 0) > DRAFT_MAX_AGE_MS);
+  if (expired.length > 0) {
+    expired.forEach(id => delete drafts[id]);
+    writeDrafts(drafts);
+  }
+  return Object.values(drafts).sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function saveDraft(formData) {
+  const drafts = readDrafts();
+  drafts[formData.draftId] = {
+    id: formData.draftId,
+    operatorName: formData.operatorName,
+    shift: formData.shift,
+    formData,
+    updatedAt: Date.now()
+  };
+  writeDrafts(drafts);
+}
+
+export function deleteDraft(draftId) {
+  const drafts = readDrafts();
+  if (!drafts[draftId]) return;
+  delete drafts[draftId];
+  writeDrafts(drafts);
+}
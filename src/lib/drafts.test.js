@@ -0,0 +1,64 @@
+import { DRAFT_MAX_AGE_MS, deleteDraft, getDraftLabel, isFormEmpty, listDrafts, saveDraft } from './drafts';
+import { createInitialFormState, withFormDefaults } from './formState';
+import { DEFAULT_PROFILES } from './profiles';
+
+const profile = DEFAULT_PROFILES[1];
+
+const filledForm = (operatorName, shift) => {
+  const formData = createInitialFormState(profile);
+  formData.operatorName = operatorName;
+  formData.shift = shift;
+  formData.spoutData[0].samples = ['50.1', '', ''];
+  return formData;
+};
+
+beforeEach(() => localStorage.clear());
+
+test('only counts a form as worth saving once something is entered', () => {
+  const formData = createInitialFormState(profile);
+  expect(isFormEmpty(formData)).toBe(true);
+  expect(isFormEmpty({ ...formData, operatorName: '  ' })).toBe(true);
+  expect(isFormEmpty(filledForm('', ''))).toBe(false);
+});
+
+test('keeps a separate draft per form so operators on one device don\'t overwrite each other', () => {
+  const ana = filledForm('Ana', 'Morning');
+  const bo = filledForm('Bo', 'Night');
+  saveDraft(ana);
+  saveDraft(bo);
+  saveDraft({ ...ana, generalComments: 'Spout 3 drifting' });
+
+  const drafts = listDrafts();
+  expect(drafts.map(draft => draft.operatorName).sort()).toEqual(['Ana', 'Bo']);
+  expect(drafts.find(draft => draft.id === ana.draftId).formData.generalComments).toBe('Spout 3 drifting');
+  expect(getDraftLabel(drafts.find(draft => draft.id === bo.draftId))).toBe(`Bo · Night · ${bo.date}`);
+
+  deleteDraft(bo.draftId);
+  expect(listDrafts().map(draft => draft.id)).toEqual([ana.draftId]);
+});
+
+test('resumes a draft saved by an older version with the newer fields filled in', () => {
+  const { traceability, auditTrail, ...older } = filledForm('Ana', 'Morning');
+  saveDraft(older);
+
+  const [draft] = listDrafts();
+  const resumed = withFormDefaults(draft.formData, profile);
+  expect(resumed.draftId).toBe(older.draftId);
+  expect(resumed.spoutData[0].samples).toEqual(['50.1', '', '']);
+  expect(resumed.auditTrail).toEqual([]);
+  expect(resumed.traceability).toEqual(createInitialFormState(profile).traceability);
+});
+
+test('drops drafts that have not been touched within the maximum age', () => {
+  const stale = filledForm('Ana', 'Morning');
+  const fresh = filledForm('Bo', 'Night');
+  saveDraft(stale);
+  saveDraft(fresh);
+  const saved = JSON.parse(localStorage.getItem('weight-check-drafts'));
+  const now = saved[fresh.draftId].updatedAt;
+  saved[stale.draftId].updatedAt = now - DRAFT_MAX_AGE_MS - 1;
+  localStorage.setItem('weight-check-drafts', JSON.stringify(saved));
+
+  expect(listDrafts(now).map(draft => draft.id)).toEqual([fresh.draftId]);
+  expect(Object.keys(JSON.parse(localStorage.getItem('weight-check-drafts')))).toEqual([fresh.draftId]);
+});
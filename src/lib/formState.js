@@ -0,0 +1,235 @@
+import { findProfile } from './profiles';
+import { createDraftId } from './drafts';
+import { mean, sampleStdDev, toNumericSamples } from './statistics';
+import { convertEntry, toKg } from './units';
+import { createCorrectiveAction, getCorrectiveAction } from './correctiveActions';
+import { findMachine, getSpoutLayout } from './machines';
+import { createTraceabilityData } from './traceability';
+
+// Builders for the in-progress report held by WeightCheckForm
+
+// How a sample value got into the form
+export const SAMPLE_SOURCE = {
+  MANUAL: 'manual',
+  SCALE: 'scale'
+};
+
+// `samples` always holds the net weight, in the product's unit, that
+// statistics and tolerances use. The detail keeps what was actually weighed:
+// the value as entered and its unit, gross and tare in the product unit, and
+// the net weight in kilograms. A blank detail leaves `entered` and `gross`
+// unset so that getSampleDetail falls back to the sample itself.
+const createSampleDetail = () => ({
+  source: SAMPLE_SOURCE.MANUAL,
+  enteredUnit: '',
+  tare: '',
+  netKg: null
+});
+
+export const createSpoutData = (profile) => ({
+  samples: Array(profile.numSamplesPerSpout).fill(''),
+  sampleDetails: Array(profile.numSamplesPerSpout).fill().map(() => createSampleDetail()),
+  // Overrides the report-level tare for this spout when set
+  tare: '',
+  average: null,
+  stdDev: null,
+  comments: '',
+  // Label on the machine, and whether the spout is excluded from the check
+  label: '',
+  outOfService: false,
+  // Filler setpoint change the operator accepted from the recommendation
+  setpointAdjustment: null,
+  // Only filled in when the spout runs out of tolerance
+  correctiveAction: createCorrectiveAction(profile.numSamplesPerSpout)
+});
+
+// Calendar date on this device; toISOString() would give the UTC date, which
+// is already tomorrow on an evening shift west of Greenwich
+export const toLocalDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Spouts a machine doesn't have fitted start out of service
+const createLayoutSpouts = (profile, machine) => getSpoutLayout(profile, machine)
+  .map(({ label, active }) => ({ ...createSpoutData(profile), label, outOfService: !active }));
+
+export const createInitialFormState = (profile, { lineId = '', machine = null } = {}) => ({
+  draftId: createDraftId(),
+  profileId: profile.id,
+  // Packing line and machine, empty when the profile's own layout is used
+  lineId,
+  machineId: machine ? machine.id : '',
+  operatorName: '',
+  // Roster id of the logged-in operator, empty when login is off
+  operatorId: '',
+  shift: '',
+  date: toLocalDate(new Date()),
+  time: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false }),
+  spoutData: createLayoutSpouts(profile, machine),
+  // Product unit the samples are held in, and the unit they are typed or read in
+  unit: profile.unit,
+  entryUnit: profile.unit,
+  // Container/pallet weight subtracted from every gross entry
+  tare: '',
+  // Product code, lot, film batch and production order (see traceability)
+  traceability: createTraceabilityData(),
+  generalComments: '',
+  // Operator's disposition when a spout is out of tolerance (see correctiveActions)
+  reportStatus: '',
+  supervisorName: '',
+  // Each signature is { image: PNG data URL, signedAt: ISO time } once signed
+  signatures: { operator: null, supervisor: null },
+  // Hash-chained log of every edit (see auditTrail)
+  auditTrail: []
+});
+
+// Drafts saved by an older version of the app may lack newer fields
+export const withFormDefaults = (formData, profile) => ({
+  ...createInitialFormState(profile),
+  ...formData
+});
+
+export const calculateSpoutStats = (samples) => {
+  const values = toNumericSamples(samples);
+  return {
+    average: mean(values),
+    stdDev: sampleStdDev(values)
+  };
+};
+
+// Samples saved before per-sample details existed count as typed by hand,
+// untared and in the product unit. A blank gross next to a filled sample is a
+// placeholder from an older import, so the sample wins there too.
+export const getSampleDetail = (spout, sampleIndex) => {
+  const stored = (spout.sampleDetails && spout.sampleDetails[sampleIndex]) || {};
+  const gross = stored.gross || spout.samples[sampleIndex] || '';
+  return { ...createSampleDetail(), ...stored, gross, entered: stored.entered || gross };
+};
+
+const countDecimals = (value) => (String(value).split('.')[1] || '').length;
+
+// Net weight as a string, at the finer of the two entry resolutions
+export const netWeight = (gross, tare) => {
+  const grossValue = parseFloat(gross);
+  const tareValue = parseFloat(tare);
+  if (gross === '' || isNaN(grossValue) || !tareValue) return gross;
+  return (grossValue - tareValue).toFixed(Math.max(countDecimals(gross), countDecimals(tare)));
+};
+
+// The spout's own tare wins over the report tare
+export const getEffectiveTare = (formData, spoutIndex) => {
+  const spout = formData.spoutData[spoutIndex];
+  return (spout && spout.tare) || formData.tare || '';
+};
+
+// Resizes a spout to `count` samples, keeping the entries that still fit
+export const resizeSpout = (spout, count) => {
+  const samples = Array(count).fill('').map((_, sampleIndex) => spout.samples[sampleIndex] ?? '');
+  const correctiveAction = getCorrectiveAction(spout);
+  return {
+    ...spout,
+    samples,
+    correctiveAction: {
+      ...correctiveAction,
+      recheckSamples: samples.map((_, sampleIndex) => correctiveAction.recheckSamples[sampleIndex] ?? '')
+    },
+    sampleDetails: samples.map((_, sampleIndex) => getSampleDetail(spout, sampleIndex)),
+    ...calculateSpoutStats(samples)
+  };
+};
+
+const buildSample = ({ source, entered, enteredUnit, tare, unit }) => {
+  const gross = convertEntry(entered, enteredUnit, unit);
+  const net = netWeight(gross, tare);
+  const netValue = parseFloat(net);
+  return {
+    sample: net,
+    detail: {
+      source,
+      entered,
+      enteredUnit: entered === '' ? '' : enteredUnit || unit,
+      gross,
+      tare: entered === '' ? '' : tare,
+      netKg: isNaN(netValue) ? null : Number(toKg(netValue, unit).toFixed(6))
+    }
+  };
+};
+
+// `entered` is the value as weighed, in `enteredUnit`; with no tare and no
+// conversion it is also the net value
+export const setSpoutSample = (spout, sampleIndex, entered, {
+  source = SAMPLE_SOURCE.MANUAL,
+  tare = '',
+  unit,
+  enteredUnit = unit
+}) => {
+  const { sample, detail } = buildSample({ source, entered, enteredUnit, tare, unit });
+  const samples = spout.samples.map((value, index) => (index === sampleIndex ? sample : value));
+  return {
+    ...spout,
+    samples,
+    sampleDetails: samples.map((_, index) => (index === sampleIndex ? detail : getSampleDetail(spout, index))),
+    ...calculateSpoutStats(samples)
+  };
+};
+
+// Recomputes every net value from what was entered, after the tare or the
+// product unit changes
+export const recalculateSpout = (spout, { tare, unit }) => {
+  const rebuilt = spout.samples.map((_, index) => {
+    const { source, entered, enteredUnit } = getSampleDetail(spout, index);
+    return buildSample({ source, entered, enteredUnit, tare, unit });
+  });
+  const samples = rebuilt.map(entry => entry.sample);
+  return { ...spout, samples, sampleDetails: rebuilt.map(entry => entry.detail), ...calculateSpoutStats(samples) };
+};
+
+// Out-of-service spouts take no samples and are left out of every statistic
+export const isSpoutInService = (spout) => !spout.outOfService;
+
+export const getSpoutsInService = (spoutData) => spoutData.filter(isSpoutInService);
+
+// Next empty sample, starting at `fromSpoutIndex` and wrapping around the
+// spouts in service
+export const findNextEmptySample = (spoutData, fromSpoutIndex = 0) => {
+  for (let offset = 0; offset < spoutData.length; offset += 1) {
+    const spoutIndex = (fromSpoutIndex + offset) % spoutData.length;
+    if (!isSpoutInService(spoutData[spoutIndex])) continue;
+    const sampleIndex = spoutData[spoutIndex].samples.findIndex(sample => sample === '');
+    if (sampleIndex !== -1) return { spoutIndex, sampleIndex };
+  }
+  return null;
+};
+
+// Rebuilds an editable report from a submitted payload. Date and time are
+// reset to now because the copy is a new check, not an edit of the old one.
+// The machine is kept while it is still configured in `lines`.
+export const payloadToFormData = (payload, profiles, lines = []) => {
+  const profile = findProfile(profiles, payload.metadata.profileId);
+  const lineId = payload.metadata.lineId || '';
+  const machine = findMachine(lines, lineId, payload.metadata.machineId);
+  const blank = createInitialFormState(profile, { lineId: machine ? lineId : '', machine });
+
+  return {
+    ...blank,
+    operatorName: payload.metadata.operatorName || '',
+    tare: payload.metadata.tare || '',
+    shift: payload.metadata.shift || '',
+    traceability: { ...blank.traceability, ...payload.metadata.traceability },
+    generalComments: payload.metadata.generalComments || '',
+    spoutData: blank.spoutData.map((spout, spoutIndex) => {
+      const source = payload.spouts[spoutIndex];
+      if (!source) return spout;
+
+      const resized = resizeSpout({ ...spout, samples: source.samples, sampleDetails: source.sampleDetails }, spout.samples.length);
+      return {
+        ...resized,
+        tare: source.tare || '',
+        comments: source.comments || '',
+        outOfService: spout.outOfService || Boolean(source.outOfService)
+      };
+    })
+  };
+};
@@ -0,0 +1,56 @@
+import { DEFAULT_PROFILES } from './profiles';
+import { createSpoutData, getEffectiveTare, getSampleDetail, netWeight, recalculateSpout, setSpoutSample } from './formState';
+
+const spout = (samples, extra = {}) => ({ samples, tare: '', comments: '', ...extra });
+
+test('nets out the tare at the finer entry resolution', () => {
+  expect(netWeight('51.25', '1.2')).toBe('50.05');
+  expect(netWeight('50.1', '')).toBe('50.1');
+  expect(netWeight('', '1.2')).toBe('');
+});
+
+test('keeps gross and tare on the sample record and the net in samples', () => {
+  const updated = setSpoutSample(spout(['', '']), 1, '51.2', { source: 'scale', tare: '1.2', unit: 'kg' });
+  expect(updated.samples).toEqual(['', '50.0']);
+  expect(updated.sampleDetails[1]).toEqual(
+    expect.objectContaining({ source: 'scale', entered: '51.2', gross: '51.2', tare: '1.2', netKg: 50 })
+  );
+  expect(updated.average).toBeCloseTo(50);
+});
+
+test('recomputes nets when the tare changes', () => {
+  const entered = setSpoutSample(spout(['', '']), 0, '51.2', { unit: 'kg' });
+  const tared = recalculateSpout(entered, { tare: '0.7', unit: 'kg' });
+  expect(tared.samples).toEqual(['50.5', '']);
+  expect(tared.sampleDetails[0].tare).toBe('0.7');
+  expect(recalculateSpout(tared, { tare: '', unit: 'kg' }).samples).toEqual(['51.2', '']);
+});
+
+test('converts entries into the product unit and keeps the value as entered', () => {
+  const updated = setSpoutSample(spout(['']), 0, '110.5', { unit: 'kg', enteredUnit: 'lb' });
+  expect(updated.samples).toEqual(['50.12']);
+  expect(updated.sampleDetails[0]).toEqual(
+    expect.objectContaining({ entered: '110.5', enteredUnit: 'lb', gross: '50.12', netKg: 50.12 })
+  );
+
+  // Switching the product to pounds converts from the original entry, not the rounded kg value
+  expect(recalculateSpout(updated, { tare: '', unit: 'lb' }).samples).toEqual(['110.5']);
+});
+
+test('treats samples from older drafts as untared manual entries', () => {
+  expect(getSampleDetail(spout(['49.9']), 0)).toEqual(
+    expect.objectContaining({ source: 'manual', entered: '49.9', gross: '49.9', tare: '' })
+  );
+});
+
+test('blank sample details fall back to the stored samples', () => {
+  const blank = { ...createSpoutData(DEFAULT_PROFILES[0]), samples: ['50.1', '', ''] };
+  expect(getSampleDetail(blank, 0)).toEqual(expect.objectContaining({ entered: '50.1', gross: '50.1' }));
+  expect(recalculateSpout(blank, { tare: '', unit: 'kg' }).samples).toEqual(['50.1', '', '']);
+});
+
+test('prefers the spout tare over the report tare', () => {
+  const formData = { tare: '1.0', spoutData: [spout([]), spout([], { tare: '2.5' })] };
+  expect(getEffectiveTare(formData, 0)).toBe('1.0');
+  expect(getEffectiveTare(formData, 1)).toBe('2.5');
+});
@@ -0,0 +1,99 @@
+import en from '../locales/en';
+import fr from '../locales/fr';
+import pt from '../locales/pt';
+
+// Translation catalogs and locale-aware number handling. Catalogs are flat
+// maps of key to text with {placeholders}; a missing key falls back to
+// English, then to the key itself, so a half-translated catalog still works.
+
+export const LOCALES = {
+  en: { label: 'English', catalog: en },
+  fr: { label: 'Français', catalog: fr },
+  pt: { label: 'Português', catalog: pt }
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+export const isSupportedLocale = (locale) => Object.prototype.hasOwnProperty.call(LOCALES, locale);
+
+// First browser language we have a catalog for
+export function detectLocale(languages = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language]) {
+  const match = languages
+    .filter(Boolean)
+    .map(language => language.toLowerCase().split('-')[0])
+    .find(isSupportedLocale);
+  return match || DEFAULT_LOCALE;
+}
+
+// Params may themselves be { key, params } messages, translated in turn
+export function translate(locale, key, params = {}) {
+  const catalog = (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).catalog;
+  const template = catalog[key] ?? en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return placeholder;
+    return typeof value === 'object' && value.key ? translate(locale, value.key, value.params) : String(value);
+  });
+}
+
+// Messages built outside React (validation issues, stored warnings) carry their
+// key and params so the UI can show them in the operator's language, plus the
+// English text for payloads and logs
+export const createMessage = (key, params = {}) => ({ key, params, message: translate(DEFAULT_LOCALE, key, params) });
+
+const separatorCache = {};
+
+export function getNumberSeparators(locale) {
+  if (!separatorCache[locale]) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    separatorCache[locale] = {
+      decimal: (parts.find(part => part.type === 'decimal') || { value: '.' }).value,
+      group: (parts.find(part => part.type === 'group') || { value: ',' }).value
+    };
+  }
+  return separatorCache[locale];
+}
+
+// Turns what an operator typed ("50,2", "1.000,5", "1 000") into a plain
+// "50.2"-style string, keeping the digits as typed so the entry's resolution
+// survives. Returns null when the text isn't a number. A single separator is
+// read as the decimal point unless it is this locale's grouping separator
+// followed by exactly three digits.
+export function normalizeLocaleNumber(text, locale) {
+  const { decimal, group } = getNumberSeparators(locale);
+  let value = String(text).trim().replace(/\s/g, '');
+  if (value === '') return null;
+
+  const separators = value.match(/[.,]/g) || [];
+  if (new Set(separators).size > 1) {
+    // Both kinds present: the last one is the decimal separator
+    const decimalChar = value.lastIndexOf('.') > value.lastIndexOf(',') ? '.' : ',';
+    value = value.split(decimalChar === '.' ? ',' : '.').join('').replace(decimalChar, '.');
+  } else if (separators.length > 1) {
+    value = value.split(separators[0]).join('');
+  } else if (separators.length === 1) {
+    const separator = separators[0];
+    const isGrouping = separator === group && separator !== decimal && /^[-+]?\d{1,3}[.,]\d{3}$/.test(value);
+    value = value.replace(separator, isGrouping ? '' : '.');
+  }
+
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(value) ? value.replace(/^\+/, '') : null;
+}
+
+export const parseLocaleNumber = (text, locale) => {
+  const normalized = normalizeLocaleNumber(text, locale);
+  return normalized === null ? NaN : Number(normalized);
+};
+
+// A stored "50.2" shown the way this locale writes it ("50,2")
+export function toLocaleInputText(value, locale) {
+  if (value === '' || value === null || value === undefined) return '';
+  const text = String(value);
+  return /^-?\d*\.?\d*$/.test(text) ? text.replace('.', getNumberSeparators(locale).decimal) : text;
+}
+
+// Locale counterpart of statistics.formatStat()
+export function formatLocaleNumber(value, digits, locale) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return '—';
+  return new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+}
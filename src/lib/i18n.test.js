@@ -0,0 +1,58 @@
+import {
+  LOCALES,
+  createMessage,
+  detectLocale,
+  formatLocaleNumber,
+  normalizeLocaleNumber,
+  parseLocaleNumber,
+  toLocaleInputText,
+  translate
+} from './i18n';
+
+test('every catalog translates every English key', () => {
+  const keys = Object.keys(LOCALES.en.catalog).sort();
+  Object.entries(LOCALES).forEach(([, { catalog }]) => {
+    expect(Object.keys(catalog).sort()).toEqual(keys);
+  });
+});
+
+test('interpolates params, including nested messages, and falls back to English', () => {
+  expect(translate('fr', 'form.spout', { number: 3 })).toBe('Bec 3');
+  expect(translate('pt', 'validation.notPositive', {
+    subject: { key: 'validation.subject.sample', params: { spout: 1, sample: 2 } }
+  })).toBe('Bico 1 amostra 2: o peso deve ser maior que zero');
+  expect(translate('de', 'form.submit')).toBe('Submit Report');
+  expect(translate('fr', 'missing.key')).toBe('missing.key');
+  expect(createMessage('form.spout', { number: 1 })).toEqual({ key: 'form.spout', params: { number: 1 }, message: 'Spout 1' });
+});
+
+test('picks the first supported browser language', () => {
+  expect(detectLocale(['de-DE', 'pt-BR', 'en'])).toBe('pt');
+  expect(detectLocale(['de-DE'])).toBe('en');
+});
+
+test('parses decimal commas and points in any locale', () => {
+  expect(normalizeLocaleNumber('50,2', 'fr')).toBe('50.2');
+  expect(normalizeLocaleNumber('50,20', 'en')).toBe('50.20');
+  expect(normalizeLocaleNumber('50.2', 'pt')).toBe('50.2');
+  expect(normalizeLocaleNumber(' 1 000,5 ', 'fr')).toBe('1000.5');
+  expect(normalizeLocaleNumber('1.000,5', 'pt')).toBe('1000.5');
+  expect(normalizeLocaleNumber('1,000.5', 'en')).toBe('1000.5');
+  expect(normalizeLocaleNumber('abc', 'en')).toBeNull();
+  expect(normalizeLocaleNumber('', 'en')).toBeNull();
+  expect(parseLocaleNumber('-0,5', 'fr')).toBe(-0.5);
+});
+
+test('reads a lone grouping separator followed by three digits as thousands', () => {
+  expect(normalizeLocaleNumber('1,000', 'en')).toBe('1000');
+  expect(normalizeLocaleNumber('1.000', 'pt')).toBe('1000');
+  expect(normalizeLocaleNumber('1.000', 'en')).toBe('1.000');
+});
+
+test('formats stored values and statistics the local way', () => {
+  expect(toLocaleInputText('50.25', 'fr')).toBe('50,25');
+  expect(toLocaleInputText('50.25', 'en')).toBe('50.25');
+  expect(toLocaleInputText('', 'fr')).toBe('');
+  expect(formatLocaleNumber(50.256, 2, 'pt')).toBe('50,26');
+  expect(formatLocaleNumber(null, 2, 'fr')).toBe('—');
+});
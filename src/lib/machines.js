@@ -0,0 +1,74 @@
+// Packing lines and their machines. A machine fixes the spout layout of a
+// report: how many spouts, the labels they carry on the machine and which of
+// them are fitted. Reports without a machine use the product profile's spout
+// count instead.
+
+const numberedSpouts = (count) => Array(count).fill().map((_, index) => ({ label: String(index + 1), active: true }));
+
+export const DEFAULT_LINES = [
+  {
+    id: 'line-1',
+    name: 'Line 1',
+    machines: [{ id: 'rotary-6', name: '6-spout rotary', spouts: numberedSpouts(6) }]
+  },
+  {
+    id: 'line-2',
+    name: 'Line 2',
+    machines: [{ id: 'rotary-8', name: '8-spout rotary', spouts: numberedSpouts(8) }]
+  },
+  {
+    id: 'line-3',
+    name: 'Line 3',
+    machines: [{ id: 'net-weigher-2', name: '2-spout net weigher', spouts: [{ label: 'A', active: true }, { label: 'B', active: true }] }]
+  }
+];
+
+export const findLine = (lines, lineId) => (lines || []).find(line => line.id === lineId) || null;
+
+export const findMachine = (lines, lineId, machineId) => {
+  const line = findLine(lines, lineId);
+  return (line && line.machines.find(machine => machine.id === machineId)) || null;
+};
+
+// What the operator calls a spout: its machine label, else its number
+export const getSpoutLabel = (spout, spoutIndex) => (spout && spout.label) || spoutIndex + 1;
+
+// { label, active } per spout of a report; profile spouts go by number only
+export const getSpoutLayout = (profile, machine) => (machine
+  ? machine.spouts
+  : Array(profile.numSpouts).fill().map(() => ({ label: '', active: true })));
+
+function normalizeMachine(machine, index, lineName) {
+  if (!machine || !machine.id || !machine.name) {
+    throw new Error(`Machine ${index + 1} on ${lineName} needs an id and a name`);
+  }
+  if (!Array.isArray(machine.spouts) || machine.spouts.length === 0) {
+    throw new Error(`Machine "${machine.name}" needs at least one spout`);
+  }
+  const spouts = machine.spouts.map((spout, spoutIndex) => ({
+    label: String((spout && spout.label) || spoutIndex + 1).trim(),
+    active: !spout || spout.active !== false
+  }));
+  if (!spouts.some(spout => spout.active)) {
+    throw new Error(`Machine "${machine.name}" needs at least one active spout`);
+  }
+  if (new Set(spouts.map(spout => spout.label)).size !== spouts.length) {
+    throw new Error(`Spout labels on "${machine.name}" must be unique`);
+  }
+  return { id: String(machine.id), name: String(machine.name), spouts };
+}
+
+export function normalizeLine(line, index) {
+  if (!line || typeof line !== 'object') {
+    throw new Error(`Line ${index + 1} is not an object`);
+  }
+  if (!line.id || !line.name) {
+    throw new Error(`Line ${index + 1} needs an id and a name`);
+  }
+  const machines = (Array.isArray(line.machines) ? line.machines : [])
+    .map((machine, machineIndex) => normalizeMachine(machine, machineIndex, line.name));
+  if (new Set(machines.map(machine => machine.id)).size !== machines.length) {
+    throw new Error(`Machine IDs on "${line.name}" must be unique`);
+  }
+  return { id: String(line.id), name: String(line.name), machines };
+}
@@ -0,0 +1,45 @@
+import { DEFAULT_LINES, findMachine, getSpoutLayout, normalizeLine } from './machines';
+import { createInitialFormState, findNextEmptySample, getSpoutsInService } from './formState';
+import { buildSubmissionPayload } from './submission';
+
+const profile = { id: 'bag-25kg', name: 'Bag 25 kg', targetWeight: 25, tolerance: 0.5, unit: 'kg', numSpouts: 3, numSamplesPerSpout: 2 };
+const line = {
+  id: 'line-9',
+  name: 'Line 9',
+  machines: [{ id: 'm-1', name: 'Rotary', spouts: [{ label: 'A', active: true }, { label: 'B', active: false }, { label: 'C', active: true }] }]
+};
+
+test('uses the machine layout, else the profile spout count', () => {
+  const machine = findMachine([line], 'line-9', 'm-1');
+  expect(getSpoutLayout(profile, machine).map(spout => spout.label)).toEqual(['A', 'B', 'C']);
+  expect(getSpoutLayout(profile, null)).toHaveLength(3);
+  expect(findMachine(DEFAULT_LINES, 'line-1', 'rotary-8')).toBeNull();
+});
+
+test('rejects machines without an active spout or with duplicate labels', () => {
+  const withSpouts = (spouts) => ({ ...line, machines: [{ ...line.machines[0], spouts }] });
+  expect(normalizeLine(withSpouts([{ label: '', active: true }]), 0).machines[0].spouts[0].label).toBe('1');
+  expect(() => normalizeLine(withSpouts([{ label: 'A', active: false }]), 0)).toThrow('at least one active spout');
+  expect(() => normalizeLine(withSpouts([{ label: 'A' }, { label: 'A' }]), 0)).toThrow('must be unique');
+  expect(() => normalizeLine({ ...line, name: '' }, 0)).toThrow('needs an id and a name');
+});
+
+test('starts unfitted spouts out of service and skips them when filling samples', () => {
+  const form = createInitialFormState(profile, { lineId: 'line-9', machine: line.machines[0] });
+  expect(form.spoutData.map(spout => spout.outOfService)).toEqual([false, true, false]);
+  expect(getSpoutsInService(form.spoutData)).toHaveLength(2);
+
+  const spoutData = [{ ...form.spoutData[0], samples: ['25', '25'] }, ...form.spoutData.slice(1)];
+  expect(findNextEmptySample(spoutData)).toEqual({ spoutIndex: 2, sampleIndex: 0 });
+});
+
+test('submits the line, machine and spout labels and leaves out-of-service spouts out of the statistics', () => {
+  const form = createInitialFormState(profile, { lineId: 'line-9', machine: line.machines[0] });
+  const spoutData = form.spoutData.map((spout, index) => ({ ...spout, samples: index === 1 ? ['40', '40'] : ['25', '25'] }));
+  const payload = buildSubmissionPayload({ ...form, spoutData }, profile, { lines: [line] });
+
+  expect(payload.metadata).toMatchObject({ lineId: 'line-9', lineName: 'Line 9', machineId: 'm-1', machineName: 'Rotary' });
+  expect(payload.spouts.map(spout => [spout.label, spout.outOfService])).toEqual([['A', false], ['B', true], ['C', false]]);
+  expect(payload.statistics.count).toBe(4);
+  expect(payload.statistics.max).toBe(25);
+});
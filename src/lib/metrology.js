@@ -0,0 +1,122 @@
+// Average quantity system checks for ℮-marked packs. Three rules apply to a
+// batch: the mean is at least the nominal quantity, no more than the allowed
+// number of packs are below T1 (nominal minus the tolerable negative error,
+// TNE) and none is below T2 (nominal minus twice the TNE).
+import { convertWeight } from './units';
+import { mean, toNumericSamples } from './statistics';
+import { createMessage } from './i18n';
+
+export const COMPLIANCE_VERDICT = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  NOT_APPLICABLE: 'not_applicable'
+};
+
+export const COMPLIANCE_VERDICT_LABELS = {
+  [COMPLIANCE_VERDICT.PASS]: 'Pass',
+  [COMPLIANCE_VERDICT.FAIL]: 'Fail',
+  [COMPLIANCE_VERDICT.NOT_APPLICABLE]: 'Not evaluated'
+};
+
+// TNE by nominal quantity in grams: a percentage of the nominal or a fixed
+// amount, up to and including `upTo`. The table starts at 5 g and stops at 50 kg.
+export const TNE_TABLE = [
+  { upTo: 50, percent: 9 },
+  { upTo: 100, grams: 4.5 },
+  { upTo: 200, percent: 4.5 },
+  { upTo: 300, grams: 9 },
+  { upTo: 500, percent: 3 },
+  { upTo: 1000, grams: 15 },
+  { upTo: 10000, percent: 1.5 },
+  { upTo: 15000, grams: 150 },
+  { upTo: 50000, percent: 1 }
+];
+const MIN_NOMINAL_GRAMS = 5;
+
+// Packs allowed below T1, from the acceptance numbers of the reference test
+// sampling plans; smaller samples may not have any
+export const T1_ALLOWANCE = [
+  { minSamples: 80, allowed: 5 },
+  { minSamples: 50, allowed: 3 },
+  { minSamples: 32, allowed: 2 },
+  { minSamples: 20, allowed: 1 }
+];
+
+// Guards comparisons against binary rounding of values converted to grams
+const EPSILON = 1e-6;
+
+// TNE in grams, or null outside the table. Percentages are rounded up to
+// the next tenth of a gram.
+export function getTolerableNegativeError(nominalGrams) {
+  if (!(nominalGrams >= MIN_NOMINAL_GRAMS)) return null;
+  const band = TNE_TABLE.find(entry => nominalGrams <= entry.upTo + EPSILON);
+  if (!band) return null;
+  if (band.grams !== undefined) return band.grams;
+  return Math.ceil((nominalGrams * band.percent) / 100 * 10 - EPSILON) / 10;
+}
+
+export function getAllowedBelowT1(sampleCount) {
+  const plan = T1_ALLOWANCE.find(entry => sampleCount >= entry.minSamples);
+  return plan ? plan.allowed : 0;
+}
+
+const round = (value) => Number(value.toFixed(6));
+
+// Verdict for every sample in the report, in the profile's unit. Profiles not
+// marked `eMark` aren't checked and give null.
+export function evaluateCompliance(spoutData, profile) {
+  if (!profile.eMark) return null;
+
+  const { unit } = profile;
+  const nominal = profile.targetWeight;
+  const nominalGrams = convertWeight(nominal, unit, 'g');
+  const tneGrams = getTolerableNegativeError(nominalGrams);
+  const values = spoutData.flatMap(spout => toNumericSamples(spout.samples));
+  const base = { unit, nominal, sampleCount: values.length };
+
+  if (tneGrams === null) {
+    return {
+      ...base,
+      verdict: COMPLIANCE_VERDICT.NOT_APPLICABLE,
+      reasons: [createMessage('metrology.outsideTable', { nominal, unit })]
+    };
+  }
+
+  const tne = round(convertWeight(tneGrams, 'g', unit));
+  const t1 = round(nominal - tne);
+  const t2 = round(nominal - 2 * tne);
+  const limits = { ...base, tne, tneGrams, t1, t2 };
+  if (values.length === 0) {
+    return {
+      ...limits,
+      verdict: COMPLIANCE_VERDICT.NOT_APPLICABLE,
+      reasons: [createMessage('metrology.noSamples')]
+    };
+  }
+
+  const average = mean(values);
+  const belowT1 = values.filter(value => value < t1 - EPSILON).length;
+  const belowT2 = values.filter(value => value < t2 - EPSILON).length;
+  const allowedBelowT1 = getAllowedBelowT1(values.length);
+
+  const reasons = [];
+  if (average < nominal - EPSILON) {
+    reasons.push(createMessage('metrology.meanBelowNominal', { mean: round(average), nominal, unit }));
+  }
+  if (belowT1 > allowedBelowT1) {
+    reasons.push(createMessage('metrology.tooManyBelowT1', { count: belowT1, allowed: allowedBelowT1, t1, unit }));
+  }
+  if (belowT2 > 0) {
+    reasons.push(createMessage('metrology.packsBelowT2', { count: belowT2, t2, unit }));
+  }
+
+  return {
+    ...limits,
+    mean: round(average),
+    belowT1,
+    allowedBelowT1,
+    belowT2,
+    verdict: reasons.length ? COMPLIANCE_VERDICT.FAIL : COMPLIANCE_VERDICT.PASS,
+    reasons: reasons.length ? reasons : [createMessage('metrology.allRulesMet')]
+  };
+}
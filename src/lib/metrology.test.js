@@ -0,0 +1,61 @@
+import {
+  COMPLIANCE_VERDICT,
+  evaluateCompliance,
+  getAllowedBelowT1,
+  getTolerableNegativeError
+} from './metrology';
+
+const profile = { id: 'bag-25kg', targetWeight: 25, unit: 'kg', eMark: true };
+const spouts = (...samples) => samples.map(spoutSamples => ({ samples: spoutSamples }));
+
+test('looks up the TNE from the nominal quantity in grams', () => {
+  expect(getTolerableNegativeError(40)).toBe(3.6);
+  expect(getTolerableNegativeError(75)).toBe(4.5);
+  expect(getTolerableNegativeError(125)).toBe(5.7);
+  expect(getTolerableNegativeError(500)).toBe(15);
+  expect(getTolerableNegativeError(1000)).toBe(15);
+  expect(getTolerableNegativeError(2500)).toBe(37.5);
+  expect(getTolerableNegativeError(25000)).toBe(250);
+  expect(getTolerableNegativeError(4)).toBeNull();
+  expect(getTolerableNegativeError(1000000)).toBeNull();
+});
+
+test('allows more packs below T1 in larger samples', () => {
+  expect(getAllowedBelowT1(10)).toBe(0);
+  expect(getAllowedBelowT1(24)).toBe(1);
+  expect(getAllowedBelowT1(50)).toBe(3);
+});
+
+test('passes a batch that meets all three rules', () => {
+  const result = evaluateCompliance(spouts(['25.1', '25.2', '24.9'], ['25.0', '25.3', '']), profile);
+  expect(result).toMatchObject({
+    verdict: COMPLIANCE_VERDICT.PASS,
+    tne: 0.25,
+    tneGrams: 250,
+    t1: 24.75,
+    t2: 24.5,
+    mean: 25.1,
+    belowT1: 0,
+    belowT2: 0,
+    sampleCount: 5
+  });
+});
+
+test('fails with a reason for each broken rule', () => {
+  const result = evaluateCompliance(spouts(['25.1', '24.7', '24.4'], ['25.0', '25.1']), profile);
+  expect(result.verdict).toBe(COMPLIANCE_VERDICT.FAIL);
+  expect(result.reasons.map(reason => reason.key)).toEqual([
+    'metrology.meanBelowNominal',
+    'metrology.tooManyBelowT1',
+    'metrology.packsBelowT2'
+  ]);
+  expect(result.belowT1).toBe(2);
+  expect(result.belowT2).toBe(1);
+});
+
+test('skips products that are not ℮-marked or outside the table', () => {
+  expect(evaluateCompliance(spouts(['25']), { ...profile, eMark: false })).toBeNull();
+  expect(evaluateCompliance(spouts(['1000']), { ...profile, targetWeight: 1000 }).verdict)
+    .toBe(COMPLIANCE_VERDICT.NOT_APPLICABLE);
+  expect(evaluateCompliance(spouts(['']), profile).reasons[0].key).toBe('metrology.noSamples');
+});
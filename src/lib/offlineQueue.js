@@ -0,0 +1,262 @@
+import { STORES, getAll, getRecord, putRecord, withStore, promisifyRequest } from './db';
+import { BACKEND_TYPES, sendToTarget } from './backends';
+
+// Durable outbox for weight reports. Every report is written here first and
+// only then sent, so a dropped connection never loses an operator's entries.
+// The same module runs in the page and in the service worker.
+
+export const SYNC_TAG = 'weight-report-sync';
+
+export const SUBMISSION_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SYNCED: 'synced',
+  FAILED: 'failed',
+  // Brought in from a file; already recorded elsewhere, so never sent
+  IMPORTED: 'imported'
+};
+
+export const QUEUE_CONFIG = {
+  MAX_ATTEMPTS: 8,
+  BASE_RETRY_DELAY_MS: 5 * 1000,
+  MAX_RETRY_DELAY_MS: 10 * 60 * 1000,
+  // How long a claimed record stays locked before another worker may retry it
+  SEND_LEASE_MS: 60 * 1000
+};
+
+export const getRetryDelay = (attempts) => Math.min(
+  QUEUE_CONFIG.BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attempts - 1, 0)),
+  QUEUE_CONFIG.MAX_RETRY_DELAY_MS
+);
+
+// Each target keeps its own delivery state, so a retry only resends to the
+// destinations that haven't accepted the report yet.
+const createDeliveries = (targets) => targets.reduce((deliveries, target) => {
+  deliveries[target.id] = { status: SUBMISSION_STATUS.PENDING, lastError: null, syncedAt: null };
+  return deliveries;
+}, {});
+
+// The configured backends, stored where the service worker can read them.
+// Called whenever settings load or change; removed backends are dropped.
+export function storeBackendConfigs(backends) {
+  return withStore(STORES.BACKENDS, 'readwrite', (store) => {
+    store.clear();
+    backends.forEach(({ id, type, config }) => store.put({ id, type, config }));
+  });
+}
+
+// Full target with its current config. Records queued by older versions
+// carry their config themselves.
+export async function resolveTarget(target, lookup = (id) => getRecord(STORES.BACKENDS, id)) {
+  if (target.config || target.type === BACKEND_TYPES.LOCAL) return target;
+  const stored = await lookup(target.id);
+  if (!stored) {
+    throw new Error(`Backend "${target.name}" is no longer configured on this device`);
+  }
+  return { ...target, config: stored.config };
+}
+
+const sendQueued = async (payload, target) => sendToTarget(payload, await resolveTarget(target));
+
+// Records queued before backends were configurable carry a bare Apps Script URL
+export function getRecordTargets(record) {
+  if (record.targets) return record.targets;
+  return [{ id: 'google-sheet', name: 'Google Sheet', type: BACKEND_TYPES.APPS_SCRIPT, config: { url: record.endpoint } }];
+}
+
+function getRecordDeliveries(record) {
+  if (record.deliveries) return record.deliveries;
+  const deliveries = createDeliveries(getRecordTargets(record));
+  if (record.status === SUBMISSION_STATUS.SYNCED) {
+    Object.values(deliveries).forEach(delivery => {
+      delivery.status = SUBMISSION_STATUS.SYNCED;
+      delivery.syncedAt = record.syncedAt;
+    });
+  }
+  return deliveries;
+}
+
+// Per-target outcome for display: [{ id, name, type, status, lastError, syncedAt }]
+export const getDeliveryResults = (record) => {
+  const deliveries = getRecordDeliveries(record);
+  return getRecordTargets(record).map(target => ({
+    id: target.id,
+    name: target.name,
+    type: target.type,
+    ...deliveries[target.id]
+  }));
+};
+
+export async function enqueueSubmission(payload, targets) {
+  const now = Date.now();
+  const id = await putRecord(STORES.SUBMISSIONS, {
+    payload,
+    targets,
+    deliveries: createDeliveries(targets),
+    status: SUBMISSION_STATUS.PENDING,
+    attempts: 0,
+    lastError: null,
+    createdAt: now,
+    nextAttemptAt: now,
+    syncedAt: null
+  });
+  return id;
+}
+
+export const getSubmissions = () => getAll(STORES.SUBMISSIONS);
+
+export const getSubmission = (id) => getRecord(STORES.SUBMISSIONS, id);
+
+export async function getQueueCounts() {
+  const records = await getSubmissions();
+  return records.reduce((counts, record) => {
+    const key = record.status === SUBMISSION_STATUS.SENDING ? SUBMISSION_STATUS.PENDING : record.status;
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, { pending: 0, synced: 0, failed: 0 });
+}
+
+// Atomically marks every due record as "sending" so the page and the service
+// worker never post the same report twice.
+function claimDueSubmissions(now, { includeNotDue = false } = {}) {
+  return withStore(STORES.SUBMISSIONS, 'readwrite', async (store) => {
+    const records = await promisifyRequest(store.getAll());
+    const claimed = records.filter(record => {
+      if (record.status === SUBMISSION_STATUS.SENDING) {
+        return record.lockedUntil <= now;
+      }
+      return record.status === SUBMISSION_STATUS.PENDING &&
+        (includeNotDue || record.nextAttemptAt <= now);
+    });
+
+    claimed.forEach(record => {
+      record.status = SUBMISSION_STATUS.SENDING;
+      record.lockedUntil = now + QUEUE_CONFIG.SEND_LEASE_MS;
+      store.put(record);
+    });
+    return claimed;
+  });
+}
+
+// Sends the record to every target that hasn't accepted it yet. Failures are
+// collected per target rather than thrown.
+export async function deliverSubmission(record, send = sendQueued) {
+  const deliveries = { ...getRecordDeliveries(record) };
+
+  for (const target of getRecordTargets(record)) {
+    const delivery = deliveries[target.id] || {};
+    if (delivery.status === SUBMISSION_STATUS.SYNCED) continue;
+    try {
+      await send(record.payload, target);
+      deliveries[target.id] = { status: SUBMISSION_STATUS.SYNCED, lastError: null, syncedAt: Date.now() };
+    } catch (error) {
+      deliveries[target.id] = { ...delivery, status: SUBMISSION_STATUS.PENDING, lastError: error.message || String(error) };
+    }
+  }
+  return deliveries;
+}
+
+function settleRecord(record, deliveries, now) {
+  const { lockedUntil, ...rest } = record;
+  const targets = getRecordTargets(record);
+  const attempts = record.attempts + 1;
+  const failures = targets
+    .filter(target => deliveries[target.id].status !== SUBMISSION_STATUS.SYNCED)
+    .map(target => `${target.name}: ${deliveries[target.id].lastError}`);
+
+  if (failures.length === 0) {
+    return { ...rest, deliveries, status: SUBMISSION_STATUS.SYNCED, attempts, lastError: null, syncedAt: now };
+  }
+
+  const exhausted = attempts >= QUEUE_CONFIG.MAX_ATTEMPTS;
+  if (exhausted) {
+    targets.forEach(target => {
+      if (deliveries[target.id].status !== SUBMISSION_STATUS.SYNCED) {
+        deliveries[target.id] = { ...deliveries[target.id], status: SUBMISSION_STATUS.FAILED };
+      }
+    });
+  }
+  return {
+    ...rest,
+    deliveries,
+    attempts,
+    lastError: failures.join('; '),
+    status: exhausted ? SUBMISSION_STATUS.FAILED : SUBMISSION_STATUS.PENDING,
+    nextAttemptAt: now + getRetryDelay(attempts)
+  };
+}
+
+// Sends every due submission once. Resolves with a summary; a failure to send
+// is recorded on the record rather than thrown. `send(payload, target)` is the
+// per-target transport, swappable for tests.
+export async function processQueue({ send = sendQueued, force = false } = {}) {
+  const claimed = await claimDueSubmissions(Date.now(), { includeNotDue: force });
+  const summary = { attempted: claimed.length, synced: 0, failed: 0, results: {} };
+
+  for (const record of claimed) {
+    const deliveries = await deliverSubmission(record, send);
+    const settled = settleRecord(record, deliveries, Date.now());
+    await putRecord(STORES.SUBMISSIONS, settled);
+
+    summary.results[record.id] = settled;
+    if (settled.status === SUBMISSION_STATUS.SYNCED) summary.synced += 1;
+    else summary.failed += 1;
+  }
+
+  return summary;
+}
+
+export async function getNextRetryAt() {
+  const records = await getSubmissions();
+  const pending = records
+    .filter(record => record.status === SUBMISSION_STATUS.PENDING)
+    .map(record => record.nextAttemptAt);
+  return pending.length ? Math.min(...pending) : null;
+}
+
+// Replaces a stored report on this device without sending it again, so a
+// backend never receives the same report twice. A change the backends should
+// hear about (e.g. a supervisor's approval) goes out as its own `update`
+// record to the report's destinations; receivers match it to the report by
+// its metadata.reportId. Imported reports were recorded elsewhere, so their
+// updates stay local.
+export function updateSubmission(id, payload, update = null) {
+  return withStore(STORES.SUBMISSIONS, 'readwrite', async (store) => {
+    const record = await promisifyRequest(store.get(id));
+    if (!record) throw new Error('Report not found on this device');
+    store.put({ ...record, payload });
+    if (!update || record.status === SUBMISSION_STATUS.IMPORTED) return;
+
+    const now = Date.now();
+    const targets = getRecordTargets(record);
+    store.add({
+      payload: update,
+      targets,
+      deliveries: createDeliveries(targets),
+      status: SUBMISSION_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      createdAt: now,
+      nextAttemptAt: now,
+      syncedAt: null
+    });
+  });
+}
+
+export function retryFailedSubmissions() {
+  return withStore(STORES.SUBMISSIONS, 'readwrite', async (store) => {
+    const records = await promisifyRequest(store.getAll());
+    const now = Date.now();
+    const failed = records.filter(record => record.status === SUBMISSION_STATUS.FAILED);
+    failed.forEach(record => {
+      const deliveries = { ...getRecordDeliveries(record) };
+      Object.keys(deliveries).forEach(id => {
+        if (deliveries[id].status === SUBMISSION_STATUS.FAILED) {
+          deliveries[id] = { ...deliveries[id], status: SUBMISSION_STATUS.PENDING };
+        }
+      });
+      store.put({ ...record, deliveries, status: SUBMISSION_STATUS.PENDING, attempts: 0, nextAttemptAt: now });
+    });
+    return failed.length;
+  });
+}
@@ -0,0 +1,206 @@
+import {
+  QUEUE_CONFIG,
+  SUBMISSION_STATUS,
+  enqueueSubmission,
+  getRetryDelay,
+  getSubmission,
+  processQueue,
+  retryFailedSubmissions
+} from './offlineQueue';
+import { BACKEND_TYPES } from './backends';
+
+// Just enough of IndexedDB for db.js. Transactions on a database run one at a
+// time, as readwrite transactions on the same store do in a browser; each
+// commits once its callback has settled and rolls back on abort.
+const createFakeIndexedDB = (databases = {}) => {
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+
+  const createStore = (schema, ready) => {
+    const request = (run) => {
+      const req = {};
+      ready.then(() => {
+        try {
+          req.result = run();
+          if (req.onsuccess) req.onsuccess();
+        } catch (error) {
+          req.error = error;
+          if (req.onerror) req.onerror();
+        }
+      });
+      return req;
+    };
+    const put = (record) => request(() => {
+      const key = record[schema.keyPath] ?? (schema.nextKey += 1);
+      if (schema.autoIncrement) schema.nextKey = Math.max(schema.nextKey, key);
+      schema.records.set(key, clone({ ...record, [schema.keyPath]: key }));
+      return key;
+    });
+    return {
+      getAll: () => request(() => Array.from(schema.records.values()).map(clone)),
+      get: (key) => request(() => (schema.records.has(key) ? clone(schema.records.get(key)) : undefined)),
+      put,
+      add: put,
+      delete: (key) => request(() => schema.records.delete(key)),
+      clear: () => request(() => schema.records.clear()),
+      createIndex: () => {}
+    };
+  };
+
+  const createDatabase = (data) => ({
+    objectStoreNames: { contains: (name) => Boolean(data.stores[name]) },
+    createObjectStore: (name, { keyPath, autoIncrement = false }) => {
+      data.stores[name] = { keyPath, autoIncrement, nextKey: 0, records: new Map() };
+      return createStore(data.stores[name], Promise.resolve());
+    },
+    transaction: (name) => {
+      const schema = data.stores[name];
+      const ready = data.queue || Promise.resolve();
+      let release;
+      data.queue = new Promise(resolve => { release = resolve; });
+      let snapshot;
+      const tx = {
+        objectStore: () => createStore(schema, ready),
+        abort: () => {
+          tx.aborted = true;
+          if (snapshot) schema.records = snapshot;
+          if (tx.onabort) tx.onabort();
+          release();
+        }
+      };
+      ready.then(() => {
+        snapshot = new Map(schema.records);
+        setTimeout(() => {
+          if (tx.aborted) return;
+          if (tx.oncomplete) tx.oncomplete();
+          release();
+        }, 0);
+      });
+      return tx;
+    }
+  });
+
+  return {
+    databases,
+    open: (name, version) => {
+      const req = {};
+      setTimeout(() => {
+        const data = databases[name] || (databases[name] = { version: 0, stores: {} });
+        req.result = createDatabase(data);
+        if (version > data.version) {
+          data.version = version;
+          if (req.onupgradeneeded) req.onupgradeneeded();
+        }
+        req.onsuccess();
+      }, 0);
+      return req;
+    }
+  };
+};
+
+global.indexedDB = createFakeIndexedDB();
+
+const sheet = { id: 'sheet', name: 'Sheet', type: BACKEND_TYPES.REST };
+const archive = { id: 'archive', name: 'Archive', type: BACKEND_TYPES.REST };
+const payload = { metadata: { reportId: 'r-1' }, spouts: [] };
+
+const sendFailingFor = (...failingIds) => {
+  const sent = [];
+  const send = async (_, target) => {
+    sent.push(target.id);
+    if (failingIds.includes(target.id)) throw new Error(`${target.id} offline`);
+  };
+  return { send, sent };
+};
+
+beforeEach(() => {
+  Object.values(global.indexedDB.databases).forEach(data => {
+    Object.values(data.stores).forEach(store => store.records.clear());
+  });
+});
+
+test('backs off exponentially up to the maximum delay', () => {
+  expect(getRetryDelay(1)).toBe(QUEUE_CONFIG.BASE_RETRY_DELAY_MS);
+  expect(getRetryDelay(3)).toBe(QUEUE_CONFIG.BASE_RETRY_DELAY_MS * 4);
+  expect(getRetryDelay(20)).toBe(QUEUE_CONFIG.MAX_RETRY_DELAY_MS);
+});
+
+test('only resends to the targets that have not accepted the report', async () => {
+  const id = await enqueueSubmission(payload, [sheet, archive]);
+
+  const first = sendFailingFor('archive');
+  const summary = await processQueue({ send: first.send });
+  expect(first.sent).toEqual(['sheet', 'archive']);
+  expect(summary).toMatchObject({ attempted: 1, synced: 0, failed: 1 });
+
+  const record = await getSubmission(id);
+  expect(record.status).toBe(SUBMISSION_STATUS.PENDING);
+  expect(record.deliveries.sheet.status).toBe(SUBMISSION_STATUS.SYNCED);
+  expect(record.deliveries.archive).toMatchObject({ status: SUBMISSION_STATUS.PENDING, lastError: 'archive offline' });
+  expect(record.lastError).toBe('Archive: archive offline');
+  expect(record.nextAttemptAt).toBeGreaterThan(Date.now());
+  expect(record.lockedUntil).toBeUndefined();
+
+  // Not due yet, so an ordinary flush leaves it alone; a forced one sends it
+  const idle = sendFailingFor();
+  expect((await processQueue({ send: idle.send })).attempted).toBe(0);
+  await processQueue({ send: idle.send, force: true });
+  expect(idle.sent).toEqual(['archive']);
+  expect((await getSubmission(id)).status).toBe(SUBMISSION_STATUS.SYNCED);
+});
+
+test('claims a record once, so two flushes never send it twice', async () => {
+  await enqueueSubmission(payload, [sheet]);
+  const { send, sent } = sendFailingFor();
+
+  await Promise.all([processQueue({ send }), processQueue({ send })]);
+  expect(sent).toEqual(['sheet']);
+});
+
+test('fails a record after the last attempt and retries it on request', async () => {
+  const id = await enqueueSubmission(payload, [sheet, archive]);
+  const { send } = sendFailingFor('sheet');
+
+  for (let attempt = 0; attempt < QUEUE_CONFIG.MAX_ATTEMPTS; attempt += 1) {
+    await processQueue({ send, force: true });
+  }
+  const failed = await getSubmission(id);
+  expect(failed).toMatchObject({ status: SUBMISSION_STATUS.FAILED, attempts: QUEUE_CONFIG.MAX_ATTEMPTS });
+  expect(failed.deliveries.sheet.status).toBe(SUBMISSION_STATUS.FAILED);
+  expect(failed.deliveries.archive.status).toBe(SUBMISSION_STATUS.SYNCED);
+  expect((await processQueue({ send, force: true })).attempted).toBe(0);
+
+  expect(await retryFailedSubmissions()).toBe(1);
+  const retried = await getSubmission(id);
+  expect(retried).toMatchObject({ status: SUBMISSION_STATUS.PENDING, attempts: 0 });
+  expect(retried.deliveries.sheet.status).toBe(SUBMISSION_STATUS.PENDING);
+  expect(retried.deliveries.archive.status).toBe(SUBMISSION_STATUS.SYNCED);
+});
+
+test('adds the backends store when upgrading from version 1 and keeps queued reports', async () => {
+  const fake = createFakeIndexedDB({
+    'weight-check': {
+      version: 1,
+      stores: {
+        submissions: {
+          keyPath: 'id',
+          autoIncrement: true,
+          nextKey: 1,
+          records: new Map([[1, { id: 1, payload, status: SUBMISSION_STATUS.PENDING, endpoint: 'https://example.com/exec' }]])
+        }
+      }
+    }
+  });
+  const previous = global.indexedDB;
+  global.indexedDB = fake;
+  try {
+    let db;
+    jest.isolateModules(() => {
+      db = require('./db');
+    });
+    expect(await db.getAll(db.STORES.SUBMISSIONS)).toEqual([expect.objectContaining({ id: 1, endpoint: 'https://example.com/exec' })]);
+    expect(await db.getAll(db.STORES.BACKENDS)).toEqual([]);
+    expect(fake.databases['weight-check'].version).toBe(2);
+  } finally {
+    global.indexedDB = previous;
+  }
+});
@@ -0,0 +1,48 @@
+// Product/SKU profiles. Each profile describes what a line is filling and how
+// a weight check for it is laid out. `eMark` packs are also checked against
+// the average quantity rules (see metrology.js).
+
+export const DEFAULT_PROFILES = [
+  {
+    id: 'bag-25kg',
+    name: '25 kg bag',
+    targetWeight: 25,
+    lowerTolerance: 0.25,
+    upperTolerance: 0.25,
+    unit: 'kg',
+    numSpouts: 8,
+    numSamplesPerSpout: 3,
+    eMark: true
+  },
+  {
+    id: 'bag-50kg',
+    name: '50 kg bag',
+    targetWeight: 50,
+    lowerTolerance: 0.5,
+    upperTolerance: 0.5,
+    unit: 'kg',
+    numSpouts: 8,
+    numSamplesPerSpout: 3,
+    eMark: true
+  },
+  {
+    id: 'bulk-1000kg',
+    name: '1000 kg bulk bag',
+    targetWeight: 1000,
+    lowerTolerance: 2,
+    upperTolerance: 5,
+    unit: 'kg',
+    numSpouts: 2,
+    numSamplesPerSpout: 3
+  }
+];
+
+export const DEFAULT_PROFILE_ID = 'bag-50kg';
+
+export const findProfile = (profiles, profileId) =>
+  profiles.find(profile => profile.id === profileId) || profiles[0];
+
+export const getProfileLimits = (profile) => ({
+  minWeight: Number((profile.targetWeight - profile.lowerTolerance).toFixed(3)),
+  maxWeight: Number((profile.targetWeight + profile.upperTolerance).toFixed(3))
+});
@@ -0,0 +1,40 @@
+import { DEFAULT_PROFILES, findProfile, getProfileLimits } from './profiles';
+import { normalizeSettings } from './settings';
+
+const profile = {
+  id: 'sack-20kg',
+  name: '20 kg sack',
+  targetWeight: '20',
+  lowerTolerance: '0.2',
+  upperTolerance: '0.3',
+  unit: 'KG',
+  numSpouts: '6.4',
+  numSamplesPerSpout: 3
+};
+
+test('falls back to the first profile for an unknown id', () => {
+  expect(findProfile(DEFAULT_PROFILES, 'bag-25kg').name).toBe('25 kg bag');
+  expect(findProfile(DEFAULT_PROFILES, 'missing')).toBe(DEFAULT_PROFILES[0]);
+});
+
+test('derives asymmetric limits without floating point noise', () => {
+  expect(getProfileLimits({ targetWeight: 1000, lowerTolerance: 2, upperTolerance: 5 }))
+    .toEqual({ minWeight: 998, maxWeight: 1005 });
+  expect(getProfileLimits({ targetWeight: 0.3, lowerTolerance: 0.1, upperTolerance: 0.1 }))
+    .toEqual({ minWeight: 0.2, maxWeight: 0.4 });
+});
+
+test('normalizes profiles typed into the settings screen', () => {
+  const [normalized] = normalizeSettings({ profiles: [{ ...profile, minPlausibleWeight: '' }] }).profiles;
+  expect(normalized).toMatchObject({ targetWeight: 20, upperTolerance: 0.3, unit: 'kg', numSpouts: 6, eMark: false });
+  expect(normalized).not.toHaveProperty('minPlausibleWeight');
+});
+
+test('rejects profiles a report could not be laid out from', () => {
+  expect(() => normalizeSettings({ profiles: [{ ...profile, id: '' }] })).toThrow('needs an id and a name');
+  expect(() => normalizeSettings({ profiles: [{ ...profile, targetWeight: 'abc' }] })).toThrow('invalid targetWeight');
+  expect(() => normalizeSettings({ profiles: [{ ...profile, numSpouts: 0 }] })).toThrow('at least one spout');
+  expect(() => normalizeSettings({ profiles: [{ ...profile, unit: 'stone' }] })).toThrow('unsupported unit');
+  expect(() => normalizeSettings({ profiles: [{ ...profile, minPlausibleWeight: 25, maxPlausibleWeight: 15 }] }))
+    .toThrow('plausible minimum below its maximum');
+});
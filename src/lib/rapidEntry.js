@@ -0,0 +1,96 @@
+// Cursor movement and keypad editing for rapid entry mode. A cell is
+// { spoutIndex, sampleIndex }; values are the plain "50.2"-style strings the
+// form stores, whatever the operator's locale.
+
+export const MOVES = {
+  NEXT: 'next',
+  PREVIOUS: 'previous',
+  LEFT: 'left',
+  RIGHT: 'right',
+  UP: 'up',
+  DOWN: 'down'
+};
+
+export const KEYPAD_KEYS = {
+  DECIMAL: '.',
+  BACKSPACE: 'backspace',
+  CLEAR: 'clear'
+};
+
+// Keyboard keys that move the cursor while a sample has focus
+export function getKeyMove(event) {
+  switch (event.key) {
+    case 'Enter': return MOVES.NEXT;
+    case 'Tab': return event.shiftKey ? MOVES.PREVIOUS : MOVES.NEXT;
+    case 'ArrowLeft': return MOVES.LEFT;
+    case 'ArrowRight': return MOVES.RIGHT;
+    case 'ArrowUp': return MOVES.UP;
+    case 'ArrowDown': return MOVES.DOWN;
+    default: return null;
+  }
+}
+
+// Next/previous run through every sample of a spout and then on to the next
+// spout; left/right stay within the spout and up/down keep the sample column.
+// Spouts out of service are skipped. Returns null when the move would leave
+// the grid.
+export function moveCell(spoutData, { spoutIndex, sampleIndex }, move) {
+  const sampleCount = (index) => spoutData[index].samples.length;
+  const cell = (s, i) => ({ spoutIndex: s, sampleIndex: i });
+  const nearestSpout = (step) => {
+    for (let index = spoutIndex + step; index >= 0 && index < spoutData.length; index += step) {
+      if (!spoutData[index].outOfService) return index;
+    }
+    return null;
+  };
+  const next = nearestSpout(1);
+  const previous = nearestSpout(-1);
+
+  switch (move) {
+    case MOVES.NEXT:
+      if (sampleIndex + 1 < sampleCount(spoutIndex)) return cell(spoutIndex, sampleIndex + 1);
+      return next !== null ? cell(next, 0) : null;
+    case MOVES.PREVIOUS:
+      if (sampleIndex > 0) return cell(spoutIndex, sampleIndex - 1);
+      return previous !== null ? cell(previous, sampleCount(previous) - 1) : null;
+    case MOVES.RIGHT:
+      return sampleIndex + 1 < sampleCount(spoutIndex) ? cell(spoutIndex, sampleIndex + 1) : null;
+    case MOVES.LEFT:
+      return sampleIndex > 0 ? cell(spoutIndex, sampleIndex - 1) : null;
+    case MOVES.DOWN:
+      return next !== null ? cell(next, Math.min(sampleIndex, sampleCount(next) - 1)) : null;
+    case MOVES.UP:
+      return previous !== null ? cell(previous, Math.min(sampleIndex, sampleCount(previous) - 1)) : null;
+    default:
+      return null;
+  }
+}
+
+export function applyKeypadKey(value, key) {
+  const text = String(value || '');
+  if (key === KEYPAD_KEYS.CLEAR) return '';
+  if (key === KEYPAD_KEYS.BACKSPACE) return text.slice(0, -1);
+  if (key === KEYPAD_KEYS.DECIMAL) {
+    if (text.includes('.')) return text;
+    return text === '' ? '0.' : `${text}.`;
+  }
+  if (/^\d$/.test(key)) return text === '0' ? key : `${text}${key}`;
+  return text;
+}
+
+// An entry typed to the unit's full resolution ("50.25" for kg) can't grow
+// any further, so the cursor may move on without waiting for Enter
+export function isEntryComplete(value, precision) {
+  if (precision <= 0) return false;
+  const [, decimals = ''] = String(value).split('.');
+  return String(value).includes('.') && decimals.length >= precision;
+}
+
+export const isCellInGrid = (spoutData, cell) => Boolean(
+  cell && spoutData[cell.spoutIndex] && !spoutData[cell.spoutIndex].outOfService &&
+  cell.sampleIndex < spoutData[cell.spoutIndex].samples.length
+);
+
+export const isSameCell = (a, b) => Boolean(
+  a && b && a.spoutIndex === b.spoutIndex && a.sampleIndex === b.sampleIndex
+);
@@ -0,0 +1,52 @@
+import {
+  KEYPAD_KEYS,
+  MOVES,
+  applyKeypadKey,
+  getKeyMove,
+  isCellInGrid,
+  isEntryComplete,
+  moveCell
+} from './rapidEntry';
+
+const grid = [{ samples: ['', '', ''] }, { samples: ['', ''] }];
+const cell = (spoutIndex, sampleIndex) => ({ spoutIndex, sampleIndex });
+
+test('next and previous run through the samples and on across spouts', () => {
+  expect(moveCell(grid, cell(0, 1), MOVES.NEXT)).toEqual(cell(0, 2));
+  expect(moveCell(grid, cell(0, 2), MOVES.NEXT)).toEqual(cell(1, 0));
+  expect(moveCell(grid, cell(1, 1), MOVES.NEXT)).toBeNull();
+  expect(moveCell(grid, cell(1, 0), MOVES.PREVIOUS)).toEqual(cell(0, 2));
+  expect(moveCell(grid, cell(0, 0), MOVES.PREVIOUS)).toBeNull();
+});
+
+test('arrow moves stay on the grid and keep the sample column where possible', () => {
+  expect(moveCell(grid, cell(0, 2), MOVES.RIGHT)).toBeNull();
+  expect(moveCell(grid, cell(0, 2), MOVES.DOWN)).toEqual(cell(1, 1));
+  expect(moveCell(grid, cell(1, 0), MOVES.UP)).toEqual(cell(0, 0));
+  expect(moveCell(grid, cell(0, 1), MOVES.LEFT)).toEqual(cell(0, 0));
+  expect(isCellInGrid(grid, cell(1, 2))).toBe(false);
+  expect(isCellInGrid(grid, null)).toBe(false);
+});
+
+test('maps Enter, Tab and arrow keys to moves', () => {
+  expect(getKeyMove({ key: 'Enter' })).toBe(MOVES.NEXT);
+  expect(getKeyMove({ key: 'Tab', shiftKey: true })).toBe(MOVES.PREVIOUS);
+  expect(getKeyMove({ key: 'ArrowDown' })).toBe(MOVES.DOWN);
+  expect(getKeyMove({ key: '5' })).toBeNull();
+});
+
+test('keypad keys edit the stored dot-decimal value', () => {
+  expect(applyKeypadKey('', KEYPAD_KEYS.DECIMAL)).toBe('0.');
+  expect(applyKeypadKey('50.2', KEYPAD_KEYS.DECIMAL)).toBe('50.2');
+  expect(applyKeypadKey('0', '5')).toBe('5');
+  expect(applyKeypadKey('50.', '2')).toBe('50.2');
+  expect(applyKeypadKey('50.2', KEYPAD_KEYS.BACKSPACE)).toBe('50.');
+  expect(applyKeypadKey('50.2', KEYPAD_KEYS.CLEAR)).toBe('');
+});
+
+test('an entry is complete once it reaches the unit precision', () => {
+  expect(isEntryComplete('50.25', 2)).toBe(true);
+  expect(isEntryComplete('50.2', 2)).toBe(false);
+  expect(isEntryComplete('50', 2)).toBe(false);
+  expect(isEntryComplete('500', 0)).toBe(false);
+});
@@ -0,0 +1,316 @@
+import { findProfile } from './profiles';
+import { createInitialFormState, setSpoutSample } from './formState';
+import { buildSubmissionPayload } from './submission';
+import { TRACE_FIELDS, createTraceabilityData } from './traceability';
+
+// CSV/XLSX export of submitted reports (one row per sample) and import of
+// CSV files produced by the older paper-to-Excel process.
+
+export const EXPORT_COLUMNS = [
+  { key: 'date', header: 'Date' },
+  { key: 'time', header: 'Time' },
+  { key: 'shift', header: 'Shift' },
+  { key: 'operatorName', header: 'Operator' },
+  { key: 'profileId', header: 'Product ID' },
+  { key: 'profileName', header: 'Product' },
+  { key: 'productCode', header: 'Product Code' },
+  { key: 'lotNumber', header: 'Lot Number' },
+  { key: 'filmBatch', header: 'Film Batch' },
+  { key: 'productionOrder', header: 'Production Order' },
+  { key: 'targetWeight', header: 'Target Weight' },
+  { key: 'minWeight', header: 'Min Weight' },
+  { key: 'maxWeight', header: 'Max Weight' },
+  { key: 'unit', header: 'Unit' },
+  { key: 'spoutNumber', header: 'Spout' },
+  { key: 'sampleNumber', header: 'Sample' },
+  { key: 'weight', header: 'Weight' },
+  { key: 'inRange', header: 'In Range' },
+  { key: 'spoutComments', header: 'Spout Comments' },
+  { key: 'generalComments', header: 'General Comments' }
+];
+
+export function payloadsToRows(payloads) {
+  return payloads.flatMap(({ metadata, spouts }) =>
+    spouts.flatMap(spout =>
+      spout.samples.map((sample, sampleIndex) => {
+        const weight = sample === '' ? null : Number(sample);
+        return {
+          date: metadata.date,
+          time: metadata.time,
+          shift: metadata.shift,
+          operatorName: metadata.operatorName,
+          profileId: metadata.profileId,
+          profileName: metadata.profileName,
+          ...createTraceabilityData(),
+          ...metadata.traceability,
+          targetWeight: metadata.targetWeight,
+          minWeight: metadata.minWeight,
+          maxWeight: metadata.maxWeight,
+          unit: metadata.unit,
+          spoutNumber: spout.spoutNumber,
+          sampleNumber: sampleIndex + 1,
+          weight,
+          inRange: weight === null ? '' : weight >= metadata.minWeight && weight <= metadata.maxWeight,
+          spoutComments: spout.comments,
+          generalComments: metadata.generalComments
+        };
+      })
+    )
+  );
+}
+
+// Spreadsheet apps run text starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Text cells that would run as a formula get a leading apostrophe, which
+// Excel shows as plain text. Numbers are left alone so negatives stay numeric.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' || !FORMULA_PREFIX.test(String(value)) ? String(value) : `'${value}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undoes the apostrophe escapeCsvValue adds, so exports import back unchanged
+const unescapeFormula = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+export function toCsv(rows, columns = EXPORT_COLUMNS) {
+  const lines = [
+    columns.map(column => escapeCsvValue(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escapeCsvValue(row[column.key])).join(','))
+  ];
+  return lines.join('\r\n');
+}
+
+// RFC 4180 parser: quoted fields may contain commas, quotes and newlines.
+// Semicolon-separated files (Excel in comma-decimal locales) are detected too.
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+// Header names used by the legacy spreadsheets, matched case-insensitively
+const IMPORT_HEADER_ALIASES = {
+  date: ['date', 'check date'],
+  time: ['time', 'check time'],
+  shift: ['shift'],
+  operatorName: ['operator', 'operator name', 'checked by'],
+  profileId: ['product id', 'profile id', 'sku'],
+  profileName: ['product', 'profile', 'product name'],
+  productCode: ['product code', 'gtin'],
+  lotNumber: ['lot number', 'lot', 'batch'],
+  filmBatch: ['film batch', 'bag batch'],
+  productionOrder: ['production order', 'order number'],
+  spoutNumber: ['spout', 'spout no', 'spout number', 'head'],
+  sampleNumber: ['sample', 'sample no', 'sample number'],
+  weight: ['weight', 'weight (kg)', 'net weight', 'actual weight'],
+  spoutComments: ['spout comments', 'spout comment'],
+  generalComments: ['general comments', 'comments', 'remarks']
+};
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Excel writes day-first dates in our locales; the form uses ISO dates
+const normalizeDate = (value) => {
+  const text = value.trim();
+  const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) {
+    const [, day, month, year] = dayFirst;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+  return text;
+};
+
+const normalizeWeight = (value) => value.trim().replace(',', '.');
+
+// Turns a legacy CSV into report payloads: rows sharing date, time, shift and
+// operator belong to one report. Unknown products fall back to `fallbackProfileId`.
+export function importReportsFromCsv(text, profiles, fallbackProfileId) {
+  const [headerRow, ...dataRows] = parseCsv(text);
+  if (!headerRow) {
+    throw new Error('The CSV file is empty');
+  }
+
+  const headers = headerRow.map(normalizeHeader);
+  const columnIndex = {};
+  Object.entries(IMPORT_HEADER_ALIASES).forEach(([key, aliases]) => {
+    const index = headers.findIndex(header => aliases.includes(header));
+    if (index !== -1) columnIndex[key] = index;
+  });
+
+  ['date', 'spoutNumber', 'weight'].forEach(required => {
+    if (columnIndex[required] === undefined) {
+      throw new Error(`The CSV file has no "${IMPORT_HEADER_ALIASES[required][0]}" column`);
+    }
+  });
+
+  const cell = (row, key) => (columnIndex[key] === undefined ? '' : unescapeFormula((row[columnIndex[key]] || '').trim()));
+  const groups = new Map();
+
+  dataRows.forEach((row, rowIndex) => {
+    const date = normalizeDate(cell(row, 'date'));
+    const spoutNumber = parseInt(cell(row, 'spoutNumber'), 10);
+    if (!date || !Number.isInteger(spoutNumber) || spoutNumber < 1) {
+      throw new Error(`Row ${rowIndex + 2} has no valid date or spout number`);
+    }
+
+    const key = [date, cell(row, 'time'), cell(row, 'shift'), cell(row, 'operatorName')].join('|');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ row, date, spoutNumber });
+  });
+
+  return Array.from(groups.values()).map(entries => {
+    const { row: firstRow, date } = entries[0];
+    const profile = profiles.find(item => item.id === cell(firstRow, 'profileId')) ||
+      profiles.find(item => item.name === cell(firstRow, 'profileName')) ||
+      findProfile(profiles, fallbackProfileId);
+
+    const formData = createInitialFormState(profile);
+    const numSpouts = Math.max(profile.numSpouts, ...entries.map(entry => entry.spoutNumber));
+    const spoutData = Array(numSpouts).fill().map((_, index) => ({
+      ...(formData.spoutData[index] || formData.spoutData[0]),
+      samples: []
+    }));
+
+    entries.forEach(({ row, spoutNumber }) => {
+      const spout = spoutData[spoutNumber - 1];
+      const sampleNumber = parseInt(cell(row, 'sampleNumber'), 10);
+      const position = Number.isInteger(sampleNumber) && sampleNumber > 0 ? sampleNumber - 1 : spout.samples.length;
+      spout.samples[position] = normalizeWeight(cell(row, 'weight'));
+      if (cell(row, 'spoutComments')) spout.comments = cell(row, 'spoutComments');
+    });
+
+    const data = {
+      ...formData,
+      operatorName: cell(firstRow, 'operatorName'),
+      shift: cell(firstRow, 'shift'),
+      date,
+      time: cell(firstRow, 'time'),
+      generalComments: cell(firstRow, 'generalComments'),
+      traceability: TRACE_FIELDS.reduce((values, { key }) => ({ ...values, [key]: cell(firstRow, key) }), {}),
+      // Each weight goes through setSpoutSample so the sample details carry
+      // the imported value rather than blank placeholders
+      spoutData: spoutData.map(spout => {
+        const count = Math.max(spout.samples.length, profile.numSamplesPerSpout);
+        const blank = { ...spout, samples: Array(count).fill(''), sampleDetails: [] };
+        return blank.samples.reduce((updated, _, index) =>
+          setSpoutSample(updated, index, spout.samples[index] ?? '', { unit: profile.unit }), blank);
+      })
+    };
+
+    return buildSubmissionPayload(data, profile);
+  });
+}
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+export function exportReportsCsv(payloads, filename) {
+  // The BOM makes Excel open the file as UTF-8
+  const blob = new Blob(['\uFEFF', toCsv(payloadsToRows(payloads))], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, `${filename}.csv`);
+}
+
+export async function exportReportsXlsx(payloads, filename) {
+  // Loaded on demand; the library is large and only QA uses this export. It
+  // only ever writes: imports are CSV, so no spreadsheet file is parsed.
+  const XLSX = await import('xlsx');
+  const rows = payloadsToRows(payloads).map(row =>
+    Object.fromEntries(EXPORT_COLUMNS.map(column => [column.header, row[column.key]])));
+  const sheet = XLSX.utils.json_to_sheet(rows, { header: EXPORT_COLUMNS.map(column => column.header) });
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Weight Checks');
+  XLSX.writeFile(workbook, `${filename}.xlsx`);
+}
+
+export const SHIFT_SUMMARY_COLUMNS = [
+  { key: 'date', header: 'Date' },
+  { key: 'shift', header: 'Shift' },
+  { key: 'lineName', header: 'Line' },
+  { key: 'machineName', header: 'Machine' },
+  { key: 'profileName', header: 'Product' },
+  { key: 'unit', header: 'Unit' },
+  { key: 'spout', header: 'Spout' },
+  { key: 'checkCount', header: 'Checks' },
+  { key: 'count', header: 'Samples' },
+  { key: 'mean', header: 'Mean' },
+  { key: 'stdDev', header: 'Std Dev' },
+  { key: 'outOfSpecCount', header: 'Out of Spec' },
+  { key: 'outOfToleranceChecks', header: 'Out-of-Tolerance Checks' }
+];
+
+// One row per spout and one for all spouts of each line/machine/product group
+export function shiftSummaryToRows({ metadata, groups }) {
+  return groups.flatMap(group => {
+    const base = {
+      date: metadata.date,
+      shift: metadata.shift,
+      lineName: group.lineName,
+      machineName: group.machineName,
+      profileName: group.profileName,
+      unit: group.unit
+    };
+    return [
+      ...group.spouts.map(spout => ({ ...base, ...spout, spout: spout.label || spout.spoutNumber })),
+      {
+        ...base,
+        spout: 'All',
+        checkCount: group.checkCount,
+        count: group.statistics.count,
+        mean: group.statistics.mean,
+        stdDev: group.statistics.stdDev,
+        outOfSpecCount: group.statistics.outOfSpecCount,
+        outOfToleranceChecks: group.spouts.reduce((total, spout) => total + spout.outOfToleranceChecks, 0)
+      }
+    ];
+  });
+}
+
+export function exportShiftSummaryCsv(summary, filename) {
+  const blob = new Blob(['\uFEFF', toCsv(shiftSummaryToRows(summary), SHIFT_SUMMARY_COLUMNS)], { type: 'text/csv;charset=utf-8' });
+  downloadBlob(blob, `${filename}.csv`);
+}
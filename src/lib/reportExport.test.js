@@ -0,0 +1,76 @@
+import { DEFAULT_PROFILES } from './profiles';
+import { parseCsv, payloadsToRows, toCsv, importReportsFromCsv } from './reportExport';
+import { getSampleDetail, payloadToFormData, recalculateSpout } from './formState';
+
+test('parses quoted fields, embedded newlines and semicolon files', () => {
+  expect(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\r\n')).toEqual([
+    ['a', 'b'],
+    ['x, y', 'say "hi"\nthere']
+  ]);
+  expect(parseCsv('Date;Weight\n01/02/2024;50,2')).toEqual([['Date', 'Weight'], ['01/02/2024', '50,2']]);
+});
+
+test('imports a legacy CSV as one report per check', () => {
+  const csv = [
+    'Date;Time;Shift;Operator;Spout;Sample;Weight (kg);Remarks',
+    '03/05/2024;08:00;Morning;Ana;1;1;50,1;line ok',
+    '03/05/2024;08:00;Morning;Ana;1;2;49,4;line ok',
+    '03/05/2024;08:00;Morning;Ana;2;1;50,0;line ok',
+    '03/05/2024;10:00;Morning;Ana;1;1;50,2;'
+  ].join('\n');
+
+  const payloads = importReportsFromCsv(csv, DEFAULT_PROFILES, 'bag-50kg');
+
+  expect(payloads).toHaveLength(2);
+  const [first] = payloads;
+  expect(first.metadata).toMatchObject({ date: '2024-05-03', time: '08:00', operatorName: 'Ana', profileId: 'bag-50kg' });
+  expect(first.metadata.generalComments).toBe('line ok');
+  expect(first.spouts).toHaveLength(8);
+  expect(first.spouts[0].samples).toEqual(['50.1', '49.4', '']);
+  expect(first.statistics.outOfSpecCount).toBe(1);
+});
+
+test('exported CSV can be imported back into the same structure', () => {
+  const original = importReportsFromCsv(
+    'Date,Time,Shift,Operator,Product ID,Spout,Sample,Weight\n2024-05-03,08:00,Night,Bo,bag-25kg,2,3,25.1',
+    DEFAULT_PROFILES,
+    'bag-50kg'
+  );
+  const rows = payloadsToRows(original);
+  expect(rows.find(row => row.spoutNumber === 2 && row.sampleNumber === 3)).toMatchObject({ weight: 25.1, inRange: true });
+
+  const [roundTripped] = importReportsFromCsv(toCsv(rows), DEFAULT_PROFILES, 'bag-50kg');
+  expect(roundTripped.metadata.profileId).toBe('bag-25kg');
+  expect(roundTripped.spouts.map(spout => spout.samples)).toEqual(original[0].spouts.map(spout => spout.samples));
+});
+
+test('imported samples survive duplicating and recalculating the report', () => {
+  const [imported] = importReportsFromCsv(
+    'Date,Time,Shift,Operator,Product ID,Spout,Sample,Weight\n2024-05-03,08:00,Night,Bo,bag-50kg,1,1,50.1\n2024-05-03,08:00,Night,Bo,bag-50kg,1,2,49.8',
+    DEFAULT_PROFILES,
+    'bag-50kg'
+  );
+  expect(imported.spouts[0].sampleDetails[0]).toMatchObject({ entered: '50.1', gross: '50.1', netKg: 50.1 });
+
+  const duplicate = payloadToFormData(imported, DEFAULT_PROFILES);
+  expect(getSampleDetail(duplicate.spoutData[0], 1).entered).toBe('49.8');
+
+  const tared = recalculateSpout(duplicate.spoutData[0], { tare: '0.5', unit: 'kg' });
+  expect(tared.samples).toEqual(['49.6', '49.3', '']);
+});
+
+test('exports formula-like text as plain text and imports it back unchanged', () => {
+  const [report] = importReportsFromCsv(
+    'Date,Time,Shift,Operator,Spout,Sample,Weight,Spout Comments\n2024-05-03,08:00,Night,=1+2,1,1,50.1,@SUM(A1)',
+    DEFAULT_PROFILES,
+    'bag-50kg'
+  );
+  const csv = toCsv(payloadsToRows([report]));
+  expect(csv).toContain("'=1+2");
+  expect(csv).toContain("'@SUM(A1)");
+  expect(csv).not.toMatch(/,[=+@-]/);
+
+  const [roundTripped] = importReportsFromCsv(csv, DEFAULT_PROFILES, 'bag-50kg');
+  expect(roundTripped.metadata.operatorName).toBe('=1+2');
+  expect(roundTripped.spouts[0].comments).toBe('@SUM(A1)');
+});
@@ -0,0 +1,252 @@
+import { DISPLAY_PRECISION, formatStat } from './statistics';
+import { getUnitPrecision } from './units';
+import { REPORT_STATUS_LABELS } from './correctiveActions';
+import { APPROVAL_LABELS } from './reports';
+import { COMPLIANCE_VERDICT_LABELS } from './metrology';
+import { describeSetpointAdjustment } from './setpoint';
+import { TRACE_FIELDS } from './traceability';
+
+// A4 PDF of a submitted report for the signed audit record. jsPDF is loaded
+// on demand so it stays out of the main bundle.
+
+const PAGE = { width: 210, height: 297, margin: 15 };
+const LINE_HEIGHT = 6;
+const SIGNATURE_BOX = { width: 80, height: 27 };
+
+// The standard PDF fonts have no em dash, which formatStat uses for "no value"
+const pdfText = (value) => String(value).replace(/—/g, '-');
+
+const readAsDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+const getImageSize = (dataUrl) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight });
+  image.onerror = () => reject(new Error('Logo could not be decoded'));
+  image.src = dataUrl;
+});
+
+// Resolves with { logo, error }; a missing logo leaves the PDF without one
+// rather than failing it
+async function loadLogo(logoUrl) {
+  if (!logoUrl) return { logo: null, error: null };
+  try {
+    const response = await fetch(logoUrl);
+    if (!response.ok) return { logo: null, error: `Logo request failed with status ${response.status}` };
+    const dataUrl = await readAsDataUrl(await response.blob());
+    const format = dataUrl.startsWith('data:image/jpeg') ? 'JPEG' : 'PNG';
+    return { logo: { dataUrl, format, ...(await getImageSize(dataUrl)) }, error: null };
+  } catch (error) {
+    return { logo: null, error: error.message || String(error) };
+  }
+}
+
+// Resolves with the jsPDF document and `logoError`, the reason the company
+// logo was left out, or null
+export async function generateReportPdf(payload, { logoUrl } = {}) {
+  const { jsPDF } = await import('jspdf');
+  const { metadata, spouts, statistics, signatures = {}, correctiveActions = [] } = payload;
+  const weightDigits = getUnitPrecision(metadata.unit);
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const contentWidth = PAGE.width - PAGE.margin * 2;
+  let y = PAGE.margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > PAGE.height - PAGE.margin) {
+      doc.addPage();
+      y = PAGE.margin;
+    }
+  };
+
+  const writeLines = (text, { size = 10, style = 'normal', color = [17, 24, 39] } = {}) => {
+    doc.setFont('helvetica', style);
+    doc.setFontSize(size);
+    doc.setTextColor(...color);
+    doc.splitTextToSize(pdfText(text), contentWidth).forEach(line => {
+      ensureSpace(LINE_HEIGHT);
+      doc.text(line, PAGE.margin, y);
+      y += LINE_HEIGHT;
+    });
+  };
+
+  // Header
+  const { logo, error: logoError } = await loadLogo(logoUrl);
+  if (logo) {
+    const height = 18;
+    const width = Math.min((logo.width / logo.height) * height, contentWidth);
+    doc.addImage(logo.dataUrl, logo.format, PAGE.margin + (contentWidth - width) / 2, y, width, height);
+    y += height + 6;
+  }
+  writeLines('Weight Check Report', { size: 16, style: 'bold', color: [37, 99, 235] });
+  writeLines(
+    `${metadata.profileName} | Target Weight: ${metadata.targetWeight} ${metadata.unit} | ` +
+    `Acceptable Range: ${metadata.minWeight} - ${metadata.maxWeight} ${metadata.unit}`
+  );
+  writeLines(
+    `Date: ${metadata.date}   Time: ${metadata.time}   Shift: ${metadata.shift}   Operator: ${metadata.operatorName}`
+  );
+  if (metadata.lineName || metadata.machineName) {
+    writeLines(`Line: ${metadata.lineName || '-'}   Machine: ${metadata.machineName || '-'}`);
+  }
+  const traced = TRACE_FIELDS.filter(({ key }) => metadata.traceability && metadata.traceability[key]);
+  if (traced.length > 0) {
+    writeLines(traced.map(({ key, label }) => `${label}: ${metadata.traceability[key]}`).join('   '));
+  }
+  if (metadata.reportStatus) {
+    writeLines(`Status: ${REPORT_STATUS_LABELS[metadata.reportStatus]}`, { style: 'bold' });
+  }
+  if (metadata.approval) {
+    const { status, by, at, comment } = metadata.approval;
+    writeLines(
+      `${APPROVAL_LABELS[status]} by ${by ? by.name : 'unknown'} on ${new Date(at).toLocaleString()}` +
+      `${comment ? ` - ${comment}` : ''}`
+    );
+  }
+  if (metadata.checkSchedule) {
+    const { shift, intervalMinutes, overdue, overdueMinutes, missedCount } = metadata.checkSchedule;
+    writeLines(
+      `Check schedule (${shift}, every ${intervalMinutes} min): ${overdue ? `${overdueMinutes} min overdue` : 'on time'}` +
+      `${missedCount ? `, ${missedCount} missed before this check` : ''}`
+    );
+  }
+  if (metadata.compliance) {
+    const { verdict, tne, t1, t2, unit, reasons } = metadata.compliance;
+    writeLines(
+      `Legal metrology: ${COMPLIANCE_VERDICT_LABELS[verdict]}` +
+      `${tne !== undefined ? ` (TNE ${tne} ${unit}, T1 ${t1}, T2 ${t2})` : ''} - ${reasons.join('; ')}`
+    );
+  }
+  y += 2;
+
+  // Spout table
+  const sampleCount = Math.max(0, ...spouts.map(spout => spout.samples.length));
+  const columns = [
+    { header: 'Spout', width: 14 },
+    ...Array(sampleCount).fill().map((_, index) => ({ header: `S${index + 1}`, width: 0 })),
+    { header: 'Avg', width: 18 },
+    { header: 'SD', width: 16 },
+    { header: 'Cpk', width: 14 },
+    { header: 'Out', width: 14 }
+  ];
+  const fixedWidth = columns.reduce((total, column) => total + column.width, 0);
+  const sampleWidth = sampleCount ? (contentWidth - fixedWidth) / sampleCount : 0;
+  columns.forEach(column => { if (!column.width) column.width = sampleWidth; });
+
+  const drawRow = (cells, { bold = false, fill = null } = {}) => {
+    ensureSpace(LINE_HEIGHT + 1);
+    let x = PAGE.margin;
+    if (fill) {
+      doc.setFillColor(...fill);
+      doc.rect(PAGE.margin, y - 4.5, contentWidth, LINE_HEIGHT + 1, 'F');
+    }
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(9);
+    cells.forEach((cell, index) => {
+      doc.setTextColor(...(cell.color || [17, 24, 39]));
+      doc.text(pdfText(cell.text), x + 1.5, y);
+      x += columns[index].width;
+    });
+    y += LINE_HEIGHT + 1;
+  };
+
+  drawRow(columns.map(column => ({ text: column.header })), { bold: true, fill: [239, 246, 255] });
+  spouts.forEach(spout => {
+    const stats = spout.statistics || {};
+    const sampleCells = Array(sampleCount).fill().map((_, index) => {
+      const sample = spout.samples[index];
+      if (sample === undefined || sample === '') return { text: '-', color: [156, 163, 175] };
+      const value = parseFloat(sample);
+      const inRange = value >= metadata.minWeight && value <= metadata.maxWeight;
+      // Out-of-range values are starred as well as red so they survive a mono print
+      return inRange ? { text: sample, color: [21, 128, 61] } : { text: `${sample}*`, color: [185, 28, 28] };
+    });
+    drawRow([
+      { text: `${spout.label || spout.spoutNumber}${spout.outOfService ? ' OOS' : ''}` },
+      ...sampleCells,
+      { text: formatStat(stats.mean, weightDigits) },
+      { text: formatStat(stats.stdDev, DISPLAY_PRECISION.stdDev) },
+      { text: formatStat(stats.cpk, DISPLAY_PRECISION.index) },
+      { text: stats.outOfSpecCount || 0, color: stats.outOfSpecCount ? [185, 28, 28] : undefined }
+    ]);
+  });
+  writeLines(
+    `* outside the acceptable range${spouts.some(spout => spout.outOfService) ? '; OOS: spout out of service, not in the statistics' : ''}`,
+    { size: 8, color: [107, 114, 128] }
+  );
+
+  if (statistics) {
+    y += 2;
+    writeLines('Report Statistics', { size: 12, style: 'bold' });
+    writeLines(
+      `Samples: ${statistics.count}   Mean: ${formatStat(statistics.mean, weightDigits)} ${metadata.unit}   ` +
+      `Std Dev: ${formatStat(statistics.stdDev, DISPLAY_PRECISION.stdDev)}   ` +
+      `Range: ${formatStat(statistics.min, weightDigits)} - ${formatStat(statistics.max, weightDigits)}   ` +
+      `Cp/Cpk: ${formatStat(statistics.cp, DISPLAY_PRECISION.index)} / ${formatStat(statistics.cpk, DISPLAY_PRECISION.index)}   ` +
+      `Out of spec: ${statistics.outOfSpecCount} (${formatStat(statistics.outOfSpecPercent, DISPLAY_PRECISION.percent)}%)`
+    );
+  }
+
+  if (correctiveActions.length > 0) {
+    y += 2;
+    writeLines('Corrective Actions', { size: 12, style: 'bold', color: [185, 28, 28] });
+    correctiveActions.forEach(action => {
+      writeLines(
+        `Spout ${action.spoutLabel || action.spoutNumber}: ${action.reasonCode} ${action.reasonLabel} | Action: ${action.actionTaken}` +
+        (action.recheckSamples.length ? ` | Re-check: ${action.recheckSamples.join(', ')} ${metadata.unit}` : '')
+      );
+    });
+  }
+
+  const adjusted = spouts.filter(spout => spout.setpointAdjustment);
+  if (adjusted.length > 0) {
+    y += 2;
+    writeLines('Setpoint Adjustments', { size: 12, style: 'bold' });
+    adjusted.forEach(spout => {
+      writeLines(`Spout ${spout.label || spout.spoutNumber}: ${describeSetpointAdjustment(spout.setpointAdjustment)}`);
+    });
+  }
+
+  // Comments
+  y += 2;
+  writeLines('Comments', { size: 12, style: 'bold' });
+  writeLines(metadata.generalComments || 'None');
+  spouts.filter(spout => spout.comments).forEach(spout => {
+    writeLines(`Spout ${spout.label || spout.spoutNumber}: ${spout.comments}`);
+  });
+
+  // Signature block
+  y += 4;
+  ensureSpace(SIGNATURE_BOX.height + 16);
+  [
+    { title: 'Operator', signature: signatures.operator, name: metadata.operatorName },
+    { title: 'Supervisor', signature: signatures.supervisor, name: metadata.supervisorName }
+  ].forEach(({ title, signature, name }, index) => {
+    const x = PAGE.margin + index * (SIGNATURE_BOX.width + 10);
+    doc.setDrawColor(156, 163, 175);
+    doc.rect(x, y, SIGNATURE_BOX.width, SIGNATURE_BOX.height);
+    if (signature && signature.image) {
+      doc.addImage(signature.image, 'PNG', x + 1, y + 1, SIGNATURE_BOX.width - 2, SIGNATURE_BOX.height - 2);
+    }
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(17, 24, 39);
+    doc.text(`${title}: ${(signature && signature.name) || name || '________________'}`, x, y + SIGNATURE_BOX.height + 5);
+    doc.text(
+      `Signed: ${signature ? new Date(signature.signedAt).toLocaleString() : '________________'}`,
+      x,
+      y + SIGNATURE_BOX.height + 10
+    );
+  });
+
+  return { doc, logoError };
+}
+
+export async function downloadReportPdf(payload, options, filename) {
+  const { doc, logoError } = await generateReportPdf(payload, options);
+  doc.save(`${filename}.pdf`);
+  return { logoError };
+}
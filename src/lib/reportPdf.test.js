@@ -0,0 +1,86 @@
+import { generateReportPdf } from './reportPdf';
+
+// Records what the report draws instead of laying out a real PDF
+jest.mock('jspdf', () => ({
+  jsPDF: function jsPDF() {
+    this.texts = [];
+    this.images = [];
+    this.text = (text) => { this.texts.push(text); };
+    this.addImage = (image, format) => { this.images.push({ image, format }); };
+    this.splitTextToSize = (text) => [text];
+    ['addPage', 'setFont', 'setFontSize', 'setTextColor', 'setFillColor', 'setDrawColor', 'rect', 'save']
+      .forEach(method => { this[method] = () => {}; });
+  }
+}));
+
+const payload = (spouts, signatures = {}) => ({
+  metadata: {
+    profileName: '50 kg bag',
+    targetWeight: 50,
+    minWeight: 49.5,
+    maxWeight: 50.5,
+    unit: 'kg',
+    date: '2024-05-03',
+    time: '08:00',
+    shift: 'Morning',
+    operatorName: 'Ana',
+    supervisorName: 'Rui',
+    generalComments: ''
+  },
+  spouts,
+  statistics: null,
+  signatures
+});
+
+const spout = (spoutNumber, samples, extra = {}) => ({
+  spoutNumber,
+  label: '',
+  samples,
+  comments: '',
+  outOfService: false,
+  statistics: { mean: 50, stdDev: 0.1, cpk: 1.2, outOfSpecCount: 0 },
+  ...extra
+});
+
+test('stars out-of-range samples and marks spouts out of service', async () => {
+  const { doc } = await generateReportPdf(payload([
+    spout(1, ['50.1', '51.2', '']),
+    spout(2, ['', '', ''], { outOfService: true })
+  ]));
+
+  expect(doc.texts).toEqual(expect.arrayContaining(['50.1', '51.2*', '2 OOS']));
+  expect(doc.texts).not.toContain('50.1*');
+  expect(doc.texts.some(text => text.includes('OOS: spout out of service'))).toBe(true);
+});
+
+test('embeds the operator and supervisor signatures', async () => {
+  const signedAt = '2024-05-03T08:30:00.000Z';
+  const { doc } = await generateReportPdf(payload([spout(1, ['50.0'])], {
+    operator: { name: 'Ana', image: 'data:image/png;base64,AAA', signedAt },
+    supervisor: { name: 'Rui', image: 'data:image/png;base64,BBB', signedAt }
+  }));
+
+  expect(doc.images).toEqual([
+    { image: 'data:image/png;base64,AAA', format: 'PNG' },
+    { image: 'data:image/png;base64,BBB', format: 'PNG' }
+  ]);
+  expect(doc.texts).toEqual(expect.arrayContaining(['Operator: Ana', 'Supervisor: Rui']));
+});
+
+test('lays out a report with no spouts', async () => {
+  const { doc } = await generateReportPdf(payload([]));
+  expect(doc.texts).toEqual(expect.arrayContaining(['Spout', 'Avg', 'Out']));
+  expect(doc.texts.every(text => !String(text).includes('NaN'))).toBe(true);
+});
+
+test('returns why the logo was left out instead of failing', async () => {
+  const previousFetch = global.fetch;
+  global.fetch = () => Promise.resolve({ ok: false, status: 404 });
+  try {
+    const { doc, logoError } = await generateReportPdf(payload([spout(1, ['50.0'])]), { logoUrl: '/logo.png' });
+    expect(logoError).toBe('Logo request failed with status 404');
+    expect(doc.images).toEqual([]);
+  } finally {
+    global.fetch = previousFetch;
+  }
+});
@@ -0,0 +1,126 @@
+import { STORES, withStore } from './db';
+import { SUBMISSION_STATUS, getSubmissions } from './offlineQueue';
+import { toIdentity } from './roster';
+
+// Helpers over the reports stored on this device. The submission
+// queue keeps every report after it syncs, so it doubles as the local history.
+
+// Kinds of record in the store. Reports saved before shift summaries existed
+// carry no type and are weight checks.
+export const RECORD_TYPE = {
+  WEIGHT_CHECK: 'weightCheck',
+  SHIFT_SUMMARY: 'shiftSummary',
+  // A supervisor's decision on a report sent earlier; never shown as a report
+  APPROVAL: 'approval'
+};
+
+export const getRecordType = (payload) => payload.metadata.recordType || RECORD_TYPE.WEIGHT_CHECK;
+
+export const REPORT_VERDICT = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  EMPTY: 'empty'
+};
+
+export function getReportVerdict(payload) {
+  const { statistics } = payload;
+  if (!statistics || statistics.count === 0) return REPORT_VERDICT.EMPTY;
+  return statistics.outOfSpecCount === 0 ? REPORT_VERDICT.PASS : REPORT_VERDICT.FAIL;
+}
+
+export const APPROVAL_STATUS = {
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+export const APPROVAL_LABELS = {
+  [APPROVAL_STATUS.APPROVED]: 'Approved',
+  [APPROVAL_STATUS.REJECTED]: 'Rejected'
+};
+
+// Whether `user` wrote the report. Reports submitted without a login only
+// carry the typed operator name.
+export function isReportAuthor(payload, user) {
+  const { operatorId, operatorName } = payload.metadata;
+  if (!user) return false;
+  if (operatorId) return operatorId === user.id;
+  return Boolean(operatorName) && operatorName.trim().toLowerCase() === user.name.trim().toLowerCase();
+}
+
+// Stamps a supervisor's decision into the report metadata. A rejection has to
+// say why, so the operator knows what to redo. Nobody signs off their own
+// report, and a recorded decision is final.
+export function applyApproval(payload, { status, user, comment = '' }, now = new Date()) {
+  if (!APPROVAL_LABELS[status]) {
+    throw new Error(`Unknown approval status "${status}"`);
+  }
+  if (payload.metadata.approval) {
+    throw new Error('This report already has an approval decision');
+  }
+  if (isReportAuthor(payload, user)) {
+    throw new Error('A report can\'t be approved by the person who submitted it');
+  }
+  if (status === APPROVAL_STATUS.REJECTED && !comment.trim()) {
+    throw new Error('Add a comment explaining the rejection');
+  }
+  return {
+    ...payload,
+    metadata: {
+      ...payload.metadata,
+      approval: { status, by: toIdentity(user), at: now.toISOString(), comment: comment.trim() }
+    }
+  };
+}
+
+// The update backends receive when a report is approved or rejected, in
+// place of the whole report again. It carries the report's id plus enough of
+// its metadata to find the row by hand when the id is missing (reports saved
+// before ids existed).
+export function buildApprovalEvent(payload) {
+  const { reportId, profileId, lineId, machineId, operatorName, shift, date, time, approval } = payload.metadata;
+  return {
+    metadata: {
+      recordType: RECORD_TYPE.APPROVAL,
+      reportId,
+      profileId,
+      lineId,
+      machineId,
+      operatorName,
+      shift,
+      date,
+      time,
+      approval
+    }
+  };
+}
+
+// Most recent check first, by the date/time the operator recorded
+const reportTimestamp = (record) =>
+  `${record.payload.metadata.date}T${record.payload.metadata.time || '00:00'}`;
+
+// Records of one type, newest check first
+export const selectReportHistory = (records, recordType = RECORD_TYPE.WEIGHT_CHECK) => records
+  .filter(record => getRecordType(record.payload) === recordType)
+  .sort((a, b) => reportTimestamp(b).localeCompare(reportTimestamp(a)) || b.createdAt - a.createdAt);
+
+export async function getReportHistory(recordType = RECORD_TYPE.WEIGHT_CHECK) {
+  return selectReportHistory(await getSubmissions(), recordType);
+}
+
+export function saveImportedReports(payloads) {
+  const now = Date.now();
+  return withStore(STORES.SUBMISSIONS, 'readwrite', (store) => {
+    payloads.forEach(payload => store.add({
+      payload,
+      targets: [],
+      deliveries: {},
+      status: SUBMISSION_STATUS.IMPORTED,
+      attempts: 0,
+      lastError: null,
+      createdAt: now,
+      nextAttemptAt: null,
+      syncedAt: null
+    }));
+    return payloads.length;
+  });
+}
@@ -0,0 +1,79 @@
+import {
+  APPROVAL_STATUS,
+  RECORD_TYPE,
+  REPORT_VERDICT,
+  applyApproval,
+  buildApprovalEvent,
+  getRecordType,
+  getReportVerdict,
+  isReportAuthor,
+  selectReportHistory
+} from './reports';
+
+const report = {
+  metadata: {
+    recordType: RECORD_TYPE.WEIGHT_CHECK,
+    reportId: 'draft-42',
+    profileId: 'bag-25kg',
+    lineId: 'line-1',
+    machineId: 'filler-1',
+    operatorName: 'Ana',
+    shift: 'Morning',
+    date: '2024-05-03',
+    time: '08:15',
+    generalComments: 'Spout 3 drifting',
+    approval: null
+  },
+  spouts: [{ spoutNumber: 1, label: '', samples: ['25.1', '24.9'], outOfService: false }]
+};
+
+test('sends an approval as an event keyed on the report, not the report again', () => {
+  const approved = applyApproval(
+    report,
+    { status: APPROVAL_STATUS.APPROVED, user: { id: 'sup-1', name: 'Rui' } },
+    new Date('2024-05-03T10:00:00Z')
+  );
+  const event = buildApprovalEvent(approved);
+
+  expect(getRecordType(event)).toBe(RECORD_TYPE.APPROVAL);
+  expect(event.metadata.reportId).toBe('draft-42');
+  expect(event.metadata.approval).toEqual(approved.metadata.approval);
+  expect(event.metadata.approval.at).toBe('2024-05-03T10:00:00.000Z');
+  expect(event.spouts).toBeUndefined();
+  expect(event.metadata.generalComments).toBeUndefined();
+});
+
+test('refuses self-approval and a second decision', () => {
+  const submitted = { ...report, metadata: { ...report.metadata, operatorId: 'sup-1' } };
+  const author = { id: 'sup-1', name: 'Rui' };
+  expect(isReportAuthor(submitted, author)).toBe(true);
+  expect(() => applyApproval(submitted, { status: APPROVAL_STATUS.APPROVED, user: author })).toThrow('submitted it');
+
+  // Without a login at submission the typed operator name is all there is
+  expect(isReportAuthor(report, { id: 'op-9', name: ' ana ' })).toBe(true);
+
+  const approved = applyApproval(report, { status: APPROVAL_STATUS.APPROVED, user: author });
+  expect(() => applyApproval(approved, { status: APPROVAL_STATUS.REJECTED, user: author, comment: 'redo' }))
+    .toThrow('already has an approval decision');
+});
+
+test('lists weight checks newest first, leaving out approvals and shift summaries', () => {
+  const stored = (id, metadata, createdAt = id) => ({ id, createdAt, payload: { metadata } });
+  const records = [
+    stored(1, { date: '2024-05-03', time: '08:00' }),
+    stored(2, { recordType: RECORD_TYPE.APPROVAL, date: '2024-05-04', time: '09:00' }),
+    stored(3, { recordType: RECORD_TYPE.WEIGHT_CHECK, date: '2024-05-03', time: '14:00' }),
+    stored(4, { recordType: RECORD_TYPE.SHIFT_SUMMARY, date: '2024-05-03', time: '22:00' }),
+    // Same check time: the later submission comes first
+    stored(5, { date: '2024-05-03', time: '08:00' })
+  ];
+
+  expect(selectReportHistory(records).map(record => record.id)).toEqual([3, 5, 1]);
+  expect(selectReportHistory(records, RECORD_TYPE.SHIFT_SUMMARY).map(record => record.id)).toEqual([4]);
+});
+
+test('summarizes a report as pass, fail or empty', () => {
+  expect(getReportVerdict({ statistics: { count: 24, outOfSpecCount: 0 } })).toBe(REPORT_VERDICT.PASS);
+  expect(getReportVerdict({ statistics: { count: 24, outOfSpecCount: 2 } })).toBe(REPORT_VERDICT.FAIL);
+  expect(getReportVerdict({ statistics: { count: 0, outOfSpecCount: 0 } })).toBe(REPORT_VERDICT.EMPTY);
+});
@@ -0,0 +1,91 @@
+import { hashSecret, verifySecret } from './crypto';
+
+// Operator identities and what each role may do. PINs and badge codes are
+// stored as SHA-256 hashes only. An empty roster turns login off, and the app
+// then behaves as a shared device with a free-text operator name.
+
+export const ROLES = {
+  OPERATOR: 'operator',
+  SUPERVISOR: 'supervisor',
+  QA: 'qa'
+};
+
+export const ROLE_LABELS = {
+  [ROLES.OPERATOR]: 'Operator',
+  [ROLES.SUPERVISOR]: 'Supervisor',
+  [ROLES.QA]: 'QA'
+};
+
+export const PERMISSIONS = {
+  SUBMIT_REPORTS: 'submitReports',
+  VIEW_HISTORY: 'viewHistory',
+  VIEW_TRENDS: 'viewTrends',
+  APPROVE_REPORTS: 'approveReports'
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.OPERATOR]: [PERMISSIONS.SUBMIT_REPORTS],
+  [ROLES.SUPERVISOR]: [PERMISSIONS.SUBMIT_REPORTS, PERMISSIONS.VIEW_HISTORY, PERMISSIONS.VIEW_TRENDS, PERMISSIONS.APPROVE_REPORTS],
+  [ROLES.QA]: [PERMISSIONS.VIEW_HISTORY, PERMISSIONS.VIEW_TRENDS]
+};
+
+export const isLoginRequired = (operators) => operators.length > 0;
+
+// Without a roster everyone may do everything, as before logins existed
+export function hasPermission(user, permission, operators) {
+  if (!isLoginRequired(operators)) return true;
+  return Boolean(user) && ROLE_PERMISSIONS[user.role].includes(permission);
+}
+
+export async function findOperatorByPin(operators, operatorId, pin) {
+  const operator = operators.find(item => item.id === operatorId);
+  if (!operator || !operator.pinHash) return null;
+  return (await verifySecret(pin, operator.pinHash)) ? operator : null;
+}
+
+// Badge readers type the code like a keyboard, so it arrives as plain text
+export async function findOperatorByBadge(operators, badgeCode) {
+  const code = badgeCode.trim();
+  for (const operator of operators) {
+    if (await verifySecret(code, operator.badgeHash)) return operator;
+  }
+  return null;
+}
+
+// Identity stamped into a report or approval
+export const toIdentity = (user) => (user ? { id: user.id, name: user.name, role: user.role } : null);
+
+export function normalizeOperator(operator, index) {
+  if (!operator || typeof operator !== 'object' || !operator.id || !String(operator.name || '').trim()) {
+    throw new Error(`Operator ${index + 1} needs an id and a name`);
+  }
+  if (!ROLE_PERMISSIONS[operator.role]) {
+    throw new Error(`Operator "${operator.name}" has an unknown role "${operator.role}"`);
+  }
+  if (!operator.pinHash && !operator.badgeHash) {
+    throw new Error(`Operator "${operator.name}" needs a PIN or a badge code`);
+  }
+  return {
+    id: String(operator.id),
+    name: String(operator.name).trim(),
+    role: operator.role,
+    pinHash: operator.pinHash || '',
+    badgeHash: operator.badgeHash || ''
+  };
+}
+
+// The admin editor holds new PINs and badge codes in plain text until saved
+export async function hashOperatorCredentials(operators) {
+  return Promise.all(operators.map(async ({ newPin, newBadge, ...operator }) => {
+    if (newPin) {
+      if (!/^\d{4,8}$/.test(newPin)) {
+        throw new Error(`The PIN for "${operator.name}" must be 4 to 8 digits`);
+      }
+      operator.pinHash = await hashSecret(newPin);
+    }
+    if (newBadge && newBadge.trim()) {
+      operator.badgeHash = await hashSecret(newBadge.trim());
+    }
+    return operator;
+  }));
+}
@@ -0,0 +1,30 @@
+import { PERMISSIONS, ROLES, hasPermission, hashOperatorCredentials, normalizeOperator } from './roster';
+
+const roster = [
+  { id: 'op-1', name: 'Ana', role: ROLES.OPERATOR, pinHash: 'abc', badgeHash: '' },
+  { id: 'qa-1', name: 'Luc', role: ROLES.QA, pinHash: '', badgeHash: 'def' }
+];
+
+test('everyone may do everything while the roster is empty', () => {
+  expect(hasPermission(null, PERMISSIONS.APPROVE_REPORTS, [])).toBe(true);
+});
+
+test('permissions follow the role once a roster exists', () => {
+  const [operator, qa] = roster;
+  expect(hasPermission(null, PERMISSIONS.SUBMIT_REPORTS, roster)).toBe(false);
+  expect(hasPermission(operator, PERMISSIONS.SUBMIT_REPORTS, roster)).toBe(true);
+  expect(hasPermission(operator, PERMISSIONS.VIEW_HISTORY, roster)).toBe(false);
+  expect(hasPermission(qa, PERMISSIONS.VIEW_TRENDS, roster)).toBe(true);
+  expect(hasPermission(qa, PERMISSIONS.APPROVE_REPORTS, roster)).toBe(false);
+  expect(hasPermission({ ...operator, role: ROLES.SUPERVISOR }, PERMISSIONS.APPROVE_REPORTS, roster)).toBe(true);
+});
+
+test('operators need a known role and a credential', () => {
+  expect(normalizeOperator({ ...roster[0], name: ' Ana ' }, 0).name).toBe('Ana');
+  expect(() => normalizeOperator({ ...roster[0], role: 'admin' }, 0)).toThrow('unknown role');
+  expect(() => normalizeOperator({ ...roster[0], pinHash: '' }, 0)).toThrow('needs a PIN or a badge code');
+});
+
+test('rejects PINs that are not 4 to 8 digits', async () => {
+  await expect(hashOperatorCredentials([{ ...roster[0], newPin: '12a' }])).rejects.toThrow('must be 4 to 8 digits');
+});
@@ -0,0 +1,119 @@
+import { PRINT_COMMANDS, SCALE_PROTOCOLS, parseScaleLine, splitLines } from './scaleProtocol';
+
+// Scale drivers share one shape: connect(), disconnect() and requestReading(),
+// reporting parsed readings through `onReading`. The simulated driver emits
+// real protocol lines through the same parser, so it exercises the full path.
+
+export const SCALE_DRIVERS = {
+  SERIAL: 'serial',
+  SIMULATED: 'simulated'
+};
+
+export const isSerialSupported = () => typeof navigator !== 'undefined' && 'serial' in navigator;
+
+export function createSerialScale({ baudRate = 9600, protocol = SCALE_PROTOCOLS.SICS, onReading, onError, onClose }) {
+  let port = null;
+  let reader = null;
+  let closing = false;
+
+  const readLoop = async () => {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    try {
+      while (port && port.readable && !closing) {
+        reader = port.readable.getReader();
+        try {
+          for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            const { lines, rest } = splitLines(buffer + decoder.decode(value, { stream: true }));
+            buffer = rest;
+            lines.map(parseScaleLine).filter(Boolean).forEach(onReading);
+          }
+        } finally {
+          reader.releaseLock();
+          reader = null;
+        }
+      }
+    } catch (error) {
+      if (!closing) onError(error);
+    }
+    if (!closing) onClose();
+  };
+
+  return {
+    async connect() {
+      if (!isSerialSupported()) {
+        throw new Error('This browser does not support Web Serial (use Chrome or Edge on desktop)');
+      }
+      port = await navigator.serial.requestPort();
+      await port.open({ baudRate: Number(baudRate) });
+      closing = false;
+      readLoop();
+    },
+
+    async disconnect() {
+      closing = true;
+      if (reader) {
+        await reader.cancel().catch(() => {});
+      }
+      if (port) {
+        await port.close().catch(() => {});
+        port = null;
+      }
+    },
+
+    async requestReading() {
+      if (!port || !port.writable) return;
+      const writer = port.writable.getWriter();
+      try {
+        await writer.write(new TextEncoder().encode(PRINT_COMMANDS[protocol] || PRINT_COMMANDS[SCALE_PROTOCOLS.SICS]));
+      } finally {
+        writer.releaseLock();
+      }
+    }
+  };
+}
+
+// Cycles through an empty pan, a bag settling and a stable bag weight around
+// the target, in the generic "ST,GS,+ 50.12 kg" format.
+export function createSimulatedScale({ targetWeight = 50, spread = 0.3, unit = 'kg', intervalMs = 400, onReading }) {
+  const CYCLE = ['empty', 'empty', 'settling', 'settling', 'stable', 'stable', 'stable', 'stable'];
+  let timer = null;
+  let step = 0;
+  let bagWeight = targetWeight;
+
+  const line = (weight, stable) => `${stable ? 'ST' : 'US'},GS,${weight < 0 ? '-' : '+'} ${Math.abs(weight).toFixed(2)} ${unit}`;
+
+  const currentLine = () => {
+    const phase = CYCLE[step % CYCLE.length];
+    if (phase === 'empty') return line(0, true);
+    if (phase === 'settling') return line(bagWeight + (Math.random() - 0.5) * spread * 4, false);
+    return line(bagWeight, true);
+  };
+
+  const tick = () => {
+    step += 1;
+    if (step % CYCLE.length === 2) {
+      // Roughly normal spread around the target (sum of uniforms)
+      const noise = (Math.random() + Math.random() + Math.random() - 1.5) * spread;
+      bagWeight = targetWeight + noise;
+    }
+    const reading = parseScaleLine(currentLine());
+    if (reading) onReading(reading);
+  };
+
+  return {
+    async connect() {
+      timer = setInterval(tick, intervalMs);
+    },
+    async disconnect() {
+      clearInterval(timer);
+      timer = null;
+    },
+    async requestReading() {
+      const reading = parseScaleLine(currentLine());
+      if (reading) onReading(reading);
+    }
+  };
+}
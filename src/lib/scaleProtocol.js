@@ -0,0 +1,68 @@
+// Parsers for the line formats platform scales send over RS-232/USB serial.
+// Each returns { format, weight, value, unit, stable, mode } or null for lines
+// that carry no weight (acknowledgements, overload, blank keep-alives).
+
+export const SCALE_PROTOCOLS = {
+  SICS: 'sics',
+  OHAUS: 'ohaus',
+  GENERIC: 'generic'
+};
+
+// Commands that ask the scale for a single stable reading (print on demand)
+export const PRINT_COMMANDS = {
+  [SCALE_PROTOCOLS.SICS]: 'S\r\n',
+  [SCALE_PROTOCOLS.OHAUS]: 'IP\r\n',
+  [SCALE_PROTOCOLS.GENERIC]: 'P\r\n'
+};
+
+const UNIT_ALIASES = { kg: 'kg', g: 'g', lb: 'lb', lbs: 'lb', oz: 'oz' };
+
+// Mettler Toledo SICS: "S S      50.12 kg" (stable) / "S D      50.08 kg" (dynamic)
+const SICS_PATTERN = /^S[IR]?\s+([SD])\s+([-+]?\s*\d+(?:\.\d+)?)\s*([a-z]+)$/i;
+// A&D-style and most generic indicators: "ST,GS,+ 50.12 kg" / "US,NT,+0050.12kg"
+const GENERIC_PATTERN = /^(ST|US),(GS|NT|TR)?,?\s*([-+])?\s*(\d+(?:\.\d+)?)\s*([a-z]+)$/i;
+// Ohaus continuous/print output: "    50.12 kg   G" with "?" marking an unstable reading
+const OHAUS_PATTERN = /^([-+]?\s*\d+(?:\.\d+)?)\s*([a-z]+)\s*(\?)?\s*([GNT])?\s*(\?)?$/i;
+
+const toReading = (format, rawNumber, rawUnit, stable, mode = 'gross') => {
+  const unit = UNIT_ALIASES[rawUnit.toLowerCase()];
+  if (!unit) return null;
+
+  const numberText = rawNumber.replace(/\s+/g, '');
+  const weight = parseFloat(numberText);
+  if (!Number.isFinite(weight)) return null;
+
+  // Keep the resolution the scale reported ("0050.10" -> "50.10")
+  const decimals = (numberText.split('.')[1] || '').length;
+  return { format, weight, value: weight.toFixed(decimals), unit, stable, mode };
+};
+
+export function parseScaleLine(line) {
+  const text = String(line).trim();
+  if (!text) return null;
+
+  let match = text.match(SICS_PATTERN);
+  if (match) {
+    return toReading(SCALE_PROTOCOLS.SICS, match[2], match[3], match[1].toUpperCase() === 'S');
+  }
+
+  match = text.match(GENERIC_PATTERN);
+  if (match) {
+    const mode = match[2] && match[2].toUpperCase() === 'NT' ? 'net' : 'gross';
+    return toReading(SCALE_PROTOCOLS.GENERIC, `${match[3] || ''}${match[4]}`, match[5], match[1].toUpperCase() === 'ST', mode);
+  }
+
+  match = text.match(OHAUS_PATTERN);
+  if (match) {
+    const mode = match[4] && match[4].toUpperCase() === 'N' ? 'net' : 'gross';
+    return toReading(SCALE_PROTOCOLS.OHAUS, match[1], match[2], !match[3] && !match[5], mode);
+  }
+
+  return null;
+}
+
+// Splits a streamed chunk into complete lines, returning the unfinished tail
+export function splitLines(buffer) {
+  const parts = buffer.split(/\r\n|\r|\n/);
+  return { lines: parts.slice(0, -1), rest: parts[parts.length - 1] };
+}
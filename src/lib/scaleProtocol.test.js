@@ -0,0 +1,35 @@
+import { SCALE_PROTOCOLS, parseScaleLine, splitLines } from './scaleProtocol';
+
+test('parses Mettler SICS stable and dynamic readings', () => {
+  expect(parseScaleLine('S S      50.12 kg')).toEqual(
+    expect.objectContaining({ format: SCALE_PROTOCOLS.SICS, weight: 50.12, value: '50.12', unit: 'kg', stable: true })
+  );
+  expect(parseScaleLine('S D      49.80 kg').stable).toBe(false);
+});
+
+test('parses generic ST/US lines and keeps the reported resolution', () => {
+  expect(parseScaleLine('ST,GS,+ 50.12 kg')).toEqual(
+    expect.objectContaining({ format: SCALE_PROTOCOLS.GENERIC, weight: 50.12, stable: true, mode: 'gross' })
+  );
+  expect(parseScaleLine('US,NT,+0050.10kg')).toEqual(
+    expect.objectContaining({ value: '50.10', stable: false, mode: 'net' })
+  );
+  expect(parseScaleLine('ST,GS,- 0.20 kg').weight).toBe(-0.2);
+});
+
+test('parses Ohaus output with the "?" instability marker', () => {
+  expect(parseScaleLine('     110.25 lb   G')).toEqual(
+    expect.objectContaining({ format: SCALE_PROTOCOLS.OHAUS, weight: 110.25, unit: 'lb', stable: true })
+  );
+  expect(parseScaleLine('     110.25 lb ? G').stable).toBe(false);
+});
+
+test('ignores lines without a weight', () => {
+  ['', 'S I', 'S +', 'OL,GS,+ ------ kg', 'ES', 'ST,GS,+ 50.12 furlongs'].forEach(line => {
+    expect(parseScaleLine(line)).toBeNull();
+  });
+});
+
+test('splits streamed chunks into complete lines', () => {
+  expect(splitLines('ST,GS,+ 50.12 kg\r\nST,GS,+ 5')).toEqual({ lines: ['ST,GS,+ 50.12 kg'], rest: 'ST,GS,+ 5' });
+});
@@ -0,0 +1,154 @@
+import { mean, sampleStdDev, toNumericSamples } from './statistics';
+import { buildSpoutSeries } from './controlCharts';
+import { getUnitPrecision } from './units';
+
+// Filler setpoint recommendations for a spout. The current report gives the
+// mean to correct; its spread is pooled with the spout's recent reports for a
+// steadier sigma. Out-of-spec rates assume normally distributed fill weights.
+
+export const SETPOINT_ACTION = {
+  ADJUST: 'adjust',
+  HOLD: 'hold',
+  VARIATION: 'variation'
+};
+
+export const CONFIDENCE = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+// Out-of-spec goals offered to the operator, in percent
+export const OUT_OF_SPEC_RATES = [0.1, 0.5, 1, 2.5, 5];
+export const DEFAULT_OUT_OF_SPEC_RATE = 1;
+
+const MIN_SAMPLES = 3;
+const HISTORY_LIMIT = 10;
+
+// Abramowitz & Stegun 7.1.26, good to about 1e-7
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Expected fraction of packs outside the limits
+export const getOutOfSpecRate = (fillMean, sigma, { lowerLimit, upperLimit }) =>
+  normalCdf((lowerLimit - fillMean) / sigma) + 1 - normalCdf((upperLimit - fillMean) / sigma);
+
+// Means that keep the out-of-spec fraction at or below `rate`, or null when
+// even a centred mean can't: the spread is too wide for the limits
+export function getMeanWindow(sigma, limits, rate) {
+  const middle = (limits.lowerLimit + limits.upperLimit) / 2;
+  if (getOutOfSpecRate(middle, sigma, limits) > rate) return null;
+
+  const edge = (inside, outside) => {
+    for (let step = 0; step < 60; step += 1) {
+      const probe = (inside + outside) / 2;
+      if (getOutOfSpecRate(probe, sigma, limits) <= rate) inside = probe;
+      else outside = probe;
+    }
+    return inside;
+  };
+  return { low: edge(middle, limits.lowerLimit - 10 * sigma), high: edge(middle, limits.upperLimit + 10 * sigma) };
+}
+
+// Recent reports of the same spout, product and machine, oldest first
+export function getSpoutHistory(records, { profileId, lineId, machineId, spoutNumber }) {
+  const matching = records.filter(({ payload: { metadata } }) => metadata.profileId === profileId &&
+    (metadata.lineId || '') === (lineId || '') &&
+    (metadata.machineId || '') === (machineId || ''));
+  return buildSpoutSeries(matching, spoutNumber).slice(-HISTORY_LIMIT);
+}
+
+const pooledStdDev = (groups) => {
+  const usable = groups.filter(group => group.n > 1 && group.stdDev !== null);
+  const degreesOfFreedom = usable.reduce((total, group) => total + group.n - 1, 0);
+  if (degreesOfFreedom === 0) return { sigma: null, degreesOfFreedom };
+  const variance = usable.reduce((total, group) => total + (group.n - 1) * group.stdDev * group.stdDev, 0) / degreesOfFreedom;
+  return { sigma: Math.sqrt(variance), degreesOfFreedom };
+};
+
+const spreadConfidence = (degreesOfFreedom) => {
+  if (degreesOfFreedom >= 20) return CONFIDENCE.HIGH;
+  return degreesOfFreedom >= 8 ? CONFIDENCE.MEDIUM : CONFIDENCE.LOW;
+};
+
+// Aims the mean at the target, moved just far enough into the window that
+// meets the out-of-spec goal (`rate`, in percent). A correction is only
+// suggested when it is at least twice the standard error of the current
+// mean; confidence rises when it is three times and the spout's recent
+// reports sat on the same side. Null when there is too little data.
+export function recommendSetpoint({ samples, target, limits, history = [], rate = DEFAULT_OUT_OF_SPEC_RATE }) {
+  const values = toNumericSamples(samples);
+  if (values.length < MIN_SAMPLES) return null;
+
+  const currentMean = mean(values);
+  const { sigma, degreesOfFreedom } = pooledStdDev([
+    { n: values.length, stdDev: sampleStdDev(values) },
+    ...history.map(point => ({ n: point.n, stdDev: point.stdDev }))
+  ]);
+  if (!sigma) return null;
+
+  const window = getMeanWindow(sigma, limits, rate / 100);
+  const recommendedMean = window
+    ? Math.min(Math.max(target, window.low), window.high)
+    : (limits.lowerLimit + limits.upperLimit) / 2;
+  const correction = recommendedMean - currentMean;
+  const significance = Math.abs(correction) / (sigma / Math.sqrt(values.length));
+
+  const side = Math.sign(currentMean - recommendedMean);
+  const historyAgrees = history.length >= 3 &&
+    history.filter(point => Math.sign(point.mean - recommendedMean) === side).length / history.length >= 0.8;
+
+  let action = SETPOINT_ACTION.HOLD;
+  let confidence = spreadConfidence(degreesOfFreedom);
+  if (!window) {
+    action = SETPOINT_ACTION.VARIATION;
+  } else if (significance >= 2) {
+    action = SETPOINT_ACTION.ADJUST;
+    if (significance >= 3 && historyAgrees) confidence = CONFIDENCE.HIGH;
+    else confidence = significance >= 3 || historyAgrees ? CONFIDENCE.MEDIUM : CONFIDENCE.LOW;
+  }
+
+  return {
+    action,
+    confidence,
+    rate,
+    currentMean,
+    sigma,
+    recommendedMean,
+    correction,
+    window,
+    currentRate: getOutOfSpecRate(currentMean, sigma, limits) * 100,
+    expectedRate: getOutOfSpecRate(recommendedMean, sigma, limits) * 100,
+    sampleCount: values.length,
+    historyCount: history.length
+  };
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// What goes in the report when the operator accepts a recommendation
+export function toSetpointAdjustment(recommendation, { unit, operatorName, now = new Date() }) {
+  const digits = getUnitPrecision(unit) + 1;
+  return {
+    correction: round(recommendation.correction, digits),
+    fromMean: round(recommendation.currentMean, digits),
+    toMean: round(recommendation.recommendedMean, digits),
+    unit,
+    confidence: recommendation.confidence,
+    outOfSpecRate: recommendation.rate,
+    acceptedAt: now.toISOString(),
+    acceptedBy: operatorName || null
+  };
+}
+
+// One-line English description for the report view and PDF; plain ASCII
+// since the PDF's built-in fonts have no arrows
+export function describeSetpointAdjustment(adjustment) {
+  const { correction, fromMean, toMean, unit, confidence, outOfSpecRate, acceptedBy } = adjustment;
+  return `${correction > 0 ? '+' : ''}${correction} ${unit} (mean ${fromMean} to ${toMean} ${unit}, ` +
+    `${confidence} confidence, ${outOfSpecRate}% out-of-spec goal)${acceptedBy ? `, accepted by ${acceptedBy}` : ''}`;
+}
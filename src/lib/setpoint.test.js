@@ -0,0 +1,58 @@
+import {
+  CONFIDENCE,
+  SETPOINT_ACTION,
+  describeSetpointAdjustment,
+  getMeanWindow,
+  getOutOfSpecRate,
+  recommendSetpoint,
+  toSetpointAdjustment
+} from './setpoint';
+
+const limits = { lowerLimit: 49.5, upperLimit: 50.5 };
+const drifted = ['50.2', '50.3', '50.4', '50.3', '50.2', '50.4'];
+
+test('estimates out-of-spec rates from a normal fill distribution', () => {
+  expect(getOutOfSpecRate(0, 1, { lowerLimit: -1.96, upperLimit: 1.96 })).toBeCloseTo(0.05, 4);
+  const window = getMeanWindow(0.1, { lowerLimit: 49.5, upperLimit: 51 }, 0.01);
+  expect(window.low).toBeCloseTo(49.5 + 2.326 * 0.1, 3);
+  expect(getMeanWindow(0.5, limits, 0.01)).toBeNull();
+});
+
+test('suggests bringing a drifted mean back to target', () => {
+  const recommendation = recommendSetpoint({ samples: drifted, target: 50, limits });
+  expect(recommendation.action).toBe(SETPOINT_ACTION.ADJUST);
+  expect(recommendation.correction).toBeCloseTo(-0.3, 6);
+  expect(recommendation.confidence).toBe(CONFIDENCE.MEDIUM);
+  expect(recommendation.expectedRate).toBeLessThan(recommendation.currentRate);
+
+  const history = [50.3, 50.25, 50.35].map(value => ({ n: 6, mean: value, stdDev: 0.09 }));
+  expect(recommendSetpoint({ samples: drifted, target: 50, limits, history }).confidence).toBe(CONFIDENCE.HIGH);
+});
+
+test('holds when the mean is on target within sampling noise', () => {
+  const recommendation = recommendSetpoint({ samples: ['49.9', '50.1', '50', '50.05', '49.95'], target: 50, limits });
+  expect(recommendation.action).toBe(SETPOINT_ACTION.HOLD);
+  expect(recommendSetpoint({ samples: ['50', '50.1'], target: 50, limits })).toBeNull();
+});
+
+test('moves the mean away from a tight limit to meet the out-of-spec goal', () => {
+  const samples = ['49.6', '49.7', '49.5', '49.6', '49.7', '49.5'];
+  const recommendation = recommendSetpoint({ samples, target: 49.6, limits: { lowerLimit: 49.4, upperLimit: 51 }, rate: 0.1 });
+  expect(recommendation.recommendedMean).toBeGreaterThan(49.6);
+  expect(recommendation.expectedRate).toBeCloseTo(0.1, 3);
+});
+
+test('blames variation when no setpoint meets the goal, and records an accepted adjustment', () => {
+  const samples = ['49.2', '50.8', '49.5', '50.5', '50', '49', '51'];
+  const recommendation = recommendSetpoint({ samples, target: 50, limits });
+  expect(recommendation.action).toBe(SETPOINT_ACTION.VARIATION);
+  expect(recommendation.recommendedMean).toBe(50);
+
+  const adjustment = toSetpointAdjustment(recommendSetpoint({ samples: drifted, target: 50, limits }), {
+    unit: 'kg',
+    operatorName: 'Ana',
+    now: new Date(0)
+  });
+  expect(adjustment).toMatchObject({ correction: -0.3, fromMean: 50.3, toMean: 50, acceptedBy: 'Ana', outOfSpecRate: 1 });
+  expect(describeSetpointAdjustment(adjustment)).toBe('-0.3 kg (mean 50.3 to 50 kg, medium confidence, 1% out-of-spec goal), accepted by Ana');
+});
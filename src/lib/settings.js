@@ -0,0 +1,304 @@
+import { DEFAULT_PROFILES, DEFAULT_PROFILE_ID } from './profiles';
+import { BACKEND_ADAPTERS, BACKEND_TYPES } from './backends';
+import { SCALE_PROTOCOLS } from './scaleProtocol';
+import { normalizeUnit } from './units';
+import { DEFAULT_REASON_CODES } from './correctiveActions';
+import { normalizeOperator } from './roster';
+import { DEFAULT_LINES, normalizeLine } from './machines';
+import { DEFAULT_CHECK_SCHEDULE, normalizeCheckSchedule } from './checkSchedule';
+import { DEFAULT_VALIDATION_POLICY, normalizeValidationPolicy } from './validation';
+import { DEFAULT_TRACEABILITY, normalizeTraceability } from './traceability';
+import { hashSecret, verifySecret } from './crypto';
+
+// Device-level configuration edited from the admin screen. Stored in
+// localStorage so a tablet keeps its setup across reloads and redeploys.
+
+const STORAGE_KEY = 'weight-check-settings';
+export const SETTINGS_VERSION = 1;
+
+// SHA-256 of the factory PIN "1234". It only opens the admin screen to set a
+// new PIN; nothing else can be changed until it is replaced.
+export const FACTORY_ADMIN_PIN_HASH = '03ac674216f3e15c761ee1a5e255f067953623c8b388b4459e13f978d7c846f4';
+
+const DEFAULT_BACKENDS = [
+  {
+    id: 'google-sheet',
+    name: 'Google Sheet',
+    type: BACKEND_TYPES.APPS_SCRIPT,
+    enabled: true,
+    config: { url: process.env.REACT_APP_GOOGLE_SHEET_URL || '' }
+  }
+];
+
+export const DEFAULT_SETTINGS = {
+  version: SETTINGS_VERSION,
+  companyLogo: '/company_logo.png',
+  shifts: ['Morning', 'Afternoon', 'Night'],
+  // Check interval and the clock times of each shift, for check reminders
+  checkSchedule: DEFAULT_CHECK_SCHEDULE,
+  profiles: DEFAULT_PROFILES,
+  defaultProfileId: DEFAULT_PROFILE_ID,
+  // Packing lines and machines; a report on a machine uses its spout layout
+  lines: DEFAULT_LINES,
+  // Submission destinations; every enabled one receives each report
+  backends: DEFAULT_BACKENDS,
+  // Operator roster; empty means no login and a free-text operator name
+  operators: [],
+  // Reason codes offered when a spout runs out of tolerance
+  reasonCodes: DEFAULT_REASON_CODES,
+  // Per validation rule: block submission, warn only, or off
+  validationPolicy: DEFAULT_VALIDATION_POLICY,
+  // Expected format of each lot/batch field: free text, a pattern or a GS1 AI
+  traceability: DEFAULT_TRACEABILITY,
+  // Serial line settings for the platform scale attached to this device
+  scale: { protocol: SCALE_PROTOCOLS.SICS, baudRate: 9600 },
+  adminPinHash: FACTORY_ADMIN_PIN_HASH
+};
+
+const PROFILE_NUMBER_FIELDS = ['targetWeight', 'lowerTolerance', 'upperTolerance', 'numSpouts', 'numSamplesPerSpout'];
+// Validation bounds; left blank they are derived from the target and sample count
+const OPTIONAL_PROFILE_NUMBER_FIELDS = ['minPlausibleWeight', 'maxPlausibleWeight', 'minSamplesPerSpout'];
+
+function normalizeProfile(profile, index) {
+  if (!profile || typeof profile !== 'object') {
+    throw new Error(`Profile ${index + 1} is not an object`);
+  }
+  if (!profile.id || !profile.name) {
+    throw new Error(`Profile ${index + 1} needs an id and a name`);
+  }
+
+  const unit = normalizeUnit(profile.unit || 'kg');
+  if (!unit) {
+    throw new Error(`Profile "${profile.name}" uses an unsupported unit "${profile.unit}"`);
+  }
+
+  const normalized = { ...profile, id: String(profile.id), name: String(profile.name), unit };
+  PROFILE_NUMBER_FIELDS.forEach(field => {
+    const value = Number(profile[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Profile "${profile.name}" has an invalid ${field}`);
+    }
+    normalized[field] = value;
+  });
+  if (normalized.numSpouts < 1 || normalized.numSamplesPerSpout < 1) {
+    throw new Error(`Profile "${profile.name}" needs at least one spout and one sample`);
+  }
+  normalized.eMark = Boolean(profile.eMark);
+  normalized.numSpouts = Math.round(normalized.numSpouts);
+  normalized.numSamplesPerSpout = Math.round(normalized.numSamplesPerSpout);
+
+  OPTIONAL_PROFILE_NUMBER_FIELDS.forEach(field => {
+    if (profile[field] === undefined || profile[field] === null || profile[field] === '') {
+      delete normalized[field];
+      return;
+    }
+    const value = Number(profile[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Profile "${profile.name}" has an invalid ${field}`);
+    }
+    normalized[field] = value;
+  });
+  if (normalized.minPlausibleWeight >= normalized.maxPlausibleWeight) {
+    throw new Error(`Profile "${profile.name}" needs a plausible minimum below its maximum`);
+  }
+  if (normalized.minSamplesPerSpout !== undefined) {
+    normalized.minSamplesPerSpout = Math.round(normalized.minSamplesPerSpout);
+  }
+  return normalized;
+}
+
+function normalizeBackend(backend, index) {
+  if (!backend || typeof backend !== 'object') {
+    throw new Error(`Backend ${index + 1} is not an object`);
+  }
+  if (!backend.id || !backend.name) {
+    throw new Error(`Backend ${index + 1} needs an id and a name`);
+  }
+  if (!BACKEND_ADAPTERS[backend.type]) {
+    throw new Error(`Backend "${backend.name}" has an unknown type "${backend.type}"`);
+  }
+  return {
+    id: String(backend.id),
+    name: String(backend.name),
+    type: backend.type,
+    enabled: Boolean(backend.enabled),
+    config: backend.config && typeof backend.config === 'object' ? { ...backend.config } : {}
+  };
+}
+
+// Fills in missing keys from the defaults and rejects anything malformed, so
+// a hand-edited or older export can't leave the form in a broken state.
+export function normalizeSettings(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Settings must be a JSON object');
+  }
+
+  const settings = { ...DEFAULT_SETTINGS, ...raw, version: SETTINGS_VERSION };
+
+  if (!Array.isArray(settings.shifts)) {
+    throw new Error('Shifts must be a list');
+  }
+  settings.shifts = settings.shifts.map(shift => String(shift).trim()).filter(Boolean);
+  if (settings.shifts.length === 0) {
+    throw new Error('At least one shift is required');
+  }
+  settings.checkSchedule = normalizeCheckSchedule(settings.checkSchedule, settings.shifts);
+
+  if (!Array.isArray(settings.profiles) || settings.profiles.length === 0) {
+    throw new Error('At least one product profile is required');
+  }
+  settings.profiles = settings.profiles.map(normalizeProfile);
+
+  const ids = settings.profiles.map(profile => profile.id);
+  if (new Set(ids).size !== ids.length) {
+    throw new Error('Product profile IDs must be unique');
+  }
+  if (!ids.includes(settings.defaultProfileId)) {
+    settings.defaultProfileId = ids[0];
+  }
+
+  if (!Array.isArray(settings.lines)) {
+    throw new Error('Lines must be a list');
+  }
+  settings.lines = settings.lines.map(normalizeLine);
+  const lineIds = settings.lines.map(line => line.id);
+  if (new Set(lineIds).size !== lineIds.length) {
+    throw new Error('Line IDs must be unique');
+  }
+
+  if (!Array.isArray(settings.backends)) {
+    throw new Error('Backends must be a list');
+  }
+  settings.backends = settings.backends.map(normalizeBackend);
+  const backendIds = settings.backends.map(backend => backend.id);
+  if (new Set(backendIds).size !== backendIds.length) {
+    throw new Error('Backend IDs must be unique');
+  }
+
+  if (!Array.isArray(settings.operators)) {
+    throw new Error('Operators must be a list');
+  }
+  settings.operators = settings.operators.map(normalizeOperator);
+  const operatorIds = settings.operators.map(operator => operator.id);
+  if (new Set(operatorIds).size !== operatorIds.length) {
+    throw new Error('Operator IDs must be unique');
+  }
+
+  if (!Array.isArray(settings.reasonCodes) || settings.reasonCodes.length === 0) {
+    throw new Error('At least one corrective action reason code is required');
+  }
+  settings.reasonCodes = settings.reasonCodes.map((reason, index) => {
+    const code = String((reason && reason.code) || '').trim();
+    if (!code) {
+      throw new Error(`Reason code ${index + 1} needs a code`);
+    }
+    return { code, label: String(reason.label || code).trim() };
+  });
+  const codes = settings.reasonCodes.map(reason => reason.code);
+  if (new Set(codes).size !== codes.length) {
+    throw new Error('Reason codes must be unique');
+  }
+
+  settings.validationPolicy = normalizeValidationPolicy(settings.validationPolicy);
+  settings.traceability = normalizeTraceability(settings.traceability);
+
+  const scale = settings.scale && typeof settings.scale === 'object' ? settings.scale : {};
+  settings.scale = {
+    protocol: Object.values(SCALE_PROTOCOLS).includes(scale.protocol) ? scale.protocol : DEFAULT_SETTINGS.scale.protocol,
+    baudRate: Number(scale.baudRate) > 0 ? Number(scale.baudRate) : DEFAULT_SETTINGS.scale.baudRate
+  };
+
+  settings.companyLogo = settings.companyLogo ? String(settings.companyLogo) : '';
+  return settings;
+}
+
+export function loadSettings() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? normalizeSettings(JSON.parse(stored)) : DEFAULT_SETTINGS;
+  } catch (error) {
+    console.error('Stored settings are invalid, using defaults:', error);
+    return DEFAULT_SETTINGS;
+  }
+}
+
+export function saveSettings(settings) {
+  const normalized = normalizeSettings(settings);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+export const isSettingsStorageEvent = (event) => event.key === STORAGE_KEY;
+
+export const isFactoryAdminPin = (settings) => settings.adminPinHash === FACTORY_ADMIN_PIN_HASH;
+
+export async function hashAdminPin(pin) {
+  if (!/^\d{4,8}$/.test(pin)) {
+    throw new Error('The PIN must be 4 to 8 digits');
+  }
+  if (await verifySecret(pin, FACTORY_ADMIN_PIN_HASH)) {
+    throw new Error('Choose a PIN other than the factory PIN');
+  }
+  return hashSecret(pin);
+}
+
+// Backend config fields the adapters mark as passwords or otherwise secret
+const getSecretFields = (backend) => BACKEND_ADAPTERS[backend.type].fields
+  .filter(field => field.type === 'password' || field.secret)
+  .map(field => field.name);
+
+// Settings as written to an export file: the admin PIN hash and backend
+// secrets stay on the device, so a shared file can't be used to unlock or
+// post to anything
+export function stripSecrets(settings) {
+  const { adminPinHash, ...rest } = settings;
+  return {
+    ...rest,
+    backends: settings.backends.map(backend => ({
+      ...backend,
+      config: {
+        ...backend.config,
+        ...Object.fromEntries(getSecretFields(backend).map(name => [name, '']))
+      }
+    }))
+  };
+}
+
+// Puts this device's admin PIN and backend secrets back into imported
+// settings. A secret left blank in the file is taken from the backend with
+// the same id and type here.
+export function restoreSecrets(imported, current) {
+  return {
+    ...imported,
+    adminPinHash: current.adminPinHash,
+    backends: imported.backends.map(backend => {
+      const existing = current.backends.find(item => item.id === backend.id && item.type === backend.type);
+      if (!existing) return backend;
+      const restored = getSecretFields(backend)
+        .filter(name => !backend.config[name] && existing.config[name])
+        .map(name => [name, existing.config[name]]);
+      return { ...backend, config: { ...backend.config, ...Object.fromEntries(restored) } };
+    })
+  };
+}
+
+export function exportSettingsFile(settings) {
+  const blob = new Blob([JSON.stringify(stripSecrets(settings), null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `weight-check-settings-${new Date().toISOString().split('T')[0]}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export async function readSettingsFile(file, current) {
+  const text = await file.text();
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The selected file is not valid JSON');
+  }
+  return restoreSecrets(normalizeSettings(parsed), current);
+}
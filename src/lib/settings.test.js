@@ -0,0 +1,62 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from 'crypto';
+import { BACKEND_TYPES } from './backends';
+import { verifySecret } from './crypto';
+import { DEFAULT_SETTINGS, hashAdminPin, normalizeSettings, restoreSecrets, stripSecrets } from './settings';
+
+// The browser's Web Crypto API, which the test environment doesn't expose
+beforeAll(() => {
+  global.crypto = webcrypto;
+});
+
+const webhook = { id: 'hook', name: 'Webhook', type: BACKEND_TYPES.WEBHOOK, enabled: true, config: { url: 'https://example.com/hook', secret: 's3cret' } };
+
+test('needs a shift that isn\'t blank', () => {
+  expect(() => normalizeSettings({ shifts: ['  ', ''] })).toThrow('At least one shift is required');
+  expect(normalizeSettings({ shifts: [' Day ', ''] }).shifts).toEqual(['Day']);
+});
+
+test('keeps the admin PIN and backend secrets out of exports', () => {
+  const settings = normalizeSettings({ adminPinHash: 'abc', backends: [webhook] });
+  const exported = stripSecrets(settings);
+  expect(exported.adminPinHash).toBeUndefined();
+  expect(exported.backends[0].config).toEqual({ url: 'https://example.com/hook', secret: '' });
+
+  // Importing on this device keeps its own PIN and fills the blank secret back in
+  const imported = restoreSecrets(normalizeSettings(JSON.parse(JSON.stringify(exported))), settings);
+  expect(imported.adminPinHash).toBe('abc');
+  expect(imported.backends[0].config.secret).toBe('s3cret');
+});
+
+test('keeps REST extra headers out of exports', () => {
+  const rest = {
+    id: 'api',
+    name: 'API',
+    type: BACKEND_TYPES.REST,
+    enabled: true,
+    config: { url: 'https://example.com/reports', authType: 'none', extraHeaders: 'X-Api-Key: k3y' }
+  };
+  const settings = normalizeSettings({ backends: [rest] });
+  const exported = stripSecrets(settings);
+  expect(exported.backends[0].config.extraHeaders).toBe('');
+  expect(JSON.stringify(exported)).not.toContain('k3y');
+  expect(restoreSecrets(exported, settings).backends[0].config.extraHeaders).toBe('X-Api-Key: k3y');
+});
+
+test('salts the admin PIN hash', async () => {
+  const first = await hashAdminPin('2468');
+  const second = await hashAdminPin('2468');
+  expect(first).not.toBe(second);
+  expect(await verifySecret('2468', first)).toBe(true);
+  expect(await verifySecret('1357', first)).toBe(false);
+  // The factory hash and hashes saved before salting still unlock
+  expect(await verifySecret('1234', DEFAULT_SETTINGS.adminPinHash)).toBe(true);
+});
+
+test('refuses the factory PIN as a new admin PIN', async () => {
+  await expect(hashAdminPin('1234')).rejects.toThrow('factory PIN');
+  await expect(hashAdminPin('12')).rejects.toThrow('4 to 8 digits');
+  expect(await hashAdminPin('2468')).not.toBe(DEFAULT_SETTINGS.adminPinHash);
+});
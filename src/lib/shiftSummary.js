@@ -0,0 +1,125 @@
+import { RECORD_TYPE, getRecordType } from './reports';
+import { getReportTime, getShiftWindow } from './checkSchedule';
+import { summarizeSamples } from './statistics';
+import { toIdentity } from './roster';
+
+// Handover summary of one shift, built from the weight checks stored on this
+// device. Spout figures are only pooled across checks on the same line,
+// machine and product, since spout 1 of one product says nothing about
+// spout 1 of another.
+
+const parseLocalDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Checks of `shift` starting on `date` (YYYY-MM-DD), by report time. Shifts
+// without configured times fall back to the date and shift on each report.
+export function selectShiftReports(payloads, schedule, { date, shift }) {
+  const window = getShiftWindow(schedule, shift, parseLocalDate(date));
+  return payloads
+    .filter(payload => {
+      if (getRecordType(payload) !== RECORD_TYPE.WEIGHT_CHECK) return false;
+      const { metadata } = payload;
+      if (!window) return metadata.date === date && metadata.shift === shift;
+      const at = getReportTime(metadata);
+      return Boolean(at) && at >= window.start && at < window.end;
+    })
+    .sort((a, b) => `${a.metadata.date}T${a.metadata.time}`.localeCompare(`${b.metadata.date}T${b.metadata.time}`));
+}
+
+const groupKey = ({ metadata }) => [metadata.lineId || '', metadata.machineId || '', metadata.profileId].join('|');
+
+function summarizeGroup(payloads) {
+  const { metadata } = payloads[payloads.length - 1];
+  const limits = { lowerLimit: metadata.minWeight, upperLimit: metadata.maxWeight };
+  const spoutCount = Math.max(...payloads.map(payload => payload.spouts.length));
+
+  const spouts = Array(spoutCount).fill().map((_, index) => {
+    const spoutNumber = index + 1;
+    const inService = payloads
+      .map(payload => payload.spouts[index])
+      .filter(spout => spout && !spout.outOfService);
+    const { count, mean, stdDev, outOfSpecCount } = summarizeSamples(inService.flatMap(spout => spout.samples), limits);
+    return {
+      spoutNumber,
+      label: inService.length ? inService[inService.length - 1].label || '' : '',
+      checkCount: inService.length,
+      count,
+      mean,
+      stdDev,
+      outOfSpecCount,
+      // Checks where the spout ran out of tolerance and needed a corrective action
+      outOfToleranceChecks: payloads.filter(payload =>
+        (payload.correctiveActions || []).some(action => action.spoutNumber === spoutNumber)).length
+    };
+  });
+
+  return {
+    lineName: metadata.lineName || null,
+    machineName: metadata.machineName || null,
+    profileId: metadata.profileId,
+    profileName: metadata.profileName,
+    unit: metadata.unit,
+    targetWeight: metadata.targetWeight,
+    minWeight: metadata.minWeight,
+    maxWeight: metadata.maxWeight,
+    checkCount: payloads.length,
+    statistics: summarizeSamples(
+      payloads.flatMap(payload => payload.spouts.filter(spout => !spout.outOfService).flatMap(spout => spout.samples)),
+      limits
+    ),
+    spouts
+  };
+}
+
+// Payload of the `shiftSummary` record type, sent to the backends like a report
+export function buildShiftSummary(payloads, schedule, { date, shift, user = null, now = new Date() }) {
+  const reports = selectShiftReports(payloads, schedule, { date, shift });
+  const window = getShiftWindow(schedule, shift, parseLocalDate(date));
+
+  const groups = [];
+  const groupIndex = new Map();
+  reports.forEach(payload => {
+    const key = groupKey(payload);
+    if (!groupIndex.has(key)) {
+      groupIndex.set(key, groups.length);
+      groups.push([]);
+    }
+    groups[groupIndex.get(key)].push(payload);
+  });
+
+  const describe = ({ metadata }) => ({
+    time: metadata.time,
+    lineName: metadata.lineName || null,
+    profileName: metadata.profileName,
+    operatorName: metadata.operatorName
+  });
+
+  return {
+    metadata: {
+      recordType: RECORD_TYPE.SHIFT_SUMMARY,
+      reportId: `shift-${date}-${shift}`,
+      date,
+      shift,
+      start: window ? window.start.toISOString() : null,
+      end: window ? window.end.toISOString() : null,
+      checkCount: reports.length,
+      reportIds: reports.map(payload => payload.metadata.reportId).filter(Boolean),
+      generatedAt: now.toISOString(),
+      generatedBy: toIdentity(user)
+    },
+    groups: groups.map(summarizeGroup),
+    correctiveActions: reports.flatMap(payload => (payload.correctiveActions || []).map(action => ({
+      ...describe(payload),
+      spoutNumber: action.spoutNumber,
+      spoutLabel: action.spoutLabel || '',
+      reasonCode: action.reasonCode,
+      reasonLabel: action.reasonLabel,
+      actionTaken: action.actionTaken
+    }))),
+    comments: reports
+      .filter(payload => payload.metadata.generalComments)
+      .map(payload => ({ ...describe(payload), text: payload.metadata.generalComments }))
+  };
+}
@@ -0,0 +1,61 @@
+import { buildShiftSummary, selectShiftReports } from './shiftSummary';
+import { DEFAULT_CHECK_SCHEDULE } from './checkSchedule';
+import { RECORD_TYPE } from './reports';
+import { shiftSummaryToRows } from './reportExport';
+
+const report = (date, time, { lineId = 'line-1', spouts = [['25', '25'], ['25.2', '24.8']], ...metadata } = {}) => ({
+  metadata: {
+    recordType: RECORD_TYPE.WEIGHT_CHECK,
+    reportId: `${date}-${time}`,
+    date,
+    time,
+    shift: 'Morning',
+    lineId,
+    lineName: lineId,
+    profileId: 'bag-25kg',
+    profileName: 'Bag 25 kg',
+    unit: 'kg',
+    targetWeight: 25,
+    minWeight: 24.5,
+    maxWeight: 25.5,
+    operatorName: 'Ana',
+    generalComments: '',
+    ...metadata
+  },
+  spouts: spouts.map((samples, index) => ({ spoutNumber: index + 1, label: '', samples, outOfService: false })),
+  correctiveActions: []
+});
+
+test('takes the checks inside the shift, including a night shift past midnight', () => {
+  const payloads = [
+    report('2026-03-01', '23:10', { shift: 'Night' }),
+    report('2026-03-02', '05:50', { shift: 'Night' }),
+    report('2026-03-02', '06:10'),
+    { metadata: { recordType: RECORD_TYPE.SHIFT_SUMMARY, date: '2026-03-01', time: '23:30', shift: 'Night' } }
+  ];
+  expect(selectShiftReports(payloads, DEFAULT_CHECK_SCHEDULE, { date: '2026-03-01', shift: 'Night' })
+    .map(payload => payload.metadata.time)).toEqual(['23:10', '05:50']);
+  expect(selectShiftReports(payloads, { ...DEFAULT_CHECK_SCHEDULE, shiftTimes: {} }, { date: '2026-03-02', shift: 'Morning' }))
+    .toHaveLength(1);
+});
+
+test('pools spout figures per line and product and collects actions and comments', () => {
+  const flagged = report('2026-03-02', '08:00', { spouts: [['25', '25'], ['26', '26']], generalComments: 'Film changed' });
+  flagged.correctiveActions = [{ spoutNumber: 2, spoutLabel: '2', reasonCode: 'R1', reasonLabel: 'Setpoint', actionTaken: 'Adjusted' }];
+  const idle = report('2026-03-02', '10:00', { spouts: [['25', '25'], ['99', '99']] });
+  idle.spouts[1].outOfService = true;
+  const payloads = [report('2026-03-02', '06:30'), flagged, idle, report('2026-03-02', '07:00', { lineId: 'line-2' })];
+
+  const summary = buildShiftSummary(payloads, DEFAULT_CHECK_SCHEDULE, { date: '2026-03-02', shift: 'Morning', now: new Date(0) });
+  expect(summary.metadata).toMatchObject({ recordType: RECORD_TYPE.SHIFT_SUMMARY, checkCount: 4, generatedAt: '1970-01-01T00:00:00.000Z' });
+  expect(summary.groups.map(group => [group.lineName, group.checkCount])).toEqual([['line-1', 3], ['line-2', 1]]);
+
+  const [spout1, spout2] = summary.groups[0].spouts;
+  expect(spout1).toMatchObject({ checkCount: 3, count: 6, mean: 25, outOfSpecCount: 0, outOfToleranceChecks: 0 });
+  expect(spout2).toMatchObject({ checkCount: 2, count: 4, outOfSpecCount: 2, outOfToleranceChecks: 1 });
+  expect(summary.correctiveActions).toEqual([expect.objectContaining({ time: '08:00', spoutNumber: 2, actionTaken: 'Adjusted' })]);
+  expect(summary.comments).toEqual([expect.objectContaining({ operatorName: 'Ana', text: 'Film changed' })]);
+
+  const rows = shiftSummaryToRows(summary);
+  expect(rows.filter(row => row.spout === 'All').map(row => row.checkCount)).toEqual([3, 1]);
+});
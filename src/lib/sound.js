@@ -0,0 +1,37 @@
+// Short feedback tones for operators who are looking at the scale rather than
+// the screen. Browsers only allow audio after a user gesture, which every
+// caller here follows, and the tones are skipped where Web Audio is missing.
+
+let audioContext = null;
+
+const getAudioContext = () => {
+  const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContext) return null;
+  if (!audioContext) audioContext = new AudioContext();
+  return audioContext;
+};
+
+export function playTone({ frequency = 880, durationMs = 80, delayMs = 0, type = 'sine', volume = 0.2 } = {}) {
+  const context = getAudioContext();
+  if (!context) return;
+
+  const start = context.currentTime + delayMs / 1000;
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  oscillator.type = type;
+  oscillator.frequency.value = frequency;
+  gain.gain.setValueAtTime(volume, start);
+  gain.gain.exponentialRampToValueAtTime(0.001, start + durationMs / 1000);
+  oscillator.connect(gain).connect(context.destination);
+  oscillator.start(start);
+  oscillator.stop(start + durationMs / 1000);
+}
+
+export const playAcceptTone = () => playTone({ frequency: 1320, durationMs: 60, volume: 0.1 });
+
+// Two low buzzes, hard to mistake for the accept tick, plus a vibration on tablets
+export function playRejectTone() {
+  playTone({ frequency: 220, durationMs: 150, type: 'square', volume: 0.15 });
+  playTone({ frequency: 220, durationMs: 150, delayMs: 200, type: 'square', volume: 0.15 });
+  if (typeof navigator !== 'undefined' && navigator.vibrate) navigator.vibrate([150, 50, 150]);
+}
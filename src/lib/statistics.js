@@ -0,0 +1,81 @@
+// Statistical process control helpers. Everything here works on unrounded
+// numbers; use formatStat() when a value is shown to the operator.
+
+export const DISPLAY_PRECISION = {
+  weight: 2,
+  stdDev: 3,
+  index: 2,
+  percent: 1
+};
+
+export const toNumericSamples = (samples) => samples
+  .filter(sample => sample !== '' && sample !== null && sample !== undefined)
+  .map(Number)
+  .filter(Number.isFinite);
+
+export const mean = (values) =>
+  (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+// Sample (n - 1) standard deviation, the estimator QA uses for capability
+export const sampleStdDev = (values) => {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  const variance = values.reduce((a, b) => a + Math.pow(b - avg, 2), 0) / (values.length - 1);
+  return Math.sqrt(variance);
+};
+
+// Cp/Cpk against the specification limits. Undefined when there is no spread
+// to divide by, which happens with a single sample or identical readings.
+export const capabilityIndices = (avg, stdDev, { lowerLimit, upperLimit }) => {
+  if (avg === null || !stdDev) {
+    return { cp: null, cpk: null };
+  }
+  const cp = (upperLimit - lowerLimit) / (6 * stdDev);
+  const cpk = Math.min(upperLimit - avg, avg - lowerLimit) / (3 * stdDev);
+  return { cp, cpk };
+};
+
+export function summarizeSamples(samples, limits) {
+  const values = toNumericSamples(samples);
+  const count = values.length;
+
+  if (count === 0) {
+    return {
+      count: 0,
+      mean: null,
+      stdDev: null,
+      min: null,
+      max: null,
+      range: null,
+      cp: null,
+      cpk: null,
+      outOfSpecCount: 0,
+      outOfSpecPercent: null
+    };
+  }
+
+  const avg = mean(values);
+  const stdDev = sampleStdDev(values);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const outOfSpecCount = values.filter(value => value < limits.lowerLimit || value > limits.upperLimit).length;
+
+  return {
+    count,
+    mean: avg,
+    stdDev,
+    min,
+    max,
+    range: max - min,
+    ...capabilityIndices(avg, stdDev, limits),
+    outOfSpecCount,
+    outOfSpecPercent: (outOfSpecCount / count) * 100
+  };
+}
+
+// Whole-report figures pool every sample from every spout
+export const summarizeReport = (spoutData, limits) =>
+  summarizeSamples(spoutData.flatMap(spout => spout.samples), limits);
+
+export const formatStat = (value, digits) =>
+  (value === null || value === undefined || !Number.isFinite(value) ? '—' : value.toFixed(digits));
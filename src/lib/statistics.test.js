@@ -0,0 +1,44 @@
+import { summarizeSamples, summarizeReport, sampleStdDev, formatStat } from './statistics';
+
+const limits = { lowerLimit: 49.5, upperLimit: 50.5 };
+
+test('uses the sample (n - 1) standard deviation', () => {
+  expect(sampleStdDev([49.8, 50, 50.2])).toBeCloseTo(0.2, 10);
+  expect(sampleStdDev([50])).toBeNull();
+});
+
+test('summarizes spread, capability and out-of-spec share without rounding', () => {
+  const stats = summarizeSamples(['49.8', '50', '50.2', ''], limits);
+
+  expect(stats.count).toBe(3);
+  expect(stats.mean).toBeCloseTo(50, 10);
+  expect(stats.min).toBe(49.8);
+  expect(stats.max).toBe(50.2);
+  expect(stats.range).toBeCloseTo(0.4, 10);
+  expect(stats.cp).toBeCloseTo(1 / 1.2, 10);
+  expect(stats.cpk).toBeCloseTo(0.5 / 0.6, 10);
+  expect(stats.outOfSpecCount).toBe(0);
+  expect(stats.outOfSpecPercent).toBe(0);
+});
+
+test('leaves capability undefined when there is no spread', () => {
+  const stats = summarizeSamples(['50', '50'], limits);
+  expect(stats.cp).toBeNull();
+  expect(stats.cpk).toBeNull();
+});
+
+test('pools every spout for the report figures', () => {
+  const stats = summarizeReport([
+    { samples: ['50', '51'] },
+    { samples: ['49', ''] }
+  ], limits);
+
+  expect(stats.count).toBe(3);
+  expect(stats.outOfSpecCount).toBe(2);
+  expect(stats.outOfSpecPercent).toBeCloseTo(66.667, 2);
+});
+
+test('formats missing values as a dash', () => {
+  expect(formatStat(null, 2)).toBe('—');
+  expect(formatStat(1.23456, 2)).toBe('1.23');
+});
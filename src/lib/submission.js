@@ -0,0 +1,98 @@
+import { getProfileLimits } from './profiles';
+import { summarizeSamples, summarizeReport } from './statistics';
+import { getSampleDetail, getSpoutsInService } from './formState';
+import { findLine, findMachine } from './machines';
+import { toKg } from './units';
+import { DEFAULT_REASON_CODES, buildCorrectiveActions, getReportStatus } from './correctiveActions';
+import { evaluateCompliance } from './metrology';
+import { RECORD_TYPE } from './reports';
+import { createTraceabilityData } from './traceability';
+
+// Metrology verdict as plain data; reasons are kept as English text
+const toComplianceMetadata = (compliance) => compliance && {
+  ...compliance,
+  reasons: compliance.reasons.map(reason => reason.message)
+};
+
+// Builds the report payload sent to the backend. Exports and imports go
+// through the same function so every path produces the same structure.
+export function buildSubmissionPayload(data, profile, {
+  reasonCodes = DEFAULT_REASON_CODES,
+  validationWarnings = [],
+  lines = [],
+  checkSchedule = null
+} = {}) {
+  const { minWeight, maxWeight } = getProfileLimits(profile);
+  const limits = { lowerLimit: minWeight, upperLimit: maxWeight };
+  const line = findLine(lines, data.lineId);
+  const machine = findMachine(lines, data.lineId, data.machineId);
+  const spoutsInService = getSpoutsInService(data.spoutData);
+
+  return {
+    metadata: {
+      recordType: RECORD_TYPE.WEIGHT_CHECK,
+      // Draft id doubles as a stable report id for approvals made later
+      reportId: data.draftId || null,
+      profileId: profile.id,
+      profileName: profile.name,
+      // Packing line and machine; null when the report used the profile layout
+      lineId: data.lineId || null,
+      lineName: line ? line.name : null,
+      machineId: data.machineId || null,
+      machineName: machine ? machine.name : null,
+      targetWeight: profile.targetWeight,
+      minWeight,
+      maxWeight,
+      unit: profile.unit,
+      // Canonical limits so receivers can compare products set up in different units
+      targetWeightKg: toKg(profile.targetWeight, profile.unit),
+      minWeightKg: toKg(minWeight, profile.unit),
+      maxWeightKg: toKg(maxWeight, profile.unit),
+      operatorName: data.operatorName,
+      operatorId: data.operatorId || null,
+      shift: data.shift,
+      date: data.date,
+      time: data.time,
+      tare: data.tare || '',
+      // Lot and batch codes for recalls; fields left blank are empty strings
+      traceability: { ...createTraceabilityData(), ...data.traceability },
+      generalComments: data.generalComments,
+      reportStatus: getReportStatus(data, limits),
+      supervisorName: data.supervisorName,
+      approval: null,
+      // Average quantity verdict and TNE limits for ℮-marked products, else null
+      compliance: toComplianceMetadata(evaluateCompliance(spoutsInService, profile)),
+      // Validation warnings the operator chose to submit with
+      validationWarnings,
+      // Whether this check was overdue and which checks were missed before it
+      checkSchedule,
+      // Start and final hash of the audit trail's chain (see auditTrail), or
+      // null; the backend's copy is what makes tampering on the device show
+      auditSeal: data.auditSeal || null
+    },
+    spouts: data.spoutData.map((spout, index) => ({
+      spoutNumber: index + 1,
+      // Machine label, and whether the spout was left out of the statistics
+      label: spout.label || '',
+      outOfService: Boolean(spout.outOfService),
+      samples: spout.samples,
+      // Value as entered, gross, tare, kg net and source of every net value in `samples`
+      sampleDetails: spout.samples.map((_, sampleIndex) => getSampleDetail(spout, sampleIndex)),
+      tare: spout.tare || '',
+      average: spout.average,
+      stdDev: spout.stdDev,
+      statistics: summarizeSamples(spout.samples, limits),
+      comments: spout.comments,
+      // Setpoint correction accepted during the check, or null
+      setpointAdjustment: spout.setpointAdjustment || null
+    })),
+    statistics: summarizeReport(spoutsInService, limits),
+    correctiveActions: buildCorrectiveActions(data.spoutData, limits, reasonCodes),
+    signatures: {
+      operator: data.signatures.operator && { name: data.operatorName, ...data.signatures.operator },
+      supervisor: data.signatures.supervisor && { name: data.supervisorName, ...data.signatures.supervisor }
+    },
+    // Every edit made while the report was filled in, sealed by the caller
+    auditTrail: data.auditTrail || []
+  };
+}
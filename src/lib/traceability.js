@@ -0,0 +1,194 @@
+import { createMessage } from './i18n';
+
+// Lot and batch codes carried in the report metadata so a check can be found
+// again in a recall. Each field has an admin-configured format: free text, a
+// regular expression, or a GS1 application identifier (AI). A scanned GS1-128
+// or GS1 QR code can fill several fields at once, one per AI.
+
+export const TRACE_FIELDS = [
+  { key: 'productCode', label: 'Product code' },
+  { key: 'lotNumber', label: 'Lot number' },
+  { key: 'filmBatch', label: 'Film/bag batch' },
+  { key: 'productionOrder', label: 'Production order' }
+];
+
+export const TRACE_FORMAT = {
+  ANY: 'any',
+  PATTERN: 'pattern',
+  GS1: 'gs1'
+};
+
+export const TRACE_FORMAT_LABELS = {
+  [TRACE_FORMAT.ANY]: 'Any text',
+  [TRACE_FORMAT.PATTERN]: 'Regular expression',
+  [TRACE_FORMAT.GS1]: 'GS1 application identifier'
+};
+
+// The AIs found on packaging and pallet labels. `length` is fixed, `max` is
+// a variable-length field ended by FNC1 (GS) or the end of the code.
+export const GS1_AIS = {
+  '00': { title: 'SSCC', length: 18, numeric: true },
+  '01': { title: 'GTIN', length: 14, numeric: true, checkDigit: true },
+  '02': { title: 'Content GTIN', length: 14, numeric: true, checkDigit: true },
+  '10': { title: 'Batch/lot', max: 20 },
+  '11': { title: 'Production date', length: 6, numeric: true },
+  '13': { title: 'Packaging date', length: 6, numeric: true },
+  '15': { title: 'Best before', length: 6, numeric: true },
+  '17': { title: 'Expiry date', length: 6, numeric: true },
+  '21': { title: 'Serial number', max: 20 },
+  '37': { title: 'Count', max: 8, numeric: true },
+  '240': { title: 'Additional product ID', max: 30 },
+  '241': { title: 'Customer part number', max: 30 },
+  '400': { title: 'Order number', max: 30 },
+  // Net weight in kg; the last digit is the number of decimals
+  ...Object.fromEntries(Array(6).fill().map((_, decimals) => [`310${decimals}`, { title: 'Net weight (kg)', length: 6, numeric: true }]))
+};
+
+export const DEFAULT_TRACEABILITY = {
+  productCode: { format: TRACE_FORMAT.GS1, ai: '01', pattern: '' },
+  lotNumber: { format: TRACE_FORMAT.GS1, ai: '10', pattern: '' },
+  filmBatch: { format: TRACE_FORMAT.ANY, ai: '', pattern: '' },
+  productionOrder: { format: TRACE_FORMAT.GS1, ai: '400', pattern: '' }
+};
+
+export const createTraceabilityData = () =>
+  TRACE_FIELDS.reduce((data, field) => ({ ...data, [field.key]: '' }), {});
+
+// Missing fields fall back to the defaults; unknown formats, AIs and invalid
+// expressions are rejected like any other malformed setting
+export function normalizeTraceability(config) {
+  const source = config && typeof config === 'object' ? config : {};
+  return TRACE_FIELDS.reduce((normalized, { key, label }) => {
+    const entry = { ...DEFAULT_TRACEABILITY[key], ...(source[key] || {}) };
+    if (!Object.values(TRACE_FORMAT).includes(entry.format)) {
+      throw new Error(`${label} has an unknown format "${entry.format}"`);
+    }
+    const ai = String(entry.ai || '').trim();
+    if (entry.format === TRACE_FORMAT.GS1 && !GS1_AIS[ai]) {
+      throw new Error(`${label} uses an unsupported GS1 application identifier "${ai}"`);
+    }
+    const pattern = String(entry.pattern || '');
+    if (entry.format === TRACE_FORMAT.PATTERN) {
+      if (!pattern) throw new Error(`${label} needs a pattern`);
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`${label} has an invalid pattern: ${error.message}`);
+      }
+    }
+    normalized[key] = { format: entry.format, ai, pattern };
+    return normalized;
+  }, {});
+}
+
+const GROUP_SEPARATOR = '\u001d';
+// Symbology identifiers a scanner may prefix to GS1 data: GS1-128, DataMatrix, QR
+const GS1_PREFIXES = [']C1', ']d2', ']Q3'];
+// GS1 character set 82, allowed in alphanumeric AIs
+const GS1_CHARSET = /^[!"%&'()*+,\-./0-9:;<=>?A-Z_a-z]*$/;
+
+const findAi = (text) => ['2', '3', '4']
+  .map(length => text.slice(0, Number(length)))
+  .find(ai => GS1_AIS[ai]);
+
+// { ai: value } from GS1 element strings, either as printed under the bars,
+// "(01)09501101530003(10)LOT42", or as scanned, with FNC1 sent as GS. Plain
+// text that isn't marked as GS1 returns null.
+export function parseGs1(text) {
+  const source = String(text || '').trim();
+  if (source.startsWith('(')) {
+    const elements = {};
+    const pattern = /\((\d{2,4})\)([^(]*)/g;
+    let match;
+    let consumed = 0;
+    while ((match = pattern.exec(source)) !== null) {
+      if (match.index !== consumed || !GS1_AIS[match[1]]) return null;
+      elements[match[1]] = match[2];
+      consumed = pattern.lastIndex;
+    }
+    return consumed === source.length && Object.keys(elements).length > 0 ? elements : null;
+  }
+
+  const prefix = GS1_PREFIXES.find(candidate => source.startsWith(candidate));
+  if (!prefix && !source.includes(GROUP_SEPARATOR)) return null;
+
+  let rest = source.slice(prefix ? prefix.length : 0).replace(new RegExp(`^${GROUP_SEPARATOR}+`), '');
+  const elements = {};
+  while (rest) {
+    const ai = findAi(rest);
+    if (!ai) return null;
+    const { length } = GS1_AIS[ai];
+    rest = rest.slice(ai.length);
+    const end = length || (rest.includes(GROUP_SEPARATOR) ? rest.indexOf(GROUP_SEPARATOR) : rest.length);
+    elements[ai] = rest.slice(0, end);
+    rest = rest.slice(end).replace(new RegExp(`^${GROUP_SEPARATOR}`), '');
+  }
+  return Object.keys(elements).length > 0 ? elements : null;
+}
+
+// Mod-10 check digit used by GTIN, SSCC and the other GS1 keys
+export function isValidGs1CheckDigit(digits) {
+  const body = digits.slice(0, -1).split('').reverse();
+  const sum = body.reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+const fieldName = (key) => ({ key: `trace.field.${key}` });
+
+// Issue message for a value of `key` under `format`, or null when it fits
+export function checkTraceValue(key, value, format) {
+  if (!value) return null;
+  const field = fieldName(key);
+  if (format.format === TRACE_FORMAT.PATTERN) {
+    return new RegExp(format.pattern).test(value)
+      ? null
+      : createMessage('trace.error.pattern', { field, pattern: format.pattern });
+  }
+  if (format.format !== TRACE_FORMAT.GS1) return null;
+
+  const ai = GS1_AIS[format.ai];
+  if (ai.numeric && !/^\d+$/.test(value)) return createMessage('trace.error.numeric', { field, ai: format.ai });
+  if (ai.length && value.length !== ai.length) {
+    return createMessage('trace.error.length', { field, ai: format.ai, length: ai.length });
+  }
+  if (ai.max && value.length > ai.max) return createMessage('trace.error.tooLong', { field, ai: format.ai, max: ai.max });
+  if (!GS1_CHARSET.test(value)) return createMessage('trace.error.charset', { field, ai: format.ai });
+  if (ai.checkDigit && !isValidGs1CheckDigit(value)) return createMessage('trace.error.checkDigit', { field, ai: format.ai });
+  return null;
+}
+
+const stripSymbology = (text) => {
+  const prefix = GS1_PREFIXES.find(candidate => text.startsWith(candidate));
+  return (prefix ? text.slice(prefix.length) : text).split(GROUP_SEPARATOR).join('').trim();
+};
+
+// Fields filled by a scan made for `targetKey`: every GS1-formatted field
+// whose AI is in the code, or else the whole code for the target field.
+// `issues` holds the format problems of the values read.
+export function readScan(text, targetKey, formats) {
+  const elements = parseGs1(text);
+  const values = {};
+  if (elements) {
+    TRACE_FIELDS.forEach(({ key }) => {
+      const format = formats[key];
+      if (format.format === TRACE_FORMAT.GS1 && elements[format.ai] !== undefined) values[key] = elements[format.ai];
+    });
+  }
+
+  const issues = {};
+  if (values[targetKey] === undefined) {
+    const format = formats[targetKey];
+    if (elements && format.format === TRACE_FORMAT.GS1) {
+      issues[targetKey] = createMessage('trace.error.missingAi', { field: fieldName(targetKey), ai: format.ai });
+    } else {
+      values[targetKey] = stripSymbology(String(text || ''));
+    }
+  }
+  Object.entries(values).forEach(([key, value]) => {
+    const issue = checkTraceValue(key, value, formats[key]);
+    if (issue) issues[key] = issue;
+  });
+  return { values, issues };
+}
+
+export const getTraceFieldLabel = (key) => (TRACE_FIELDS.find(field => field.key === key) || { label: key }).label;
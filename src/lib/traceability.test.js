@@ -0,0 +1,55 @@
+import {
+  DEFAULT_TRACEABILITY,
+  TRACE_FORMAT,
+  checkTraceValue,
+  isValidGs1CheckDigit,
+  normalizeTraceability,
+  parseGs1,
+  readScan
+} from './traceability';
+import { importReportsFromCsv, payloadsToRows, toCsv } from './reportExport';
+import { DEFAULT_PROFILES } from './profiles';
+
+test('parses GS1 element strings as printed and as scanned', () => {
+  const elements = { '01': '09501101530003', '10': 'LOT42', '400': 'PO-1234' };
+  expect(parseGs1('(01)09501101530003(10)LOT42(400)PO-1234')).toEqual(elements);
+  expect(parseGs1(']C1010950110153000310LOT42\u001d400PO-1234')).toEqual(elements);
+  expect(parseGs1('LOT42')).toBeNull();
+  expect(parseGs1('(99)ABC')).toBeNull();
+  expect(isValidGs1CheckDigit('09501101530003')).toBe(true);
+  expect(isValidGs1CheckDigit('09501101530004')).toBe(false);
+});
+
+test('checks values against the configured formats', () => {
+  const formats = normalizeTraceability({ filmBatch: { format: TRACE_FORMAT.PATTERN, pattern: '^FB\\d{4}$' } });
+  expect(checkTraceValue('productCode', '09501101530003', formats.productCode)).toBeNull();
+  expect(checkTraceValue('productCode', '0950110153', formats.productCode).key).toBe('trace.error.length');
+  expect(checkTraceValue('productCode', '09501101530004', formats.productCode).key).toBe('trace.error.checkDigit');
+  expect(checkTraceValue('lotNumber', 'LOT 42', formats.lotNumber).key).toBe('trace.error.charset');
+  expect(checkTraceValue('filmBatch', 'FB0012', formats.filmBatch)).toBeNull();
+  expect(checkTraceValue('filmBatch', 'X12', formats.filmBatch).message).toBe('Film/bag batch does not match the format ^FB\\d{4}$');
+
+  expect(() => normalizeTraceability({ lotNumber: { format: TRACE_FORMAT.GS1, ai: '99' } })).toThrow('unsupported GS1');
+  expect(() => normalizeTraceability({ lotNumber: { format: TRACE_FORMAT.PATTERN, pattern: '(' } })).toThrow('invalid pattern');
+});
+
+test('fills every GS1 field a scan carries, or the target field with plain codes', () => {
+  const scan = readScan('(01)09501101530003(10)LOT42', 'lotNumber', DEFAULT_TRACEABILITY);
+  expect(scan).toEqual({ values: { productCode: '09501101530003', lotNumber: 'LOT42' }, issues: {} });
+
+  expect(readScan('FILM-7781', 'filmBatch', DEFAULT_TRACEABILITY)).toEqual({ values: { filmBatch: 'FILM-7781' }, issues: {} });
+  const missing = readScan('(01)09501101530003', 'productionOrder', DEFAULT_TRACEABILITY);
+  expect(missing.issues.productionOrder.key).toBe('trace.error.missingAi');
+});
+
+test('lot codes survive a CSV export and import', () => {
+  const [report] = importReportsFromCsv(
+    'Date,Spout,Weight,Lot Number,Production Order\n2024-05-03,1,25.1,LOT42,PO-1234',
+    DEFAULT_PROFILES,
+    'bag-25kg'
+  );
+  expect(report.metadata.traceability).toEqual({ productCode: '', lotNumber: 'LOT42', filmBatch: '', productionOrder: 'PO-1234' });
+
+  const [roundTripped] = importReportsFromCsv(toCsv(payloadsToRows([report])), DEFAULT_PROFILES, 'bag-25kg');
+  expect(roundTripped.metadata.traceability).toEqual(report.metadata.traceability);
+});
@@ -0,0 +1,42 @@
+// Weight units. Products are set up and displayed in their own unit; every
+// sample also carries its kilogram value so downstream systems can compare
+// reports across products without knowing the display unit.
+
+export const CANONICAL_UNIT = 'kg';
+
+export const WEIGHT_UNITS = {
+  kg: { label: 'kg', toKg: 1, precision: 2 },
+  lb: { label: 'lb', toKg: 0.45359237, precision: 2 },
+  g: { label: 'g', toKg: 0.001, precision: 0 }
+};
+
+const UNIT_ALIASES = { kgs: 'kg', kilogram: 'kg', kilograms: 'kg', lbs: 'lb', pound: 'lb', pounds: 'lb', gram: 'g', grams: 'g' };
+
+// Canonical unit key for free-text input, or null when unsupported
+export function normalizeUnit(unit) {
+  const key = String(unit || '').trim().toLowerCase();
+  if (WEIGHT_UNITS[key]) return key;
+  return UNIT_ALIASES[key] || null;
+}
+
+export const getUnitPrecision = (unit) => (WEIGHT_UNITS[unit] || WEIGHT_UNITS[CANONICAL_UNIT]).precision;
+
+// Smallest step an input in this unit accepts, e.g. 0.01 for kg
+export const getUnitStep = (unit) => Math.pow(10, -getUnitPrecision(unit));
+
+export function convertWeight(value, fromUnit, toUnit) {
+  if (fromUnit === toUnit) return value;
+  return (value * WEIGHT_UNITS[fromUnit].toKg) / WEIGHT_UNITS[toUnit].toKg;
+}
+
+export const toKg = (value, unit) => convertWeight(value, unit, CANONICAL_UNIT);
+
+export const formatWeight = (value, unit) => value.toFixed(getUnitPrecision(unit));
+
+// Converts an entered string into the display unit, rounded to that unit's
+// precision; values already in the display unit are kept exactly as typed
+export function convertEntry(entered, fromUnit, toUnit) {
+  const value = parseFloat(entered);
+  if (entered === '' || isNaN(value) || !fromUnit || fromUnit === toUnit) return entered;
+  return formatWeight(convertWeight(value, fromUnit, toUnit), toUnit);
+}
@@ -0,0 +1,21 @@
+import { convertEntry, convertWeight, getUnitStep, normalizeUnit, toKg } from './units';
+
+test('converts between kg, lb and g', () => {
+  expect(convertWeight(1, 'kg', 'g')).toBe(1000);
+  expect(toKg(100, 'lb')).toBeCloseTo(45.359237, 6);
+  expect(convertWeight(50, 'kg', 'lb')).toBeCloseTo(110.231, 3);
+});
+
+test('rounds converted entries to the target unit precision', () => {
+  expect(convertEntry('110.5', 'lb', 'kg')).toBe('50.12');
+  expect(convertEntry('50.123', 'kg', 'g')).toBe('50123');
+  expect(convertEntry('50.1', 'kg', 'kg')).toBe('50.1');
+  expect(convertEntry('', 'lb', 'kg')).toBe('');
+});
+
+test('normalizes unit spellings', () => {
+  expect(normalizeUnit('KG')).toBe('kg');
+  expect(normalizeUnit('lbs')).toBe('lb');
+  expect(normalizeUnit('stone')).toBeNull();
+  expect(getUnitStep('g')).toBe(1);
+});
@@ -0,0 +1,213 @@
+import { getProfileLimits } from './profiles';
+import { toNumericSamples } from './statistics';
+import { getCorrectiveAction, getCorrectiveActionIssues } from './correctiveActions';
+import { toLocalDate, isSpoutInService } from './formState';
+import { getSpoutLabel } from './machines';
+import { createMessage } from './i18n';
+import { DEFAULT_TRACEABILITY, TRACE_FIELDS, checkTraceValue } from './traceability';
+
+// Declarative checks run on the in-progress report. Each rule returns issues
+// keyed by form field path (e.g. "spoutData.0.samples.2") so the form can show
+// them next to the input in the operator's language, and the admin-configured
+// policy decides per rule whether an issue blocks submission, is only a
+// warning, or is ignored.
+
+export const VALIDATION_POLICY = {
+  BLOCK: 'block',
+  WARN: 'warn',
+  OFF: 'off'
+};
+
+export const VALIDATION_POLICY_LABELS = {
+  [VALIDATION_POLICY.BLOCK]: 'Block submission',
+  [VALIDATION_POLICY.WARN]: 'Warn only',
+  [VALIDATION_POLICY.OFF]: 'Off'
+};
+
+// Without explicit bounds a product's weights must fall within half to one and
+// a half times the target, which catches typos like 500 for a 50 kg bag
+const PLAUSIBLE_FRACTION = 0.5;
+
+// Allows for a tablet clock that runs slightly ahead of the operator's watch
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+const REQUIRED_FIELDS = ['operatorName', 'shift', 'date', 'time'];
+
+// Issues from `check(spout, spoutIndex, label)` for every spout still in service
+const checkSpouts = (formData, check) => formData.spoutData.flatMap((spout, spoutIndex) =>
+  (isSpoutInService(spout) ? check(spout, spoutIndex, getSpoutLabel(spout, spoutIndex)) : []));
+
+export function getValidationBounds(profile) {
+  const hasValue = (value) => value !== undefined && value !== null && value !== '';
+  return {
+    minPlausible: hasValue(profile.minPlausibleWeight)
+      ? Number(profile.minPlausibleWeight)
+      : Number((profile.targetWeight * (1 - PLAUSIBLE_FRACTION)).toFixed(3)),
+    maxPlausible: hasValue(profile.maxPlausibleWeight)
+      ? Number(profile.maxPlausibleWeight)
+      : Number((profile.targetWeight * (1 + PLAUSIBLE_FRACTION)).toFixed(3)),
+    minSamples: hasValue(profile.minSamplesPerSpout)
+      ? Math.min(Number(profile.minSamplesPerSpout), profile.numSamplesPerSpout)
+      : profile.numSamplesPerSpout
+  };
+}
+
+// `subject` names the input, e.g. { key: 'validation.subject.sample', params }
+const checkPlausible = (value, field, subject, { bounds, profile }) => {
+  if (value === '' || value === null || value === undefined) return [];
+  const weight = Number(value);
+  if (!Number.isFinite(weight)) return [{ field, ...createMessage('validation.notANumber', { subject, value }) }];
+  if (weight <= 0) return [{ field, ...createMessage('validation.notPositive', { subject }) }];
+  if (weight < bounds.minPlausible || weight > bounds.maxPlausible) {
+    return [{
+      field,
+      ...createMessage('validation.implausible', {
+        subject,
+        weight,
+        unit: profile.unit,
+        min: bounds.minPlausible,
+        max: bounds.maxPlausible,
+        product: profile.name
+      })
+    }];
+  }
+  return [];
+};
+
+export const VALIDATION_RULES = [
+  {
+    id: 'required',
+    label: 'Operator, shift, date and time are filled in',
+    defaultPolicy: VALIDATION_POLICY.BLOCK,
+    validate: (formData) => REQUIRED_FIELDS
+      .filter(field => !String(formData[field] || '').trim())
+      .map(field => ({ field, ...createMessage(`validation.required.${field}`) }))
+  },
+  {
+    id: 'plausibleWeight',
+    label: 'Weights are plausible for the product',
+    defaultPolicy: VALIDATION_POLICY.BLOCK,
+    validate: (formData, context) => checkSpouts(formData, (spout, spoutIndex, label) => [
+      ...spout.samples.flatMap((sample, sampleIndex) => checkPlausible(
+        sample,
+        `spoutData.${spoutIndex}.samples.${sampleIndex}`,
+        { key: 'validation.subject.sample', params: { spout: label, sample: sampleIndex + 1 } },
+        context
+      )),
+      ...getCorrectiveAction(spout).recheckSamples.flatMap((sample, sampleIndex) => checkPlausible(
+        sample,
+        `spoutData.${spoutIndex}.correctiveAction.recheckSamples.${sampleIndex}`,
+        { key: 'validation.subject.recheck', params: { spout: label, sample: sampleIndex + 1 } },
+        context
+      ))
+    ])
+  },
+  {
+    id: 'minSamples',
+    label: 'Every spout has the minimum number of samples',
+    defaultPolicy: VALIDATION_POLICY.BLOCK,
+    validate: (formData, { bounds }) => checkSpouts(formData, (spout, spoutIndex, label) => {
+      const count = spout.samples.filter(sample => sample !== '').length;
+      return count < bounds.minSamples
+        ? [{
+          field: `spoutData.${spoutIndex}.samples`,
+          ...createMessage('validation.minSamples', { spout: label, min: bounds.minSamples, count })
+        }]
+        : [];
+    })
+  },
+  {
+    id: 'dateTime',
+    label: 'Date and time are valid and not in the future',
+    defaultPolicy: VALIDATION_POLICY.BLOCK,
+    validate: (formData, { now }) => {
+      if (!formData.date || !formData.time) return [];
+      const recordedAt = new Date(`${formData.date}T${formData.time}`);
+      if (Number.isNaN(recordedAt.getTime())) {
+        return [{ field: 'date', ...createMessage('validation.invalidDate') }];
+      }
+      if (formData.date > toLocalDate(now)) {
+        return [{ field: 'date', ...createMessage('validation.futureDate') }];
+      }
+      if (recordedAt.getTime() - now.getTime() > FUTURE_TOLERANCE_MS) {
+        return [{ field: 'time', ...createMessage('validation.futureTime') }];
+      }
+      return [];
+    }
+  },
+  {
+    id: 'outOfRangeComment',
+    label: 'Spouts with out-of-range samples have a comment',
+    defaultPolicy: VALIDATION_POLICY.WARN,
+    validate: (formData, { limits }) => checkSpouts(formData, (spout, spoutIndex, label) => {
+      const outOfRange = toNumericSamples(spout.samples)
+        .some(weight => weight < limits.lowerLimit || weight > limits.upperLimit);
+      return outOfRange && !spout.comments.trim()
+        ? [{
+          field: `spoutData.${spoutIndex}.comments`,
+          ...createMessage('validation.outOfRangeComment', { spout: label })
+        }]
+        : [];
+    })
+  },
+  {
+    id: 'correctiveAction',
+    label: 'Out-of-tolerance spouts have a corrective action and disposition',
+    defaultPolicy: VALIDATION_POLICY.BLOCK,
+    validate: (formData, { limits }) => getCorrectiveActionIssues(formData, limits)
+  },
+  {
+    id: 'traceability',
+    label: 'Lot and batch codes match their configured formats',
+    defaultPolicy: VALIDATION_POLICY.WARN,
+    validate: (formData, { traceability }) => TRACE_FIELDS.flatMap(({ key }) => {
+      const issue = checkTraceValue(key, (formData.traceability || {})[key], traceability[key]);
+      return issue ? [{ field: `traceability.${key}`, ...issue }] : [];
+    })
+  }
+];
+
+export const DEFAULT_VALIDATION_POLICY = VALIDATION_RULES.reduce((policy, rule) => {
+  policy[rule.id] = rule.defaultPolicy;
+  return policy;
+}, {});
+
+// Unknown rules are dropped and missing or invalid entries fall back to the default
+export function normalizeValidationPolicy(policy) {
+  const source = policy && typeof policy === 'object' ? policy : {};
+  return VALIDATION_RULES.reduce((normalized, rule) => {
+    normalized[rule.id] = Object.values(VALIDATION_POLICY).includes(source[rule.id])
+      ? source[rule.id]
+      : rule.defaultPolicy;
+    return normalized;
+  }, {});
+}
+
+// Runs every enabled rule: [{ ruleId, field, key, params, message, blocking }]
+export function validateForm(formData, {
+  profile,
+  policy = DEFAULT_VALIDATION_POLICY,
+  traceability = DEFAULT_TRACEABILITY,
+  now = new Date()
+}) {
+  const { minWeight, maxWeight } = getProfileLimits(profile);
+  const context = {
+    profile,
+    now,
+    traceability,
+    bounds: getValidationBounds(profile),
+    limits: { lowerLimit: minWeight, upperLimit: maxWeight }
+  };
+
+  return VALIDATION_RULES
+    .filter(rule => (policy[rule.id] || rule.defaultPolicy) !== VALIDATION_POLICY.OFF)
+    .flatMap(rule => rule.validate(formData, context).map(issue => ({
+      ruleId: rule.id,
+      ...issue,
+      blocking: (policy[rule.id] || rule.defaultPolicy) === VALIDATION_POLICY.BLOCK
+    })));
+}
+
+export const getFieldIssues = (issues, field) => issues.filter(issue => issue.field === field);
+
+export const hasBlockingIssues = (issues) => issues.some(issue => issue.blocking);
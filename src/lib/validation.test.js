@@ -0,0 +1,91 @@
+import { VALIDATION_POLICY, getValidationBounds, hasBlockingIssues, normalizeValidationPolicy, validateForm } from './validation';
+
+const profile = {
+  id: 'bag-50kg',
+  name: '50 kg bag',
+  targetWeight: 50,
+  lowerTolerance: 0.5,
+  upperTolerance: 0.5,
+  unit: 'kg',
+  numSpouts: 2,
+  numSamplesPerSpout: 3
+};
+const now = new Date(2024, 4, 10, 12, 0);
+const spout = (samples, comments = '') => ({ samples, comments });
+const formData = (changes = {}) => ({
+  operatorName: 'Ana',
+  shift: 'Morning',
+  date: '2024-05-10',
+  time: '11:30',
+  reportStatus: '',
+  spoutData: [spout(['50.0', '50.1', '49.9']), spout(['50.2', '50.0', '49.8'])],
+  ...changes
+});
+const fields = (issues) => issues.map(issue => issue.field);
+
+test('a complete in-range report has no issues', () => {
+  expect(validateForm(formData(), { profile, now })).toEqual([]);
+});
+
+test('flags missing required fields on their own inputs', () => {
+  const issues = validateForm(formData({ operatorName: ' ', shift: '' }), { profile, now });
+  expect(fields(issues)).toEqual(['operatorName', 'shift']);
+  expect(hasBlockingIssues(issues)).toBe(true);
+});
+
+test('rejects implausible and non-positive weights', () => {
+  const issues = validateForm(formData({
+    spoutData: [spout(['500', '-1', '50.0']), spout(['50.2', '50.0', '49.8'])]
+  }), { profile, now });
+  expect(issues.filter(issue => issue.ruleId === 'plausibleWeight').map(issue => issue.field)).toEqual([
+    'spoutData.0.samples.0',
+    'spoutData.0.samples.1'
+  ]);
+});
+
+test('profile bounds override the derived plausible range and minimum samples', () => {
+  expect(getValidationBounds(profile)).toEqual({ minPlausible: 25, maxPlausible: 75, minSamples: 3 });
+  expect(getValidationBounds({ ...profile, minPlausibleWeight: 45, maxPlausibleWeight: '', minSamplesPerSpout: 2 }))
+    .toEqual({ minPlausible: 45, maxPlausible: 75, minSamples: 2 });
+});
+
+test('requires the minimum number of samples per spout', () => {
+  const issues = validateForm(formData({
+    spoutData: [spout(['50.0', '', '']), spout(['50.2', '50.0', '49.8'])]
+  }), { profile: { ...profile, minSamplesPerSpout: 2 }, now });
+  expect(issues.map(issue => issue.message)).toEqual(['Spout 1: enter at least 2 samples (1 entered)']);
+});
+
+test('rejects dates and times in the future', () => {
+  expect(fields(validateForm(formData({ date: '2024-05-11', time: '08:00' }), { profile, now }))).toEqual(['date']);
+  expect(fields(validateForm(formData({ time: '13:00' }), { profile, now }))).toEqual(['time']);
+  expect(validateForm(formData({ time: '12:03' }), { profile, now })).toEqual([]);
+});
+
+test('out-of-range samples need a spout comment, as a warning by default', () => {
+  const data = formData({
+    reportStatus: 'rejected',
+    spoutData: [
+      { ...spout(['51.0', '50.0', '50.0']), correctiveAction: { reasonCode: 'CAL', actionTaken: 'Recalibrated', recheckSamples: ['', '', ''] } },
+      spout(['50.2', '50.0', '49.8'])
+    ]
+  });
+  const issues = validateForm(data, { profile, now });
+  expect(issues).toEqual([{
+    ruleId: 'outOfRangeComment',
+    field: 'spoutData.0.comments',
+    key: 'validation.outOfRangeComment',
+    params: { spout: 1 },
+    message: 'Spout 1: add a comment explaining the out-of-range samples',
+    blocking: false
+  }]);
+  expect(hasBlockingIssues(issues)).toBe(false);
+});
+
+test('the policy can block, downgrade or switch off a rule', () => {
+  const data = formData({ operatorName: '' });
+  const policy = normalizeValidationPolicy({ required: VALIDATION_POLICY.WARN });
+  expect(validateForm(data, { profile, now, policy })[0].blocking).toBe(false);
+  expect(validateForm(data, { profile, now, policy: { ...policy, required: VALIDATION_POLICY.OFF } })).toEqual([]);
+  expect(normalizeValidationPolicy({ required: 'bogus', unknown: 'block' }).required).toBe(VALIDATION_POLICY.BLOCK);
+});
@@ -0,0 +1,360 @@
+// English catalog; the reference for every other language and the fallback
+// for any key a translation is missing.
+const en = {
+  'language.label': 'Language',
+
+  'nav.newReport': 'New Report',
+  'nav.history': 'History',
+  'nav.trends': 'Trends',
+  'nav.shiftSummary': 'Shift Summary',
+  'nav.logout': 'Log out',
+
+  'login.title': 'Log in to start a weight check',
+  'login.scanBadge': 'Scan badge',
+  'login.badgePlaceholder': 'Scan or type badge code',
+  'login.name': 'Name',
+  'login.selectName': 'Select your name',
+  'login.pin': 'PIN',
+  'login.submit': 'Log in',
+  'login.notRecognised': 'Not recognised – check the PIN or badge and try again',
+
+  'form.title': 'Weight Control System',
+  'form.summary': '{profile} | Target Weight: {target} {unit} | Acceptable Range: {min} - {max} {unit}',
+  'form.product': 'Product Profile',
+  'form.line': 'Line',
+  'form.noLine': 'No line selected',
+  'form.machine': 'Machine',
+  'form.noMachine': 'Profile layout ({count} spouts)',
+  'form.takeOutOfService': 'Out of service',
+  'form.returnToService': 'Return to service',
+  'form.outOfServiceHelp': 'Out of service: this spout is left out of the statistics, tolerance checks and compliance for this report.',
+  'form.inactiveSpout': 'Not fitted on this machine.',
+  'form.operatorName': 'Operator Name',
+  'form.shift': 'Shift',
+  'form.selectShift': 'Select Shift',
+  'form.shiftFromTime': 'Set from the report time',
+  'form.date': 'Date',
+  'form.time': 'Time',
+  'form.tare': 'Tare ({unit})',
+  'form.tarePlaceholder': 'Optional – samples are then entered as gross',
+  'form.entryUnit': 'Entry Unit',
+  'form.spout': 'Spout {number}',
+  'form.spoutTare': 'Spout tare',
+  'form.none': 'None',
+  'form.sample': 'Sample {number}',
+  'form.gross': '(gross)',
+  'form.net': 'Net',
+  'form.readFromScale': 'Read from scale',
+  'form.spoutComments': 'Spout Comments',
+  'form.spoutCommentsPlaceholder': 'Optional comments for this spout',
+  'form.reportStatistics': 'Report Statistics ({count} samples)',
+  'form.disposition': 'Report Disposition',
+  'form.dispositionHelp': 'At least one spout is out of tolerance, so the report can\'t be accepted as is.',
+  'form.generalComments': 'General Comments',
+  'form.generalCommentsPlaceholder': 'Enter any general observations...',
+  'form.operatorSignature': 'Operator Signature',
+  'form.supervisorSignature': 'Supervisor Signature',
+  'form.supervisorName': 'Supervisor name',
+  'form.newReport': 'New Report',
+  'form.newReportHint': 'Keep this report as a draft and start a blank one',
+  'form.submitting': 'Submitting...',
+  'form.submit': 'Submit Report',
+  'form.resumedDraft': 'Resumed draft: {name}',
+  'form.unnamedOperator': 'Unnamed operator',
+  'form.loadedCopy': 'Loaded a copy of a past report as a new draft.',
+
+  'reportStatus.accepted': 'Accepted',
+  'reportStatus.conditionally-accepted': 'Conditionally accepted',
+  'reportStatus.rejected': 'Rejected',
+
+  'submit.savedOffline': 'Report saved on this device and will be sent automatically when the connection returns.',
+  'submit.savedLocal': 'Report saved on this device (no submission backend is enabled).',
+  'submit.success': 'Data submitted successfully to {targets}.',
+  'submit.sentTo': 'Sent to {targets}.',
+  'submit.willRetry': 'Saved on this device and will retry automatically: {targets}.',
+  'submit.failed': 'Submission failed. Please try again.',
+
+  'stats.average': 'Average',
+  'stats.stdDev': 'Std Dev',
+  'stats.range': 'Range',
+  'stats.minMax': 'Min / Max ({unit})',
+  'stats.cpCpk': 'Cp / Cpk',
+  'stats.outOfSpec': 'Out of Spec',
+
+  'scale.title': 'Scale',
+  'scale.readNow': 'Read now',
+  'scale.disconnect': 'Disconnect',
+  'scale.connect': 'Connect scale',
+  'scale.serialUnavailable': 'Web Serial is not available in this browser',
+  'scale.simulate': 'Simulate',
+  'scale.protocol': 'Protocol',
+  'scale.baudRate': 'Baud rate',
+  'scale.fillSpout': 'Fill spout',
+  'scale.reading': 'Reading',
+  'scale.simulatedReading': 'Simulated reading',
+  'scale.stable': 'Stable',
+  'scale.settling': 'Settling…',
+  'scale.unconvertible': 'Scale reports {unit}, which can\'t be converted to {productUnit}.',
+  'scale.allFilled': 'Ignored {value} {unit}: every sample is already filled.',
+  'scale.doubleTare': 'The scale is sending net weights while a tare is set in the form. Clear one of the two tares.',
+  'scale.recorded': 'Recorded {value} {unit} as spout {spout}, sample {sample}.',
+
+  'drafts.title': 'Unsubmitted drafts on this device',
+  'drafts.progress': '{entered}/{total} samples · saved {savedAt}',
+  'drafts.resume': 'Resume draft',
+  'drafts.discard': 'Discard',
+  'drafts.confirmDiscard': 'Discard the draft "{label}"? This cannot be undone.',
+
+  'signature.clear': 'Clear',
+  'signature.signedAt': 'Signed {signedAt}',
+
+  'corrective.title': 'Spout {number} is out of tolerance – corrective action required',
+  'corrective.reasonCode': 'Reason Code',
+  'corrective.selectReason': 'Select reason',
+  'corrective.actionTaken': 'Action Taken',
+  'corrective.actionPlaceholder': 'e.g. Recalibrated spout, checked gate seal',
+  'corrective.recheckSamples': 'Re-check Samples ({unit}, optional)',
+  'corrective.recheck': 'Re-check {number}',
+  'corrective.missingReason': 'Spout {spout}: select a reason code for the out-of-tolerance result',
+  'corrective.missingAction': 'Spout {spout}: describe the corrective action taken',
+  'corrective.missingDisposition': 'Mark the report as conditionally accepted or rejected',
+
+  'validation.fixOne': 'Fix this problem before submitting',
+  'validation.fixMany': 'Fix these {count} problems before submitting',
+  'validation.warningOne': 'Warning – submit again to send the report anyway',
+  'validation.warningMany': '{count} warnings – submit again to send the report anyway',
+  'validation.required.operatorName': 'Operator name is required',
+  'validation.required.shift': 'Shift is required',
+  'validation.required.date': 'Date is required',
+  'validation.required.time': 'Time is required',
+  'validation.subject.sample': 'Spout {spout} sample {sample}',
+  'validation.subject.recheck': 'Spout {spout} re-check {sample}',
+  'validation.notANumber': '{subject}: "{value}" is not a number',
+  'validation.notPositive': '{subject}: the weight must be greater than zero',
+  'validation.implausible': '{subject}: {weight} {unit} is outside the plausible range {min}–{max} {unit} for {product}',
+  'validation.minSamples': 'Spout {spout}: enter at least {min} samples ({count} entered)',
+  'validation.invalidDate': 'Date and time are not valid',
+  'validation.futureDate': 'Date is in the future',
+  'validation.futureTime': 'Time is in the future',
+  'validation.outOfRangeComment': 'Spout {spout}: add a comment explaining the out-of-range samples',
+  'rapid.on': 'Rapid entry on',
+  'rapid.off': 'Rapid entry',
+  'rapid.toggleHint': 'Enter samples with a large keypad; Enter, Tab and the arrow keys move between samples',
+  'rapid.noCell': 'Tap a key to start at the first empty sample',
+  'rapid.help': 'Enter or Next moves on; a value typed to full precision moves on by itself.',
+  'rapid.backspace': 'Backspace',
+  'rapid.clear': 'Clear',
+  'rapid.undo': 'Undo',
+  'rapid.previous': 'Previous sample',
+  'rapid.next': 'Next sample',
+  'rapid.inRange': 'Spout {spout} sample {sample}: {value} {unit} OK',
+  'rapid.outOfRange': 'Spout {spout} sample {sample}: {value} {unit} is OUT OF RANGE ({min} - {max} {unit})',
+  'rapid.endOfGrid': 'Last sample reached.',
+  'rapid.undone': 'Undid the entry for spout {spout} sample {sample}.',
+  'metrology.title': 'Legal metrology (℮)',
+  'metrology.verdict.pass': 'Pass',
+  'metrology.verdict.fail': 'Fail',
+  'metrology.verdict.not_applicable': 'Not evaluated',
+  'metrology.nominal': 'Nominal',
+  'metrology.tne': 'TNE',
+  'metrology.mean': 'Mean',
+  'metrology.belowT1': 'Below T1 / allowed',
+  'metrology.belowT2': 'Below T2',
+  'metrology.outsideTable': 'The nominal quantity {nominal} {unit} is outside the TNE table (5 g to 50 kg)',
+  'metrology.noSamples': 'No samples recorded yet',
+  'metrology.meanBelowNominal': 'The mean {mean} {unit} is below the nominal quantity {nominal} {unit}',
+  'metrology.tooManyBelowT1': '{count} packs are below T1 ({t1} {unit}); at most {allowed} are allowed',
+  'metrology.packsBelowT2': '{count} packs are below T2 ({t2} {unit}); none are allowed',
+  'metrology.allRulesMet': 'Mean at or above nominal, packs below T1 within the allowance and none below T2',
+  'schedule.dueIn': 'Next check due in {time} (at {at})',
+  'schedule.overdue': 'Check overdue by {time} (due at {at})',
+  'schedule.noneDue': 'No more checks due this shift',
+  'schedule.shift': '{line} · {shift} shift {start}–{end} · every {minutes} min',
+  'schedule.noLine': 'No line',
+  'schedule.enableReminders': 'Enable reminders',
+  'schedule.remindersBlocked': 'Notifications are blocked in this browser',
+  'schedule.timeline': 'Shift timeline',
+  'schedule.legendCheck': 'Check',
+  'schedule.legendLate': 'Late check',
+  'schedule.legendMissed': 'Missed',
+  'schedule.legendDue': 'Due',
+  'schedule.legendNow': 'Now',
+  'schedule.missed': '{count} missed this shift: {times}',
+  'schedule.notificationTitle': 'Weight check due',
+  'schedule.notificationBody': '{line}: the check due at {at} has not been done yet',
+  'setpoint.goal': 'Out-of-spec goal',
+  'setpoint.adjust': 'Change the setpoint by {correction} {unit} to aim at {target} {unit}',
+  'setpoint.hold': 'Keep the setpoint: the mean is within sampling noise of {target} {unit}',
+  'setpoint.variation': 'Variation, not the setpoint, is the problem: with a spread of {sigma} {unit} no setpoint keeps out-of-spec packs under {rate}%. Check the filler.',
+  'setpoint.confidence': 'Confidence: {level}',
+  'setpoint.confidence.high': 'high',
+  'setpoint.confidence.medium': 'medium',
+  'setpoint.confidence.low': 'low',
+  'setpoint.rates': 'Expected out of spec {current}% now, {expected}% after',
+  'setpoint.window': 'means from {low} to {high} {unit} meet the {rate}% goal',
+  'setpoint.basis': 'from {samples} samples and {history} earlier reports',
+  'setpoint.accept': 'Accept adjustment',
+  'setpoint.accepted': 'Setpoint changed by {correction} {unit} ({from} → {to} {unit})',
+  'setpoint.undo': 'Undo',
+  'trace.title': 'Traceability',
+  'trace.field.productCode': 'Product code',
+  'trace.field.lotNumber': 'Lot number',
+  'trace.field.filmBatch': 'Film/bag batch',
+  'trace.field.productionOrder': 'Production order',
+  'trace.scan': 'Scan',
+  'trace.scanTitle': 'Scan {field}',
+  'trace.scanHelp': 'Point the camera at the barcode or QR code on the label.',
+  'trace.fallbackHelp': 'This browser has no built-in barcode reader, so only Code 128 and GS1-128 barcodes can be read. QR and Data Matrix codes need a browser that has one, such as Chrome on Android; type those codes in instead.',
+  'trace.upload': 'Read from photo',
+  'trace.close': 'Close',
+  'trace.noCamera': 'The camera could not be opened: {error}',
+  'trace.readerError': 'The barcode reader could not be started: {error}',
+  'trace.notFound': 'No barcode was found in the photo.',
+  'trace.scanned': 'Read from the code: {fields}',
+  'trace.error.numeric': '{field} must be digits only (GS1 AI {ai})',
+  'trace.error.length': '{field} must be {length} characters long (GS1 AI {ai})',
+  'trace.error.tooLong': '{field} can be at most {max} characters long (GS1 AI {ai})',
+  'trace.error.charset': '{field} has characters GS1 AI {ai} does not allow',
+  'trace.error.checkDigit': '{field} has a wrong check digit',
+  'trace.error.pattern': '{field} does not match the format {pattern}',
+  'trace.error.missingAi': 'The code has no GS1 AI {ai} for {field}',
+  'trends.title': 'Spout Trends',
+  'trends.loadError': 'Could not load history: {error}',
+  'trends.product': 'Product',
+  'trends.machine': 'Machine',
+  'trends.profileLayout': 'Profile layout ({count} spouts)',
+  'trends.from': 'From',
+  'trends.to': 'To',
+  'trends.shift': 'Shift',
+  'trends.allShifts': 'All shifts',
+  'trends.spout': 'Spout',
+  'trends.spoutLabel': 'Spout {label}',
+  'trends.reports': 'Reports',
+  'trends.grandMean': 'Grand Mean',
+  'trends.avgRange': 'Avg Range',
+  'trends.violations': 'Rule Violations',
+  'trends.noData': 'No stored reports match these filters for Spout {label}.',
+  'trends.chart.xBar': 'Spout {label} – X-bar ({unit})',
+  'trends.chart.range': 'Spout {label} – Range ({unit})',
+  'trends.chart.stdDev': 'Spout {label} – Std Dev ({unit})',
+  'trends.line.usl': 'USL',
+  'trends.line.ucl': 'UCL',
+  'trends.line.target': 'Target',
+  'trends.line.lcl': 'LCL',
+  'trends.line.lsl': 'LSL',
+  'trends.violationsTitle': 'Western Electric rule violations',
+  'trends.violation': '{point}: Rule {id} – {rule}',
+  'trends.rule.1': 'Point beyond the 3σ control limit',
+  'trends.rule.2': '2 of 3 points beyond 2σ on the same side',
+  'trends.rule.3': '4 of 5 points beyond 1σ on the same side',
+  'trends.rule.4': '{count} points in a row on one side of target',
+  'audit.title': 'Audit Trail',
+  'audit.none': 'No edit history was recorded for this report.',
+  'audit.intact': 'Hash chain intact and matches the submitted seal ({count} events)',
+  'audit.intactUnanchored': 'Hash chain intact ({count} events); submitted without a seal, so events cut off the end would not show',
+  'audit.broken': 'Hash chain broken at event {event}: this trail was altered after it was recorded',
+  'audit.cannotVerify': 'Can\'t verify: {error}',
+  'audit.field': 'Field',
+  'audit.allFields': 'All fields',
+  'audit.time': 'Time',
+  'audit.operator': 'Operator',
+  'audit.oldValue': 'Old value',
+  'audit.newValue': 'New value',
+  'audit.empty': '(empty)',
+  'audit.system': 'System',
+  'audit.unknownOperator': 'Unknown',
+  'audit.field.profileId': 'Product profile',
+  'audit.field.lineId': 'Line',
+  'audit.field.machineId': 'Machine',
+  'audit.field.operatorName': 'Operator name',
+  'audit.field.shift': 'Shift',
+  'audit.field.date': 'Date',
+  'audit.field.time': 'Time',
+  'audit.field.tare': 'Tare',
+  'audit.field.entryUnit': 'Entry unit',
+  'audit.field.generalComments': 'General comments',
+  'audit.field.supervisorName': 'Supervisor name',
+  'audit.field.reportStatus': 'Report disposition',
+  'audit.field.operatorSignature': 'Operator signature',
+  'audit.field.supervisorSignature': 'Supervisor signature',
+  'audit.field.spoutSample': 'Spout {spout} sample {sample}',
+  'audit.field.spoutRecheck': 'Spout {spout} recheck sample {sample}',
+  'audit.field.spoutTare': 'Spout {spout} tare',
+  'audit.field.spoutComments': 'Spout {spout} comments',
+  'audit.field.spoutService': 'Spout {spout} service status',
+  'audit.field.spoutSetpoint': 'Spout {spout} setpoint adjustment',
+  'audit.field.spoutReasonCode': 'Spout {spout} reason code',
+  'audit.field.spoutActionTaken': 'Spout {spout} action taken',
+  'app.noAccess': 'Your role does not have access to this page.',
+  'app.noLogo': 'No logo configured',
+  'app.logoAlt': 'Company Logo',
+  'app.adminSettings': 'Admin settings',
+  'role.operator': 'Operator',
+  'role.supervisor': 'Supervisor',
+  'role.qa': 'QA',
+  'approval.title': 'Supervisor Approval',
+  'approval.approved': 'Approved',
+  'approval.rejected': 'Rejected',
+  'approval.by': '{status} by {name}',
+  'approval.decision': '{status} by {name} on {at}',
+  'approval.withRole': '{name} ({role})',
+  'approval.unknownUser': 'unknown',
+  'approval.awaiting': 'Awaiting supervisor approval.',
+  'approval.commentPlaceholder': 'Comment (required to reject)',
+  'approval.approve': 'Approve',
+  'approval.reject': 'Reject',
+  'approval.ownReport': 'You submitted this report, so another supervisor has to approve it.',
+  'delivery.pending': 'Pending',
+  'delivery.sending': 'Sending',
+  'delivery.synced': 'Delivered',
+  'delivery.failed': 'Failed',
+  'delivery.imported': 'Imported',
+  'delivery.target.pending': 'waiting',
+  'delivery.target.synced': 'delivered',
+  'delivery.target.failed': 'failed',
+  'delivery.line': '{target}: {status}',
+  'history.title': 'Report History',
+  'history.importCsv': 'Import CSV',
+  'history.imported': 'Imported {count} report(s) from {file}.',
+  'history.importFailed': 'Import failed: {error}',
+  'history.exportFailed': 'Export failed: {error}',
+  'history.loadError': 'Could not load history: {error}',
+  'history.loading': 'Loading…',
+  'history.empty': 'No reports have been submitted from this device yet.',
+  'history.date': 'Date',
+  'history.shift': 'Shift',
+  'history.operator': 'Operator',
+  'history.product': 'Product',
+  'history.result': 'Result',
+  'history.sheet': 'Sheet',
+  'history.verdict.pass': 'Pass',
+  'history.verdict.fail': 'Fail',
+  'history.verdict.empty': 'Empty',
+  'history.open': 'Open',
+  'history.duplicate': 'Duplicate',
+  'detail.back': 'Back to history',
+  'detail.print': 'Print',
+  'detail.duplicate': 'Duplicate as new draft',
+  'detail.pdfWithoutLogo': 'PDF saved without the company logo: {error}',
+  'detail.notFound': 'Report not found on this device',
+  'report.printTitle': 'Weight Check Report',
+  'report.verdict.pass': 'All samples in range',
+  'report.verdict.fail': 'Out-of-range samples',
+  'report.verdict.empty': 'No samples recorded',
+  'report.warnings': 'Submitted with warnings:',
+  'report.schedule': 'Check schedule ({shift} shift, every {minutes} min):',
+  'report.overdue': 'this check was {minutes} min overdue.',
+  'report.missed': '{count} missed before it (due {times}).',
+  'report.outOfService': 'Out of service',
+  'report.grossTare': 'G {gross} / T {tare}',
+  'report.entered': 'Entered {value} {unit}',
+  'report.setpointAdjusted': 'Setpoint adjusted:',
+  'report.acceptedBy': 'accepted by {name}',
+  'report.correctiveActions': 'Corrective Actions',
+  'report.spout': 'Spout',
+  'report.reason': 'Reason',
+  'report.recheck': 'Re-check ({unit})',
+  'report.notSigned': 'Not signed'
+};
+
+export default en;
@@ -0,0 +1,358 @@
+const fr = {
+  'language.label': 'Langue',
+
+  'nav.newReport': 'Nouveau rapport',
+  'nav.history': 'Historique',
+  'nav.trends': 'Tendances',
+  'nav.shiftSummary': 'Synthèse d\'équipe',
+  'nav.logout': 'Déconnexion',
+
+  'login.title': 'Connectez-vous pour commencer un contrôle de poids',
+  'login.scanBadge': 'Scanner le badge',
+  'login.badgePlaceholder': 'Scannez ou saisissez le code du badge',
+  'login.name': 'Nom',
+  'login.selectName': 'Choisissez votre nom',
+  'login.pin': 'Code PIN',
+  'login.submit': 'Se connecter',
+  'login.notRecognised': 'Non reconnu – vérifiez le code PIN ou le badge et réessayez',
+
+  'form.title': 'Système de contrôle des poids',
+  'form.summary': '{profile} | Poids cible : {target} {unit} | Plage acceptable : {min} - {max} {unit}',
+  'form.product': 'Profil produit',
+  'form.line': 'Ligne',
+  'form.noLine': 'Aucune ligne sélectionnée',
+  'form.machine': 'Machine',
+  'form.noMachine': 'Disposition du profil ({count} becs)',
+  'form.takeOutOfService': 'Hors service',
+  'form.returnToService': 'Remettre en service',
+  'form.outOfServiceHelp': 'Hors service : ce bec est exclu des statistiques, des contrôles de tolérance et de la conformité de ce rapport.',
+  'form.inactiveSpout': 'Non monté sur cette machine.',
+  'form.operatorName': 'Nom de l\'opérateur',
+  'form.shift': 'Équipe',
+  'form.selectShift': 'Choisir l\'équipe',
+  'form.shiftFromTime': 'Déduite de l\'heure du rapport',
+  'form.date': 'Date',
+  'form.time': 'Heure',
+  'form.tare': 'Tare ({unit})',
+  'form.tarePlaceholder': 'Facultatif – les échantillons sont alors saisis en brut',
+  'form.entryUnit': 'Unité de saisie',
+  'form.spout': 'Bec {number}',
+  'form.spoutTare': 'Tare du bec',
+  'form.none': 'Aucune',
+  'form.sample': 'Échantillon {number}',
+  'form.gross': '(brut)',
+  'form.net': 'Net',
+  'form.readFromScale': 'Lu sur la balance',
+  'form.spoutComments': 'Commentaires du bec',
+  'form.spoutCommentsPlaceholder': 'Commentaires facultatifs pour ce bec',
+  'form.reportStatistics': 'Statistiques du rapport ({count} échantillons)',
+  'form.disposition': 'Décision sur le rapport',
+  'form.dispositionHelp': 'Au moins un bec est hors tolérance, le rapport ne peut donc pas être accepté tel quel.',
+  'form.generalComments': 'Commentaires généraux',
+  'form.generalCommentsPlaceholder': 'Saisissez vos observations générales...',
+  'form.operatorSignature': 'Signature de l\'opérateur',
+  'form.supervisorSignature': 'Signature du superviseur',
+  'form.supervisorName': 'Nom du superviseur',
+  'form.newReport': 'Nouveau rapport',
+  'form.newReportHint': 'Garder ce rapport en brouillon et en commencer un vierge',
+  'form.submitting': 'Envoi en cours...',
+  'form.submit': 'Envoyer le rapport',
+  'form.resumedDraft': 'Brouillon repris : {name}',
+  'form.unnamedOperator': 'Opérateur sans nom',
+  'form.loadedCopy': 'Copie d\'un rapport précédent chargée comme nouveau brouillon.',
+
+  'reportStatus.accepted': 'Accepté',
+  'reportStatus.conditionally-accepted': 'Accepté sous conditions',
+  'reportStatus.rejected': 'Rejeté',
+
+  'submit.savedOffline': 'Rapport enregistré sur cet appareil ; il sera envoyé automatiquement au retour de la connexion.',
+  'submit.savedLocal': 'Rapport enregistré sur cet appareil (aucune destination d\'envoi n\'est activée).',
+  'submit.success': 'Données envoyées avec succès à {targets}.',
+  'submit.sentTo': 'Envoyé à {targets}.',
+  'submit.willRetry': 'Enregistré sur cet appareil, nouvel essai automatique : {targets}.',
+  'submit.failed': 'L\'envoi a échoué. Veuillez réessayer.',
+
+  'stats.average': 'Moyenne',
+  'stats.stdDev': 'Écart type',
+  'stats.range': 'Étendue',
+  'stats.minMax': 'Min / Max ({unit})',
+  'stats.cpCpk': 'Cp / Cpk',
+  'stats.outOfSpec': 'Hors spécification',
+
+  'scale.title': 'Balance',
+  'scale.readNow': 'Lire maintenant',
+  'scale.disconnect': 'Déconnecter',
+  'scale.connect': 'Connecter la balance',
+  'scale.serialUnavailable': 'Web Serial n\'est pas disponible dans ce navigateur',
+  'scale.simulate': 'Simuler',
+  'scale.protocol': 'Protocole',
+  'scale.baudRate': 'Débit (bauds)',
+  'scale.fillSpout': 'Bec à remplir',
+  'scale.reading': 'Lecture',
+  'scale.simulatedReading': 'Lecture simulée',
+  'scale.stable': 'Stable',
+  'scale.settling': 'Stabilisation…',
+  'scale.unconvertible': 'La balance indique {unit}, qui ne peut pas être converti en {productUnit}.',
+  'scale.allFilled': '{value} {unit} ignoré : tous les échantillons sont déjà remplis.',
+  'scale.doubleTare': 'La balance envoie des poids nets alors qu\'une tare est saisie dans le formulaire. Supprimez l\'une des deux tares.',
+  'scale.recorded': '{value} {unit} enregistré pour le bec {spout}, échantillon {sample}.',
+
+  'drafts.title': 'Brouillons non envoyés sur cet appareil',
+  'drafts.progress': '{entered}/{total} échantillons · enregistré le {savedAt}',
+  'drafts.resume': 'Reprendre le brouillon',
+  'drafts.discard': 'Supprimer',
+  'drafts.confirmDiscard': 'Supprimer le brouillon « {label} » ? Cette action est irréversible.',
+
+  'signature.clear': 'Effacer',
+  'signature.signedAt': 'Signé le {signedAt}',
+
+  'corrective.title': 'Le bec {number} est hors tolérance – action corrective requise',
+  'corrective.reasonCode': 'Code de cause',
+  'corrective.selectReason': 'Choisir une cause',
+  'corrective.actionTaken': 'Action menée',
+  'corrective.actionPlaceholder': 'ex. Bec recalibré, joint de trappe vérifié',
+  'corrective.recheckSamples': 'Échantillons de contrôle ({unit}, facultatif)',
+  'corrective.recheck': 'Contrôle {number}',
+  'corrective.missingReason': 'Bec {spout} : choisissez un code de cause pour le résultat hors tolérance',
+  'corrective.missingAction': 'Bec {spout} : décrivez l\'action corrective menée',
+  'corrective.missingDisposition': 'Indiquez si le rapport est accepté sous conditions ou rejeté',
+
+  'validation.fixOne': 'Corrigez ce problème avant l\'envoi',
+  'validation.fixMany': 'Corrigez ces {count} problèmes avant l\'envoi',
+  'validation.warningOne': 'Avertissement – envoyez à nouveau pour transmettre le rapport quand même',
+  'validation.warningMany': '{count} avertissements – envoyez à nouveau pour transmettre le rapport quand même',
+  'validation.required.operatorName': 'Le nom de l\'opérateur est obligatoire',
+  'validation.required.shift': 'L\'équipe est obligatoire',
+  'validation.required.date': 'La date est obligatoire',
+  'validation.required.time': 'L\'heure est obligatoire',
+  'validation.subject.sample': 'Bec {spout} échantillon {sample}',
+  'validation.subject.recheck': 'Bec {spout} contrôle {sample}',
+  'validation.notANumber': '{subject} : « {value} » n\'est pas un nombre',
+  'validation.notPositive': '{subject} : le poids doit être supérieur à zéro',
+  'validation.implausible': '{subject} : {weight} {unit} est hors de la plage plausible {min}–{max} {unit} pour {product}',
+  'validation.minSamples': 'Bec {spout} : saisissez au moins {min} échantillons ({count} saisis)',
+  'validation.invalidDate': 'La date et l\'heure ne sont pas valides',
+  'validation.futureDate': 'La date est dans le futur',
+  'validation.futureTime': 'L\'heure est dans le futur',
+  'validation.outOfRangeComment': 'Bec {spout} : ajoutez un commentaire expliquant les échantillons hors plage',
+  'rapid.on': 'Saisie rapide activée',
+  'rapid.off': 'Saisie rapide',
+  'rapid.toggleHint': 'Saisir les échantillons avec un grand pavé numérique ; Entrée, Tab et les flèches passent d\'un échantillon à l\'autre',
+  'rapid.noCell': 'Appuyez sur une touche pour commencer au premier échantillon vide',
+  'rapid.help': 'Entrée ou Suivant avance ; une valeur saisie à pleine précision avance toute seule.',
+  'rapid.backspace': 'Effacer le dernier chiffre',
+  'rapid.clear': 'Effacer',
+  'rapid.undo': 'Annuler',
+  'rapid.previous': 'Échantillon précédent',
+  'rapid.next': 'Échantillon suivant',
+  'rapid.inRange': 'Bec {spout} échantillon {sample} : {value} {unit} OK',
+  'rapid.outOfRange': 'Bec {spout} échantillon {sample} : {value} {unit} HORS PLAGE ({min} - {max} {unit})',
+  'rapid.endOfGrid': 'Dernier échantillon atteint.',
+  'rapid.undone': 'Saisie annulée pour le bec {spout} échantillon {sample}.',
+  'metrology.title': 'Métrologie légale (℮)',
+  'metrology.verdict.pass': 'Conforme',
+  'metrology.verdict.fail': 'Non conforme',
+  'metrology.verdict.not_applicable': 'Non évalué',
+  'metrology.nominal': 'Quantité nominale',
+  'metrology.tne': 'EMT',
+  'metrology.mean': 'Moyenne',
+  'metrology.belowT1': 'Sous T1 / admis',
+  'metrology.belowT2': 'Sous T2',
+  'metrology.outsideTable': 'La quantité nominale {nominal} {unit} est hors du tableau des EMT (5 g à 50 kg)',
+  'metrology.noSamples': 'Aucun échantillon enregistré',
+  'metrology.meanBelowNominal': 'La moyenne {mean} {unit} est inférieure à la quantité nominale {nominal} {unit}',
+  'metrology.tooManyBelowT1': '{count} emballages sont sous T1 ({t1} {unit}) ; {allowed} au maximum sont admis',
+  'metrology.packsBelowT2': '{count} emballages sont sous T2 ({t2} {unit}) ; aucun n\'est admis',
+  'metrology.allRulesMet': 'Moyenne au moins égale au nominal, emballages sous T1 dans la limite admise et aucun sous T2',
+  'schedule.dueIn': 'Prochain contrôle dans {time} (à {at})',
+  'schedule.overdue': 'Contrôle en retard de {time} (prévu à {at})',
+  'schedule.noneDue': 'Plus aucun contrôle prévu pour cette équipe',
+  'schedule.shift': '{line} · équipe {shift} {start}–{end} · toutes les {minutes} min',
+  'schedule.noLine': 'Aucune ligne',
+  'schedule.enableReminders': 'Activer les rappels',
+  'schedule.remindersBlocked': 'Les notifications sont bloquées dans ce navigateur',
+  'schedule.timeline': 'Chronologie de l\'équipe',
+  'schedule.legendCheck': 'Contrôle',
+  'schedule.legendLate': 'Contrôle en retard',
+  'schedule.legendMissed': 'Manqué',
+  'schedule.legendDue': 'Prévu',
+  'schedule.legendNow': 'Maintenant',
+  'schedule.missed': '{count} manqué(s) pendant cette équipe : {times}',
+  'schedule.notificationTitle': 'Contrôle de poids à faire',
+  'schedule.notificationBody': '{line} : le contrôle prévu à {at} n\'a pas encore été fait',
+  'setpoint.goal': 'Objectif hors tolérance',
+  'setpoint.adjust': 'Modifier la consigne de {correction} {unit} pour viser {target} {unit}',
+  'setpoint.hold': 'Garder la consigne : la moyenne est à {target} {unit} aux aléas d\'échantillonnage près',
+  'setpoint.variation': 'C\'est la dispersion, pas la consigne, qui pose problème : avec un écart de {sigma} {unit}, aucune consigne ne garde les sacs hors tolérance sous {rate} %. Vérifiez la doseuse.',
+  'setpoint.confidence': 'Confiance : {level}',
+  'setpoint.confidence.high': 'élevée',
+  'setpoint.confidence.medium': 'moyenne',
+  'setpoint.confidence.low': 'faible',
+  'setpoint.rates': 'Hors tolérance prévu {current} % maintenant, {expected} % après',
+  'setpoint.window': 'les moyennes de {low} à {high} {unit} respectent l\'objectif de {rate} %',
+  'setpoint.basis': 'd\'après {samples} échantillons et {history} rapports précédents',
+  'setpoint.accept': 'Accepter l\'ajustement',
+  'setpoint.accepted': 'Consigne modifiée de {correction} {unit} ({from} → {to} {unit})',
+  'setpoint.undo': 'Annuler',
+  'trace.title': 'Traçabilité',
+  'trace.field.productCode': 'Code produit',
+  'trace.field.lotNumber': 'Numéro de lot',
+  'trace.field.filmBatch': 'Lot de film/sacs',
+  'trace.field.productionOrder': 'Ordre de fabrication',
+  'trace.scan': 'Scanner',
+  'trace.scanTitle': 'Scanner : {field}',
+  'trace.scanHelp': 'Dirigez la caméra vers le code-barres ou le QR code de l\'étiquette.',
+  'trace.fallbackHelp': 'Ce navigateur n\'a pas de lecteur de codes-barres intégré : seuls les codes Code 128 et GS1-128 sont lisibles. Les QR codes et codes Data Matrix demandent un navigateur qui en dispose, comme Chrome sur Android ; saisissez-les à la main.',
+  'trace.upload': 'Lire depuis une photo',
+  'trace.close': 'Fermer',
+  'trace.noCamera': 'Impossible d\'ouvrir la caméra : {error}',
+  'trace.readerError': 'Impossible de démarrer le lecteur de codes-barres : {error}',
+  'trace.notFound': 'Aucun code-barres trouvé sur la photo.',
+  'trace.scanned': 'Lu depuis le code : {fields}',
+  'trace.error.numeric': '{field} ne doit contenir que des chiffres (AI GS1 {ai})',
+  'trace.error.length': '{field} doit faire {length} caractères (AI GS1 {ai})',
+  'trace.error.tooLong': '{field} ne peut dépasser {max} caractères (AI GS1 {ai})',
+  'trace.error.charset': '{field} contient des caractères interdits par l\'AI GS1 {ai}',
+  'trace.error.checkDigit': '{field} a une clé de contrôle erronée',
+  'trace.error.pattern': '{field} ne respecte pas le format {pattern}',
+  'trace.error.missingAi': 'Le code ne contient pas d\'AI GS1 {ai} pour {field}',
+  'trends.title': 'Tendances par bec',
+  'trends.loadError': 'Impossible de charger l\'historique : {error}',
+  'trends.product': 'Produit',
+  'trends.machine': 'Machine',
+  'trends.profileLayout': 'Disposition du profil ({count} becs)',
+  'trends.from': 'Du',
+  'trends.to': 'Au',
+  'trends.shift': 'Équipe',
+  'trends.allShifts': 'Toutes les équipes',
+  'trends.spout': 'Bec',
+  'trends.spoutLabel': 'Bec {label}',
+  'trends.reports': 'Rapports',
+  'trends.grandMean': 'Moyenne générale',
+  'trends.avgRange': 'Étendue moy.',
+  'trends.violations': 'Violations de règles',
+  'trends.noData': 'Aucun rapport enregistré ne correspond à ces filtres pour le bec {label}.',
+  'trends.chart.xBar': 'Bec {label} – Moyenne X̄ ({unit})',
+  'trends.chart.range': 'Bec {label} – Étendue ({unit})',
+  'trends.chart.stdDev': 'Bec {label} – Écart type ({unit})',
+  'trends.line.usl': 'LSS',
+  'trends.line.ucl': 'LSC',
+  'trends.line.target': 'Cible',
+  'trends.line.lcl': 'LIC',
+  'trends.line.lsl': 'LIS',
+  'trends.violationsTitle': 'Violations des règles Western Electric',
+  'trends.violation': '{point} : règle {id} – {rule}',
+  'trends.rule.1': 'Point au-delà de la limite de contrôle à 3σ',
+  'trends.rule.2': '2 points sur 3 au-delà de 2σ du même côté',
+  'trends.rule.3': '4 points sur 5 au-delà de 1σ du même côté',
+  'trends.rule.4': '{count} points consécutifs du même côté de la cible',
+  'audit.title': 'Piste d\'audit',
+  'audit.none': 'Aucun historique de modifications n\'a été enregistré pour ce rapport.',
+  'audit.intact': 'Chaîne de hachage intacte et conforme au sceau soumis ({count} événements)',
+  'audit.intactUnanchored': 'Chaîne de hachage intacte ({count} événements) ; soumise sans sceau, des événements supprimés à la fin ne seraient donc pas détectés',
+  'audit.broken': 'Chaîne de hachage rompue à l\'événement {event} : cette piste a été modifiée après son enregistrement',
+  'audit.cannotVerify': 'Vérification impossible : {error}',
+  'audit.field': 'Champ',
+  'audit.allFields': 'Tous les champs',
+  'audit.time': 'Heure',
+  'audit.operator': 'Opérateur',
+  'audit.oldValue': 'Ancienne valeur',
+  'audit.newValue': 'Nouvelle valeur',
+  'audit.empty': '(vide)',
+  'audit.system': 'Système',
+  'audit.unknownOperator': 'Inconnu',
+  'audit.field.profileId': 'Profil produit',
+  'audit.field.lineId': 'Ligne',
+  'audit.field.machineId': 'Machine',
+  'audit.field.operatorName': 'Nom de l\'opérateur',
+  'audit.field.shift': 'Équipe',
+  'audit.field.date': 'Date',
+  'audit.field.time': 'Heure',
+  'audit.field.tare': 'Tare',
+  'audit.field.entryUnit': 'Unité de saisie',
+  'audit.field.generalComments': 'Commentaires généraux',
+  'audit.field.supervisorName': 'Nom du superviseur',
+  'audit.field.reportStatus': 'Décision sur le rapport',
+  'audit.field.operatorSignature': 'Signature de l\'opérateur',
+  'audit.field.supervisorSignature': 'Signature du superviseur',
+  'audit.field.spoutSample': 'Bec {spout} échantillon {sample}',
+  'audit.field.spoutRecheck': 'Bec {spout} échantillon de contrôle {sample}',
+  'audit.field.spoutTare': 'Bec {spout} tare',
+  'audit.field.spoutComments': 'Bec {spout} commentaires',
+  'audit.field.spoutService': 'Bec {spout} état de service',
+  'audit.field.spoutSetpoint': 'Bec {spout} ajustement de consigne',
+  'audit.field.spoutReasonCode': 'Bec {spout} code motif',
+  'audit.field.spoutActionTaken': 'Bec {spout} action menée',
+  'app.noAccess': 'Votre rôle n\'a pas accès à cette page.',
+  'app.noLogo': 'Aucun logo configuré',
+  'app.logoAlt': 'Logo de l\'entreprise',
+  'app.adminSettings': 'Paramètres d\'administration',
+  'role.operator': 'Opérateur',
+  'role.supervisor': 'Superviseur',
+  'role.qa': 'Qualité',
+  'approval.title': 'Validation du superviseur',
+  'approval.approved': 'Approuvé',
+  'approval.rejected': 'Rejeté',
+  'approval.by': '{status} par {name}',
+  'approval.decision': '{status} par {name} le {at}',
+  'approval.withRole': '{name} ({role})',
+  'approval.unknownUser': 'inconnu',
+  'approval.awaiting': 'En attente de validation par le superviseur.',
+  'approval.commentPlaceholder': 'Commentaire (obligatoire pour rejeter)',
+  'approval.approve': 'Approuver',
+  'approval.reject': 'Rejeter',
+  'approval.ownReport': 'Vous avez soumis ce rapport : un autre superviseur doit l\'approuver.',
+  'delivery.pending': 'En attente',
+  'delivery.sending': 'Envoi',
+  'delivery.synced': 'Livré',
+  'delivery.failed': 'Échec',
+  'delivery.imported': 'Importé',
+  'delivery.target.pending': 'en attente',
+  'delivery.target.synced': 'livré',
+  'delivery.target.failed': 'échec',
+  'delivery.line': '{target} : {status}',
+  'history.title': 'Historique des rapports',
+  'history.importCsv': 'Importer un CSV',
+  'history.imported': '{count} rapport(s) importé(s) depuis {file}.',
+  'history.importFailed': 'Échec de l\'importation : {error}',
+  'history.exportFailed': 'Échec de l\'exportation : {error}',
+  'history.loadError': 'Impossible de charger l\'historique : {error}',
+  'history.loading': 'Chargement…',
+  'history.empty': 'Aucun rapport n\'a encore été soumis depuis cet appareil.',
+  'history.date': 'Date',
+  'history.shift': 'Équipe',
+  'history.operator': 'Opérateur',
+  'history.product': 'Produit',
+  'history.result': 'Résultat',
+  'history.sheet': 'Envoi',
+  'history.verdict.pass': 'Conforme',
+  'history.verdict.fail': 'Non conforme',
+  'history.verdict.empty': 'Vide',
+  'history.open': 'Ouvrir',
+  'history.duplicate': 'Dupliquer',
+  'detail.back': 'Retour à l\'historique',
+  'detail.print': 'Imprimer',
+  'detail.duplicate': 'Dupliquer en nouveau brouillon',
+  'detail.pdfWithoutLogo': 'PDF enregistré sans le logo de l\'entreprise : {error}',
+  'detail.notFound': 'Rapport introuvable sur cet appareil',
+  'report.printTitle': 'Rapport de contrôle de poids',
+  'report.verdict.pass': 'Tous les échantillons dans la plage',
+  'report.verdict.fail': 'Échantillons hors plage',
+  'report.verdict.empty': 'Aucun échantillon enregistré',
+  'report.warnings': 'Soumis avec des avertissements :',
+  'report.schedule': 'Planning des contrôles (équipe {shift}, toutes les {minutes} min) :',
+  'report.overdue': 'ce contrôle avait {minutes} min de retard.',
+  'report.missed': '{count} manqué(s) avant lui (prévus à {times}).',
+  'report.outOfService': 'Hors service',
+  'report.grossTare': 'B {gross} / T {tare}',
+  'report.entered': 'Saisi {value} {unit}',
+  'report.setpointAdjusted': 'Consigne ajustée :',
+  'report.acceptedBy': 'accepté par {name}',
+  'report.correctiveActions': 'Actions correctives',
+  'report.spout': 'Bec',
+  'report.reason': 'Motif',
+  'report.recheck': 'Recontrôle ({unit})',
+  'report.notSigned': 'Non signé'
+};
+
+export default fr;
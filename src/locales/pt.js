@@ -0,0 +1,358 @@
+const pt = {
+  'language.label': 'Idioma',
+
+  'nav.newReport': 'Novo relatório',
+  'nav.history': 'Histórico',
+  'nav.trends': 'Tendências',
+  'nav.shiftSummary': 'Resumo do turno',
+  'nav.logout': 'Sair',
+
+  'login.title': 'Entre para iniciar uma verificação de peso',
+  'login.scanBadge': 'Ler crachá',
+  'login.badgePlaceholder': 'Leia ou digite o código do crachá',
+  'login.name': 'Nome',
+  'login.selectName': 'Selecione o seu nome',
+  'login.pin': 'PIN',
+  'login.submit': 'Entrar',
+  'login.notRecognised': 'Não reconhecido – verifique o PIN ou o crachá e tente novamente',
+
+  'form.title': 'Sistema de Controle de Peso',
+  'form.summary': '{profile} | Peso alvo: {target} {unit} | Faixa aceitável: {min} - {max} {unit}',
+  'form.product': 'Perfil do produto',
+  'form.line': 'Linha',
+  'form.noLine': 'Nenhuma linha selecionada',
+  'form.machine': 'Máquina',
+  'form.noMachine': 'Disposição do perfil ({count} bicos)',
+  'form.takeOutOfService': 'Fora de serviço',
+  'form.returnToService': 'Repor em serviço',
+  'form.outOfServiceHelp': 'Fora de serviço: este bico fica excluído das estatísticas, das verificações de tolerância e da conformidade deste relatório.',
+  'form.inactiveSpout': 'Não instalado nesta máquina.',
+  'form.operatorName': 'Nome do operador',
+  'form.shift': 'Turno',
+  'form.selectShift': 'Selecione o turno',
+  'form.shiftFromTime': 'Definido pela hora do relatório',
+  'form.date': 'Data',
+  'form.time': 'Hora',
+  'form.tare': 'Tara ({unit})',
+  'form.tarePlaceholder': 'Opcional – as amostras passam a ser lançadas como brutas',
+  'form.entryUnit': 'Unidade de entrada',
+  'form.spout': 'Bico {number}',
+  'form.spoutTare': 'Tara do bico',
+  'form.none': 'Nenhuma',
+  'form.sample': 'Amostra {number}',
+  'form.gross': '(bruto)',
+  'form.net': 'Líquido',
+  'form.readFromScale': 'Lido da balança',
+  'form.spoutComments': 'Comentários do bico',
+  'form.spoutCommentsPlaceholder': 'Comentários opcionais para este bico',
+  'form.reportStatistics': 'Estatísticas do relatório ({count} amostras)',
+  'form.disposition': 'Decisão sobre o relatório',
+  'form.dispositionHelp': 'Pelo menos um bico está fora da tolerância, por isso o relatório não pode ser aceito como está.',
+  'form.generalComments': 'Comentários gerais',
+  'form.generalCommentsPlaceholder': 'Digite as observações gerais...',
+  'form.operatorSignature': 'Assinatura do operador',
+  'form.supervisorSignature': 'Assinatura do supervisor',
+  'form.supervisorName': 'Nome do supervisor',
+  'form.newReport': 'Novo relatório',
+  'form.newReportHint': 'Manter este relatório como rascunho e começar um em branco',
+  'form.submitting': 'Enviando...',
+  'form.submit': 'Enviar relatório',
+  'form.resumedDraft': 'Rascunho retomado: {name}',
+  'form.unnamedOperator': 'Operador sem nome',
+  'form.loadedCopy': 'Cópia de um relatório anterior carregada como novo rascunho.',
+
+  'reportStatus.accepted': 'Aceito',
+  'reportStatus.conditionally-accepted': 'Aceito com condições',
+  'reportStatus.rejected': 'Rejeitado',
+
+  'submit.savedOffline': 'Relatório salvo neste dispositivo; será enviado automaticamente quando a conexão voltar.',
+  'submit.savedLocal': 'Relatório salvo neste dispositivo (nenhum destino de envio está ativado).',
+  'submit.success': 'Dados enviados com sucesso para {targets}.',
+  'submit.sentTo': 'Enviado para {targets}.',
+  'submit.willRetry': 'Salvo neste dispositivo; nova tentativa automática: {targets}.',
+  'submit.failed': 'Falha no envio. Tente novamente.',
+
+  'stats.average': 'Média',
+  'stats.stdDev': 'Desvio padrão',
+  'stats.range': 'Amplitude',
+  'stats.minMax': 'Mín / Máx ({unit})',
+  'stats.cpCpk': 'Cp / Cpk',
+  'stats.outOfSpec': 'Fora de especificação',
+
+  'scale.title': 'Balança',
+  'scale.readNow': 'Ler agora',
+  'scale.disconnect': 'Desconectar',
+  'scale.connect': 'Conectar balança',
+  'scale.serialUnavailable': 'Web Serial não está disponível neste navegador',
+  'scale.simulate': 'Simular',
+  'scale.protocol': 'Protocolo',
+  'scale.baudRate': 'Taxa de transmissão',
+  'scale.fillSpout': 'Bico a preencher',
+  'scale.reading': 'Leitura',
+  'scale.simulatedReading': 'Leitura simulada',
+  'scale.stable': 'Estável',
+  'scale.settling': 'Estabilizando…',
+  'scale.unconvertible': 'A balança informa {unit}, que não pode ser convertido para {productUnit}.',
+  'scale.allFilled': '{value} {unit} ignorado: todas as amostras já estão preenchidas.',
+  'scale.doubleTare': 'A balança está enviando pesos líquidos enquanto há uma tara no formulário. Remova uma das duas taras.',
+  'scale.recorded': '{value} {unit} registrado no bico {spout}, amostra {sample}.',
+
+  'drafts.title': 'Rascunhos não enviados neste dispositivo',
+  'drafts.progress': '{entered}/{total} amostras · salvo em {savedAt}',
+  'drafts.resume': 'Retomar rascunho',
+  'drafts.discard': 'Descartar',
+  'drafts.confirmDiscard': 'Descartar o rascunho "{label}"? Esta ação não pode ser desfeita.',
+
+  'signature.clear': 'Limpar',
+  'signature.signedAt': 'Assinado em {signedAt}',
+
+  'corrective.title': 'O bico {number} está fora da tolerância – ação corretiva necessária',
+  'corrective.reasonCode': 'Código de causa',
+  'corrective.selectReason': 'Selecione a causa',
+  'corrective.actionTaken': 'Ação tomada',
+  'corrective.actionPlaceholder': 'ex. Bico recalibrado, vedação da comporta verificada',
+  'corrective.recheckSamples': 'Amostras de reverificação ({unit}, opcional)',
+  'corrective.recheck': 'Reverificação {number}',
+  'corrective.missingReason': 'Bico {spout}: selecione um código de causa para o resultado fora da tolerância',
+  'corrective.missingAction': 'Bico {spout}: descreva a ação corretiva tomada',
+  'corrective.missingDisposition': 'Marque o relatório como aceito com condições ou rejeitado',
+
+  'validation.fixOne': 'Corrija este problema antes de enviar',
+  'validation.fixMany': 'Corrija estes {count} problemas antes de enviar',
+  'validation.warningOne': 'Aviso – envie novamente para enviar o relatório mesmo assim',
+  'validation.warningMany': '{count} avisos – envie novamente para enviar o relatório mesmo assim',
+  'validation.required.operatorName': 'O nome do operador é obrigatório',
+  'validation.required.shift': 'O turno é obrigatório',
+  'validation.required.date': 'A data é obrigatória',
+  'validation.required.time': 'A hora é obrigatória',
+  'validation.subject.sample': 'Bico {spout} amostra {sample}',
+  'validation.subject.recheck': 'Bico {spout} reverificação {sample}',
+  'validation.notANumber': '{subject}: "{value}" não é um número',
+  'validation.notPositive': '{subject}: o peso deve ser maior que zero',
+  'validation.implausible': '{subject}: {weight} {unit} está fora da faixa plausível {min}–{max} {unit} para {product}',
+  'validation.minSamples': 'Bico {spout}: lance pelo menos {min} amostras ({count} lançadas)',
+  'validation.invalidDate': 'A data e a hora não são válidas',
+  'validation.futureDate': 'A data está no futuro',
+  'validation.futureTime': 'A hora está no futuro',
+  'validation.outOfRangeComment': 'Bico {spout}: adicione um comentário explicando as amostras fora da faixa',
+  'rapid.on': 'Entrada rápida ativada',
+  'rapid.off': 'Entrada rápida',
+  'rapid.toggleHint': 'Digite as amostras com um teclado numérico grande; Enter, Tab e as setas passam de uma amostra para outra',
+  'rapid.noCell': 'Toque numa tecla para começar na primeira amostra vazia',
+  'rapid.help': 'Enter ou Próxima avança; um valor digitado com precisão total avança sozinho.',
+  'rapid.backspace': 'Apagar último dígito',
+  'rapid.clear': 'Limpar',
+  'rapid.undo': 'Desfazer',
+  'rapid.previous': 'Amostra anterior',
+  'rapid.next': 'Próxima amostra',
+  'rapid.inRange': 'Bico {spout} amostra {sample}: {value} {unit} OK',
+  'rapid.outOfRange': 'Bico {spout} amostra {sample}: {value} {unit} FORA DA FAIXA ({min} - {max} {unit})',
+  'rapid.endOfGrid': 'Última amostra alcançada.',
+  'rapid.undone': 'Entrada desfeita para o bico {spout} amostra {sample}.',
+  'metrology.title': 'Metrologia legal (℮)',
+  'metrology.verdict.pass': 'Conforme',
+  'metrology.verdict.fail': 'Não conforme',
+  'metrology.verdict.not_applicable': 'Não avaliado',
+  'metrology.nominal': 'Quantidade nominal',
+  'metrology.tne': 'Erro tolerado (TNE)',
+  'metrology.mean': 'Média',
+  'metrology.belowT1': 'Abaixo de T1 / permitido',
+  'metrology.belowT2': 'Abaixo de T2',
+  'metrology.outsideTable': 'A quantidade nominal {nominal} {unit} está fora da tabela de TNE (5 g a 50 kg)',
+  'metrology.noSamples': 'Nenhuma amostra registrada ainda',
+  'metrology.meanBelowNominal': 'A média {mean} {unit} está abaixo da quantidade nominal {nominal} {unit}',
+  'metrology.tooManyBelowT1': '{count} embalagens estão abaixo de T1 ({t1} {unit}); no máximo {allowed} são permitidas',
+  'metrology.packsBelowT2': '{count} embalagens estão abaixo de T2 ({t2} {unit}); nenhuma é permitida',
+  'metrology.allRulesMet': 'Média igual ou acima do nominal, embalagens abaixo de T1 dentro do permitido e nenhuma abaixo de T2',
+  'schedule.dueIn': 'Próxima verificação em {time} (às {at})',
+  'schedule.overdue': 'Verificação atrasada {time} (prevista às {at})',
+  'schedule.noneDue': 'Não há mais verificações previstas neste turno',
+  'schedule.shift': '{line} · turno {shift} {start}–{end} · a cada {minutes} min',
+  'schedule.noLine': 'Sem linha',
+  'schedule.enableReminders': 'Ativar lembretes',
+  'schedule.remindersBlocked': 'As notificações estão bloqueadas neste navegador',
+  'schedule.timeline': 'Cronologia do turno',
+  'schedule.legendCheck': 'Verificação',
+  'schedule.legendLate': 'Verificação atrasada',
+  'schedule.legendMissed': 'Falhada',
+  'schedule.legendDue': 'Prevista',
+  'schedule.legendNow': 'Agora',
+  'schedule.missed': '{count} falhada(s) neste turno: {times}',
+  'schedule.notificationTitle': 'Verificação de peso pendente',
+  'schedule.notificationBody': '{line}: a verificação prevista às {at} ainda não foi feita',
+  'setpoint.goal': 'Meta fora de especificação',
+  'setpoint.adjust': 'Alterar o setpoint em {correction} {unit} para visar {target} {unit}',
+  'setpoint.hold': 'Manter o setpoint: a média está em {target} {unit} dentro do ruído de amostragem',
+  'setpoint.variation': 'O problema é a variação, não o setpoint: com uma dispersão de {sigma} {unit} nenhum setpoint mantém os sacos fora de especificação abaixo de {rate}%. Verifique a ensacadora.',
+  'setpoint.confidence': 'Confiança: {level}',
+  'setpoint.confidence.high': 'alta',
+  'setpoint.confidence.medium': 'média',
+  'setpoint.confidence.low': 'baixa',
+  'setpoint.rates': 'Fora de especificação previsto {current}% agora, {expected}% depois',
+  'setpoint.window': 'médias de {low} a {high} {unit} cumprem a meta de {rate}%',
+  'setpoint.basis': 'com base em {samples} amostras e {history} relatórios anteriores',
+  'setpoint.accept': 'Aceitar ajuste',
+  'setpoint.accepted': 'Setpoint alterado em {correction} {unit} ({from} → {to} {unit})',
+  'setpoint.undo': 'Desfazer',
+  'trace.title': 'Rastreabilidade',
+  'trace.field.productCode': 'Código do produto',
+  'trace.field.lotNumber': 'Número do lote',
+  'trace.field.filmBatch': 'Lote de filme/sacos',
+  'trace.field.productionOrder': 'Ordem de produção',
+  'trace.scan': 'Ler código',
+  'trace.scanTitle': 'Ler {field}',
+  'trace.scanHelp': 'Aponte a câmara para o código de barras ou QR da etiqueta.',
+  'trace.fallbackHelp': 'Este navegador não tem leitor de códigos de barras, por isso só se leem códigos Code 128 e GS1-128. Os códigos QR e Data Matrix precisam de um navegador que o tenha, como o Chrome no Android; escreva-os à mão.',
+  'trace.upload': 'Ler de uma foto',
+  'trace.close': 'Fechar',
+  'trace.noCamera': 'Não foi possível abrir a câmara: {error}',
+  'trace.readerError': 'Não foi possível iniciar o leitor de códigos de barras: {error}',
+  'trace.notFound': 'Nenhum código de barras encontrado na foto.',
+  'trace.scanned': 'Lido do código: {fields}',
+  'trace.error.numeric': '{field} só pode ter dígitos (AI GS1 {ai})',
+  'trace.error.length': '{field} tem de ter {length} caracteres (AI GS1 {ai})',
+  'trace.error.tooLong': '{field} pode ter no máximo {max} caracteres (AI GS1 {ai})',
+  'trace.error.charset': '{field} tem caracteres que o AI GS1 {ai} não permite',
+  'trace.error.checkDigit': '{field} tem o dígito de controlo errado',
+  'trace.error.pattern': '{field} não corresponde ao formato {pattern}',
+  'trace.error.missingAi': 'O código não tem o AI GS1 {ai} para {field}',
+  'trends.title': 'Tendências por bico',
+  'trends.loadError': 'Não foi possível carregar o histórico: {error}',
+  'trends.product': 'Produto',
+  'trends.machine': 'Máquina',
+  'trends.profileLayout': 'Disposição do perfil ({count} bicos)',
+  'trends.from': 'De',
+  'trends.to': 'Até',
+  'trends.shift': 'Turno',
+  'trends.allShifts': 'Todos os turnos',
+  'trends.spout': 'Bico',
+  'trends.spoutLabel': 'Bico {label}',
+  'trends.reports': 'Relatórios',
+  'trends.grandMean': 'Média global',
+  'trends.avgRange': 'Amplitude média',
+  'trends.violations': 'Violações de regras',
+  'trends.noData': 'Nenhum relatório guardado corresponde a estes filtros para o bico {label}.',
+  'trends.chart.xBar': 'Bico {label} – Média X̄ ({unit})',
+  'trends.chart.range': 'Bico {label} – Amplitude ({unit})',
+  'trends.chart.stdDev': 'Bico {label} – Desvio padrão ({unit})',
+  'trends.line.usl': 'LSE',
+  'trends.line.ucl': 'LSC',
+  'trends.line.target': 'Alvo',
+  'trends.line.lcl': 'LIC',
+  'trends.line.lsl': 'LIE',
+  'trends.violationsTitle': 'Violações das regras Western Electric',
+  'trends.violation': '{point}: regra {id} – {rule}',
+  'trends.rule.1': 'Ponto além do limite de controlo de 3σ',
+  'trends.rule.2': '2 de 3 pontos além de 2σ do mesmo lado',
+  'trends.rule.3': '4 de 5 pontos além de 1σ do mesmo lado',
+  'trends.rule.4': '{count} pontos seguidos do mesmo lado do alvo',
+  'audit.title': 'Registo de auditoria',
+  'audit.none': 'Não foi registado histórico de edições para este relatório.',
+  'audit.intact': 'Cadeia de hash intacta e conforme ao selo submetido ({count} eventos)',
+  'audit.intactUnanchored': 'Cadeia de hash intacta ({count} eventos); submetida sem selo, por isso eventos cortados no fim não seriam detetados',
+  'audit.broken': 'Cadeia de hash quebrada no evento {event}: este registo foi alterado depois de gravado',
+  'audit.cannotVerify': 'Não é possível verificar: {error}',
+  'audit.field': 'Campo',
+  'audit.allFields': 'Todos os campos',
+  'audit.time': 'Hora',
+  'audit.operator': 'Operador',
+  'audit.oldValue': 'Valor anterior',
+  'audit.newValue': 'Valor novo',
+  'audit.empty': '(vazio)',
+  'audit.system': 'Sistema',
+  'audit.unknownOperator': 'Desconhecido',
+  'audit.field.profileId': 'Perfil do produto',
+  'audit.field.lineId': 'Linha',
+  'audit.field.machineId': 'Máquina',
+  'audit.field.operatorName': 'Nome do operador',
+  'audit.field.shift': 'Turno',
+  'audit.field.date': 'Data',
+  'audit.field.time': 'Hora',
+  'audit.field.tare': 'Tara',
+  'audit.field.entryUnit': 'Unidade de entrada',
+  'audit.field.generalComments': 'Comentários gerais',
+  'audit.field.supervisorName': 'Nome do supervisor',
+  'audit.field.reportStatus': 'Decisão do relatório',
+  'audit.field.operatorSignature': 'Assinatura do operador',
+  'audit.field.supervisorSignature': 'Assinatura do supervisor',
+  'audit.field.spoutSample': 'Bico {spout} amostra {sample}',
+  'audit.field.spoutRecheck': 'Bico {spout} amostra de reverificação {sample}',
+  'audit.field.spoutTare': 'Bico {spout} tara',
+  'audit.field.spoutComments': 'Bico {spout} comentários',
+  'audit.field.spoutService': 'Bico {spout} estado de serviço',
+  'audit.field.spoutSetpoint': 'Bico {spout} ajuste do setpoint',
+  'audit.field.spoutReasonCode': 'Bico {spout} código de motivo',
+  'audit.field.spoutActionTaken': 'Bico {spout} ação tomada',
+  'app.noAccess': 'O seu perfil não tem acesso a esta página.',
+  'app.noLogo': 'Nenhum logótipo configurado',
+  'app.logoAlt': 'Logótipo da empresa',
+  'app.adminSettings': 'Definições de administração',
+  'role.operator': 'Operador',
+  'role.supervisor': 'Supervisor',
+  'role.qa': 'Qualidade',
+  'approval.title': 'Aprovação do supervisor',
+  'approval.approved': 'Aprovado',
+  'approval.rejected': 'Rejeitado',
+  'approval.by': '{status} por {name}',
+  'approval.decision': '{status} por {name} em {at}',
+  'approval.withRole': '{name} ({role})',
+  'approval.unknownUser': 'desconhecido',
+  'approval.awaiting': 'A aguardar aprovação do supervisor.',
+  'approval.commentPlaceholder': 'Comentário (obrigatório para rejeitar)',
+  'approval.approve': 'Aprovar',
+  'approval.reject': 'Rejeitar',
+  'approval.ownReport': 'Submeteu este relatório, por isso outro supervisor tem de o aprovar.',
+  'delivery.pending': 'Pendente',
+  'delivery.sending': 'A enviar',
+  'delivery.synced': 'Entregue',
+  'delivery.failed': 'Falhou',
+  'delivery.imported': 'Importado',
+  'delivery.target.pending': 'em espera',
+  'delivery.target.synced': 'entregue',
+  'delivery.target.failed': 'falhou',
+  'delivery.line': '{target}: {status}',
+  'history.title': 'Histórico de relatórios',
+  'history.importCsv': 'Importar CSV',
+  'history.imported': '{count} relatório(s) importado(s) de {file}.',
+  'history.importFailed': 'A importação falhou: {error}',
+  'history.exportFailed': 'A exportação falhou: {error}',
+  'history.loadError': 'Não foi possível carregar o histórico: {error}',
+  'history.loading': 'A carregar…',
+  'history.empty': 'Ainda não foi submetido nenhum relatório a partir deste dispositivo.',
+  'history.date': 'Data',
+  'history.shift': 'Turno',
+  'history.operator': 'Operador',
+  'history.product': 'Produto',
+  'history.result': 'Resultado',
+  'history.sheet': 'Envio',
+  'history.verdict.pass': 'Conforme',
+  'history.verdict.fail': 'Não conforme',
+  'history.verdict.empty': 'Vazio',
+  'history.open': 'Abrir',
+  'history.duplicate': 'Duplicar',
+  'detail.back': 'Voltar ao histórico',
+  'detail.print': 'Imprimir',
+  'detail.duplicate': 'Duplicar como novo rascunho',
+  'detail.pdfWithoutLogo': 'PDF guardado sem o logótipo da empresa: {error}',
+  'detail.notFound': 'Relatório não encontrado neste dispositivo',
+  'report.printTitle': 'Relatório de controlo de peso',
+  'report.verdict.pass': 'Todas as amostras dentro do intervalo',
+  'report.verdict.fail': 'Amostras fora do intervalo',
+  'report.verdict.empty': 'Nenhuma amostra registada',
+  'report.warnings': 'Submetido com avisos:',
+  'report.schedule': 'Plano de verificações (turno {shift}, a cada {minutes} min):',
+  'report.overdue': 'esta verificação estava {minutes} min atrasada.',
+  'report.missed': '{count} falhada(s) antes dela (previstas às {times}).',
+  'report.outOfService': 'Fora de serviço',
+  'report.grossTare': 'B {gross} / T {tare}',
+  'report.entered': 'Introduzido {value} {unit}',
+  'report.setpointAdjusted': 'Setpoint ajustado:',
+  'report.acceptedBy': 'aceite por {name}',
+  'report.correctiveActions': 'Ações corretivas',
+  'report.spout': 'Bico',
+  'report.reason': 'Motivo',
+  'report.recheck': 'Reverificação ({unit})',
+  'report.notSigned': 'Não assinado'
+};
+
+export default pt;
@@ -0,0 +1,113 @@
+/* eslint-disable no-restricted-globals */
+
+// This service worker is compiled by the build (workbox InjectManifest), which
+// replaces self.__WB_MANIFEST with the list of hashed app-shell assets.
+// It precaches the shell so the app opens offline, and replays queued weight
+// reports through Background Sync once the connection returns.
+
+import { SYNC_TAG, processQueue } from './lib/offlineQueue';
+
+const PRECACHE_MANIFEST = self.__WB_MANIFEST || [];
+const PRECACHE_VERSION = PRECACHE_MANIFEST
+  .map(entry => entry.revision || entry.url)
+  .join('|')
+  .split('')
+  .reduce((hash, char) => ((hash << 5) - hash + char.charCodeAt(0)) | 0, 0)
+  .toString(36);
+
+const PRECACHE_NAME = `weight-check-precache-${PRECACHE_VERSION}`;
+// Versioned like the precache, so assets of an old build go when it's replaced
+const RUNTIME_CACHE_NAME = `weight-check-runtime-${PRECACHE_VERSION}`;
+// Oldest entries are dropped beyond this many
+const RUNTIME_CACHE_MAX_ENTRIES = 60;
+const APP_SHELL_URL = '/index.html';
+
+const precacheUrls = () => {
+  const urls = PRECACHE_MANIFEST.map(entry => (typeof entry === 'string' ? entry : entry.url));
+  return Array.from(new Set([...urls, APP_SHELL_URL, '/manifest.json', '/company_logo.png', '/favicon.ico']));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE_NAME)
+      .then(cache => cache.addAll(precacheUrls()))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('weight-check-') && key !== PRECACHE_NAME && key !== RUNTIME_CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Cache keys come back in insertion order, so the first ones are the oldest
+const trimRuntimeCache = async (cache) => {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(keys.length - RUNTIME_CACHE_MAX_ENTRIES, 0)).map(key => cache.delete(key)));
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // SPA navigations: network first, fall back to the cached shell
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match(APP_SHELL_URL))
+    );
+    return;
+  }
+
+  // Static assets: cache first, then network (and remember the result)
+  event.respondWith(
+    caches.match(request).then(cached => {
+      if (cached) return cached;
+      return fetch(request).then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(RUNTIME_CACHE_NAME)
+            .then(cache => cache.put(request, copy).then(() => trimRuntimeCache(cache)));
+        }
+        return response;
+      });
+    })
+  );
+});
+
+const notifyClients = async (summary) => {
+  const clients = await self.clients.matchAll({ includeUncontrolled: true });
+  clients.forEach(client => client.postMessage({ type: 'QUEUE_UPDATED', summary }));
+};
+
+// The sync event means the connection is back, so everything pending goes now
+// rather than waiting out its backoff delay
+const replayQueue = async () => {
+  const summary = await processQueue({ force: true });
+  await notifyClients(summary);
+  // Rejecting makes the browser schedule another sync attempt
+  if (summary.failed > 0) {
+    throw new Error(`${summary.failed} submission(s) could not be sent`);
+  }
+};
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(replayQueue());
+  }
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -11,4 +11,21 @@ export function register() {
           });
       });
     }
-  }
\ No newline at end of file
+  }
+
+// Asks the service worker to replay the submission queue when connectivity
+// returns. Resolves to false where Background Sync is unsupported, in which
+// case the page keeps retrying on its own.
+export async function requestBackgroundSync(tag) {
+  if (!('serviceWorker' in navigator)) return false;
+
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration || !registration.sync) return false;
+    await registration.sync.register(tag);
+    return true;
+  } catch (error) {
+    console.error('Background sync registration failed:', error);
+    return false;
+  }
+}